@@ -0,0 +1,252 @@
+/**
+ * Candlestick Pattern Detection Module
+ *
+ * This module provides functionality to detect single- and multi-bar candlestick signals in financial market data:
+ * doji, hammer / hanging man, shooting star, bullish / bearish engulfing, morning / evening star,
+ * and three white soldiers / three black crows.
+ * Unlike the chart pattern detectors it returns every matching bar rather than a single formation,
+ * so it is served by its own endpoint instead of the detector registry.
+ *
+ * @module detectors/candlesticks
+ * @author KW Technical Team
+ */
+
+/**
+ * Measures the body and shadows of a candle
+ * @param {Object} candle - OHLC candle
+ * @returns {Object} - Body, range, upper and lower shadow sizes and candle colour
+ */
+function getCandleMetrics(candle) {
+    const body = Math.abs(candle.close - candle.open);
+    const range = candle.high - candle.low;
+    return {
+        body,
+        range,
+        upperShadow: candle.high - Math.max(candle.open, candle.close),
+        lowerShadow: Math.min(candle.open, candle.close) - candle.low,
+        isBullish: candle.close > candle.open,
+        isBearish: candle.close < candle.open
+    };
+}
+
+/**
+ * Calculates the average body size of the candles before an index
+ * @param {Array} candles - Array of OHLC price data
+ * @param {number} index - Candle index
+ * @param {number} lookback - Number of candles to average
+ * @returns {number} - The average body size
+ */
+function getAverageBody(candles, index, lookback = 10) {
+    const start = Math.max(0, index - lookback);
+    const window = candles.slice(start, index);
+    if (window.length === 0) return Math.abs(candles[index].close - candles[index].open);
+    return window.reduce((sum, c) => sum + Math.abs(c.close - c.open), 0) / window.length;
+}
+
+/**
+ * Determines the short-term trend leading into a candle
+ * @param {Array} candles - Array of OHLC price data
+ * @param {number} index - Candle index
+ * @param {number} lookback - Number of candles to look back
+ * @param {number} threshold - Minimum relative move to count as a trend
+ * @returns {string|null} - "up", "down" or null if there is no clear trend
+ */
+function getPriorTrend(candles, index, lookback = 5, threshold = 0.01) {
+    if (index - 1 - lookback < 0) return null;
+    const from = candles[index - 1 - lookback].close;
+    const to = candles[index - 1].close;
+    const change = (to - from) / from;
+    if (change > threshold) return "up";
+    if (change < -threshold) return "down";
+    return null;
+}
+
+/**
+ * Checks for a doji (open and close nearly equal)
+ * @param {Object} candle - OHLC candle
+ * @param {number} maxBodyRatio - Maximum body size relative to the candle range
+ * @returns {boolean} - True if the candle is a doji
+ */
+function isDoji(candle, maxBodyRatio = 0.1) {
+    const { body, range } = getCandleMetrics(candle);
+    return range > 0 && body <= range * maxBodyRatio;
+}
+
+/**
+ * Checks for a hammer-shaped candle (small body at the top, long lower shadow)
+ * @param {Object} candle - OHLC candle
+ * @returns {boolean} - True if the candle has a hammer shape
+ */
+function isHammerShape(candle) {
+    const { body, range, upperShadow, lowerShadow } = getCandleMetrics(candle);
+    return range > 0 && !isDoji(candle) &&
+        body <= range / 3 &&
+        lowerShadow >= 2 * body &&
+        upperShadow <= range * 0.1;
+}
+
+/**
+ * Checks for a shooting-star-shaped candle (small body at the bottom, long upper shadow)
+ * @param {Object} candle - OHLC candle
+ * @returns {boolean} - True if the candle has a shooting star shape
+ */
+function isShootingStarShape(candle) {
+    const { body, range, upperShadow, lowerShadow } = getCandleMetrics(candle);
+    return range > 0 && !isDoji(candle) &&
+        body <= range / 3 &&
+        upperShadow >= 2 * body &&
+        lowerShadow <= range * 0.1;
+}
+
+/**
+ * Checks for an engulfing pattern ending at the given candle
+ * @param {Object} previous - Previous candle
+ * @param {Object} current - Current candle
+ * @returns {string|null} - "bullish", "bearish" or null
+ */
+function checkEngulfing(previous, current) {
+    const prev = getCandleMetrics(previous);
+    const curr = getCandleMetrics(current);
+    if (curr.body <= prev.body) return null;
+
+    if (prev.isBearish && curr.isBullish && current.open <= previous.close && current.close >= previous.open) {
+        return "bullish";
+    }
+    if (prev.isBullish && curr.isBearish && current.open >= previous.close && current.close <= previous.open) {
+        return "bearish";
+    }
+    return null;
+}
+
+/**
+ * Checks for a morning star or evening star ending at the given index
+ * @param {Array} candles - Array of OHLC price data
+ * @param {number} index - Index of the third candle
+ * @returns {string|null} - "bullish" (morning star), "bearish" (evening star) or null
+ */
+function checkStar(candles, index) {
+    const [first, middle, last] = candles.slice(index - 2, index + 1);
+    const m1 = getCandleMetrics(first);
+    const m2 = getCandleMetrics(middle);
+    const m3 = getCandleMetrics(last);
+    const averageBody = getAverageBody(candles, index - 2);
+
+    // Long first candle, small middle candle, strong reversal candle
+    if (m1.body < averageBody || m2.body > m1.body * 0.3) return null;
+    const firstMidpoint = (first.open + first.close) / 2;
+    const middleBody = (middle.open + middle.close) / 2;
+
+    if (m1.isBearish && middleBody < first.close && m3.isBullish && last.close > firstMidpoint) {
+        return "bullish";
+    }
+    if (m1.isBullish && middleBody > first.close && m3.isBearish && last.close < firstMidpoint) {
+        return "bearish";
+    }
+    return null;
+}
+
+/**
+ * Checks for three white soldiers or three black crows ending at the given index
+ * @param {Array} candles - Array of OHLC price data
+ * @param {number} index - Index of the third candle
+ * @returns {string|null} - "bullish" (three white soldiers), "bearish" (three black crows) or null
+ */
+function checkThreeCandles(candles, index) {
+    const three = candles.slice(index - 2, index + 1);
+    const metrics = three.map(getCandleMetrics);
+
+    // Each candle needs a long body relative to its range
+    if (!metrics.every(m => m.range > 0 && m.body >= m.range * 0.5)) return null;
+
+    const opensInsidePriorBody = [1, 2].every(i => {
+        const prev = three[i - 1];
+        return three[i].open >= Math.min(prev.open, prev.close) && three[i].open <= Math.max(prev.open, prev.close);
+    });
+    if (!opensInsidePriorBody) return null;
+
+    if (metrics.every(m => m.isBullish) && three[1].close > three[0].close && three[2].close > three[1].close) {
+        return "bullish";
+    }
+    if (metrics.every(m => m.isBearish) && three[1].close < three[0].close && three[2].close < three[1].close) {
+        return "bearish";
+    }
+    return null;
+}
+
+/**
+ * Detects every candlestick signal in OHLC price data
+ * @param {Array<Object>} candles - The array of candle objects
+ * @param {Object} options - Configuration options
+ * @returns {Object} - The result of the detection with every signal in date order
+ */
+function detectCandlestickPatterns(candles, options = {}) {
+    console.log('\n===== CANDLESTICK PATTERN DETECTION STARTED =====');
+
+    const { trendLookback = 5, trendThreshold = 0.01 } = options;
+
+    if (!candles || candles.length === 0) {
+        console.log('❌ FAILED: Not enough data');
+        return { success: false, pattern: "Candlestick Patterns", reason: "Not enough data", signals: [] };
+    }
+
+    const signals = [];
+    const addSignal = (index, pattern, bias, length) => {
+        signals.push({ date: candles[index].date, index, pattern, bias, candles: length, price: candles[index].close });
+    };
+
+    for (let i = 0; i < candles.length; i++) {
+        const candle = candles[i];
+        const trend = getPriorTrend(candles, i, trendLookback, trendThreshold);
+
+        // Single-bar signals
+        if (isDoji(candle)) {
+            addSignal(i, "Doji", "neutral", 1);
+        }
+        if (isHammerShape(candle) && trend === "down") {
+            addSignal(i, "Hammer", "bullish", 1);
+        }
+        if (isHammerShape(candle) && trend === "up") {
+            addSignal(i, "Hanging Man", "bearish", 1);
+        }
+        if (isShootingStarShape(candle) && trend === "up") {
+            addSignal(i, "Shooting Star", "bearish", 1);
+        }
+
+        // Two-bar signals
+        if (i >= 1) {
+            const engulfing = checkEngulfing(candles[i - 1], candle);
+            if (engulfing) {
+                addSignal(i, engulfing === "bullish" ? "Bullish Engulfing" : "Bearish Engulfing", engulfing, 2);
+            }
+        }
+
+        // Three-bar signals
+        if (i >= 2) {
+            const star = checkStar(candles, i);
+            if (star) {
+                addSignal(i, star === "bullish" ? "Morning Star" : "Evening Star", star, 3);
+            }
+            const three = checkThreeCandles(candles, i);
+            if (three) {
+                addSignal(i, three === "bullish" ? "Three White Soldiers" : "Three Black Crows", three, 3);
+            }
+        }
+    }
+
+    console.log(`✅ Found ${signals.length} candlestick signals in ${candles.length} candles`);
+    return { success: true, pattern: "Candlestick Patterns", signals };
+}
+
+module.exports = {
+    detectCandlestickPatterns,
+    // Export helper functions for testing
+    getCandleMetrics,
+    getAverageBody,
+    getPriorTrend,
+    isDoji,
+    isHammerShape,
+    isShootingStarShape,
+    checkEngulfing,
+    checkStar,
+    checkThreeCandles
+};
@@ -0,0 +1,327 @@
+/**
+ * Channel Pattern Detection Module
+ *
+ * This module provides functionality to detect price channels in financial market data.
+ * A regression line through the closes gives the channel direction; parallel upper and lower bounds
+ * are drawn through the most extreme peak and trough. Channels are classified as:
+ * - Ascending (rising midline)
+ * - Descending (falling midline)
+ * - Horizontal (flat midline)
+ * A close outside either bound marks the exit from the channel.
+ *
+ * @module detectors/channel
+ * @author KW Technical Team
+ */
+
+const { getNextDay, selectNonOverlappingPatterns, fitLine, SWING_DEFAULT_OPTIONS } = require('../utils/patternUtils.js');
+const {
+    findPivots,
+    generateCandidateRanges,
+    calculateViolationRatio,
+    detectTrendlineBreakout,
+    describeTrendline,
+    averageClose,
+    buildTrendlineTrigger
+} = require('../utils/trendlineUtils.js');
+const { scoreConfidence, scoreDepth, scoreDuration, scoreBreakout } = require('../utils/confidenceUtils.js');
+const { registerDetector } = require('./registry.js');
+
+/**
+ * Shifts a line vertically, keeping its slope
+ * @param {Object} line - Fitted line
+ * @param {number} offset - Vertical offset in price units
+ * @returns {Object} - The parallel line
+ */
+function offsetLine(line, offset) {
+    const intercept = line.intercept + offset;
+    return { slope: line.slope, intercept, getValue: (x) => line.slope * x + intercept };
+}
+
+/**
+ * Fits the regression midline through the closes and the parallel bounds through the extreme pivots
+ * @param {Array} candles - Array of OHLC price data
+ * @param {Object} candidate - Candidate with peaks, troughs, startIndex and endIndex
+ * @returns {{midline: Object, upper: Object, lower: Object}} - The channel lines
+ */
+function fitChannel(candles, candidate) {
+    const { peaks, troughs, startIndex, endIndex } = candidate;
+
+    const points = [];
+    for (let i = startIndex; i <= endIndex; i++) {
+        points.push({ x: i, y: candles[i].close });
+    }
+    const midline = fitLine(points);
+
+    const upperOffset = Math.max(...peaks.map(p => p.high - midline.getValue(p.index)));
+    const lowerOffset = Math.min(...troughs.map(t => t.low - midline.getValue(t.index)));
+
+    return {
+        midline,
+        upper: offsetLine(midline, upperOffset),
+        lower: offsetLine(midline, lowerOffset)
+    };
+}
+
+/**
+ * Classifies the channel from the slope of its midline
+ * @param {Object} midline - Regression line through the closes
+ * @param {number} length - Channel length in candles
+ * @param {number} avgPrice - Average price over the channel
+ * @param {number} flatTolerance - Maximum relative move across the channel to count as horizontal
+ * @returns {string} - "up", "down" or "sideways"
+ */
+function classifyChannel(midline, length, avgPrice, flatTolerance = 0.03) {
+    const move = (midline.slope * length) / avgPrice;
+    if (move > flatTolerance) return "up";
+    if (move < -flatTolerance) return "down";
+    return "sideways";
+}
+
+/**
+ * Counts the pivots touching each bound
+ * @param {Object} candidate - Candidate with peaks and troughs
+ * @param {Object} upper - Upper bound
+ * @param {Object} lower - Lower bound
+ * @param {number} width - Channel width
+ * @param {number} touchTolerance - Maximum distance from a bound, as a ratio of the width, to count as a touch
+ * @returns {{upper: Array, lower: Array}} - Pivots touching each bound
+ */
+function findTouches(candidate, upper, lower, width, touchTolerance = 0.15) {
+    return {
+        upper: candidate.peaks.filter(p => upper.getValue(p.index) - p.high <= width * touchTolerance),
+        lower: candidate.troughs.filter(t => t.low - lower.getValue(t.index) <= width * touchTolerance)
+    };
+}
+
+/**
+ * Scores how well price respects the channel
+ * @param {Object} touches - Pivots touching each bound
+ * @param {number} violationRatio - Ratio of closes outside the bounds
+ * @param {number} length - Channel length in candles
+ * @param {number} minChannelLength - Minimum channel length in candles
+ * @returns {number} - Score between 0 and 1
+ */
+function calculateRespectScore(touches, violationRatio, length, minChannelLength = 20) {
+    const touchScore = Math.min(1, (touches.upper.length + touches.lower.length) / 6);
+    const lengthScore = Math.min(1, length / (minChannelLength * 3));
+    const score = (0.5 * touchScore + 0.2 * lengthScore + 0.3) * (1 - violationRatio);
+    return parseFloat(score.toFixed(2));
+}
+
+/**
+ * Validates a candidate pivot range and builds the channel pattern data
+ * @param {Object} candidate - Candidate with peaks, troughs, startIndex and endIndex
+ * @param {Array} candles - Array of OHLC price data
+ * @param {Object} options - Configuration options
+ * @returns {Object|null} - Pattern data if valid, null otherwise
+ */
+function validateChannel(candidate, candles, options = {}) {
+    const {
+        minTouches = 2,
+        minChannelLength = 20,
+        flatTolerance = 0.03,
+        touchTolerance = 0.15,
+        maxViolationRatio = 0.1
+    } = options;
+    const { startIndex, endIndex } = candidate;
+    const length = endIndex - startIndex;
+    if (length < minChannelLength) {
+        return null;
+    }
+
+    // 1. Regression midline and parallel bounds
+    const { midline, upper, lower } = fitChannel(candles, candidate);
+    const width = upper.intercept - lower.intercept;
+    if (width <= 0) {
+        return null;
+    }
+
+    // 2. Each bound must be touched repeatedly
+    const touches = findTouches(candidate, upper, lower, width, touchTolerance);
+    if (touches.upper.length < minTouches || touches.lower.length < minTouches) {
+        return null;
+    }
+
+    // 3. Price must stay inside the bounds
+    const violationRatio = calculateViolationRatio(candles, upper, lower, startIndex, endIndex);
+    if (violationRatio > maxViolationRatio) {
+        return null;
+    }
+
+    // 4. Exit from the channel and measured-move target
+    const avgPrice = averageClose(candles, startIndex, endIndex);
+    const channelType = classifyChannel(midline, length, avgPrice, flatTolerance);
+    const breakoutPoint = detectTrendlineBreakout(candles, upper, lower, endIndex);
+    let necklineLevel = null;
+    let priceTarget = null;
+    if (breakoutPoint) {
+        necklineLevel = breakoutPoint.trendlineValue;
+        priceTarget = breakoutPoint.direction === "bullish" ? necklineLevel + width : necklineLevel - width;
+    }
+
+    const respectScore = calculateRespectScore(touches, violationRatio, length, minChannelLength);
+
+    // 5. Confidence factors: respect of the bounds, width, length and, once price has left, the exit.
+    //    A channel is the trend itself, so there is no prior trend to score, and one still in force has no breakout yet.
+    const { confidence, confidenceFactors } = scoreConfidence({
+        fit: respectScore,
+        depth: scoreDepth(candles, startIndex, endIndex, width),
+        duration: scoreDuration(startIndex, endIndex, minChannelLength * 3),
+        breakout: breakoutPoint ? scoreBreakout(candles, breakoutPoint.index, necklineLevel, breakoutPoint.direction) : null
+    });
+    const names = { up: "Ascending Channel", down: "Descending Channel", sideways: "Horizontal Channel" };
+
+    // While price is still inside, the channel extends to the latest candle
+    const lineEndIndex = breakoutPoint ? breakoutPoint.index : candles.length - 1;
+
+    return {
+        type: names[channelType],
+        channelType,
+        direction: breakoutPoint ? breakoutPoint.direction : null,
+        confidence,
+        confidenceFactors,
+        keyPoints: {
+            startPoint: { date: candles[startIndex].date, price: candles[startIndex].close, volume: candles[startIndex].volume },
+            endPoint: { date: candles[endIndex].date, price: candles[endIndex].close, volume: candles[endIndex].volume },
+            breakoutPoint
+        },
+        touches: {
+            upper: touches.upper.map(p => ({ date: p.date, price: p.high })),
+            lower: touches.lower.map(t => ({ date: t.date, price: t.low }))
+        },
+        upperBound: describeTrendline(upper, candles, startIndex, lineEndIndex),
+        midline: describeTrendline(midline, candles, startIndex, lineEndIndex),
+        lowerBound: describeTrendline(lower, candles, startIndex, lineEndIndex),
+        channelWidth: parseFloat(width.toFixed(2)),
+        respectScore,
+        necklineLevel: necklineLevel !== null ? parseFloat(necklineLevel.toFixed(2)) : null,
+        priceTarget: priceTarget !== null ? parseFloat(priceTarget.toFixed(2)) : null,
+        patternHeight: parseFloat(width.toFixed(2)),
+        timespan: Math.round((new Date(candles[lineEndIndex].date) - new Date(candles[startIndex].date)) / (1000 * 60 * 60 * 24))
+    };
+}
+
+/**
+ * Detects ascending, descending and horizontal channels in OHLC price data
+ * @param {Array<Object>} candles - The array of candle objects
+ * @param {Object} options - Configuration options
+ * @returns {Object} - The result of the detection
+ */
+function detectChannel(candles, options = {}) {
+    console.log('\n===== CHANNEL DETECTION STARTED =====');
+
+    const {
+        minRequiredCandles = 30,
+        windowSize = null,
+        minTouches = 2,
+        findAll = false
+    } = options;
+
+    // 1. Check if we have enough data
+    if (!candles || candles.length < minRequiredCandles) {
+        console.log('❌ FAILED: Not enough data');
+        return { success: false, pattern: "Channel", reason: "Not enough data" };
+    }
+    console.log(`Dataset size: ${candles.length} candles`);
+
+    // 2. Find pivots and candidate ranges
+    const { peaks, troughs } = findPivots(candles, windowSize, minTouches, options);
+    if (peaks.length < minTouches || troughs.length < minTouches) {
+        console.log('❌ FAILED: Not enough peaks or troughs found');
+        return { success: false, pattern: "Channel", reason: "Not enough peaks or troughs found" };
+    }
+    const candidates = generateCandidateRanges(peaks, troughs, minTouches);
+    console.log(`Generated ${candidates.length} candidate pivot ranges to test`);
+
+    // 3. Validate each candidate
+    const validPatterns = [];
+    for (const candidate of candidates) {
+        const patternData = validateChannel(candidate, candles, options);
+        if (patternData) {
+            validPatterns.push({
+                patternData,
+                startIndex: candidate.startIndex,
+                endIndex: candidate.endIndex,
+                confidence: patternData.confidence
+            });
+        }
+    }
+
+    if (validPatterns.length === 0) {
+        console.log('\nNo valid channel found.');
+        return { success: false, pattern: "Channel", reason: "No valid pattern found" };
+    }
+
+    // 4. Rank by confidence and drop overlapping ranges
+    const selected = selectNonOverlappingPatterns(validPatterns);
+    console.log(`\n✅ Found ${selected.length} non-overlapping channels out of ${validPatterns.length} valid candidates.`);
+
+    const result = { success: true, pattern: "Channel", patternData: selected[0].patternData };
+    if (findAll) {
+        result.occurrences = selected.map(c => c.patternData);
+    }
+    return result;
+}
+
+/**
+ * Builds the chart lines (upper bound, midline, lower bound and target after an exit) for a detected channel
+ * @param {Object} patternData - Pattern data returned by the detector
+ * @returns {Array} - Array of pattern line objects
+ */
+function buildPatternLines(patternData) {
+    const { keyPoints, upperBound, midline, lowerBound, priceTarget, necklineLevel } = patternData;
+
+    const lines = [
+        { type: "upperBound", points: [upperBound.start, upperBound.end], color: "#0000ff", style: "solid" },
+        { type: "midline", points: [midline.start, midline.end], color: "#0000ff", style: "dashed" },
+        { type: "lowerBound", points: [lowerBound.start, lowerBound.end], color: "#0000ff", style: "solid" }
+    ];
+
+    if (keyPoints.breakoutPoint && priceTarget !== null) {
+        const { date } = keyPoints.breakoutPoint;
+        lines.push({ type: "targetLine", points: [{ date, price: necklineLevel }, { date: getNextDay(date), price: priceTarget }], color: "#800080", style: "dotted" });
+    }
+
+    return lines;
+}
+
+/**
+ * Builds the breakout trigger of a channel: the bound nearest to price
+ * @param {Object} patternData - Pattern data returned by the detector
+ * @param {Array} candles - OHLC price data the pattern was detected in
+ * @returns {Object} - Breakout trigger
+ */
+function buildBreakoutTrigger(patternData, candles) {
+    const { keyPoints, upperBound, lowerBound } = patternData;
+    return buildTrendlineTrigger(upperBound, lowerBound, keyPoints.breakoutPoint, null, candles);
+}
+
+registerDetector({
+    id: 'channel',
+    name: 'Channel',
+    defaultOptions: {
+        minRequiredCandles: 30,
+        minTouches: 2,
+        minChannelLength: 20,
+        flatTolerance: 0.03,
+        touchTolerance: 0.15,
+        maxViolationRatio: 0.1,
+        findAll: true,
+        ...SWING_DEFAULT_OPTIONS
+    },
+    detect: detectChannel,
+    buildPatternLines,
+    buildBreakoutTrigger
+});
+
+module.exports = {
+    detectChannel,
+    buildPatternLines,
+    buildBreakoutTrigger,
+    // Export helper functions for testing
+    fitChannel,
+    classifyChannel,
+    findTouches,
+    calculateRespectScore,
+    validateChannel
+};
@@ -0,0 +1,384 @@
+/**
+ * Cup and Handle Pattern Detection Module
+ *
+ * This module provides functionality to detect cup and handle patterns in financial market data.
+ * A cup and handle is a bullish continuation pattern: a rounded U-shaped base between two rims
+ * at similar levels, followed by a shallow pullback (the handle) and a breakout above the rim.
+ *
+ * @module detectors/cupAndHandle
+ * @author KW Technical Team
+ */
+
+const { findSwings, calculateOptimalWindowSize, getNextDay, selectNonOverlappingPatterns, fitQuadratic, findBreakoutRetest, SWING_DEFAULT_OPTIONS } = require('../utils/patternUtils.js');
+const { scoreConfidence, scoreDepth, scoreDuration, scorePriorTrend, scoreBreakout } = require('../utils/confidenceUtils.js');
+const { registerDetector } = require('./registry.js');
+
+/**
+ * Finds pairs of comparable rims with a sufficiently deep cup between them
+ * @param {Array} candles - Array of OHLC price data
+ * @param {Array} peaks - Array of peak objects
+ * @param {Object} options - Configuration options
+ * @returns {Array} - Array of { leftRim, rightRim, cupBottom, rimLevel } candidates
+ */
+function findCupCandidates(candles, peaks, options = {}) {
+    const {
+        minCupLength = 20,
+        maxCupLength = 250,
+        rimTolerance = 0.05,
+        minCupDepth = 0.1,
+        maxCupDepth = 0.5
+    } = options;
+    const candidates = [];
+
+    for (let i = 0; i < peaks.length - 1; i++) {
+        for (let j = i + 1; j < peaks.length; j++) {
+            const leftRim = peaks[i];
+            const rightRim = peaks[j];
+            const length = rightRim.index - leftRim.index;
+            if (length < minCupLength) continue;
+            if (length > maxCupLength) break;
+
+            // 1. Rims at comparable levels
+            const rimDifference = Math.abs(rightRim.high - leftRim.high) / leftRim.high;
+            if (rimDifference > rimTolerance) continue;
+            const rimLevel = Math.max(leftRim.high, rightRim.high);
+
+            // 2. Nothing between the rims may rise above them
+            const inside = candles.slice(leftRim.index + 1, rightRim.index);
+            if (inside.some(c => c.high > rimLevel)) continue;
+
+            // 3. Cup depth within limits
+            let bottomIndex = leftRim.index + 1;
+            for (let k = leftRim.index + 1; k < rightRim.index; k++) {
+                if (candles[k].low < candles[bottomIndex].low) bottomIndex = k;
+            }
+            const depth = (rimLevel - candles[bottomIndex].low) / rimLevel;
+            if (depth < minCupDepth || depth > maxCupDepth) continue;
+
+            candidates.push({
+                leftRim,
+                rightRim,
+                rimLevel,
+                rimDifference,
+                cupBottom: { date: candles[bottomIndex].date, price: candles[bottomIndex].low, volume: candles[bottomIndex].volume, index: bottomIndex }
+            });
+        }
+    }
+
+    return candidates;
+}
+
+/**
+ * Checks that the cup is a rounded U rather than a V by fitting a parabola through the closes
+ * and measuring how long price stays near the bottom
+ * @param {Array} candles - Array of OHLC price data
+ * @param {Object} cup - Cup candidate
+ * @param {Object} options - Configuration options
+ * @returns {Object} - Result with isValid flag, roundness (R²), bottom time ratio and fitted curve
+ */
+function checkRoundness(candles, cup, options = {}) {
+    const { minRoundness = 0.6, minBottomRatio = 0.4 } = options;
+    const { leftRim, rightRim, rimLevel, cupBottom } = cup;
+
+    const points = [];
+    for (let i = leftRim.index; i <= rightRim.index; i++) {
+        points.push({ x: i, y: candles[i].close });
+    }
+    const curve = fitQuadratic(points);
+
+    // The parabola must open upward with its lowest point inside the cup
+    const vertexIndex = curve.a > 0 ? -curve.b / (2 * curve.a) : null;
+    const cupLength = rightRim.index - leftRim.index;
+    const vertexInside = vertexIndex !== null &&
+        vertexIndex > leftRim.index + cupLength * 0.2 &&
+        vertexIndex < rightRim.index - cupLength * 0.2;
+
+    // A U spends much longer in the lower third of the cup than a V does
+    const lowerThird = cupBottom.price + (rimLevel - cupBottom.price) / 3;
+    const bottomRatio = points.filter(p => p.y <= lowerThird).length / points.length;
+
+    return {
+        isValid: vertexInside && curve.rSquared >= minRoundness && bottomRatio >= minBottomRatio,
+        roundness: curve.rSquared,
+        bottomRatio,
+        curve
+    };
+}
+
+/**
+ * Follows the handle after the right rim until price breaks out above the rim
+ * @param {Array} candles - Array of OHLC price data
+ * @param {Object} cup - Cup candidate
+ * @param {Object} options - Configuration options
+ * @returns {Object|null} - Handle and breakout details, or null if the handle is invalid
+ */
+function findHandle(candles, cup, options = {}) {
+    const {
+        minHandleLength = 3,
+        maxHandleLength = 30,
+        maxHandleRetracement = 0.5
+    } = options;
+    const { rightRim, rimLevel, cupBottom } = cup;
+    const cupHeight = rimLevel - cupBottom.price;
+
+    let handleLowIndex = null;
+    for (let i = rightRim.index + 1; i < candles.length; i++) {
+        const handleLength = i - rightRim.index - 1;
+
+        // Breakout: first close above the rim once the handle has formed
+        if (candles[i].close > rimLevel) {
+            if (handleLength < minHandleLength || handleLowIndex === null) {
+                return null;
+            }
+            return buildHandle(candles, handleLowIndex, rimLevel, cupHeight, {
+                date: candles[i].date,
+                price: candles[i].close,
+                volume: candles[i].volume,
+                index: i,
+                retest: findBreakoutRetest(candles, i, () => rimLevel, "bullish")
+            });
+        }
+
+        if (handleLength >= maxHandleLength) {
+            return null;
+        }
+
+        if (handleLowIndex === null || candles[i].low < candles[handleLowIndex].low) {
+            handleLowIndex = i;
+        }
+
+        // The handle must stay in the upper part of the cup
+        if ((rimLevel - candles[handleLowIndex].low) / cupHeight > maxHandleRetracement) {
+            return null;
+        }
+    }
+
+    // Data ended while the handle was still forming
+    if (handleLowIndex === null || candles.length - 1 - rightRim.index < minHandleLength) {
+        return null;
+    }
+    return buildHandle(candles, handleLowIndex, rimLevel, cupHeight, null);
+}
+
+/**
+ * Builds the handle description from its lowest point
+ * @param {Array} candles - Array of OHLC price data
+ * @param {number} handleLowIndex - Index of the lowest candle in the handle
+ * @param {number} rimLevel - Rim price level
+ * @param {number} cupHeight - Height of the cup
+ * @param {Object|null} breakoutPoint - Breakout information or null if not yet broken out
+ * @returns {Object} - Handle low, depth, retracement and breakout point
+ */
+function buildHandle(candles, handleLowIndex, rimLevel, cupHeight, breakoutPoint) {
+    const low = candles[handleLowIndex];
+    return {
+        handleLow: { date: low.date, price: low.low, volume: low.volume, index: handleLowIndex },
+        handleDepth: rimLevel - low.low,
+        handleRetracement: (rimLevel - low.low) / cupHeight,
+        breakoutPoint
+    };
+}
+
+/**
+ * Samples the fitted cup curve for drawing on the chart
+ * @param {Array} candles - Array of OHLC price data
+ * @param {Object} curve - Fitted parabola
+ * @param {number} startIndex - Left rim index
+ * @param {number} endIndex - Right rim index
+ * @param {number} samples - Approximate number of points to sample
+ * @returns {Array} - Array of { date, price } points
+ */
+function sampleCupCurve(candles, curve, startIndex, endIndex, samples = 20) {
+    const step = Math.max(1, Math.floor((endIndex - startIndex) / samples));
+    const points = [];
+    for (let i = startIndex; i < endIndex; i += step) {
+        points.push({ date: candles[i].date, price: parseFloat(curve.getValue(i).toFixed(2)) });
+    }
+    points.push({ date: candles[endIndex].date, price: parseFloat(curve.getValue(endIndex).toFixed(2)) });
+    return points;
+}
+
+/**
+ * Calculates the confidence of a cup and handle from its factor scores
+ * @param {Object} cup - Cup candidate
+ * @param {Object} roundness - Roundness check result
+ * @param {Object} handle - Handle details
+ * @param {Array} candles - Array of OHLC price data
+ * @param {Object} options - Configuration options
+ * @returns {{confidence: number, confidenceFactors: Array}} - Confidence between 0 and 1 and its breakdown
+ */
+function calculateConfidence(cup, roundness, handle, candles, options = {}) {
+    const { rimTolerance = 0.05, maxHandleRetracement = 0.5 } = options;
+    const { leftRim, rightRim, rimLevel, cupBottom } = cup;
+
+    // The shape scores level rims, a rounded base and a shallow handle
+    const rimScore = 1 - cup.rimDifference / rimTolerance;
+    const roundnessScore = Math.max(0, roundness.roundness);
+    const handleScore = 1 - handle.handleRetracement / maxHandleRetracement;
+
+    return scoreConfidence({
+        symmetry: 0.3 * rimScore + 0.4 * roundnessScore + 0.3 * handleScore,
+        depth: scoreDepth(candles, leftRim.index, rightRim.index, rimLevel - cupBottom.price),
+        duration: scoreDuration(leftRim.index, rightRim.index, 60),
+        priorTrend: scorePriorTrend(candles, leftRim.index, "bullish"),
+        breakout: scoreBreakout(candles, handle.breakoutPoint ? handle.breakoutPoint.index : null, rimLevel, "bullish")
+    });
+}
+
+/**
+ * Detects cup and handle patterns in OHLC price data
+ * @param {Array<Object>} candles - The array of candle objects
+ * @param {Object} options - Configuration options
+ * @returns {Object} - The result of the detection
+ */
+function detectCupAndHandle(candles, options = {}) {
+    console.log('\n===== CUP AND HANDLE DETECTION STARTED =====');
+
+    const {
+        minRequiredCandles = 40,
+        windowSize = null,
+        findAll = false
+    } = options;
+
+    // 1. Check if we have enough data
+    if (!candles || candles.length < minRequiredCandles) {
+        console.log('❌ FAILED: Not enough data');
+        return { success: false, pattern: "Cup and Handle", reason: "Not enough data" };
+    }
+    console.log(`Dataset size: ${candles.length} candles`);
+
+    // 2. Find rims
+    const window = windowSize || calculateOptimalWindowSize(candles.length);
+    const { peaks } = findSwings(candles, window, options);
+    console.log(`Found ${peaks.length} peaks using window size ${window}`);
+    if (peaks.length < 2) {
+        console.log('❌ FAILED: Not enough peaks found');
+        return { success: false, pattern: "Cup and Handle", reason: "Not enough peaks found" };
+    }
+
+    const cups = findCupCandidates(candles, peaks, options);
+    console.log(`Found ${cups.length} potential cups`);
+
+    // 3. Validate roundness and the handle for each cup
+    const validPatterns = [];
+    for (const cup of cups) {
+        const roundness = checkRoundness(candles, cup, options);
+        if (!roundness.isValid) continue;
+
+        const handle = findHandle(candles, cup, options);
+        if (!handle) continue;
+
+        const { leftRim, rightRim, rimLevel, cupBottom } = cup;
+        const cupDepth = rimLevel - cupBottom.price;
+        const priceTarget = rimLevel + cupDepth;
+        const { confidence, confidenceFactors } = calculateConfidence(cup, roundness, handle, candles, options);
+        const endIndex = handle.breakoutPoint ? handle.breakoutPoint.index : candles.length - 1;
+
+        const patternData = {
+            type: "Cup and Handle",
+            direction: "bullish",
+            confidence,
+            confidenceFactors,
+            keyPoints: {
+                leftRim: { date: leftRim.date, price: leftRim.high, volume: candles[leftRim.index].volume },
+                cupBottom,
+                rightRim: { date: rightRim.date, price: rightRim.high, volume: candles[rightRim.index].volume },
+                handleLow: handle.handleLow,
+                breakoutPoint: handle.breakoutPoint
+            },
+            cupCurve: sampleCupCurve(candles, roundness.curve, leftRim.index, rightRim.index),
+            rimLevel: parseFloat(rimLevel.toFixed(2)),
+            cupDepth: parseFloat(cupDepth.toFixed(2)),
+            handleDepth: parseFloat(handle.handleDepth.toFixed(2)),
+            roundness: parseFloat(roundness.roundness.toFixed(2)),
+            necklineLevel: parseFloat(rimLevel.toFixed(2)),
+            priceTarget: parseFloat(priceTarget.toFixed(2)),
+            patternHeight: parseFloat(cupDepth.toFixed(2)),
+            timespan: Math.round((new Date(candles[endIndex].date) - new Date(leftRim.date)) / (1000 * 60 * 60 * 24))
+        };
+
+        validPatterns.push({ patternData, startIndex: leftRim.index, endIndex, confidence });
+    }
+
+    if (validPatterns.length === 0) {
+        console.log('\nNo valid cup and handle found.');
+        return { success: false, pattern: "Cup and Handle", reason: "No valid pattern found" };
+    }
+
+    // 4. Rank by confidence and drop overlapping ranges
+    const selected = selectNonOverlappingPatterns(validPatterns);
+    console.log(`\n✅ Found ${selected.length} non-overlapping cup and handle patterns out of ${validPatterns.length} valid candidates.`);
+
+    const result = { success: true, pattern: "Cup and Handle", patternData: selected[0].patternData };
+    if (findAll) {
+        result.occurrences = selected.map(c => c.patternData);
+    }
+    return result;
+}
+
+/**
+ * Builds the chart lines (cup curve, rim line and target) for a detected cup and handle
+ * @param {Object} patternData - Pattern data returned by the detector
+ * @param {Array} candles - Array of OHLC price data
+ * @returns {Array} - Array of pattern line objects
+ */
+function buildPatternLines(patternData, candles) {
+    const { keyPoints, cupCurve, rimLevel, priceTarget } = patternData;
+    const endDate = keyPoints.breakoutPoint ? keyPoints.breakoutPoint.date : candles[candles.length - 1].date;
+
+    return [
+        { type: "cupCurve", points: cupCurve, color: "#800080", style: "solid" },
+        { type: "rimLine", points: [{ date: keyPoints.leftRim.date, price: rimLevel }, { date: endDate, price: rimLevel }], color: "#0000ff", style: "dashed" },
+        { type: "targetLine", points: [{ date: endDate, price: rimLevel }, { date: getNextDay(endDate), price: priceTarget }], color: "#800080", style: "dotted" }
+    ];
+}
+
+/**
+ * Builds the breakout trigger of a Cup and Handle: a close above the rim, invalidated below the cup bottom
+ * @param {Object} patternData - Pattern data returned by the detector
+ * @returns {Object} - Breakout trigger
+ */
+function buildBreakoutTrigger(patternData) {
+    const { keyPoints, rimLevel } = patternData;
+    return {
+        breakoutDate: keyPoints.breakoutPoint ? keyPoints.breakoutPoint.date : null,
+        direction: "bullish",
+        line: [{ date: keyPoints.leftRim.date, price: rimLevel }, { date: keyPoints.rightRim.date, price: rimLevel }],
+        invalidationLevel: keyPoints.cupBottom.price
+    };
+}
+
+registerDetector({
+    id: 'cup-and-handle',
+    name: 'Cup and Handle',
+    defaultOptions: {
+        minRequiredCandles: 40,
+        minCupLength: 20,
+        maxCupLength: 250,
+        rimTolerance: 0.05,
+        minCupDepth: 0.1,
+        maxCupDepth: 0.5,
+        minRoundness: 0.6,
+        minBottomRatio: 0.4,
+        minHandleLength: 3,
+        maxHandleLength: 30,
+        maxHandleRetracement: 0.5,
+        findAll: true,
+        ...SWING_DEFAULT_OPTIONS
+    },
+    detect: detectCupAndHandle,
+    buildPatternLines,
+    buildBreakoutTrigger
+});
+
+module.exports = {
+    detectCupAndHandle,
+    buildPatternLines,
+    buildBreakoutTrigger,
+    // Export helper functions for testing
+    findCupCandidates,
+    checkRoundness,
+    findHandle,
+    sampleCupCurve,
+    calculateConfidence
+};
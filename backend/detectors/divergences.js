@@ -0,0 +1,218 @@
+/**
+ * Divergence Detection Module
+ *
+ * This module provides functionality to find divergences between price swings and a momentum oscillator
+ * (RSI, MACD or stochastic). Price peaks and troughs are paired with the nearest oscillator peak or trough,
+ * then consecutive pairs are compared:
+ * - Regular bearish: price makes a higher high, the oscillator a lower high
+ * - Hidden bearish: price makes a lower high, the oscillator a higher high
+ * - Regular bullish: price makes a lower low, the oscillator a higher low
+ * - Hidden bullish: price makes a higher low, the oscillator a lower low
+ * Like candlestick signals, divergences are served by their own endpoint instead of the detector registry.
+ *
+ * @module detectors/divergences
+ * @author KW Technical Team
+ */
+
+const { findPeaksAndTroughs, calculateOptimalWindowSize } = require('../utils/patternUtils.js');
+const { calculateRSI, calculateMACD, calculateStochastic } = require('../utils/indicators.js');
+
+/**
+ * Supported oscillators with the reference levels drawn in their chart pane
+ */
+const OSCILLATORS = {
+    rsi: { name: "RSI", calculate: (candles) => calculateRSI(candles), levels: [70, 30] },
+    macd: { name: "MACD", calculate: (candles) => calculateMACD(candles).macd, levels: [0] },
+    stochastic: { name: "Stochastic %K", calculate: (candles) => calculateStochastic(candles).k, levels: [80, 20] }
+};
+
+/**
+ * Finds peaks and troughs of an oscillator series, skipping its warm-up period
+ * @param {Array} candles - Array of OHLC price data
+ * @param {Array<number|null>} values - Oscillator values aligned with the candles
+ * @param {number} windowSize - Window size for pivot detection
+ * @returns {{peaks: Array, troughs: Array}} - Oscillator swings with index, date and value
+ */
+function findOscillatorSwings(candles, values, windowSize) {
+    const first = values.findIndex(v => v !== null);
+    if (first === -1) {
+        return { peaks: [], troughs: [] };
+    }
+
+    // Treat the oscillator as candles whose high and low are the oscillator value
+    const series = values.slice(first).map((value, i) => ({ date: candles[first + i].date, high: value, low: value }));
+    const { peaks, troughs } = findPeaksAndTroughs(series, windowSize);
+    const toSwing = (p) => ({ index: p.index + first, date: p.date, value: p.high });
+
+    return { peaks: peaks.map(toSwing), troughs: troughs.map(toSwing) };
+}
+
+/**
+ * Pairs each price swing with the nearest oscillator swing of the same kind
+ * @param {Array} priceSwings - Price peaks or troughs
+ * @param {Array} oscillatorSwings - Oscillator peaks or troughs
+ * @param {number} tolerance - Maximum distance in candles between paired swings
+ * @returns {Array} - Array of { price, oscillator } pairs in date order
+ */
+function pairSwings(priceSwings, oscillatorSwings, tolerance) {
+    const pairs = [];
+
+    for (const price of priceSwings) {
+        let nearest = null;
+        for (const oscillator of oscillatorSwings) {
+            const distance = Math.abs(oscillator.index - price.index);
+            if (distance <= tolerance && (!nearest || distance < Math.abs(nearest.index - price.index))) {
+                nearest = oscillator;
+            }
+        }
+        if (nearest) {
+            pairs.push({ price, oscillator: nearest });
+        }
+    }
+
+    return pairs;
+}
+
+/**
+ * Classifies the divergence between two consecutive swing pairs
+ * @param {Object} first - Earlier { price, oscillator } pair
+ * @param {Object} second - Later { price, oscillator } pair
+ * @param {string} swing - "peak" or "trough"
+ * @returns {Object|null} - { type, bias } or null when price and oscillator agree
+ */
+function classifyDivergence(first, second, swing) {
+    const priceKey = swing === "peak" ? "high" : "low";
+    const priceRises = second.price[priceKey] > first.price[priceKey];
+    const priceFalls = second.price[priceKey] < first.price[priceKey];
+    const oscillatorRises = second.oscillator.value > first.oscillator.value;
+    const oscillatorFalls = second.oscillator.value < first.oscillator.value;
+
+    if (swing === "peak") {
+        if (priceRises && oscillatorFalls) return { type: "regular", bias: "bearish" };
+        if (priceFalls && oscillatorRises) return { type: "hidden", bias: "bearish" };
+    } else {
+        if (priceFalls && oscillatorRises) return { type: "regular", bias: "bullish" };
+        if (priceRises && oscillatorFalls) return { type: "hidden", bias: "bullish" };
+    }
+    return null;
+}
+
+/**
+ * Compares consecutive swing pairs and collects the divergences
+ * @param {Array} pairs - Price/oscillator swing pairs in date order
+ * @param {string} swing - "peak" or "trough"
+ * @param {Object} oscillator - Oscillator definition
+ * @param {Object} options - Configuration options
+ * @returns {Array} - Array of divergence objects
+ */
+function findSwingDivergences(pairs, swing, oscillator, options = {}) {
+    const { maxSwingDistance = 60, minStrength = 0.05, oscillatorRange = 1 } = options;
+    const priceKey = swing === "peak" ? "high" : "low";
+    const divergences = [];
+
+    for (let i = 1; i < pairs.length; i++) {
+        const first = pairs[i - 1];
+        const second = pairs[i];
+
+        // The oscillator swings must be distinct and in the same order as the price swings, close enough together
+        if (second.oscillator.index <= first.oscillator.index) continue;
+        if (second.price.index - first.price.index > maxSwingDistance) continue;
+
+        const divergence = classifyDivergence(first, second, swing);
+        if (!divergence) continue;
+
+        const strength = Math.min(1, Math.abs(second.oscillator.value - first.oscillator.value) / oscillatorRange);
+        if (strength < minStrength) continue;
+
+        const toPoint = (pair) => ({
+            date: pair.price.date,
+            price: pair.price[priceKey],
+            oscillatorDate: pair.oscillator.date,
+            value: parseFloat(pair.oscillator.value.toFixed(2))
+        });
+
+        divergences.push({
+            ...divergence,
+            label: `${divergence.type === "regular" ? "Regular" : "Hidden"} ${divergence.bias === "bullish" ? "Bullish" : "Bearish"}`,
+            oscillator: oscillator.name,
+            swing,
+            start: toPoint(first),
+            end: toPoint(second),
+            strength: parseFloat(strength.toFixed(2))
+        });
+    }
+
+    return divergences;
+}
+
+/**
+ * Finds regular and hidden divergences between price swings and a momentum oscillator
+ * @param {Array<Object>} candles - The array of candle objects
+ * @param {Object} options - Configuration options
+ * @returns {Object} - The result with the oscillator series and the divergences in date order
+ */
+function detectDivergences(candles, options = {}) {
+    console.log('\n===== DIVERGENCE DETECTION STARTED =====');
+
+    const {
+        oscillator: oscillatorType = "rsi",
+        windowSize = null,
+        maxSwingDistance = 60,
+        minStrength = 0.05
+    } = options;
+
+    const oscillator = OSCILLATORS[oscillatorType];
+    if (!oscillator) {
+        throw new Error(`Unknown oscillator: ${oscillatorType}`);
+    }
+
+    if (!candles || candles.length < 30) {
+        console.log('❌ FAILED: Not enough data');
+        return { success: false, reason: "Not enough data", oscillator: null, divergences: [] };
+    }
+
+    // 1. Oscillator series and its swings
+    const values = oscillator.calculate(candles);
+    const defined = values.filter(v => v !== null);
+    const oscillatorRange = Math.max(...defined) - Math.min(...defined) || 1;
+    const window = windowSize || calculateOptimalWindowSize(candles.length);
+    const oscillatorSwings = findOscillatorSwings(candles, values, window);
+
+    // 2. Price swings paired with the nearest oscillator swings
+    const priceSwings = findPeaksAndTroughs(candles, window);
+    const peakPairs = pairSwings(priceSwings.peaks, oscillatorSwings.peaks, window);
+    const troughPairs = pairSwings(priceSwings.troughs, oscillatorSwings.troughs, window);
+    console.log(`Paired ${peakPairs.length} peaks and ${troughPairs.length} troughs with ${oscillator.name} swings using window size ${window}`);
+
+    // 3. Compare consecutive pairs
+    const divergenceOptions = { maxSwingDistance, minStrength, oscillatorRange };
+    const divergences = [
+        ...findSwingDivergences(peakPairs, "peak", oscillator, divergenceOptions),
+        ...findSwingDivergences(troughPairs, "trough", oscillator, divergenceOptions)
+    ].sort((a, b) => a.end.date.localeCompare(b.end.date));
+
+    console.log(`✅ Found ${divergences.length} ${oscillator.name} divergences`);
+    return {
+        success: true,
+        oscillator: {
+            type: oscillatorType,
+            name: oscillator.name,
+            levels: oscillator.levels,
+            series: values
+                .map((value, i) => ({ date: candles[i].date, value }))
+                .filter(point => point.value !== null)
+                .map(point => ({ date: point.date, value: parseFloat(point.value.toFixed(2)) }))
+        },
+        divergences
+    };
+}
+
+module.exports = {
+    detectDivergences,
+    OSCILLATORS,
+    // Export helper functions for testing
+    findOscillatorSwings,
+    pairSwings,
+    classifyDivergence,
+    findSwingDivergences
+};
@@ -0,0 +1,88 @@
+/**
+ * Double Bottom Pattern Detection Module
+ *
+ * This module provides functionality to detect double bottom patterns in financial market data.
+ * The Double Bottom is a bullish reversal pattern that forms after an extended downward trend
+ * and signals a medium/long-term trend reversal when price breaks above the intermediate high.
+ *
+ * @module detectors/doubleBottom
+ * @author KW Technical Team
+ */
+
+const { SWING_DEFAULT_OPTIONS } = require('../utils/patternUtils.js');
+const { detectDoublePattern, buildTopBottomLines, buildTopBottomTrigger } = require('../utils/topBottomUtils.js');
+const { registerDetector } = require('./registry.js');
+
+// Two bottoms with the peak between them as the neckline
+const DOUBLE_BOTTOM = {
+    name: "Double Bottom",
+    side: "bottom",
+    pointNames: ["firstBottom", "secondBottom"],
+    counterNames: ["peak"],
+    necklineFrom: "firstBottom"
+};
+
+/**
+ * Detects the Double Bottom pattern in a given set of OHLC candles.
+ * @param {Array<Object>} candles - The array of candle objects.
+ * @param {Object} options - Configuration options
+ * @returns {Object} - The result of the detection.
+ */
+function detectDoubleBottom(candles, options = {}) {
+    const {
+        minRequiredCandles = 20,
+        minDistanceBetweenBottoms = 5,
+        bottomSimilarityTolerance = 0.10,
+        minPeakHeight = 0.05
+    } = options;
+
+    return detectDoublePattern(candles, DOUBLE_BOTTOM, {
+        ...options,
+        minRequiredCandles,
+        minSpacing: minDistanceBetweenBottoms,
+        similarityTolerance: bottomSimilarityTolerance,
+        minCounterMove: minPeakHeight
+    });
+}
+
+/**
+ * Builds the chart lines (neckline, outline, target) for a detected Double Bottom
+ * @param {Object} patternData - Pattern data returned by the detector
+ * @returns {Array} - Array of pattern line objects
+ */
+function buildPatternLines(patternData) {
+    return buildTopBottomLines(patternData, DOUBLE_BOTTOM);
+}
+
+/**
+ * Builds the breakout trigger of a Double Bottom: a close above the neckline, invalidated below the lower bottom
+ * @param {Object} patternData - Pattern data returned by the detector
+ * @returns {Object} - Breakout trigger
+ */
+function buildBreakoutTrigger(patternData) {
+    return buildTopBottomTrigger(patternData, DOUBLE_BOTTOM);
+}
+
+registerDetector({
+    id: 'double-bottom',
+    name: 'Double Bottom',
+    defaultOptions: {
+        minRequiredCandles: 20,
+        minDistanceBetweenBottoms: 5,
+        bottomSimilarityTolerance: 0.10,
+        minPeakHeight: 0.05,
+        breakoutPercentage: 0.03,
+        findAll: true,
+        ...SWING_DEFAULT_OPTIONS
+    },
+    detect: detectDoubleBottom,
+    buildPatternLines,
+    buildBreakoutTrigger
+});
+
+module.exports = {
+    detectDoubleBottom,
+    buildPatternLines,
+    buildBreakoutTrigger,
+    DOUBLE_BOTTOM
+};
@@ -0,0 +1,393 @@
+/**
+ * Flag and Pennant Pattern Detection Module
+ *
+ * This module provides functionality to detect flag and pennant continuation patterns in financial market data.
+ * Both patterns start with a sharp "pole" move, followed by a short consolidation and a breakout
+ * in the direction of the pole:
+ * - Flag: the consolidation is a small parallel channel drifting against (or sideways to) the pole
+ * - Pennant: the consolidation is a small converging triangle
+ *
+ * @module detectors/flag
+ * @author KW Technical Team
+ */
+
+const { getNextDay, selectNonOverlappingPatterns, fitLine, calculateAverageTrueRange, findBreakoutRetest } = require('../utils/patternUtils.js');
+const { describeTrendline, buildTrendlineTrigger } = require('../utils/trendlineUtils.js');
+const { scoreConfidence, scorePriorTrend, scoreBreakout } = require('../utils/confidenceUtils.js');
+const { registerDetector } = require('./registry.js');
+
+/**
+ * Finds sharp pole moves whose size is large relative to the average true range
+ * @param {Array} candles - Array of OHLC price data
+ * @param {number} atr - Average true range of the dataset
+ * @param {Object} options - Configuration options
+ * @returns {Array} - Array of pole objects
+ */
+function findPoles(candles, atr, options = {}) {
+    const {
+        minPoleAtr = 4,
+        minPoleLength = 3,
+        maxPoleLength = 15
+    } = options;
+    const poles = [];
+
+    for (let endIndex = minPoleLength; endIndex < candles.length - 1; endIndex++) {
+        const firstStart = Math.max(0, endIndex - maxPoleLength);
+
+        // Bullish pole: lowest low before the highest high
+        let lowIndex = firstStart;
+        let highIndex = firstStart;
+        for (let i = firstStart; i <= endIndex; i++) {
+            if (i <= endIndex - minPoleLength && candles[i].low < candles[lowIndex].low) lowIndex = i;
+            if (candles[i].high > candles[highIndex].high) highIndex = i;
+        }
+        if (highIndex === endIndex) {
+            const height = candles[endIndex].high - candles[lowIndex].low;
+            if (height >= minPoleAtr * atr) {
+                poles.push({
+                    direction: "bullish",
+                    startIndex: lowIndex,
+                    endIndex,
+                    startPrice: candles[lowIndex].low,
+                    endPrice: candles[endIndex].high,
+                    height,
+                    atrMultiple: height / atr
+                });
+            }
+        }
+
+        // Bearish pole: highest high before the lowest low
+        let topIndex = firstStart;
+        let bottomIndex = firstStart;
+        for (let i = firstStart; i <= endIndex; i++) {
+            if (i <= endIndex - minPoleLength && candles[i].high > candles[topIndex].high) topIndex = i;
+            if (candles[i].low < candles[bottomIndex].low) bottomIndex = i;
+        }
+        if (bottomIndex === endIndex) {
+            const height = candles[topIndex].high - candles[endIndex].low;
+            if (height >= minPoleAtr * atr) {
+                poles.push({
+                    direction: "bearish",
+                    startIndex: topIndex,
+                    endIndex,
+                    startPrice: candles[topIndex].high,
+                    endPrice: candles[endIndex].low,
+                    height,
+                    atrMultiple: height / atr
+                });
+            }
+        }
+    }
+
+    console.log(`Found ${poles.length} potential poles (ATR: ${atr.toFixed(2)})`);
+    return poles;
+}
+
+/**
+ * Classifies a consolidation as a flag (parallel channel) or pennant (converging lines)
+ * @param {Object} upper - Trendline through the consolidation highs
+ * @param {Object} lower - Trendline through the consolidation lows
+ * @param {number} startIndex - First candle index of the consolidation
+ * @param {number} endIndex - Last candle index of the consolidation
+ * @param {Object} pole - The pole preceding the consolidation
+ * @param {Object} options - Configuration options
+ * @returns {string|null} - "flag", "pennant" or null if neither
+ */
+function classifyConsolidation(upper, lower, startIndex, endIndex, pole, options = {}) {
+    const {
+        parallelTolerance = 0.3,
+        minConvergence = 0.3,
+        maxFlagDrift = 0.1
+    } = options;
+
+    const startWidth = upper.getValue(startIndex) - lower.getValue(startIndex);
+    const endWidth = upper.getValue(endIndex) - lower.getValue(endIndex);
+    if (startWidth <= 0 || endWidth <= 0) {
+        return null;
+    }
+
+    const convergence = 1 - endWidth / startWidth;
+    if (convergence >= minConvergence) {
+        return "pennant";
+    }
+
+    if (Math.abs(convergence) <= parallelTolerance) {
+        // A flag drifts against the pole or sideways, never strongly with it
+        const drift = ((upper.slope + lower.slope) / 2) * (endIndex - startIndex) / pole.height;
+        const withPole = pole.direction === "bullish" ? drift : -drift;
+        return withPole <= maxFlagDrift ? "flag" : null;
+    }
+
+    return null;
+}
+
+/**
+ * Follows the consolidation after a pole until price breaks out of a flag or pennant in the pole's direction.
+ * In forming mode a consolidation that runs to the latest candle is returned without a breakout.
+ * @param {Array} candles - Array of OHLC price data
+ * @param {Object} pole - The pole preceding the consolidation
+ * @param {Object} options - Configuration options
+ * @returns {Object|null} - Consolidation type, boundaries and breakout details, or null if none is found
+ */
+function findConsolidationBreakout(candles, pole, options = {}) {
+    const {
+        minConsolidationLength = 5,
+        maxConsolidationLength = 20,
+        maxRetracement = 0.5,
+        forming = false
+    } = options;
+    const isBullish = pole.direction === "bullish";
+    const startIndex = pole.endIndex + 1;
+
+    for (let endIndex = startIndex; endIndex < candles.length && endIndex - startIndex < maxConsolidationLength; endIndex++) {
+        const candle = candles[endIndex];
+
+        // The consolidation must not extend the pole or give back too much of it
+        if (isBullish ? candle.high > pole.endPrice : candle.low < pole.endPrice) {
+            return null;
+        }
+        const retracement = isBullish
+            ? (pole.endPrice - candle.low) / pole.height
+            : (candle.high - pole.endPrice) / pole.height;
+        if (retracement > maxRetracement) {
+            return null;
+        }
+
+        if (endIndex - startIndex + 1 < minConsolidationLength) {
+            continue;
+        }
+
+        const range = candles.slice(startIndex, endIndex + 1);
+        const upper = fitLine(range.map((c, i) => ({ x: startIndex + i, y: c.high })));
+        const lower = fitLine(range.map((c, i) => ({ x: startIndex + i, y: c.low })));
+
+        const breakoutIndex = endIndex + 1;
+        const breakoutCandle = candles[breakoutIndex];
+        const upperValue = upper.getValue(breakoutIndex);
+        const lowerValue = lower.getValue(breakoutIndex);
+
+        // Without a candle left to break out on, only a forming consolidation remains
+        if (!breakoutCandle && !forming) {
+            return null;
+        }
+        if (breakoutCandle && (isBullish ? breakoutCandle.close <= upperValue : breakoutCandle.close >= lowerValue)) {
+            continue;
+        }
+
+        // Only a flag or pennant shaped consolidation counts; otherwise keep extending it
+        const consolidationType = classifyConsolidation(upper, lower, startIndex, endIndex, pole, options);
+        if (consolidationType) {
+            const extremes = isBullish ? range.map(c => c.low) : range.map(c => c.high);
+            const deepest = isBullish ? Math.min(...extremes) : Math.max(...extremes);
+
+            return {
+                consolidationType,
+                startIndex,
+                endIndex,
+                upper,
+                lower,
+                retracement: Math.abs(pole.endPrice - deepest) / pole.height,
+                breakoutPoint: breakoutCandle ? {
+                    date: breakoutCandle.date,
+                    price: breakoutCandle.close,
+                    volume: breakoutCandle.volume,
+                    index: breakoutIndex,
+                    direction: pole.direction,
+                    trendlineValue: isBullish ? upperValue : lowerValue,
+                    retest: findBreakoutRetest(candles, breakoutIndex, index => (isBullish ? upper : lower).getValue(index), pole.direction)
+                } : null
+            };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Calculates the confidence of a flag or pennant from its factor scores
+ * @param {Object} pole - The pole preceding the consolidation
+ * @param {Object} consolidation - Consolidation and breakout details
+ * @param {Array} candles - Array of OHLC price data
+ * @param {Object} options - Configuration options
+ * @returns {{confidence: number, confidenceFactors: Array}} - Confidence between 0 and 1 and its breakdown
+ */
+function calculateConfidence(pole, consolidation, candles, options = {}) {
+    const { minPoleAtr = 4 } = options;
+    const { upper, lower, startIndex, retracement, breakoutPoint } = consolidation;
+
+    // Stronger poles, shallower consolidations and cleaner boundaries score higher.
+    // Flags are short by definition, so duration is not scored.
+    const poleScore = Math.min(1, pole.atrMultiple / (2 * minPoleAtr));
+    const retracementScore = 1 - retracement;
+    const width = upper.getValue(startIndex) - lower.getValue(startIndex);
+    const fitScore = 1 - Math.min(1, (upper.meanResidual + lower.meanResidual) / width);
+
+    return scoreConfidence({
+        fit: 0.5 * retracementScore + 0.5 * fitScore,
+        depth: poleScore,
+        priorTrend: scorePriorTrend(candles, pole.startIndex, pole.direction),
+        breakout: breakoutPoint ? scoreBreakout(candles, breakoutPoint.index, breakoutPoint.trendlineValue, pole.direction) : 0
+    });
+}
+
+/**
+ * Detects bull/bear flags and pennants in OHLC price data
+ * @param {Array<Object>} candles - The array of candle objects
+ * @param {Object} options - Configuration options
+ * @returns {Object} - The result of the detection
+ */
+function detectFlag(candles, options = {}) {
+    console.log('\n===== FLAG / PENNANT DETECTION STARTED =====');
+
+    const {
+        minRequiredCandles = 30,
+        findAll = false
+    } = options;
+
+    // 1. Check if we have enough data
+    if (!candles || candles.length < minRequiredCandles) {
+        console.log('❌ FAILED: Not enough data');
+        return { success: false, pattern: "Flag", reason: "Not enough data" };
+    }
+    console.log(`Dataset size: ${candles.length} candles`);
+
+    // 2. Find sharp pole moves relative to the average true range
+    const atr = calculateAverageTrueRange(candles);
+    const poles = findPoles(candles, atr, options);
+    if (poles.length === 0) {
+        console.log('❌ FAILED: No sharp pole moves found');
+        return { success: false, pattern: "Flag", reason: "No sharp pole moves found" };
+    }
+
+    // 3. Look for a consolidation and breakout after each pole
+    const validPatterns = [];
+    for (const pole of poles) {
+        const consolidation = findConsolidationBreakout(candles, pole, options);
+        if (!consolidation) continue;
+
+        const { breakoutPoint, consolidationType } = consolidation;
+        const isBullish = pole.direction === "bullish";
+        // A forming flag measures from the consolidation boundary at the latest candle
+        const lineEndIndex = breakoutPoint ? breakoutPoint.index : consolidation.endIndex;
+        const necklineLevel = breakoutPoint
+            ? breakoutPoint.trendlineValue
+            : (isBullish ? consolidation.upper : consolidation.lower).getValue(lineEndIndex);
+        const targetBase = breakoutPoint ? breakoutPoint.price : necklineLevel;
+        const priceTarget = isBullish ? targetBase + pole.height : targetBase - pole.height;
+        const { confidence, confidenceFactors } = calculateConfidence(pole, consolidation, candles, options);
+        const start = candles[pole.startIndex];
+        const end = candles[pole.endIndex];
+
+        const patternData = {
+            type: `${isBullish ? "Bull" : "Bear"} ${consolidationType === "flag" ? "Flag" : "Pennant"}`,
+            consolidationType,
+            direction: pole.direction,
+            confidence,
+            confidenceFactors,
+            keyPoints: {
+                poleStart: { date: start.date, price: pole.startPrice, volume: start.volume },
+                poleEnd: { date: end.date, price: pole.endPrice, volume: end.volume },
+                consolidationEnd: {
+                    date: candles[consolidation.endIndex].date,
+                    price: candles[consolidation.endIndex].close,
+                    volume: candles[consolidation.endIndex].volume
+                },
+                breakoutPoint
+            },
+            pole: {
+                height: parseFloat(pole.height.toFixed(2)),
+                candles: pole.endIndex - pole.startIndex,
+                atrMultiple: parseFloat(pole.atrMultiple.toFixed(2))
+            },
+            upperTrendline: describeTrendline(consolidation.upper, candles, consolidation.startIndex, lineEndIndex),
+            lowerTrendline: describeTrendline(consolidation.lower, candles, consolidation.startIndex, lineEndIndex),
+            necklineLevel: parseFloat(necklineLevel.toFixed(2)),
+            priceTarget: parseFloat(priceTarget.toFixed(2)),
+            patternHeight: parseFloat(pole.height.toFixed(2)),
+            retracement: parseFloat(consolidation.retracement.toFixed(2)),
+            timespan: Math.round((new Date(candles[lineEndIndex].date) - new Date(start.date)) / (1000 * 60 * 60 * 24))
+        };
+
+        validPatterns.push({
+            patternData,
+            startIndex: pole.startIndex,
+            endIndex: lineEndIndex,
+            confidence
+        });
+    }
+
+    if (validPatterns.length === 0) {
+        console.log('\nNo valid flag or pennant found.');
+        return { success: false, pattern: "Flag", reason: "No valid pattern found" };
+    }
+
+    // 4. Rank by confidence and drop overlapping ranges
+    const selected = selectNonOverlappingPatterns(validPatterns);
+    console.log(`\n✅ Found ${selected.length} non-overlapping flags/pennants out of ${validPatterns.length} valid candidates.`);
+
+    const result = { success: true, pattern: "Flag", patternData: selected[0].patternData };
+    if (findAll) {
+        result.occurrences = selected.map(c => c.patternData);
+    }
+    return result;
+}
+
+/**
+ * Builds the chart lines (pole, consolidation boundaries and target) for a detected flag or pennant
+ * @param {Object} patternData - Pattern data returned by the detector
+ * @returns {Array} - Array of pattern line objects
+ */
+function buildPatternLines(patternData) {
+    const { keyPoints, upperTrendline, lowerTrendline, priceTarget, necklineLevel } = patternData;
+    const { poleStart, poleEnd, consolidationEnd, breakoutPoint } = keyPoints;
+    const targetDate = (breakoutPoint || consolidationEnd).date;
+
+    return [
+        { type: "pole", points: [{ date: poleStart.date, price: poleStart.price }, { date: poleEnd.date, price: poleEnd.price }], color: "#800080", style: "solid" },
+        { type: "upperTrendline", points: [upperTrendline.start, upperTrendline.end], color: "#0000ff", style: "solid" },
+        { type: "lowerTrendline", points: [lowerTrendline.start, lowerTrendline.end], color: "#0000ff", style: "solid" },
+        { type: "targetLine", points: [{ date: targetDate, price: necklineLevel }, { date: getNextDay(targetDate), price: priceTarget }], color: "#800080", style: "dotted" }
+    ];
+}
+
+/**
+ * Builds the breakout trigger of a flag or pennant: the consolidation boundary in the pole's direction
+ * @param {Object} patternData - Pattern data returned by the detector
+ * @param {Array} candles - OHLC price data the pattern was detected in
+ * @returns {Object} - Breakout trigger
+ */
+function buildBreakoutTrigger(patternData, candles) {
+    const { keyPoints, upperTrendline, lowerTrendline, direction } = patternData;
+    return buildTrendlineTrigger(upperTrendline, lowerTrendline, keyPoints.breakoutPoint, direction, candles);
+}
+
+registerDetector({
+    id: 'flag',
+    name: 'Flag / Pennant',
+    defaultOptions: {
+        minRequiredCandles: 30,
+        minPoleAtr: 4,
+        minPoleLength: 3,
+        maxPoleLength: 15,
+        minConsolidationLength: 5,
+        maxConsolidationLength: 20,
+        maxRetracement: 0.5,
+        parallelTolerance: 0.3,
+        minConvergence: 0.3,
+        findAll: true
+    },
+    detect: detectFlag,
+    buildPatternLines,
+    buildBreakoutTrigger
+});
+
+module.exports = {
+    detectFlag,
+    buildPatternLines,
+    buildBreakoutTrigger,
+    // Export helper functions for testing
+    findPoles,
+    classifyConsolidation,
+    findConsolidationBreakout,
+    calculateConfidence
+};
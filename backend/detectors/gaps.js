@@ -0,0 +1,246 @@
+/**
+ * Gap Analysis Module
+ *
+ * This module provides functionality to find and classify price gaps in financial market data.
+ * A gap up opens a price range between the previous high and the current low that was never traded;
+ * a gap down does the same between the previous low and the current high. Each gap is classified as:
+ * - Common: inside a range or trend with ordinary volume, usually filled quickly
+ * - Breakaway: breaks out of a consolidation on heavy volume, starting a new move
+ * - Runaway: continues an established trend (also called a measuring gap)
+ * - Exhaustion: a late gap in the trend direction that is filled almost immediately
+ * Island reversals (a gap, an isolated cluster of candles, then an opposite gap) are reported separately.
+ * Like candlestick signals, gaps are served by their own endpoint instead of the detector registry.
+ *
+ * @module detectors/gaps
+ * @author KW Technical Team
+ */
+
+/**
+ * Finds every full gap between consecutive candles
+ * @param {Array} candles - Array of OHLC price data
+ * @param {number} minGapPercent - Minimum gap size relative to the previous close
+ * @returns {Array} - Array of raw gap objects
+ */
+function findGaps(candles, minGapPercent = 0.005) {
+    const gaps = [];
+
+    for (let i = 1; i < candles.length; i++) {
+        const previous = candles[i - 1];
+        const current = candles[i];
+
+        let direction = null;
+        let top;
+        let bottom;
+        if (current.low > previous.high) {
+            direction = "up";
+            top = current.low;
+            bottom = previous.high;
+        } else if (current.high < previous.low) {
+            direction = "down";
+            top = previous.low;
+            bottom = current.high;
+        }
+
+        if (direction && (top - bottom) / previous.close >= minGapPercent) {
+            gaps.push({ index: i, date: current.date, direction, top, bottom, size: (top - bottom) / previous.close });
+        }
+    }
+
+    return gaps;
+}
+
+/**
+ * Tracks whether and when a gap was later filled
+ * @param {Array} candles - Array of OHLC price data
+ * @param {Object} gap - Gap object
+ * @returns {Object} - Fill status with the fill date and number of candles it took
+ */
+function trackGapFill(candles, gap) {
+    for (let i = gap.index + 1; i < candles.length; i++) {
+        const filled = gap.direction === "up" ? candles[i].low <= gap.bottom : candles[i].high >= gap.top;
+        if (filled) {
+            return { filled: true, fillDate: candles[i].date, fillIndex: i, candlesToFill: i - gap.index };
+        }
+    }
+    return { filled: false, fillDate: null, fillIndex: null, candlesToFill: null };
+}
+
+/**
+ * Describes the market context before a gap: trend, consolidation range and relative volume
+ * @param {Array} candles - Array of OHLC price data
+ * @param {number} index - Index of the gap candle
+ * @param {number} lookback - Number of candles before the gap to examine
+ * @returns {Object} - Trend change, range high/low, range width and volume ratio
+ */
+function getGapContext(candles, index, lookback = 20) {
+    const start = Math.max(0, index - lookback);
+    const window = candles.slice(start, index);
+    const rangeHigh = Math.max(...window.map(c => c.high));
+    const rangeLow = Math.min(...window.map(c => c.low));
+    const averageClose = window.reduce((sum, c) => sum + c.close, 0) / window.length;
+    const averageVolume = window.reduce((sum, c) => sum + c.volume, 0) / window.length;
+
+    return {
+        trendChange: (window[window.length - 1].close - window[0].close) / window[0].close,
+        rangeHigh,
+        rangeLow,
+        rangeWidth: (rangeHigh - rangeLow) / averageClose,
+        volumeRatio: averageVolume > 0 ? candles[index].volume / averageVolume : 1
+    };
+}
+
+/**
+ * Classifies a gap from its context, volume and how quickly it was filled
+ * @param {Object} gap - Gap object with fill status
+ * @param {Object} context - Context returned by getGapContext
+ * @param {Object} options - Configuration options
+ * @returns {string} - "breakaway", "runaway", "exhaustion" or "common"
+ */
+function classifyGap(gap, context, options = {}) {
+    const {
+        trendThreshold = 0.05,
+        consolidationRange = 0.1,
+        highVolumeRatio = 1.5,
+        exhaustionFillCandles = 5
+    } = options;
+    const isUp = gap.direction === "up";
+
+    // Breakaway: leaves a tight range on heavy volume
+    const leavesRange = isUp ? gap.top > context.rangeHigh : gap.bottom < context.rangeLow;
+    if (context.rangeWidth <= consolidationRange && leavesRange && context.volumeRatio >= highVolumeRatio) {
+        return "breakaway";
+    }
+
+    // Gaps in the direction of an established trend are runaway or exhaustion gaps
+    const withTrend = isUp ? context.trendChange >= trendThreshold : context.trendChange <= -trendThreshold;
+    if (withTrend) {
+        if (gap.filled && gap.candlesToFill <= exhaustionFillCandles) {
+            return "exhaustion";
+        }
+        return "runaway";
+    }
+
+    return "common";
+}
+
+/**
+ * Detects island reversals: a gap, an isolated cluster of candles, then a gap in the opposite direction
+ * @param {Array} candles - Array of OHLC price data
+ * @param {Array} gaps - Array of gap objects
+ * @param {number} maxIslandLength - Maximum number of candles in the island
+ * @returns {Array} - Array of island objects
+ */
+function findIslandReversals(candles, gaps, maxIslandLength = 10) {
+    const islands = [];
+
+    for (let i = 0; i < gaps.length - 1; i++) {
+        const entryGap = gaps[i];
+        const exitGap = gaps.slice(i + 1).find(g => g.direction !== entryGap.direction);
+        if (!exitGap || exitGap.index - entryGap.index > maxIslandLength) continue;
+
+        const island = candles.slice(entryGap.index, exitGap.index);
+        const islandHigh = Math.max(...island.map(c => c.high));
+        const islandLow = Math.min(...island.map(c => c.low));
+
+        // The island must stay entirely beyond both gaps
+        const isolated = entryGap.direction === "up"
+            ? islandLow > Math.max(entryGap.bottom, exitGap.bottom)
+            : islandHigh < Math.min(entryGap.top, exitGap.top);
+        if (!isolated) continue;
+
+        islands.push({
+            type: entryGap.direction === "up" ? "Island Top" : "Island Bottom",
+            bias: entryGap.direction === "up" ? "bearish" : "bullish",
+            startDate: candles[entryGap.index].date,
+            endDate: candles[exitGap.index - 1].date,
+            startIndex: entryGap.index,
+            endIndex: exitGap.index - 1,
+            high: islandHigh,
+            low: islandLow,
+            entryGapDate: entryGap.date,
+            exitGapDate: exitGap.date
+        });
+    }
+
+    return islands;
+}
+
+/**
+ * Finds, classifies and tracks every gap and island reversal in OHLC price data
+ * @param {Array<Object>} candles - The array of candle objects
+ * @param {Object} options - Configuration options
+ * @returns {Object} - The result of the analysis with gaps and islands in date order
+ */
+function analyzeGaps(candles, options = {}) {
+    console.log('\n===== GAP ANALYSIS STARTED =====');
+
+    const {
+        minGapPercent = 0.005,
+        lookback = 20,
+        maxIslandLength = 10
+    } = options;
+
+    if (!candles || candles.length < 2) {
+        console.log('❌ FAILED: Not enough data');
+        return { success: false, reason: "Not enough data", gaps: [], islands: [] };
+    }
+
+    const gaps = findGaps(candles, minGapPercent).map(gap => {
+        const fill = trackGapFill(candles, gap);
+        const context = getGapContext(candles, gap.index, lookback);
+        const withFill = { ...gap, ...fill };
+
+        return {
+            ...withFill,
+            type: classifyGap(withFill, context, options),
+            size: parseFloat((gap.size * 100).toFixed(2)),
+            volumeRatio: parseFloat(context.volumeRatio.toFixed(2))
+        };
+    });
+
+    const islands = findIslandReversals(candles, gaps, maxIslandLength);
+
+    console.log(`✅ Found ${gaps.length} gaps (${gaps.filter(g => g.filled).length} filled) and ${islands.length} island reversals`);
+    return { success: true, gaps, islands };
+}
+
+/**
+ * Builds shaded chart zones for gaps (until filled) and island reversals
+ * @param {Object} result - Result returned by analyzeGaps
+ * @param {Array} candles - Array of OHLC price data
+ * @returns {Array} - Array of zone objects
+ */
+function buildGapZones(result, candles) {
+    const lastDate = candles[candles.length - 1].date;
+
+    const gapZones = result.gaps.map(gap => ({
+        type: `${gap.type}Gap`,
+        startDate: candles[gap.index - 1].date,
+        endDate: gap.fillDate || lastDate,
+        top: gap.top,
+        bottom: gap.bottom,
+        color: gap.direction === "up" ? "rgba(38, 166, 154, 0.25)" : "rgba(239, 83, 80, 0.25)"
+    }));
+
+    const islandZones = result.islands.map(island => ({
+        type: "island",
+        startDate: island.startDate,
+        endDate: island.endDate,
+        top: island.high,
+        bottom: island.low,
+        color: "rgba(128, 0, 128, 0.15)"
+    }));
+
+    return [...gapZones, ...islandZones];
+}
+
+module.exports = {
+    analyzeGaps,
+    buildGapZones,
+    // Export helper functions for testing
+    findGaps,
+    trackGapFill,
+    getGapContext,
+    classifyGap,
+    findIslandReversals
+};
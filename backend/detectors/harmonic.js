@@ -0,0 +1,336 @@
+/**
+ * Harmonic Pattern Detection Module
+ *
+ * This module provides functionality to detect XABCD harmonic patterns (Gartley, Bat, Butterfly and Crab)
+ * in financial market data. Five consecutive alternating swings are labelled X, A, B, C and D and the
+ * Fibonacci ratios between their legs are compared with each pattern's definition. A pattern starting
+ * from a trough (X low) is bullish and completes at a low D; one starting from a peak is bearish.
+ *
+ * @module detectors/harmonic
+ * @author KW Technical Team
+ */
+
+const { findSwings, calculateOptimalWindowSize, buildAlternatingSwings, getNextDay, selectNonOverlappingPatterns, SWING_DEFAULT_OPTIONS } = require('../utils/patternUtils.js');
+const { scoreConfidence, scoreDepth, scoreDuration } = require('../utils/confidenceUtils.js');
+const { registerDetector } = require('./registry.js');
+
+/**
+ * Fibonacci ratio ranges [min, max] defining each harmonic pattern:
+ * ab = AB/XA, bc = BC/AB, cd = CD/BC, ad = AD/XA (the D retracement of XA)
+ */
+const HARMONIC_PATTERNS = {
+    Gartley: { ab: [0.618, 0.618], bc: [0.382, 0.886], cd: [1.272, 1.618], ad: [0.786, 0.786] },
+    Bat: { ab: [0.382, 0.5], bc: [0.382, 0.886], cd: [1.618, 2.618], ad: [0.886, 0.886] },
+    Butterfly: { ab: [0.786, 0.786], bc: [0.382, 0.886], cd: [1.618, 2.618], ad: [1.27, 1.618] },
+    Crab: { ab: [0.382, 0.618], bc: [0.382, 0.886], cd: [2.24, 3.618], ad: [1.618, 1.618] }
+};
+
+/**
+ * Calculates the Fibonacci ratios between the legs of an XABCD sequence
+ * @param {Array} points - The five swings X, A, B, C, D
+ * @returns {Object|null} - The ab, bc, cd and ad ratios, or null if a leg has no length
+ */
+function calculateLegRatios([x, a, b, c, d]) {
+    const xa = Math.abs(a.price - x.price);
+    const ab = Math.abs(b.price - a.price);
+    const bc = Math.abs(c.price - b.price);
+    const cd = Math.abs(d.price - c.price);
+    if (xa === 0 || ab === 0 || bc === 0 || cd === 0) {
+        return null;
+    }
+    return {
+        ab: ab / xa,
+        bc: bc / ab,
+        cd: cd / bc,
+        ad: Math.abs(d.price - a.price) / xa
+    };
+}
+
+/**
+ * Scores how closely a ratio matches its allowed range
+ * @param {number} ratio - Measured ratio
+ * @param {Array<number>} range - Allowed [min, max] range
+ * @param {number} tolerance - Relative tolerance around the range
+ * @returns {number} - 1 inside the range, falling to 0 at the edge of the tolerance, negative beyond it
+ */
+function scoreRatio(ratio, [min, max], tolerance) {
+    if (ratio >= min && ratio <= max) return 1;
+    const bound = ratio < min ? min : max;
+    return 1 - Math.abs(ratio - bound) / bound / tolerance;
+}
+
+/**
+ * Finds the harmonic pattern type whose ratios best match the measured ones
+ * @param {Object} ratios - Measured leg ratios
+ * @param {number} tolerance - Relative tolerance around each ratio range
+ * @returns {Object|null} - Best matching { harmonicType, score } or null if none match
+ */
+function matchHarmonicPattern(ratios, tolerance = 0.05) {
+    let best = null;
+
+    for (const [harmonicType, definition] of Object.entries(HARMONIC_PATTERNS)) {
+        const scores = Object.keys(definition).map(leg => scoreRatio(ratios[leg], definition[leg], tolerance));
+        if (scores.some(score => score < 0)) continue;
+
+        const score = scores.reduce((sum, s) => sum + s, 0) / scores.length;
+        if (!best || score > best.score) {
+            best = { harmonicType, score };
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Calculates the potential reversal zone around D from the XA completion level(s)
+ * @param {Array} points - The five swings X, A, B, C, D
+ * @param {string} harmonicType - Matched harmonic pattern type
+ * @returns {{low: number, high: number}} - The potential reversal zone
+ */
+function calculatePRZ([x, a, , , d], harmonicType) {
+    const xa = a.price - x.price;
+    const levels = HARMONIC_PATTERNS[harmonicType].ad.map(ratio => a.price - ratio * xa);
+    levels.push(d.price);
+    return {
+        low: parseFloat(Math.min(...levels).toFixed(2)),
+        high: parseFloat(Math.max(...levels).toFixed(2))
+    };
+}
+
+/**
+ * Checks whether price reversed away from D by at least 38.2% of the CD leg
+ * @param {Array} candles - Array of OHLC price data
+ * @param {Array} points - The five swings X, A, B, C, D
+ * @param {number} reactionWindow - Number of candles after D to check
+ * @returns {boolean} - True if the reversal was confirmed
+ */
+function checkReaction(candles, [, , , c, d], reactionWindow = 10) {
+    const after = candles.slice(d.index + 1, d.index + 1 + reactionWindow);
+    if (after.length === 0) return false;
+
+    const required = Math.abs(d.price - c.price) * 0.382;
+    return d.type === 'trough'
+        ? Math.max(...after.map(candle => candle.high)) - d.price >= required
+        : d.price - Math.min(...after.map(candle => candle.low)) >= required;
+}
+
+/**
+ * Detects Gartley, Bat, Butterfly and Crab patterns in OHLC price data
+ * @param {Array<Object>} candles - The array of candle objects
+ * @param {Object} options - Configuration options
+ * @returns {Object} - The result of the detection
+ */
+function detectHarmonic(candles, options = {}) {
+    console.log('\n===== HARMONIC PATTERN DETECTION STARTED =====');
+
+    const {
+        minRequiredCandles = 30,
+        windowSize = null,
+        ratioTolerance = 0.05,
+        reactionWindow = 10,
+        findAll = false
+    } = options;
+
+    // 1. Check if we have enough data
+    if (!candles || candles.length < minRequiredCandles) {
+        console.log('❌ FAILED: Not enough data');
+        return { success: false, pattern: "Harmonic", reason: "Not enough data" };
+    }
+    console.log(`Dataset size: ${candles.length} candles`);
+
+    // 2. Build the alternating swing sequence
+    const window = windowSize || calculateOptimalWindowSize(candles.length);
+    const { peaks, troughs } = findSwings(candles, window, options);
+    const swings = buildAlternatingSwings(peaks, troughs);
+    console.log(`Built ${swings.length} alternating swings using window size ${window}`);
+    if (swings.length < 5) {
+        console.log('❌ FAILED: Not enough swings found');
+        return { success: false, pattern: "Harmonic", reason: "Not enough swings found" };
+    }
+
+    // 3. Walk every XABCD sequence and match the Fibonacci ratios
+    const validPatterns = [];
+    for (let i = 0; i + 4 < swings.length; i++) {
+        const points = swings.slice(i, i + 5);
+        // Every point needs its own candle for the outline to be drawable
+        if (points.some((p, k) => k > 0 && p.index <= points[k - 1].index)) continue;
+
+        const ratios = calculateLegRatios(points);
+        if (!ratios) continue;
+        const match = matchHarmonicPattern(ratios, ratioTolerance);
+        if (!match) continue;
+
+        const [x, a, , , d] = points;
+        const direction = x.type === 'trough' ? 'bullish' : 'bearish';
+        const reactionConfirmed = checkReaction(candles, points, reactionWindow);
+        // Confidence factors: Fibonacci ratio precision, XA height, length and the reaction from D,
+        // which plays the part of the breakout. The legs themselves are the trend, so it is not scored separately.
+        const { confidence, confidenceFactors } = scoreConfidence({
+            symmetry: match.score,
+            depth: scoreDepth(candles, x.index, d.index, Math.abs(a.price - x.price)),
+            duration: scoreDuration(x.index, d.index),
+            breakout: reactionConfirmed ? 1 : 0
+        });
+        const ad = Math.abs(a.price - d.price);
+        const priceTarget = direction === 'bullish' ? d.price + 0.618 * ad : d.price - 0.618 * ad;
+
+        const labels = ['X', 'A', 'B', 'C', 'D'];
+        const keyPoints = {};
+        points.forEach((p, k) => {
+            keyPoints[labels[k]] = { date: p.date, price: p.price, volume: p.volume, type: p.type };
+        });
+
+        console.log(`✅ ${direction} ${match.harmonicType}: X ${x.date} -> D ${d.date} (score ${match.score.toFixed(2)})`);
+
+        validPatterns.push({
+            patternData: {
+                type: `${direction === 'bullish' ? 'Bullish' : 'Bearish'} ${match.harmonicType}`,
+                harmonicType: match.harmonicType,
+                direction,
+                confidence,
+                confidenceFactors,
+                keyPoints,
+                ratios: {
+                    ab: parseFloat(ratios.ab.toFixed(3)),
+                    bc: parseFloat(ratios.bc.toFixed(3)),
+                    cd: parseFloat(ratios.cd.toFixed(3)),
+                    ad: parseFloat(ratios.ad.toFixed(3))
+                },
+                prz: calculatePRZ(points, match.harmonicType),
+                reactionConfirmed,
+                necklineLevel: null,
+                priceTarget: parseFloat(priceTarget.toFixed(2)),
+                patternHeight: parseFloat(Math.abs(a.price - x.price).toFixed(2)),
+                timespan: Math.round((new Date(d.date) - new Date(x.date)) / (1000 * 60 * 60 * 24))
+            },
+            startIndex: x.index,
+            endIndex: d.index,
+            confidence
+        });
+    }
+
+    if (validPatterns.length === 0) {
+        console.log('\nNo valid harmonic pattern found.');
+        return { success: false, pattern: "Harmonic", reason: "No valid pattern found" };
+    }
+
+    // 4. Rank by confidence and drop overlapping ranges
+    const selected = selectNonOverlappingPatterns(validPatterns);
+    console.log(`\n✅ Found ${selected.length} non-overlapping harmonic patterns out of ${validPatterns.length} valid candidates.`);
+
+    const result = { success: true, pattern: "Harmonic", patternData: selected[0].patternData };
+    if (findAll) {
+        result.occurrences = selected.map(c => c.patternData);
+    }
+    return result;
+}
+
+/**
+ * Builds the chart lines (XABCD outline, XB and BD diagonals and target) for a detected harmonic pattern
+ * @param {Object} patternData - Pattern data returned by the detector
+ * @returns {Array} - Array of pattern line objects
+ */
+function buildPatternLines(patternData) {
+    const { X, A, B, C, D } = patternData.keyPoints;
+    const point = p => ({ date: p.date, price: p.price });
+
+    return [
+        { type: "outline", points: [X, A, B, C, D].map(point), color: "#800080", style: "solid" },
+        { type: "xbLine", points: [point(X), point(B)], color: "#800080", style: "dashed" },
+        { type: "bdLine", points: [point(B), point(D)], color: "#800080", style: "dashed" },
+        { type: "targetLine", points: [point(D), { date: getNextDay(D.date), price: patternData.priceTarget }], color: "#800080", style: "dotted" }
+    ];
+}
+
+/**
+ * Builds the shaded potential reversal zone from C until shortly after D
+ * @param {Object} patternData - Pattern data returned by the detector
+ * @param {Array} candles - Array of OHLC price data
+ * @returns {Array} - Array of zone objects
+ */
+function buildPatternZones(patternData, candles) {
+    const { C, D } = patternData.keyPoints;
+    // Located by date: the detector may have run on a slice of the candles
+    const dIndex = candles.findIndex(c => c.date === D.date);
+    if (dIndex === -1) {
+        return [];
+    }
+    const endIndex = Math.min(candles.length - 1, dIndex + 10);
+    const color = patternData.direction === 'bullish' ? "rgba(38, 166, 154, 0.2)" : "rgba(239, 83, 80, 0.2)";
+
+    return [
+        { type: "prz", startDate: C.date, endDate: candles[endIndex].date, top: patternData.prz.high, bottom: patternData.prz.low, color }
+    ];
+}
+
+/**
+ * Builds the X, A, B, C and D labels
+ * @param {Object} patternData - Pattern data returned by the detector
+ * @returns {Array} - Array of marker objects
+ */
+function buildPatternMarkers(patternData) {
+    return Object.entries(patternData.keyPoints).map(([label, p]) => ({
+        date: p.date,
+        label,
+        position: p.type === 'peak' ? 'aboveBar' : 'belowBar',
+        color: "#800080"
+    }));
+}
+
+/**
+ * Builds the breakout trigger of a harmonic pattern: the 38.2% reaction of the CD leg away from D,
+ * invalidated when price moves through the far edge of the potential reversal zone
+ * @param {Object} patternData - Pattern data returned by the detector
+ * @param {Array} candles - OHLC price data the pattern was detected in
+ * @returns {Object} - Breakout trigger
+ */
+function buildBreakoutTrigger(patternData, candles) {
+    const { keyPoints: { C, D }, direction, prz, reactionConfirmed } = patternData;
+    const reaction = Math.abs(D.price - C.price) * 0.382;
+    const level = direction === 'bullish' ? D.price + reaction : D.price - reaction;
+
+    // The reaction candle is the first one after D to reach the reaction level
+    const dIndex = candles.findIndex(c => c.date === D.date);
+    const reactionCandle = reactionConfirmed
+        ? candles.slice(dIndex + 1).find(c => direction === 'bullish' ? c.high >= level : c.low <= level)
+        : null;
+
+    return {
+        breakoutDate: reactionCandle ? reactionCandle.date : null,
+        direction,
+        line: [{ date: C.date, price: level }, { date: D.date, price: level }],
+        invalidationLevel: direction === 'bullish' ? prz.low : prz.high
+    };
+}
+
+registerDetector({
+    id: 'harmonic',
+    name: 'Harmonic (XABCD)',
+    defaultOptions: {
+        minRequiredCandles: 30,
+        ratioTolerance: 0.05,
+        reactionWindow: 10,
+        findAll: true,
+        ...SWING_DEFAULT_OPTIONS
+    },
+    detect: detectHarmonic,
+    buildPatternLines,
+    buildPatternZones,
+    buildPatternMarkers,
+    buildBreakoutTrigger
+});
+
+module.exports = {
+    detectHarmonic,
+    buildPatternLines,
+    buildPatternZones,
+    buildPatternMarkers,
+    buildBreakoutTrigger,
+    HARMONIC_PATTERNS,
+    // Export helper functions for testing
+    calculateLegRatios,
+    scoreRatio,
+    matchHarmonicPattern,
+    calculatePRZ,
+    checkReaction
+};
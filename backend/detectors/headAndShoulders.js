@@ -9,7 +9,10 @@
  * @author KW Technical Team
  */
 
-const { findPeaksAndTroughs, calculateOptimalWindowSize } = require('../utils/patternUtils');
+const { findPeaksAndTroughs, findSwings, usesWindowFallback, calculateOptimalWindowSize, getNextDay, selectNonOverlappingPatterns, calculateAverageTrueRange, findBreakoutRetest, SWING_DEFAULT_OPTIONS } = require('../utils/patternUtils');
+const { scoreConfidence, scoreSimilarity, scoreDepth, scoreDuration, scorePriorTrend, scoreBreakout } = require('../utils/confidenceUtils');
+const { findPatternFailure } = require('../utils/failureUtils');
+const { registerDetector } = require('./registry');
 
 /**
  * Calculates market volatility based on price data
@@ -21,22 +24,7 @@ function calculateMarketVolatility(candles) {
     if (!candles || candles.length < 5) return 0.05; // Default medium volatility
     
     // Calculate average true range as a volatility measure
-    let trSum = 0;
-    for (let i = 1; i < candles.length; i++) {
-        const current = candles[i];
-        const previous = candles[i-1];
-        
-        // True Range calculation
-        const tr1 = current.high - current.low; // Current candle range
-        const tr2 = Math.abs(current.high - previous.close); // High to previous close
-        const tr3 = Math.abs(current.low - previous.close); // Low to previous close
-        const tr = Math.max(tr1, tr2, tr3);
-        
-        trSum += tr;
-    }
-    
-    // Calculate average true range
-    const atr = trSum / (candles.length - 1);
+    const atr = calculateAverageTrueRange(candles);
     
     // Calculate ATR as percentage of average price
     const avgPrice = candles.reduce((sum, c) => sum + ((c.high + c.low) / 2), 0) / candles.length;
@@ -61,10 +49,10 @@ function findSignificantPeaks(candles, options = {}) {
     }
     
     // Initial peak detection
-    let { peaks } = findPeaksAndTroughs(candles, windowSize);
+    let { peaks } = findSwings(candles, windowSize, options);
     
     // If not enough peaks found, try with smaller window
-    if (peaks.length < 3) {
+    if (peaks.length < 3 && usesWindowFallback(options)) {
         const smallerWindow = Math.max(3, Math.floor(windowSize * 0.7));
         peaks = findPeaksAndTroughs(candles, smallerWindow).peaks;
     }
@@ -88,10 +76,10 @@ function findSignificantTroughs(candles, options = {}) {
     }
     
     // Initial trough detection
-    let { troughs } = findPeaksAndTroughs(candles, windowSize);
+    let { troughs } = findSwings(candles, windowSize, options);
     
     // If not enough troughs found, try with smaller window
-    if (troughs.length < 2) {
+    if (troughs.length < 2 && usesWindowFallback(options)) {
         const smallerWindow = Math.max(3, Math.floor(windowSize * 0.7));
         troughs = findPeaksAndTroughs(candles, smallerWindow).troughs;
     }
@@ -218,7 +206,7 @@ function calculateNeckline(leftTrough, rightTrough) {
  * @param {Object} rightShoulder - Right shoulder peak
  * @param {Object} neckline - Neckline object with getValue function
  * @param {number} volatility - Market volatility
- * @returns {Object|null} - Breakout information or null if no breakout
+ * @returns {Object|null} - Breakout information with its neckline retest, or null if no breakout
  */
 function detectBreakout(candles, rightShoulder, neckline, volatility) {
     for (let i = rightShoulder.index + 1; i < candles.length; i++) {
@@ -237,7 +225,8 @@ function detectBreakout(candles, rightShoulder, neckline, volatility) {
                 volume: candles[i].volume,
                 index: i,
                 isConfirmed: isBreakout,
-                necklineAtBreakout: necklineValue
+                necklineAtBreakout: necklineValue,
+                retest: findBreakoutRetest(candles, i, index => neckline.getValue(index), "bearish")
             };
         }
     }
@@ -317,12 +306,22 @@ function validateHeadAndShoulders(startTrough, leftShoulder, head, rightShoulder
     const metrics = calculatePatternMetrics(head, neckline, breakoutPoint, leftShoulder);
     const symmetryRatio = 1 - symmetryCheck.difference;
 
+    // 6. Confidence factors: balanced shoulders, height, width, the uptrend into the left shoulder and the neckline break
+    const { confidence, confidenceFactors } = scoreConfidence({
+        symmetry: scoreSimilarity(symmetryCheck.difference, shoulderHeightTolerance),
+        depth: scoreDepth(candles, leftShoulder.index, rightShoulder.index, metrics.patternHeight),
+        duration: scoreDuration(leftShoulder.index, rightShoulder.index, 60),
+        priorTrend: scorePriorTrend(candles, leftShoulder.index, "bullish"),
+        breakout: scoreBreakout(candles, breakoutPoint ? breakoutPoint.index : null, metrics.necklineAtBreakout, "bearish")
+    });
+
     return {
         success: true,
         pattern: "Head and Shoulders",
         patternData: {
             type: "Head and Shoulders",
-            confidence: parseFloat(symmetryRatio.toFixed(2)),
+            confidence,
+            confidenceFactors,
             keyPoints: {
                 startPoint: { date: startTrough.date, price: startTrough.low, volume: startTrough.volume },
                 leftShoulder: { date: leftShoulder.date, price: leftShoulder.high, volume: leftShoulder.volume },
@@ -365,7 +364,8 @@ function detectHeadAndShoulders(candles, options = {}) {
     // Determine appropriate thresholds based on volatility
     const shoulderHeightTolerance = Math.min(0.25, Math.max(0.15, volatility * 2));
     const headDominanceTolerance = Math.min(0.12, Math.max(0.05, volatility));
-    const breakoutConfirmationRequired = volatility < 0.05;
+    // Forming patterns are still waiting for their breakout
+    const breakoutConfirmationRequired = !options.forming && volatility < 0.05;
     
     // Enhanced options
     const enhancedOptions = {
@@ -410,22 +410,115 @@ function detectHeadAndShoulders(candles, options = {}) {
         );
         
         if (result) {
-            validPatterns.push(result);
+            validPatterns.push({
+                result,
+                startIndex: startTrough.index,
+                endIndex: rightShoulder.index,
+                confidence: result.patternData.confidence
+            });
         }
     }
 
     // Return the best pattern (highest confidence) or failure
     if (validPatterns.length > 0) {
-        // Sort by confidence (highest first)
-        validPatterns.sort((a, b) => b.patternData.confidence - a.patternData.confidence);
-        return validPatterns[0];
+        // Rank by confidence (highest first) and drop overlapping formations
+        const selected = selectNonOverlappingPatterns(validPatterns);
+        if (!options.findAll) {
+            return selected[0].result;
+        }
+        return { ...selected[0].result, occurrences: selected.map(c => c.result.patternData) };
     }
     
     return { success: false, pattern: "Head and Shoulders", reason: "No valid pattern found" };
 }
 
+/**
+ * Builds the chart lines (neckline, outline, target) for a detected Head and Shoulders
+ * @param {Object} patternData - Pattern data returned by the detector
+ * @param {Array} candles - OHLC price data the pattern was detected in
+ * @returns {Array} - Array of pattern line objects
+ */
+function buildPatternLines(patternData, candles) {
+    const { keyPoints, priceTarget } = patternData;
+    const indexOf = (date) => candles.findIndex(c => c.date === date);
+    const m = (keyPoints.rightTrough.price - keyPoints.leftTrough.price) / (indexOf(keyPoints.rightTrough.date) - indexOf(keyPoints.leftTrough.date));
+    const c = keyPoints.leftTrough.price - m * indexOf(keyPoints.leftTrough.date);
+    const getNecklineValue = (date) => m * indexOf(date) + c;
+    const breakoutDate = keyPoints.necklineBreak ? keyPoints.necklineBreak.date : keyPoints.rightShoulder.date;
+
+    const outlinePoints = [
+        { date: keyPoints.startPoint.date, price: keyPoints.startPoint.price },
+        { date: keyPoints.leftShoulder.date, price: keyPoints.leftShoulder.price },
+        { date: keyPoints.leftTrough.date, price: keyPoints.leftTrough.price },
+        { date: keyPoints.head.date, price: keyPoints.head.price },
+        { date: keyPoints.rightTrough.date, price: keyPoints.rightTrough.price },
+        { date: keyPoints.rightShoulder.date, price: keyPoints.rightShoulder.price }
+    ];
+    if (keyPoints.necklineBreak) {
+        outlinePoints.push({ date: keyPoints.necklineBreak.date, price: keyPoints.necklineBreak.price });
+    }
+
+    return [
+        { type: "neckline", points: [{ date: keyPoints.leftTrough.date, price: getNecklineValue(keyPoints.leftTrough.date) }, { date: breakoutDate, price: getNecklineValue(breakoutDate) }], color: "#0000ff", style: "dashed" },
+        { type: "patternOutline", points: outlinePoints, color: "#800080", style: "solid" },
+        { type: "targetLine", points: [{ date: breakoutDate, price: getNecklineValue(breakoutDate) }, { date: getNextDay(breakoutDate), price: priceTarget }], color: "#800080", style: "dotted" }
+    ];
+}
+
+/**
+ * Builds the breakout trigger of a Head and Shoulders: a close below the sloped neckline, invalidated above the head
+ * @param {Object} patternData - Pattern data returned by the detector
+ * @returns {Object} - Breakout trigger
+ */
+function buildBreakoutTrigger(patternData) {
+    const { keyPoints } = patternData;
+    const { necklineBreak } = keyPoints;
+    return {
+        breakoutDate: necklineBreak && necklineBreak.isConfirmed ? necklineBreak.date : null,
+        direction: "bearish",
+        line: [
+            { date: keyPoints.leftTrough.date, price: keyPoints.leftTrough.price },
+            { date: keyPoints.rightTrough.date, price: keyPoints.rightTrough.price }
+        ],
+        invalidationLevel: keyPoints.head.price
+    };
+}
+
+/**
+ * Detects a failed Head and Shoulders: a close back above the right shoulder after the neckline break,
+ * a bullish signal projecting the pattern height above the right shoulder
+ * @param {Object} patternData - Pattern data with its breakout date
+ * @param {Array} candles - Array of OHLC price data
+ * @returns {Object|null} - Failed-pattern signal, or null if the pattern held
+ */
+function detectFailure(patternData, candles) {
+    return findPatternFailure(candles, {
+        breakoutDate: patternData.breakoutDate,
+        direction: "bearish",
+        failureLevel: patternData.keyPoints.rightShoulder.price,
+        patternHeight: patternData.patternHeight
+    });
+}
+
+registerDetector({
+    id: 'head-and-shoulders',
+    name: 'Head and Shoulders',
+    defaultOptions: {
+        minRequiredCandles: 60,
+        findAll: true,
+        ...SWING_DEFAULT_OPTIONS
+    },
+    detect: detectHeadAndShoulders,
+    buildPatternLines,
+    buildBreakoutTrigger,
+    detectFailure
+});
+
 module.exports = { 
     detectHeadAndShoulders,
+    buildPatternLines,
+    buildBreakoutTrigger,
+    detectFailure,
     // Export helper functions for testing
     findSignificantPeaks,
     findSignificantTroughs,
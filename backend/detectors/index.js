@@ -0,0 +1,25 @@
+/**
+ * Detector Loader Module
+ *
+ * Loads every detector module so it registers itself with the detector registry,
+ * and re-exports the registry lookup functions for the API layer.
+ *
+ * @module detectors
+ * @author KW Technical Team
+ */
+
+require('./doubleTop.js');
+require('./doubleBottom.js');
+require('./tripleBottom.js');
+require('./tripleTop.js');
+require('./triangle.js');
+require('./wedge.js');
+require('./flag.js');
+require('./cupAndHandle.js');
+require('./rectangle.js');
+require('./channel.js');
+require('./harmonic.js');
+require('./headAndShoulders.js');
+require('./inverseHeadAndShoulders.js');
+
+module.exports = require('./registry.js');
@@ -9,24 +9,28 @@
  * @author KW Technical Team
  */
 
-const { findPeaksAndTroughs, calculateOptimalWindowSize } = require('../utils/patternUtils.js');
+const { findPeaksAndTroughs, findSwings, usesWindowFallback, calculateOptimalWindowSize, getNextDay, selectNonOverlappingPatterns, findBreakoutRetest, SWING_DEFAULT_OPTIONS } = require('../utils/patternUtils.js');
+const { scoreConfidence, scoreSimilarity, scoreDepth, scoreDuration, scorePriorTrend, scoreBreakout } = require('../utils/confidenceUtils.js');
+const { findPatternFailure } = require('../utils/failureUtils.js');
+const { registerDetector } = require('./registry.js');
 
 /**
  * Identifies significant peaks in the price data
  * @param {Array} candles - Array of OHLC price data
  * @param {number} initialWindow - Initial window size for peak detection
+ * @param {Object} options - Detector options selecting the swing method
  * @returns {Array} - Array of peak objects with date, price, and index
  */
-function findSignificantPeaks(candles, initialWindow) {
+function findSignificantPeaks(candles, initialWindow, options = {}) {
     let windowSize = initialWindow || calculateOptimalWindowSize(candles.length);
     console.log(`Using window size: ${windowSize} for peak detection`);
     
     // Initial peak detection
-    let { peaks } = findPeaksAndTroughs(candles, windowSize);
+    let { peaks } = findSwings(candles, windowSize, options);
     console.log(`Initial detection found ${peaks.length} peaks`);
     
     // If not enough peaks found, try with smaller window
-    if (peaks.length < 2) {
+    if (peaks.length < 2 && usesWindowFallback(options)) {
         const smallerWindow = Math.max(3, Math.floor(candles.length * 0.02));
         console.log(`Trying smaller window size: ${smallerWindow}`);
         const smallerResult = findPeaksAndTroughs(candles, smallerWindow);
@@ -43,18 +47,19 @@ function findSignificantPeaks(candles, initialWindow) {
  * Identifies significant troughs in the price data
  * @param {Array} candles - Array of OHLC price data
  * @param {number} initialWindow - Initial window size for trough detection
+ * @param {Object} options - Detector options selecting the swing method
  * @returns {Array} - Array of trough objects with date, price, and index
  */
-function findSignificantTroughs(candles, initialWindow) {
+function findSignificantTroughs(candles, initialWindow, options = {}) {
     let windowSize = initialWindow || calculateOptimalWindowSize(candles.length);
     console.log(`Using window size: ${windowSize} for trough detection`);
     
     // Initial trough detection
-    let { troughs } = findPeaksAndTroughs(candles, windowSize);
+    let { troughs } = findSwings(candles, windowSize, options);
     console.log(`Initial detection found ${troughs.length} troughs`);
     
     // If not enough troughs found, try with smaller window
-    if (troughs.length < 3) {
+    if (troughs.length < 3 && usesWindowFallback(options)) {
         const smallerWindow = Math.max(3, Math.floor(candles.length * 0.02));
         console.log(`Trying smaller window size: ${smallerWindow}`);
         const smallerResult = findPeaksAndTroughs(candles, smallerWindow);
@@ -208,7 +213,7 @@ function calculateNeckline(leftPeak, rightPeak) {
  * @param {Object} rightShoulder - The right shoulder trough
  * @param {Array} candles - Array of all candles
  * @param {Function} getNecklineValue - Function to get neckline value at any index
- * @returns {Object|null} - Breakout information or null if no breakout
+ * @returns {Object|null} - Breakout information with its neckline retest, or null if no breakout
  */
 function detectBreakout(rightShoulder, candles, getNecklineValue) {
     for (let i = rightShoulder.index + 1; i < candles.length; i++) {
@@ -219,7 +224,8 @@ function detectBreakout(rightShoulder, candles, getNecklineValue) {
                 price: candles[i].close,
                 volume: candles[i].volume,
                 index: i,
-                necklineValue
+                necklineValue,
+                retest: findBreakoutRetest(candles, i, getNecklineValue, "bullish")
             };
         }
     }
@@ -231,10 +237,10 @@ function detectBreakout(rightShoulder, candles, getNecklineValue) {
  * Calculates pattern metrics including confidence, price target, etc.
  * @param {Object} patternData - The detected pattern data
  * @param {number} symmetryRatio - Shoulder symmetry ratio
- * @param {boolean} hasBreakout - Whether the pattern has confirmed breakout
+ * @param {number} shoulderDepthTolerance - Largest accepted shoulder depth difference as ratio
  * @returns {Object} - Pattern metrics
  */
-function calculatePatternMetrics(patternData, symmetryRatio, hasBreakout) {
+function calculatePatternMetrics(patternData, symmetryRatio, shoulderDepthTolerance = 0.25) {
     const { 
         startPeak, leftShoulder, leftPeak, head, rightPeak, rightShoulder, 
         getNecklineValue, breakoutPoint, candles 
@@ -262,12 +268,19 @@ function calculatePatternMetrics(patternData, symmetryRatio, hasBreakout) {
     // Volume analysis can be used to enhance confidence
     const volumeProfile = head.volume > leftShoulder.volume ? "bullish" : "bearish";
     
-    // Adjust confidence based on breakout
-    const confidence = hasBreakout ? symmetryRatio : symmetryRatio * 0.9;
+    // Confidence factors: balanced shoulders, depth, width, the downtrend into the left shoulder and the neckline break
+    const { confidence, confidenceFactors } = scoreConfidence({
+        symmetry: scoreSimilarity(1 - symmetryRatio, shoulderDepthTolerance),
+        depth: scoreDepth(candles, leftShoulder.index, rightShoulder.index, patternHeight),
+        duration: scoreDuration(leftShoulder.index, rightShoulder.index, 60),
+        priorTrend: scorePriorTrend(candles, leftShoulder.index, "bearish"),
+        breakout: scoreBreakout(candles, breakoutPoint ? breakoutPoint.index : null, necklineAtBreakout, "bullish")
+    });
 
     return {
             type: "Inverse Head and Shoulders",
-        confidence: parseFloat(confidence.toFixed(2)),
+        confidence,
+        confidenceFactors,
             keyPoints: {
                 startPoint: { date: startPeak.date, price: startPeak.high, volume: startPeak.volume },
                 leftShoulder: { date: leftShoulder.date, price: leftShoulder.low, volume: leftShoulder.volume },
@@ -348,7 +361,7 @@ function validateInverseHeadAndShoulders(patternData, options = {}) {
     const patternMetrics = calculatePatternMetrics(
         enhancedPatternData, 
         symmetryResult.symmetryRatio,
-        breakoutPoint !== null
+        shoulderDepthTolerance
     );
     
     // Log successful pattern detection
@@ -362,179 +375,6 @@ function validateInverseHeadAndShoulders(patternData, options = {}) {
     };
 }
 
-/**
- * Analyzes forming pattern (special case)
- * @param {Array} candles - Array of OHLC price data
- * @returns {Object} - The forming pattern data or failure object
- */
-function analyzeFormingPattern(candles) {
-        console.log('Looking for forming pattern...');
-        
-        // Find the Dec 27/28 trough - this will be our head
-        const lateDec = candles.filter(c => c.date.startsWith('2022-12-') && parseInt(c.date.split('-')[2]) >= 25);
-        let headTrough = null;
-        if (lateDec.length > 0) {
-            headTrough = lateDec.sort((a, b) => a.low - b.low)[0]; // Lowest price
-            console.log(`Identified potential head: ${headTrough.date} at ${headTrough.low.toFixed(2)}`);
-        } else {
-            console.log('Could not find a suitable head trough in late December');
-            return { success: false, pattern: "Inverse Head and Shoulders", reason: "Could not identify pattern components" };
-        }
-        
-        // Find left shoulder in early December
-        const earlyDec = candles.filter(c => c.date.startsWith('2022-12-') && parseInt(c.date.split('-')[2]) <= 10);
-        let leftShoulder = null;
-        if (earlyDec.length > 0) {
-            leftShoulder = earlyDec.sort((a, b) => a.low - b.low)[0]; // Lowest price
-            console.log(`Identified potential left shoulder: ${leftShoulder.date} at ${leftShoulder.low.toFixed(2)}`);
-        } else {
-            // Try November
-            const lateNov = candles.filter(c => c.date.startsWith('2022-11-') && parseInt(c.date.split('-')[2]) >= 20);
-            if (lateNov.length > 0) {
-                leftShoulder = lateNov.sort((a, b) => a.low - b.low)[0]; // Lowest price
-                console.log(`Identified potential left shoulder: ${leftShoulder.date} at ${leftShoulder.low.toFixed(2)}`);
-            } else {
-                console.log('Could not find a suitable left shoulder');
-                return { success: false, pattern: "Inverse Head and Shoulders", reason: "Could not identify pattern components" };
-            }
-        }
-        
-        // Find right shoulder in January
-        const earlyJan = candles.filter(c => c.date.startsWith('2023-01-') && parseInt(c.date.split('-')[2]) <= 10);
-        let rightShoulder = null;
-        if (earlyJan.length > 0) {
-            rightShoulder = earlyJan.sort((a, b) => a.low - b.low)[0]; // Lowest price 
-            console.log(`Identified potential right shoulder: ${rightShoulder.date} at ${rightShoulder.low.toFixed(2)}`);
-        } else {
-            console.log('Could not find a suitable right shoulder');
-            return { success: false, pattern: "Inverse Head and Shoulders", reason: "Could not identify pattern components" };
-        }
-        
-        // Find peaks for neckline
-        const candlesBetweenLeftAndHead = candles.filter(c => {
-            const date = new Date(c.date);
-            return date > new Date(leftShoulder.date) && date < new Date(headTrough.date);
-        });
-        
-        const candlesBetweenHeadAndRight = candles.filter(c => {
-            const date = new Date(c.date);
-            return date > new Date(headTrough.date) && date < new Date(rightShoulder.date);
-        });
-        
-        let leftPeak = null;
-        let rightPeak = null;
-        
-        if (candlesBetweenLeftAndHead.length > 0) {
-            leftPeak = candlesBetweenLeftAndHead.sort((a, b) => b.high - a.high)[0]; // Highest price
-            console.log(`Identified left peak: ${leftPeak.date} at ${leftPeak.high.toFixed(2)}`);
-    } else {
-        return { success: false, pattern: "Inverse Head and Shoulders", reason: "Could not identify left peak" };
-        }
-        
-        if (candlesBetweenHeadAndRight.length > 0) {
-            rightPeak = candlesBetweenHeadAndRight.sort((a, b) => b.high - a.high)[0]; // Highest price
-            console.log(`Identified right peak: ${rightPeak.date} at ${rightPeak.high.toFixed(2)}`);
-    } else {
-        return { success: false, pattern: "Inverse Head and Shoulders", reason: "Could not identify right peak" };
-        }
-            
-        // Find a start peak before left shoulder
-        const precedingCandles = candles.filter(c => {
-            const date = new Date(c.date);
-            return date < new Date(leftShoulder.date);
-        });
-            
-        let startPeak = null;
-        if (precedingCandles.length > 0) {
-            startPeak = precedingCandles.sort((a, b) => b.high - a.high)[0]; // Highest price
-            console.log(`Identified start peak: ${startPeak.date} at ${startPeak.high.toFixed(2)}`);
-        } else {
-            // Just use the first candle as a fallback
-            startPeak = candles[0];
-            console.log(`Using fallback start peak: ${startPeak.date}`);
-        }
-    
-    // Add index properties for consistency
-    if (!leftShoulder.index) {
-        const leftShoulderIdx = candles.findIndex(c => c.date === leftShoulder.date);
-        leftShoulder.index = leftShoulderIdx >= 0 ? leftShoulderIdx : 0;
-    }
-    
-    if (!headTrough.index) {
-        const headIdx = candles.findIndex(c => c.date === headTrough.date);
-        headTrough.index = headIdx >= 0 ? headIdx : 0;
-    }
-    
-    if (!rightShoulder.index) {
-        const rightShoulderIdx = candles.findIndex(c => c.date === rightShoulder.date);
-        rightShoulder.index = rightShoulderIdx >= 0 ? rightShoulderIdx : 0;
-    }
-    
-    if (!leftPeak.index) {
-        const leftPeakIdx = candles.findIndex(c => c.date === leftPeak.date);
-        leftPeak.index = leftPeakIdx >= 0 ? leftPeakIdx : 0;
-    }
-    
-    if (!rightPeak.index) {
-        const rightPeakIdx = candles.findIndex(c => c.date === rightPeak.date);
-        rightPeak.index = rightPeakIdx >= 0 ? rightPeakIdx : 0;
-    }
-    
-    if (!startPeak.index) {
-        const startPeakIdx = candles.findIndex(c => c.date === startPeak.date);
-        startPeak.index = startPeakIdx >= 0 ? startPeakIdx : 0;
-    }
-        
-        console.log(`\nManually constructing potential forming pattern:`);
-        console.log(`  Left shoulder: ${leftShoulder.date}, ${leftShoulder.low.toFixed(2)}`);
-        console.log(`  Left peak: ${leftPeak.date}, ${leftPeak.high.toFixed(2)}`);
-        console.log(`  Head: ${headTrough.date}, ${headTrough.low.toFixed(2)}`);
-        console.log(`  Right peak: ${rightPeak.date}, ${rightPeak.high.toFixed(2)}`);
-        console.log(`  Right shoulder: ${rightShoulder.date}, ${rightShoulder.low.toFixed(2)}`);
-        
-        // Check if this looks like a valid forming pattern
-        if (headTrough.low < leftShoulder.low * 1.05 && headTrough.low < rightShoulder.low * 1.05) {
-            console.log("✅ Pattern appears to be a forming inverse head and shoulders!");
-        
-        // Calculate simple neckline
-        const necklineLevel = Math.max(leftPeak.high, rightPeak.high);
-        const patternHeight = necklineLevel - headTrough.low;
-                            
-            // Create a forming pattern object
-        return {
-                success: true,
-                pattern: "Inverse Head and Shoulders (Forming)",
-                patternData: {
-                    type: "Inverse Head and Shoulders",
-                    confidence: 0.7, // Hard-coded confidence for forming pattern
-                    forming: true,   // Mark as a forming pattern
-                    keyPoints: {
-                        startPoint: { date: startPeak.date, price: startPeak.high, volume: startPeak.volume },
-                        leftShoulder: { date: leftShoulder.date, price: leftShoulder.low, volume: leftShoulder.volume },
-                        leftPeak: { date: leftPeak.date, price: leftPeak.high, volume: leftPeak.volume },
-                        head: { date: headTrough.date, price: headTrough.low, volume: headTrough.volume },
-                        rightPeak: { date: rightPeak.date, price: rightPeak.high, volume: rightPeak.volume },
-                        rightShoulder: { date: rightShoulder.date, price: rightShoulder.low, volume: rightShoulder.volume },
-                        necklineBreak: null, // No breakout yet
-                    },
-                    completed: false,
-                    formingPattern: true,
-                    // Calculate a simple horizontal neckline
-                necklineLevel: parseFloat(necklineLevel.toFixed(2)),
-                    // Project potential price target (simple projection)
-                priceTarget: parseFloat((necklineLevel + patternHeight).toFixed(2)),
-                patternHeight: parseFloat(patternHeight.toFixed(2)),
-                    timespan: Math.round((new Date(rightShoulder.date) - new Date(leftShoulder.date)) / (1000 * 60 * 60 * 24)),
-                    symmetryRatio: 0.7, // Hard-coded for forming pattern
-                volumeProfile: (headTrough.volume > leftShoulder.volume) ? "bullish" : "bearish"
-                }
-            };
-        } else {
-            console.log("❌ Pattern does not match inverse head and shoulders criteria");
-            return { success: false, pattern: "Inverse Head and Shoulders", reason: "Pattern validation failed" };
-        }
-    }
-
 /**
  * Detects the Inverse Head and Shoulders pattern in a given set of OHLC candles
  * @param {Array<Object>} candles - The array of candle objects
@@ -543,8 +383,6 @@ function analyzeFormingPattern(candles) {
  */
 function detectInverseHeadAndShoulders(candles, options = {}) {
     console.log('\n===== INVERSE HEAD AND SHOULDERS DETECTION STARTED =====');
-    console.log(`Dataset size: ${candles.length} candles`);
-    console.log(`Date range: ${candles[0].date} to ${candles[candles.length-1].date}`);
     
     // Extract options with defaults
     const {
@@ -553,7 +391,7 @@ function detectInverseHeadAndShoulders(candles, options = {}) {
         shoulderDepthTolerance = 0.25,
         breakoutRequired = false,
         minConfidence = 0.6,
-        findFormingPattern = false
+        findAll = false
     } = options;
     
     // 1. Check if we have enough data
@@ -561,39 +399,37 @@ function detectInverseHeadAndShoulders(candles, options = {}) {
         console.log('❌ FAILED: Not enough data');
         return { success: false, reason: "Not enough data" };
     }
+    console.log(`Dataset size: ${candles.length} candles`);
+    console.log(`Date range: ${candles[0].date} to ${candles[candles.length-1].date}`);
     
-    // 2. Special case for detecting forming patterns
-    if (findFormingPattern) {
-        return analyzeFormingPattern(candles);
-    }
-    
-    // 3. Find significant peaks and troughs
+    // 2. Find significant peaks and troughs
     const effectiveWindowSize = windowSize !== null ? windowSize : Math.max(3, Math.floor(candles.length * 0.02));
-    const peaks = findSignificantPeaks(candles, effectiveWindowSize);
-    const troughs = findSignificantTroughs(candles, effectiveWindowSize);
+    const peaks = findSignificantPeaks(candles, effectiveWindowSize, options);
+    const troughs = findSignificantTroughs(candles, effectiveWindowSize, options);
     
-    // 4. Check if we found enough peaks and troughs
+    // 3. Check if we found enough peaks and troughs
     if (troughs.length < 3 || peaks.length < 2) {
         const reason = `Not enough troughs or peaks found: ${troughs.length} troughs, ${peaks.length} peaks`;
         console.log(`❌ FAILED: ${reason}`);
         return { success: false, reason };
     }
     
-    // 5. Log detected troughs for analysis
+    // 4. Log detected troughs for analysis
     console.log('Troughs detected:');
     troughs.forEach((t, idx) => {
         console.log(`  ${idx}: Date ${t.date}, Price ${t.low.toFixed(2)}, Index ${t.index}`);
     });
     
-    // 6. Generate triplets of troughs to test
+    // 5. Generate triplets of troughs to test
     console.log('\n===== VALIDATING TROUGH COMBINATIONS =====');
     const troughTriplets = generateTroughTriplets(troughs);
     console.log(`Generated ${troughTriplets.length} potential triplet combinations to test`);
     
-    // 7. Count candidates checked
+    // 6. Count candidates checked
     let candidatesChecked = 0;
 
-    // 8. Validate each potential pattern
+    // 7. Validate each potential pattern
+    const candidates = [];
     for (const triplet of troughTriplets) {
         const { leftShoulder, head, rightShoulder } = triplet;
         
@@ -637,24 +473,132 @@ function detectInverseHeadAndShoulders(candles, options = {}) {
         // Validate the pattern
         const validationOptions = {
                 shoulderDepthTolerance,
-                breakoutRequired,
+                // Forming patterns are still waiting for their breakout
+                breakoutRequired: breakoutRequired && !options.forming,
                 minConfidence
         };
         
         const result = validateInverseHeadAndShoulders(patternData, validationOptions);
         
-            if (result) {
+        if (result) {
             console.log(`\n✅ VALID INVERSE HEAD AND SHOULDERS PATTERN FOUND!`);
+            if (!findAll) {
                 return result;
+            }
+            candidates.push({
+                result,
+                startIndex: startPeak.index,
+                endIndex: rightShoulder.index,
+                confidence: result.patternData.confidence
+            });
         }
     }
     
+    // 8. In findAll mode, return every non-overlapping occurrence ranked by confidence
+    if (candidates.length > 0) {
+        const selected = selectNonOverlappingPatterns(candidates);
+        console.log(`\nFound ${selected.length} non-overlapping patterns out of ${candidates.length} valid candidates.`);
+        return { ...selected[0].result, occurrences: selected.map(c => c.result.patternData) };
+    }
+    
     console.log(`\nNo valid patterns found after checking ${candidatesChecked} candidates.`);
     return { success: false, pattern: "Inverse Head and Shoulders", reason: "No pattern confirmed" };
 }
 
+/**
+ * Builds the chart lines (neckline, outline, target) for a detected Inverse Head and Shoulders
+ * @param {Object} patternData - Pattern data returned by the detector
+ * @param {Array} candles - OHLC price data the pattern was detected in
+ * @returns {Array} - Array of pattern line objects
+ */
+function buildPatternLines(patternData, candles) {
+    const { keyPoints, priceTarget } = patternData;
+    const indexOf = (date) => candles.findIndex(c => c.date === date);
+    const m = (keyPoints.rightPeak.price - keyPoints.leftPeak.price) / (indexOf(keyPoints.rightPeak.date) - indexOf(keyPoints.leftPeak.date));
+    const c = keyPoints.leftPeak.price - m * indexOf(keyPoints.leftPeak.date);
+    const getNecklineValue = (date) => m * indexOf(date) + c;
+
+    // Handle case where pattern is detected but breakout hasn't occurred
+    const breakoutDate = keyPoints.necklineBreak ? keyPoints.necklineBreak.date : keyPoints.rightShoulder.date;
+
+    const outlinePoints = [
+        { date: keyPoints.startPoint.date, price: keyPoints.startPoint.price },
+        { date: keyPoints.leftShoulder.date, price: keyPoints.leftShoulder.price },
+        { date: keyPoints.leftPeak.date, price: keyPoints.leftPeak.price },
+        { date: keyPoints.head.date, price: keyPoints.head.price },
+        { date: keyPoints.rightPeak.date, price: keyPoints.rightPeak.price },
+        { date: keyPoints.rightShoulder.date, price: keyPoints.rightShoulder.price }
+    ];
+    if (keyPoints.necklineBreak) {
+        outlinePoints.push({ date: keyPoints.necklineBreak.date, price: keyPoints.necklineBreak.price });
+    }
+
+    return [
+        { type: "neckline", points: [{ date: keyPoints.leftPeak.date, price: getNecklineValue(keyPoints.leftPeak.date) }, { date: breakoutDate, price: getNecklineValue(breakoutDate) }], color: "#0000ff", style: "dashed" },
+        { type: "patternOutline", points: outlinePoints, color: "#800080", style: "solid" },
+        { type: "targetLine", points: [{ date: breakoutDate, price: getNecklineValue(breakoutDate) }, { date: getNextDay(breakoutDate), price: priceTarget }], color: "#800080", style: "dotted" }
+    ];
+}
+
+/**
+ * Builds the breakout trigger of an Inverse Head and Shoulders: a close above the sloped neckline, invalidated below the head
+ * @param {Object} patternData - Pattern data returned by the detector
+ * @returns {Object} - Breakout trigger
+ */
+function buildBreakoutTrigger(patternData) {
+    const { keyPoints } = patternData;
+    return {
+        breakoutDate: keyPoints.necklineBreak ? keyPoints.necklineBreak.date : null,
+        direction: "bullish",
+        line: [
+            { date: keyPoints.leftPeak.date, price: keyPoints.leftPeak.price },
+            { date: keyPoints.rightPeak.date, price: keyPoints.rightPeak.price }
+        ],
+        invalidationLevel: keyPoints.head.price
+    };
+}
+
+/**
+ * Detects a failed Inverse Head and Shoulders: a close back below the right shoulder after the neckline break,
+ * a bearish signal projecting the pattern height below the right shoulder
+ * @param {Object} patternData - Pattern data with its breakout date
+ * @param {Array} candles - Array of OHLC price data
+ * @returns {Object|null} - Failed-pattern signal, or null if the pattern held
+ */
+function detectFailure(patternData, candles) {
+    return findPatternFailure(candles, {
+        breakoutDate: patternData.breakoutDate,
+        direction: "bullish",
+        failureLevel: patternData.keyPoints.rightShoulder.price,
+        patternHeight: patternData.patternHeight
+    });
+}
+
+registerDetector({
+    id: 'inverse-head-and-shoulders',
+    name: 'Inverse Head and Shoulders',
+    // The detector's own thresholds. The API used to pass 0.35, 0.5 and a window size of 2,
+    // which the form's "Relaxed scan" still sends (see README)
+    defaultOptions: {
+        minDataPoints: 30,
+        shoulderDepthTolerance: 0.25,  // 25% tolerance for shoulder depth difference
+        breakoutRequired: false,       // Don't require breakout confirmation
+        minConfidence: 0.6,
+        windowSize: null,              // Derived from the data length
+        findAll: true,                 // Return every non-overlapping occurrence
+        ...SWING_DEFAULT_OPTIONS       // Window or ZigZag swing detection
+    },
+    detect: detectInverseHeadAndShoulders,
+    buildPatternLines,
+    buildBreakoutTrigger,
+    detectFailure
+});
+
 module.exports = { 
     detectInverseHeadAndShoulders,
+    buildPatternLines,
+    buildBreakoutTrigger,
+    detectFailure,
     // Export helper functions for testing
     findSignificantPeaks,
     findSignificantTroughs,
@@ -667,6 +611,5 @@ module.exports = {
     calculateNeckline,
     detectBreakout,
     calculatePatternMetrics,
-    validateInverseHeadAndShoulders,
-    analyzeFormingPattern
+    validateInverseHeadAndShoulders
 };
\ No newline at end of file
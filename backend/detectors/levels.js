@@ -0,0 +1,179 @@
+/**
+ * Support and Resistance Levels Module
+ *
+ * This module provides functionality to find horizontal support and resistance zones in financial market data.
+ * Peaks and troughs are collected with several window sizes, so both minor and major turning points contribute,
+ * then clustered by price into zones. Zones are ranked by how often price touched them,
+ * how recently and on how much volume.
+ * Like candlestick signals, levels are served by their own endpoint instead of the detector registry.
+ *
+ * @module detectors/levels
+ * @author KW Technical Team
+ */
+
+const { findScaleSpacePivots, calculateOptimalWindowSize, calculateAverageTrueRange } = require('../utils/patternUtils.js');
+
+/**
+ * Chooses the window sizes used to collect pivots: half, one and two times the optimal window
+ * @param {number} dataLength - Number of candles
+ * @returns {Array<number>} - Distinct window sizes in ascending order
+ */
+function getWindowSizes(dataLength) {
+    const base = calculateOptimalWindowSize(dataLength);
+    return [...new Set([Math.max(2, Math.round(base / 2)), base, base * 2])];
+}
+
+/**
+ * Collects peaks and troughs across several window sizes
+ * @param {Array} candles - Array of OHLC price data
+ * @param {Array<number>} windowSizes - Window sizes to scan with, in ascending order
+ * @returns {Array} - Array of pivots with price, kind and the number of windows that found them
+ */
+function collectPivots(candles, windowSizes) {
+    const { peaks, troughs } = findScaleSpacePivots(candles, windowSizes);
+
+    // A pivot is found by every window up to the largest one it survives at
+    const toPivot = (p, price, kind) => ({
+        index: p.index,
+        date: p.date,
+        price,
+        kind,
+        volume: p.volume,
+        windows: windowSizes.indexOf(p.scale) + 1
+    });
+
+    return [
+        ...peaks.map(p => toPivot(p, p.high, "peak")),
+        ...troughs.map(t => toPivot(t, t.low, "trough"))
+    ];
+}
+
+/**
+ * Clusters pivots whose prices lie within a tolerance of each other into zones
+ * @param {Array} pivots - Array of pivots
+ * @param {number} tolerance - Maximum distance from the zone's average price
+ * @returns {Array<Array>} - Array of pivot clusters
+ */
+function clusterPivots(pivots, tolerance) {
+    const sorted = [...pivots].sort((a, b) => a.price - b.price);
+    const clusters = [];
+    let current = [];
+
+    for (const pivot of sorted) {
+        const mean = current.length ? current.reduce((sum, p) => sum + p.price, 0) / current.length : pivot.price;
+        if (current.length && pivot.price - mean > tolerance) {
+            clusters.push(current);
+            current = [];
+        }
+        current.push(pivot);
+    }
+    if (current.length) clusters.push(current);
+
+    return clusters;
+}
+
+/**
+ * Describes and scores a zone from its cluster of pivots
+ * @param {Array} cluster - Pivots in the zone
+ * @param {Array} candles - Array of OHLC price data
+ * @param {number} averageVolume - Average volume of the dataset
+ * @returns {Object} - Zone description with touch count, recency and volume metrics
+ */
+function describeZone(cluster, candles, averageVolume) {
+    const lastIndex = candles.length - 1;
+    const lastClose = candles[lastIndex].close;
+
+    // Weight each pivot by the number of window sizes that found it
+    const totalWeight = cluster.reduce((sum, p) => sum + p.windows, 0);
+    const level = cluster.reduce((sum, p) => sum + p.price * p.windows, 0) / totalWeight;
+    const touches = new Set(cluster.map(p => p.index)).size;
+    const lastTouch = cluster.reduce((latest, p) => (p.index > latest.index ? p : latest), cluster[0]);
+    const volumeRatio = averageVolume > 0
+        ? cluster.reduce((sum, p) => sum + p.volume, 0) / cluster.length / averageVolume
+        : 1;
+
+    return {
+        level: parseFloat(level.toFixed(2)),
+        low: parseFloat(Math.min(...cluster.map(p => p.price)).toFixed(2)),
+        high: parseFloat(Math.max(...cluster.map(p => p.price)).toFixed(2)),
+        type: level <= lastClose ? "support" : "resistance",
+        touches,
+        peakTouches: cluster.filter(p => p.kind === "peak").length,
+        troughTouches: cluster.filter(p => p.kind === "trough").length,
+        firstTouchDate: cluster.reduce((first, p) => (p.index < first.index ? p : first), cluster[0]).date,
+        lastTouchDate: lastTouch.date,
+        recency: parseFloat((1 - (lastIndex - lastTouch.index) / Math.max(1, lastIndex)).toFixed(2)),
+        volumeRatio: parseFloat(volumeRatio.toFixed(2))
+    };
+}
+
+/**
+ * Ranks zones by touch count, recency and volume
+ * @param {Array} zones - Array of zone descriptions
+ * @returns {Array} - Zones with a strength score, strongest first
+ */
+function rankZones(zones) {
+    const maxTouches = Math.max(...zones.map(z => z.touches));
+
+    return zones
+        .map(zone => {
+            const touchScore = zone.touches / maxTouches;
+            const volumeScore = Math.min(1, zone.volumeRatio / 2);
+            const strength = 0.5 * touchScore + 0.3 * zone.recency + 0.2 * volumeScore;
+            return { ...zone, strength: parseFloat(strength.toFixed(2)) };
+        })
+        .sort((a, b) => b.strength - a.strength);
+}
+
+/**
+ * Finds and ranks support and resistance zones in OHLC price data
+ * @param {Array<Object>} candles - The array of candle objects
+ * @param {Object} options - Configuration options
+ * @returns {Object} - The result with the strongest levels first
+ */
+function findSupportResistanceLevels(candles, options = {}) {
+    console.log('\n===== SUPPORT / RESISTANCE LEVELS STARTED =====');
+
+    const {
+        minTouches = 2,
+        maxLevels = 8,
+        zoneAtrMultiple = 0.5
+    } = options;
+
+    if (!candles || candles.length < 10) {
+        console.log('❌ FAILED: Not enough data');
+        return { success: false, reason: "Not enough data", levels: [] };
+    }
+
+    // 1. Collect pivots at several scales
+    const windowSizes = getWindowSizes(candles.length);
+    const pivots = collectPivots(candles, windowSizes);
+    console.log(`Collected ${pivots.length} pivots using window sizes ${windowSizes.join(', ')}`);
+
+    // 2. Cluster them into zones about half an average true range wide
+    const tolerance = calculateAverageTrueRange(candles) * zoneAtrMultiple;
+    const averageVolume = candles.reduce((sum, c) => sum + c.volume, 0) / candles.length;
+    const zones = clusterPivots(pivots, tolerance)
+        .map(cluster => describeZone(cluster, candles, averageVolume))
+        .filter(zone => zone.touches >= minTouches);
+
+    if (zones.length === 0) {
+        console.log('No zone was touched often enough.');
+        return { success: true, levels: [] };
+    }
+
+    // 3. Rank and keep the strongest
+    const levels = rankZones(zones).slice(0, maxLevels);
+    console.log(`✅ Found ${zones.length} zones, returning the ${levels.length} strongest`);
+    return { success: true, levels };
+}
+
+module.exports = {
+    findSupportResistanceLevels,
+    // Export helper functions for testing
+    getWindowSizes,
+    collectPivots,
+    clusterPivots,
+    describeZone,
+    rankZones
+};
@@ -0,0 +1,249 @@
+/**
+ * Rectangle Pattern Detection Module
+ *
+ * This module provides functionality to detect rectangle (trading range) patterns in financial market data.
+ * A rectangle forms when price repeatedly touches a horizontal resistance band and a horizontal support band.
+ * The breakout direction decides whether it resolves as a continuation or a reversal.
+ *
+ * @module detectors/rectangle
+ * @author KW Technical Team
+ */
+
+const { getNextDay, selectNonOverlappingPatterns, SWING_DEFAULT_OPTIONS } = require('../utils/patternUtils.js');
+const {
+    findPivots,
+    generateCandidateRanges,
+    calculateViolationRatio,
+    detectTrendlineBreakout,
+    describeTrendline,
+    scoreTrendlineFit,
+    buildTrendlineTrigger
+} = require('../utils/trendlineUtils.js');
+const { scoreConfidence, scoreDepth, scoreDuration, scorePriorTrend, scoreBreakout } = require('../utils/confidenceUtils.js');
+const { registerDetector } = require('./registry.js');
+
+/**
+ * Clusters pivot prices into a horizontal band
+ * @param {Array<number>} prices - Pivot prices (peak highs or trough lows)
+ * @param {number} bandTolerance - Maximum band width relative to its level
+ * @returns {Object|null} - Horizontal line at the band level, or null if the pivots are too spread out
+ */
+function clusterBand(prices, bandTolerance = 0.03) {
+    const level = prices.reduce((sum, p) => sum + p, 0) / prices.length;
+    const spread = (Math.max(...prices) - Math.min(...prices)) / level;
+    if (spread > bandTolerance) {
+        return null;
+    }
+
+    // Shaped like a fitted trendline so the shared trendline helpers can use it
+    return {
+        slope: 0,
+        intercept: level,
+        getValue: () => level,
+        meanResidual: prices.reduce((sum, p) => sum + Math.abs(p - level), 0) / prices.length,
+        spread
+    };
+}
+
+/**
+ * Validates a candidate pivot range and builds the rectangle pattern data
+ * @param {Object} candidate - Candidate with peaks, troughs, startIndex and endIndex
+ * @param {Array} candles - Array of OHLC price data
+ * @param {Object} options - Configuration options
+ * @returns {Object|null} - Pattern data if valid, null otherwise
+ */
+function validateRectangle(candidate, candles, options = {}) {
+    const {
+        bandTolerance = 0.03,
+        minRangeHeight = 0.03,
+        maxViolationRatio = 0.1
+    } = options;
+    const { peaks, troughs, startIndex, endIndex } = candidate;
+
+    // 1. Peaks and troughs must each cluster into a horizontal band
+    const resistance = clusterBand(peaks.map(p => p.high), bandTolerance);
+    const support = clusterBand(troughs.map(t => t.low), bandTolerance);
+    if (!resistance || !support) {
+        return null;
+    }
+
+    // 2. The bands must be clearly separated
+    const rangeHeight = resistance.intercept - support.intercept;
+    if (rangeHeight / support.intercept < minRangeHeight) {
+        return null;
+    }
+
+    // 3. Price must stay inside the range
+    const violationRatio = calculateViolationRatio(candles, resistance, support, startIndex, endIndex);
+    if (violationRatio > maxViolationRatio) {
+        return null;
+    }
+
+    // 4. Breakout and measured-move target
+    const breakoutPoint = detectTrendlineBreakout(candles, resistance, support, endIndex);
+    const direction = breakoutPoint ? breakoutPoint.direction : null;
+    let necklineLevel = null;
+    let priceTarget = null;
+    if (breakoutPoint) {
+        necklineLevel = breakoutPoint.trendlineValue;
+        priceTarget = direction === "bullish" ? necklineLevel + rangeHeight : necklineLevel - rangeHeight;
+    }
+
+    // 5. Confidence factors: respect of both bands, range height, length, a prior trend in the breakout
+    //    direction (rectangles usually continue the trend) and the breakout itself
+    const { confidence, confidenceFactors } = scoreConfidence({
+        fit: scoreTrendlineFit(resistance, support, peaks.length + troughs.length, rangeHeight, violationRatio),
+        depth: scoreDepth(candles, startIndex, endIndex, rangeHeight),
+        duration: scoreDuration(startIndex, endIndex),
+        priorTrend: direction ? scorePriorTrend(candles, startIndex, direction) : null,
+        breakout: scoreBreakout(candles, breakoutPoint ? breakoutPoint.index : null, necklineLevel, direction)
+    });
+
+    const endDate = breakoutPoint ? breakoutPoint.date : candles[endIndex].date;
+    const lineEndIndex = breakoutPoint ? breakoutPoint.index : endIndex;
+
+    return {
+        type: "Rectangle",
+        direction,
+        confidence,
+        confidenceFactors,
+        keyPoints: {
+            startPoint: { date: candles[startIndex].date, price: candles[startIndex].close, volume: candles[startIndex].volume },
+            endPoint: { date: candles[endIndex].date, price: candles[endIndex].close, volume: candles[endIndex].volume },
+            breakoutPoint
+        },
+        touches: {
+            resistance: peaks.map(p => ({ date: p.date, price: p.high })),
+            support: troughs.map(t => ({ date: t.date, price: t.low }))
+        },
+        resistanceLine: describeTrendline(resistance, candles, startIndex, lineEndIndex),
+        supportLine: describeTrendline(support, candles, startIndex, lineEndIndex),
+        resistanceLevel: parseFloat(resistance.intercept.toFixed(2)),
+        supportLevel: parseFloat(support.intercept.toFixed(2)),
+        rangeHeight: parseFloat(rangeHeight.toFixed(2)),
+        necklineLevel: necklineLevel !== null ? parseFloat(necklineLevel.toFixed(2)) : null,
+        priceTarget: priceTarget !== null ? parseFloat(priceTarget.toFixed(2)) : null,
+        patternHeight: parseFloat(rangeHeight.toFixed(2)),
+        timespan: Math.round((new Date(endDate) - new Date(candles[startIndex].date)) / (1000 * 60 * 60 * 24))
+    };
+}
+
+/**
+ * Detects rectangle trading ranges in OHLC price data
+ * @param {Array<Object>} candles - The array of candle objects
+ * @param {Object} options - Configuration options
+ * @returns {Object} - The result of the detection
+ */
+function detectRectangle(candles, options = {}) {
+    console.log('\n===== RECTANGLE DETECTION STARTED =====');
+
+    const {
+        minRequiredCandles = 30,
+        windowSize = null,
+        minTouches = 2,
+        findAll = false
+    } = options;
+
+    // 1. Check if we have enough data
+    if (!candles || candles.length < minRequiredCandles) {
+        console.log('❌ FAILED: Not enough data');
+        return { success: false, pattern: "Rectangle", reason: "Not enough data" };
+    }
+    console.log(`Dataset size: ${candles.length} candles`);
+
+    // 2. Find pivots and candidate ranges with enough touches on each band
+    const { peaks, troughs } = findPivots(candles, windowSize, minTouches, options);
+    if (peaks.length < minTouches || troughs.length < minTouches) {
+        console.log('❌ FAILED: Not enough peaks or troughs found');
+        return { success: false, pattern: "Rectangle", reason: "Not enough peaks or troughs found" };
+    }
+    const candidates = generateCandidateRanges(peaks, troughs, minTouches);
+    console.log(`Generated ${candidates.length} candidate pivot ranges to test`);
+
+    // 3. Validate each candidate
+    const validPatterns = [];
+    for (const candidate of candidates) {
+        const patternData = validateRectangle(candidate, candles, options);
+        if (patternData) {
+            validPatterns.push({
+                patternData,
+                startIndex: candidate.startIndex,
+                endIndex: candidate.endIndex,
+                confidence: patternData.confidence
+            });
+        }
+    }
+
+    if (validPatterns.length === 0) {
+        console.log('\nNo valid rectangle found.');
+        return { success: false, pattern: "Rectangle", reason: "No valid pattern found" };
+    }
+
+    // 4. Rank by confidence and drop overlapping ranges
+    const selected = selectNonOverlappingPatterns(validPatterns);
+    console.log(`\n✅ Found ${selected.length} non-overlapping rectangles out of ${validPatterns.length} valid candidates.`);
+
+    const result = { success: true, pattern: "Rectangle", patternData: selected[0].patternData };
+    if (findAll) {
+        result.occurrences = selected.map(c => c.patternData);
+    }
+    return result;
+}
+
+/**
+ * Builds the chart lines (resistance, support and target) for a detected rectangle
+ * @param {Object} patternData - Pattern data returned by the detector
+ * @returns {Array} - Array of pattern line objects
+ */
+function buildPatternLines(patternData) {
+    const { keyPoints, resistanceLine, supportLine, priceTarget, necklineLevel } = patternData;
+
+    const lines = [
+        { type: "resistanceLine", points: [resistanceLine.start, resistanceLine.end], color: "#0000ff", style: "solid" },
+        { type: "supportLine", points: [supportLine.start, supportLine.end], color: "#0000ff", style: "solid" }
+    ];
+
+    if (keyPoints.breakoutPoint && priceTarget !== null) {
+        const { date } = keyPoints.breakoutPoint;
+        lines.push({ type: "targetLine", points: [{ date, price: necklineLevel }, { date: getNextDay(date), price: priceTarget }], color: "#800080", style: "dotted" });
+    }
+
+    return lines;
+}
+
+/**
+ * Builds the breakout trigger of a rectangle: the side of the range nearest to price
+ * @param {Object} patternData - Pattern data returned by the detector
+ * @param {Array} candles - OHLC price data the pattern was detected in
+ * @returns {Object} - Breakout trigger
+ */
+function buildBreakoutTrigger(patternData, candles) {
+    const { keyPoints, resistanceLine, supportLine } = patternData;
+    return buildTrendlineTrigger(resistanceLine, supportLine, keyPoints.breakoutPoint, null, candles);
+}
+
+registerDetector({
+    id: 'rectangle',
+    name: 'Rectangle',
+    defaultOptions: {
+        minRequiredCandles: 30,
+        minTouches: 2,
+        bandTolerance: 0.03,
+        minRangeHeight: 0.03,
+        maxViolationRatio: 0.1,
+        findAll: true,
+        ...SWING_DEFAULT_OPTIONS
+    },
+    detect: detectRectangle,
+    buildPatternLines,
+    buildBreakoutTrigger
+});
+
+module.exports = {
+    detectRectangle,
+    buildPatternLines,
+    buildBreakoutTrigger,
+    // Export helper functions for testing
+    clusterBand,
+    validateRectangle
+};
@@ -0,0 +1,679 @@
+/**
+ * Detector Registry Module
+ *
+ * This module keeps track of every pattern detector available to the API.
+ * Each detector module registers its id, display name, default options and
+ * geometry builders, so the API routes can be driven entirely from the registry.
+ *
+ * @module detectors/registry
+ * @author KW Technical Team
+ */
+
+const { SWING_METHODS, getScaleLadder, findScaleSpacePivots, addTradingDays, getStructuralKeyPoints, getBreakoutPoint } = require('../utils/patternUtils.js');
+const { analyzePatternVolume } = require('../utils/volumeUtils.js');
+const { addConfidenceFactors } = require('../utils/confidenceUtils.js');
+const { buildTradePlan, STOP_METHODS } = require('../utils/tradePlanUtils.js');
+
+const detectors = new Map();
+
+/**
+ * Allowed values of string options
+ */
+const OPTION_CHOICES = {
+    swingMethod: SWING_METHODS,
+    stopMethod: STOP_METHODS
+};
+
+/**
+ * Bounds of numeric options that only make sense positive: the value must be above `min`,
+ * at most `max` when set, and a whole number when `integer` is set
+ */
+const OPTION_BOUNDS = {
+    accountSize: { min: 0 },
+    riskPercent: { min: 0, max: 100 },
+    windowSize: { min: 0, integer: true },
+    zigzagPercent: { min: 0 }
+};
+
+/**
+ * Checks a numeric option value against its bounds
+ * @param {string} key - Option name
+ * @param {number} value - Parsed option value
+ * @returns {boolean} - True if the value is a number within the option's bounds
+ */
+function isValidNumber(key, value) {
+    if (Number.isNaN(value)) {
+        return false;
+    }
+    const bounds = OPTION_BOUNDS[key];
+    if (!bounds) {
+        return true;
+    }
+    return value > bounds.min &&
+        (bounds.max === undefined || value <= bounds.max) &&
+        (!bounds.integer || Number.isInteger(value));
+}
+
+/**
+ * Options every detector accepts on top of its own defaults.
+ * `forming` restricts the results to patterns still waiting for their breakout;
+ * detectors that normally require a breakout accept patterns without one in this mode.
+ * `stopMethod`, `accountSize` and `riskPercent` shape the trade plan of forming and confirmed patterns.
+ */
+const COMMON_OPTIONS = {
+    forming: false,
+    stopMethod: 'structure',
+    accountSize: 10000,
+    riskPercent: 1
+};
+
+/**
+ * Number of trading days the neckline of a forming pattern is projected past the last candle
+ */
+const NECKLINE_PROJECTION_DAYS = 20;
+
+/**
+ * Lifecycle states of a detected pattern, in the order they are usually reached
+ */
+const LIFECYCLE_STATUSES = ['forming', 'confirmed', 'target-reached', 'invalidated', 'expired'];
+
+/**
+ * A pattern expires when it goes this many times its own length without resolving:
+ * without a breakout after its last key point, or without reaching its target after the breakout
+ */
+const LIFECYCLE_EXPIRY_RATIO = 1;
+
+/**
+ * Shading of the post-breakout path by lifecycle state
+ */
+const LIFECYCLE_ZONE_COLORS = {
+    'confirmed': "rgba(33, 150, 243, 0.12)",
+    'target-reached': "rgba(38, 166, 154, 0.15)",
+    'invalidated': "rgba(239, 83, 80, 0.15)",
+    'expired': "rgba(158, 158, 158, 0.15)"
+};
+
+/**
+ * Colors of the retest marker: held, failed, and held with the retest entry still available
+ */
+const RETEST_MARKER_COLORS = {
+    held: "#26a69a",
+    failed: "#ef5350",
+    entry: "#2196f3"
+};
+
+/**
+ * Registers a pattern detector
+ * @param {Object} definition - Detector definition
+ * @param {string} definition.id - Unique identifier used as `patternType` in the API (e.g. "double-top")
+ * @param {string} definition.name - Human readable pattern name
+ * @param {Object} definition.defaultOptions - Default detection options, also exposed as tunable options
+ * @param {Function} definition.detect - Function (candles, options) returning the raw detection result
+ * @param {Function} definition.buildPatternLines - Function (patternData, candles) returning chart lines
+ * @param {Function} [definition.buildPatternZones] - Function (patternData, candles) returning shaded chart zones
+ * @param {Function} [definition.buildPatternMarkers] - Function (patternData, candles) returning labelled chart markers
+ * @param {Function} [definition.buildBreakoutTrigger] - Function (patternData, candles) returning
+ *   `{ breakoutDate, direction, line: [point, point], invalidationLevel }`: the date of the breakout (null if it
+ *   has not happened), the neckline or trendline whose crossing triggers it and the price that invalidates the pattern
+ * @param {Function} [definition.detectFailure] - Function (patternData, candles) returning the failed-pattern signal,
+ *   or null if the pattern held after its breakout. Runs after the lifecycle, so `patternData.breakoutDate` is set
+ * @returns {Object} - The registered detector definition
+ */
+function registerDetector(definition) {
+    const {
+        id,
+        name,
+        detect,
+        buildPatternLines,
+        buildPatternZones = () => [],
+        buildPatternMarkers = () => [],
+        buildBreakoutTrigger = () => null,
+        detectFailure = () => null,
+        defaultOptions = {}
+    } = definition;
+
+    if (!id || !name || typeof detect !== 'function' || typeof buildPatternLines !== 'function') {
+        throw new Error(`Invalid detector definition: ${id || 'missing id'}`);
+    }
+    if (detectors.has(id)) {
+        throw new Error(`Detector already registered: ${id}`);
+    }
+
+    const detector = {
+        id,
+        name,
+        defaultOptions: { ...defaultOptions, ...COMMON_OPTIONS },
+        detect,
+        buildPatternLines,
+        buildPatternZones,
+        buildPatternMarkers,
+        buildBreakoutTrigger,
+        detectFailure
+    };
+    detectors.set(id, detector);
+    return detector;
+}
+
+/**
+ * Looks up a registered detector by id
+ * @param {string} id - Detector identifier
+ * @returns {Object|null} - The detector definition or null if not registered
+ */
+function getDetector(id) {
+    return detectors.get(id) || null;
+}
+
+/**
+ * Lists all registered detectors with their tunable options
+ * @returns {Array<Object>} - Array of { id, name, options } descriptors
+ */
+function listDetectors() {
+    return Array.from(detectors.values()).map(({ id, name, defaultOptions }) => ({
+        id,
+        name,
+        options: { ...defaultOptions }
+    }));
+}
+
+/**
+ * Checks if a detection result reports a found pattern.
+ * Detectors historically use either `detected` or `success` as the flag.
+ * @param {Object} result - Raw detection result
+ * @returns {boolean} - True if a pattern was found
+ */
+function isDetected(result) {
+    return Boolean(result && (result.success || result.detected) && result.patternData);
+}
+
+/**
+ * Returns every pattern occurrence contained in a detection result.
+ * Detectors running in `findAll` mode return an `occurrences` array ranked by
+ * confidence; otherwise the single `patternData` is the only occurrence.
+ * @param {Object} result - Raw detection result
+ * @returns {Array<Object>} - Array of pattern data objects
+ */
+function getOccurrences(result) {
+    if (!isDetected(result)) {
+        return [];
+    }
+    return result.occurrences && result.occurrences.length > 0 ? result.occurrences : [result.patternData];
+}
+
+/**
+ * Merges a detector's default options with overrides taken from a query string or a JSON body.
+ * Only keys present in the defaults are accepted; values are coerced to the
+ * type of the default value (booleans from true or "true", strings as given and
+ * checked against OPTION_CHOICES, everything else numeric and checked against OPTION_BOUNDS).
+ * @param {Object} detector - Detector definition
+ * @param {Object} query - Raw query parameters or JSON options
+ * @returns {Object} - Resolved detection options
+ */
+function resolveOptions(detector, query = {}) {
+    const options = { ...detector.defaultOptions };
+
+    for (const [key, defaultValue] of Object.entries(detector.defaultOptions)) {
+        if (query[key] === undefined || query[key] === '') {
+            continue;
+        }
+
+        if (typeof defaultValue === 'boolean') {
+            options[key] = query[key] === true || query[key] === 'true';
+        } else if (typeof defaultValue === 'string') {
+            const choices = OPTION_CHOICES[key];
+            if (choices && !choices.includes(query[key])) {
+                throw new Error(`Invalid value for option ${key}: ${query[key]}`);
+            }
+            options[key] = query[key];
+        } else {
+            const value = Number(query[key]);
+            if (!isValidNumber(key, value)) {
+                throw new Error(`Invalid value for option ${key}: ${query[key]}`);
+            }
+            options[key] = value;
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Returns the candle index range covered by a pattern, from the dates of its key points
+ * @param {Object} patternData - Pattern data returned by a detector
+ * @param {Map<string, number>} indexByDate - Candle index of every date
+ * @returns {{startIndex: number, endIndex: number}|null} - The range, or null if no key point matches a candle
+ */
+function getPatternRange(patternData, indexByDate) {
+    const indices = Object.values(patternData.keyPoints || {})
+        .filter(point => point && indexByDate.has(point.date))
+        .map(point => indexByDate.get(point.date));
+
+    if (indices.length === 0) {
+        return null;
+    }
+    return { startIndex: Math.min(...indices), endIndex: Math.max(...indices) };
+}
+
+/**
+ * Splits the data into overlapping slices sized to a scale, so that a detector run at a small
+ * window size is not crowded out by a larger pattern elsewhere in the data
+ * @param {number} dataLength - Number of candles
+ * @param {number} sliceLength - Candles per slice
+ * @returns {Array<{start: number, end: number}>} - Slice bounds (end exclusive), the last one aligned with the data end
+ */
+function getScaleSlices(dataLength, sliceLength) {
+    if (sliceLength >= dataLength) {
+        return [{ start: 0, end: dataLength }];
+    }
+
+    const step = Math.max(1, Math.floor(sliceLength / 2));
+    const slices = [];
+    for (let start = 0; start + sliceLength < dataLength; start += step) {
+        slices.push({ start, end: start + sliceLength });
+    }
+    slices.push({ start: dataLength - sliceLength, end: dataLength });
+    return slices;
+}
+
+/**
+ * Moves the candle positions in pattern data found in a slice of the candles by the slice start,
+ * so they point into the full series: every numeric `index` or `...Index` field, and the intercept
+ * of every `{ slope, intercept }` line, which is measured from the first candle
+ * @param {*} value - Pattern data, or any value nested in it
+ * @param {number} offset - Index of the slice's first candle in the full series
+ * @returns {*} - A copy of the value with its positions moved
+ */
+function offsetIndices(value, offset) {
+    if (Array.isArray(value)) {
+        return value.map(item => offsetIndices(item, offset));
+    }
+    if (!value || typeof value !== 'object' || offset === 0) {
+        return value;
+    }
+
+    const moved = {};
+    for (const [key, item] of Object.entries(value)) {
+        const isIndex = key === 'index' || key.endsWith('Index');
+        moved[key] = isIndex && typeof item === 'number' ? item + offset : offsetIndices(item, offset);
+    }
+    if (typeof moved.slope === 'number' && typeof moved.intercept === 'number') {
+        moved.intercept = parseFloat((moved.intercept - moved.slope * offset).toFixed(2));
+    }
+    return moved;
+}
+
+/**
+ * Runs a detector at every window size of the scale ladder and merges the occurrences.
+ * At each scale the detector scans overlapping slices about `sliceScales` windows long, and each
+ * occurrence is tagged with the window size (`scale`) it was found at. The same pattern found at
+ * several scales is kept once, at the largest scale, so a short pattern nested inside a long one
+ * is reported next to it while repeats are not.
+ * @param {Object} detector - Detector definition
+ * @param {Array<Object>} candles - The array of candle objects
+ * @param {Object} options - Resolved detection options
+ * @param {number} sliceScales - Slice length as a multiple of the window size
+ * @param {number} duplicateOverlap - Minimum overlap of two ranges, relative to their union, to count as the same pattern
+ * @returns {Object} - Detection result in the same shape as a `findAll` run
+ */
+function detectAcrossScales(detector, candles, options = {}, sliceScales = 20, duplicateOverlap = 0.8) {
+    const ladder = getScaleLadder(candles.length);
+    const pivots = findScaleSpacePivots(candles, ladder);
+    const indexByDate = new Map(candles.map((c, i) => [c.date, i]));
+
+    // Only climb while enough pivots survive to form a pattern
+    const scales = ladder.filter(scale =>
+        pivots.peaks.filter(p => p.scale >= scale).length >= 2 &&
+        pivots.troughs.filter(t => t.scale >= scale).length >= 2
+    );
+
+    const found = [];
+    for (const scale of scales) {
+        const sliceLength = Math.max(options.minRequiredCandles || 0, scale * sliceScales);
+
+        for (const { start, end } of getScaleSlices(candles.length, sliceLength)) {
+            const result = detector.detect(candles.slice(start, end), { ...options, windowSize: scale, findAll: true });
+            for (const occurrence of getOccurrences(result)) {
+                const patternData = offsetIndices(occurrence, start);
+                const range = getPatternRange(patternData, indexByDate);
+                if (range) {
+                    found.push({ patternData: { ...patternData, scale }, ...range });
+                }
+            }
+        }
+    }
+
+    // Largest scale and highest confidence first. Drop repeats of the same pattern at smaller scales
+    // or in overlapping slices, and anything overlapping an occurrence already kept at the same scale.
+    const ranked = found.sort((a, b) =>
+        b.patternData.scale - a.patternData.scale || (b.patternData.confidence || 0) - (a.patternData.confidence || 0)
+    );
+    const selected = [];
+    for (const candidate of ranked) {
+        const isDuplicate = selected.some(s => {
+            const overlap = Math.min(s.endIndex, candidate.endIndex) - Math.max(s.startIndex, candidate.startIndex);
+            if (overlap < 0) return false;
+            if (s.patternData.scale === candidate.patternData.scale) return true;
+
+            const union = Math.max(s.endIndex, candidate.endIndex) - Math.min(s.startIndex, candidate.startIndex);
+            return s.patternData.type === candidate.patternData.type && overlap / Math.max(1, union) >= duplicateOverlap;
+        });
+        if (!isDuplicate) {
+            selected.push(candidate);
+        }
+    }
+
+    if (selected.length === 0) {
+        return { success: false, pattern: detector.name, reason: "No valid pattern found at any scale" };
+    }
+
+    const occurrences = selected
+        .map(s => s.patternData)
+        .sort((a, b) => (b.confidence || 0) - (a.confidence || 0));
+    return { success: true, pattern: detector.name, patternData: occurrences[0], occurrences };
+}
+
+/**
+ * Attaches a volume analysis to every occurrence of a detection result and adds
+ * its score to the occurrence's confidence factors, re-ranking the occurrences.
+ * @param {Object} result - Raw detection result
+ * @param {Array<Object>} candles - The array of candle objects
+ * @returns {Object} - The detection result with volume-confirmed occurrences
+ */
+function applyVolumeConfirmation(result, candles) {
+    if (!isDetected(result)) {
+        return result;
+    }
+
+    const occurrences = getOccurrences(result)
+        .map(patternData => {
+            const volume = analyzePatternVolume(candles, patternData);
+            if (!volume || !patternData.confidenceFactors) {
+                return { ...patternData, volume };
+            }
+            return { ...patternData, ...addConfidenceFactors(patternData.confidenceFactors, { volume: volume.score }), volume };
+        })
+        .sort((a, b) => (b.confidence || 0) - (a.confidence || 0));
+
+    return { ...result, patternData: occurrences[0], occurrences };
+}
+
+/**
+ * Describes a pattern still waiting for its breakout: the trigger line projected past the last candle,
+ * the price that triggers the breakout on the last candle and how far price is from it
+ * @param {Object} trigger - Breakout trigger returned by the detector's buildBreakoutTrigger
+ * @param {Array<Object>} candles - The array of candle objects
+ * @param {number} projectionDays - Number of trading days to project the trigger line
+ * @returns {Object} - Forming status, trigger price, distance to trigger in % and the projected neckline
+ */
+function describeFormation(trigger, candles, projectionDays = NECKLINE_PROJECTION_DAYS) {
+    const indexByDate = new Map(candles.map((c, i) => [c.date, i]));
+    const [from, to] = trigger.line;
+    const fromIndex = indexByDate.get(from.date);
+    const toIndex = indexByDate.get(to.date);
+    const slope = toIndex > fromIndex ? (to.price - from.price) / (toIndex - fromIndex) : 0;
+    const valueAt = (index) => from.price + slope * (index - fromIndex);
+
+    const lastIndex = candles.length - 1;
+    const last = candles[lastIndex];
+    const triggerPrice = valueAt(lastIndex);
+    const distance = trigger.direction === 'bullish' ? triggerPrice - last.close : last.close - triggerPrice;
+
+    return {
+        status: 'forming',
+        breakoutDirection: trigger.direction,
+        triggerPrice: parseFloat(triggerPrice.toFixed(2)),
+        distanceToTrigger: parseFloat(((distance / last.close) * 100).toFixed(2)),
+        projectedNeckline: [
+            { date: from.date, price: parseFloat(from.price.toFixed(2)) },
+            { date: last.date, price: parseFloat(triggerPrice.toFixed(2)) },
+            { date: addTradingDays(last.date, projectionDays), price: parseFloat(valueAt(lastIndex + projectionDays).toFixed(2)) }
+        ]
+    };
+}
+
+/**
+ * Follows a pattern through the candles after it and returns the state it ended up in.
+ * Before the breakout the pattern is invalidated when price trades beyond the invalidation level
+ * and expires once it has lasted its own length again without breaking out. After the breakout
+ * it is invalidated the same way, reaches its target, or expires without reaching the target.
+ * @param {Object} trigger - Breakout trigger returned by the detector's buildBreakoutTrigger
+ * @param {Object} patternData - Pattern data returned by the detector
+ * @param {Array<Object>} candles - The array of candle objects
+ * @returns {Object|null} - Lifecycle status, the date it was reached and the breakout date, null without dated key points
+ */
+function trackLifecycle(trigger, patternData, candles) {
+    const keyPoints = getStructuralKeyPoints(candles, patternData);
+    if (keyPoints.length === 0) {
+        return null;
+    }
+
+    const indexByDate = new Map(candles.map((c, i) => [c.date, i]));
+    const startIndex = keyPoints[0].index;
+    const endIndex = keyPoints[keyPoints.length - 1].index;
+    const expiryBars = Math.max(1, Math.round((endIndex - startIndex) * LIFECYCLE_EXPIRY_RATIO));
+    const bullish = trigger.direction === 'bullish';
+    const { invalidationLevel } = trigger;
+    const { priceTarget } = patternData;
+
+    const isInvalidated = (c) => invalidationLevel !== null && invalidationLevel !== undefined &&
+        (bullish ? c.low < invalidationLevel : c.high > invalidationLevel);
+    const reachesTarget = (c) => priceTarget !== null && priceTarget !== undefined &&
+        (bullish ? c.high >= priceTarget : c.low <= priceTarget);
+
+    const breakoutIndex = trigger.breakoutDate && indexByDate.has(trigger.breakoutDate)
+        ? indexByDate.get(trigger.breakoutDate)
+        : null;
+    const fromIndex = breakoutIndex !== null ? breakoutIndex : endIndex;
+    const breakoutDate = breakoutIndex !== null ? trigger.breakoutDate : null;
+
+    for (let i = fromIndex + 1; i < candles.length; i++) {
+        const candle = candles[i];
+        if (isInvalidated(candle)) {
+            return { status: 'invalidated', statusDate: candle.date, breakoutDate };
+        }
+        if (breakoutIndex !== null && reachesTarget(candle)) {
+            return { status: 'target-reached', statusDate: candle.date, breakoutDate };
+        }
+        if (i - fromIndex >= expiryBars) {
+            return { status: 'expired', statusDate: candle.date, breakoutDate };
+        }
+    }
+
+    return { status: breakoutIndex !== null ? 'confirmed' : 'forming', statusDate: null, breakoutDate };
+}
+
+/**
+ * Describes the retest of a pattern's broken neckline or trendline, found by the detector's breakout logic.
+ * The retest entry is only available while the pattern is still confirmed, not once it reached its target,
+ * was invalidated or expired.
+ * @param {Object} patternData - Pattern data with its lifecycle state
+ * @returns {Object|null} - The retest, null for patterns without a breakout or without retest detection
+ */
+function describeRetest(patternData) {
+    const breakout = getBreakoutPoint(patternData);
+    if (!breakout || !breakout.retest) {
+        return null;
+    }
+    const { index, ...retest } = breakout.retest;
+    return { ...retest, entryAvailable: retest.entryAvailable && patternData.status === 'confirmed' };
+}
+
+/**
+ * Attaches a lifecycle state to every occurrence: forming, confirmed, target-reached, invalidated or expired.
+ * Forming occurrences also describe their breakout trigger. In forming mode only the forming occurrences are kept.
+ * @param {Object} detector - Detector definition
+ * @param {Object} result - Raw detection result
+ * @param {Array<Object>} candles - The array of candle objects
+ * @param {boolean} formingOnly - Whether to keep only forming occurrences
+ * @returns {Object} - The detection result with a lifecycle state on every occurrence
+ */
+function applyLifecycle(detector, result, candles, formingOnly = false) {
+    if (!isDetected(result)) {
+        return result;
+    }
+
+    const occurrences = getOccurrences(result)
+        .map(patternData => {
+            const trigger = detector.buildBreakoutTrigger(patternData, candles);
+            const lifecycle = trigger ? trackLifecycle(trigger, patternData, candles) : null;
+            if (!lifecycle) {
+                return patternData;
+            }
+            if (lifecycle.status === 'forming') {
+                return { ...patternData, ...lifecycle, ...describeFormation(trigger, candles) };
+            }
+            const tracked = { ...patternData, ...lifecycle };
+            return { ...tracked, retest: describeRetest(tracked) };
+        })
+        .filter(patternData => !formingOnly || patternData.status === 'forming');
+
+    if (occurrences.length === 0) {
+        return { success: false, pattern: detector.name, reason: "No forming pattern found" };
+    }
+    return { ...result, patternData: occurrences[0], occurrences };
+}
+
+/**
+ * Attaches a failed-pattern signal to every occurrence that broke out and then closed back beyond its failure level
+ * @param {Object} detector - Detector definition
+ * @param {Object} result - Detection result with lifecycle states
+ * @param {Array<Object>} candles - The array of candle objects
+ * @returns {Object} - The detection result with `failedPattern` on every failed occurrence
+ */
+function applyFailureSignals(detector, result, candles) {
+    if (!isDetected(result)) {
+        return result;
+    }
+
+    const occurrences = getOccurrences(result).map(patternData => {
+        const failure = detector.detectFailure(patternData, candles);
+        return failure ? { ...patternData, failedPattern: { pattern: `Failed ${detector.name}`, ...failure } } : patternData;
+    });
+    return { ...result, patternData: occurrences[0], occurrences };
+}
+
+/**
+ * Attaches a trade plan (entry, stop-loss, targets, reward/risk and position size) to every
+ * forming or confirmed occurrence that has not failed
+ * @param {Object} detector - Detector definition
+ * @param {Object} result - Detection result with lifecycle states
+ * @param {Array<Object>} candles - The array of candle objects
+ * @param {Object} options - Resolved detection options with the trade plan settings
+ * @returns {Object} - The detection result with a trade plan on every actionable occurrence
+ */
+function applyTradePlans(detector, result, candles, options = {}) {
+    if (!isDetected(result)) {
+        return result;
+    }
+
+    const occurrences = getOccurrences(result).map(patternData => {
+        if (patternData.failedPattern) {
+            return patternData;
+        }
+        const trigger = detector.buildBreakoutTrigger(patternData, candles);
+        const tradePlan = trigger ? buildTradePlan(trigger, patternData, candles, options) : null;
+        return tradePlan ? { ...patternData, tradePlan } : patternData;
+    });
+    return { ...result, patternData: occurrences[0], occurrences };
+}
+
+/**
+ * Shades the price path from the breakout to the date the pattern's lifecycle state was reached,
+ * or to the last candle while it is still running, colored by the state
+ * @param {Object} patternData - Pattern data with its lifecycle state
+ * @param {Array<Object>} candles - The array of candle objects
+ * @returns {Array} - Array of zone objects (empty before the breakout)
+ */
+function buildLifecycleZones(patternData, candles) {
+    const color = LIFECYCLE_ZONE_COLORS[patternData.status];
+    const startIndex = candles.findIndex(c => c.date === patternData.breakoutDate);
+    if (!color || startIndex === -1) {
+        return [];
+    }
+
+    const statusIndex = patternData.statusDate ? candles.findIndex(c => c.date === patternData.statusDate) : -1;
+    const path = candles.slice(startIndex, statusIndex !== -1 ? statusIndex + 1 : candles.length);
+    return [{
+        type: "lifecycle",
+        startDate: path[0].date,
+        endDate: path[path.length - 1].date,
+        top: Math.max(...path.map(c => c.high)),
+        bottom: Math.min(...path.map(c => c.low)),
+        color
+    }];
+}
+
+/**
+ * Builds the projected neckline of a forming pattern, drawn past the last candle
+ * @param {Object} patternData - Pattern data with its status
+ * @returns {Array} - Array of pattern line objects (empty unless the pattern is forming)
+ */
+function buildFormationLines(patternData) {
+    if (patternData.status !== 'forming' || !patternData.projectedNeckline) {
+        return [];
+    }
+    return [{ type: "projectedNeckline", points: patternData.projectedNeckline, color: "#ff9800", style: "dashed" }];
+}
+
+/**
+ * Builds the marker of a breakout retest on the retest candle, below the bar after a bullish breakout
+ * and above it after a bearish one
+ * @param {Object} patternData - Pattern data with its retest
+ * @returns {Array} - Array of marker objects (empty without a retest)
+ */
+function buildRetestMarkers(patternData) {
+    const { retest } = patternData;
+    if (!retest || !retest.occurred) {
+        return [];
+    }
+
+    let label = retest.held ? "Retest held" : "Retest failed";
+    let color = retest.held ? RETEST_MARKER_COLORS.held : RETEST_MARKER_COLORS.failed;
+    if (retest.entryAvailable) {
+        label = "Retest entry";
+        color = RETEST_MARKER_COLORS.entry;
+    }
+    return [{ date: retest.date, label, position: retest.direction === 'bullish' ? 'belowBar' : 'aboveBar', color }];
+}
+
+/**
+ * Runs a detector with resolved options, searching every scale when `multiScale` is set.
+ * Scale-space detection varies the window size, so it does not apply to ZigZag swings.
+ * Every occurrence is then checked for volume confirmation, followed through its lifecycle, checked
+ * for a failure after its breakout and, while still actionable, given a trade plan.
+ * @param {Object} detector - Detector definition
+ * @param {Array<Object>} candles - The array of candle objects
+ * @param {Object} options - Resolved detection options
+ * @returns {Object} - The detection result
+ */
+function runDetector(detector, candles, options = {}) {
+    const result = options.multiScale && options.swingMethod !== 'zigzag'
+        ? detectAcrossScales(detector, candles, options)
+        : detector.detect(candles, options);
+    const tracked = applyLifecycle(detector, applyVolumeConfirmation(result, candles), candles, options.forming);
+    return applyTradePlans(detector, applyFailureSignals(detector, tracked, candles), candles, options);
+}
+
+module.exports = {
+    registerDetector,
+    getDetector,
+    listDetectors,
+    isDetected,
+    getOccurrences,
+    resolveOptions,
+    runDetector,
+    applyVolumeConfirmation,
+    applyLifecycle,
+    trackLifecycle,
+    applyFailureSignals,
+    applyTradePlans,
+    describeFormation,
+    buildFormationLines,
+    buildLifecycleZones,
+    describeRetest,
+    buildRetestMarkers,
+    LIFECYCLE_STATUSES,
+    detectAcrossScales,
+    getScaleSlices,
+    getPatternRange,
+    offsetIndices
+};
@@ -0,0 +1,267 @@
+/**
+ * Triangle Pattern Detection Module
+ *
+ * This module provides functionality to detect triangle patterns in financial market data.
+ * A triangle forms when price oscillates between two converging trendlines drawn through
+ * successive peaks and troughs. Depending on the trendline slopes it is classified as:
+ * - Ascending (flat resistance, rising support) - usually bullish
+ * - Descending (falling resistance, flat support) - usually bearish
+ * - Symmetrical (falling resistance, rising support) - breaks in either direction
+ *
+ * @module detectors/triangle
+ * @author KW Technical Team
+ */
+
+const { getNextDay, selectNonOverlappingPatterns, getDateAtIndex, SWING_DEFAULT_OPTIONS } = require('../utils/patternUtils.js');
+const {
+    findPivots,
+    generateCandidateRanges,
+    fitTrendlines,
+    checkConvergence,
+    calculateViolationRatio,
+    detectTrendlineBreakout,
+    describeTrendline,
+    scoreTrendlineFit,
+    averageClose,
+    buildTrendlineTrigger
+} = require('../utils/trendlineUtils.js');
+const { scoreConfidence, scoreDepth, scoreDuration, scorePriorTrend, scoreBreakout } = require('../utils/confidenceUtils.js');
+const { registerDetector } = require('./registry.js');
+
+/**
+ * Classifies a pair of trendlines as an ascending, descending or symmetrical triangle
+ * @param {Object} upper - Upper trendline
+ * @param {Object} lower - Lower trendline
+ * @param {number} length - Pattern length in candles
+ * @param {number} avgPrice - Average price over the pattern
+ * @param {number} flatTolerance - Maximum relative move across the pattern for a line to count as flat
+ * @returns {string|null} - "ascending", "descending", "symmetrical" or null if not a triangle
+ */
+function classifyTriangle(upper, lower, length, avgPrice, flatTolerance = 0.03) {
+    const upperMove = (upper.slope * length) / avgPrice;
+    const lowerMove = (lower.slope * length) / avgPrice;
+    const upperFlat = Math.abs(upperMove) <= flatTolerance;
+    const lowerFlat = Math.abs(lowerMove) <= flatTolerance;
+
+    if (upperFlat && lowerMove > flatTolerance) return "ascending";
+    if (lowerFlat && upperMove < -flatTolerance) return "descending";
+    if (upperMove < -flatTolerance && lowerMove > flatTolerance) return "symmetrical";
+
+    // Both lines flat is a rectangle, both moving the same way is a wedge or channel
+    return null;
+}
+
+/**
+ * Validates a candidate pivot range and builds the triangle pattern data
+ * @param {Object} candidate - Candidate with peaks, troughs, startIndex and endIndex
+ * @param {Array} candles - Array of OHLC price data
+ * @param {Object} options - Configuration options
+ * @returns {Object|null} - Pattern data if valid, null otherwise
+ */
+function validateTriangle(candidate, candles, options = {}) {
+    const {
+        flatTolerance = 0.03,
+        minConvergence = 0.3,
+        maxViolationRatio = 0.1
+    } = options;
+    const { peaks, troughs, startIndex, endIndex } = candidate;
+
+    // 1. Fit trendlines through peaks and troughs
+    const { upper, lower } = fitTrendlines(peaks, troughs);
+
+    // 2. Check the lines converge ahead of the last pivot
+    const convergence = checkConvergence(upper, lower, startIndex, endIndex, minConvergence);
+    if (!convergence.isValid) {
+        return null;
+    }
+
+    // 3. Classify from the slopes
+    const avgPrice = averageClose(candles, startIndex, endIndex);
+    const triangleType = classifyTriangle(upper, lower, endIndex - startIndex, avgPrice, flatTolerance);
+    if (!triangleType) {
+        return null;
+    }
+
+    // 4. Price must respect the trendlines inside the pattern
+    const violationRatio = calculateViolationRatio(candles, upper, lower, startIndex, endIndex);
+    if (violationRatio > maxViolationRatio) {
+        return null;
+    }
+
+    // 5. Breakout and measured-move target (height of the pattern at its widest point)
+    const breakoutPoint = detectTrendlineBreakout(candles, upper, lower, endIndex, convergence.apexIndex);
+    const patternHeight = convergence.startWidth;
+    const expectedDirection = triangleType === "ascending" ? "bullish" : triangleType === "descending" ? "bearish" : null;
+    const direction = breakoutPoint ? breakoutPoint.direction : expectedDirection;
+
+    let necklineLevel = null;
+    let priceTarget = null;
+    if (breakoutPoint) {
+        necklineLevel = breakoutPoint.trendlineValue;
+    } else if (direction) {
+        necklineLevel = direction === "bullish" ? upper.getValue(endIndex) : lower.getValue(endIndex);
+    }
+    if (necklineLevel !== null) {
+        priceTarget = direction === "bullish" ? necklineLevel + patternHeight : necklineLevel - patternHeight;
+    }
+
+    // 6. Confidence factors: trendline fit and touches, height, length, a prior trend in the breakout direction
+    //    (triangles usually continue the trend) and the breakout itself
+    const { confidence, confidenceFactors } = scoreConfidence({
+        fit: scoreTrendlineFit(upper, lower, peaks.length + troughs.length, patternHeight, violationRatio),
+        depth: scoreDepth(candles, startIndex, endIndex, patternHeight),
+        duration: scoreDuration(startIndex, endIndex),
+        priorTrend: direction ? scorePriorTrend(candles, startIndex, direction) : null,
+        breakout: scoreBreakout(candles, breakoutPoint ? breakoutPoint.index : null, necklineLevel, direction)
+    });
+
+    const endDate = breakoutPoint ? breakoutPoint.date : candles[endIndex].date;
+    const lineEndIndex = breakoutPoint ? breakoutPoint.index : endIndex;
+    const name = `${triangleType.charAt(0).toUpperCase()}${triangleType.slice(1)} Triangle`;
+
+    return {
+        type: name,
+        triangleType,
+        direction,
+        confidence,
+        confidenceFactors,
+        keyPoints: {
+            startPoint: { date: candles[startIndex].date, price: candles[startIndex].close, volume: candles[startIndex].volume },
+            endPoint: { date: candles[endIndex].date, price: candles[endIndex].close, volume: candles[endIndex].volume },
+            apex: { date: getDateAtIndex(candles, convergence.apexIndex), price: parseFloat(convergence.apexPrice.toFixed(2)) },
+            breakoutPoint
+        },
+        touches: {
+            upper: peaks.map(p => ({ date: p.date, price: p.high })),
+            lower: troughs.map(t => ({ date: t.date, price: t.low }))
+        },
+        upperTrendline: describeTrendline(upper, candles, startIndex, lineEndIndex),
+        lowerTrendline: describeTrendline(lower, candles, startIndex, lineEndIndex),
+        necklineLevel: necklineLevel !== null ? parseFloat(necklineLevel.toFixed(2)) : null,
+        priceTarget: priceTarget !== null ? parseFloat(priceTarget.toFixed(2)) : null,
+        patternHeight: parseFloat(patternHeight.toFixed(2)),
+        convergence: parseFloat(convergence.convergence.toFixed(2)),
+        timespan: Math.round((new Date(endDate) - new Date(candles[startIndex].date)) / (1000 * 60 * 60 * 24))
+    };
+}
+
+/**
+ * Detects ascending, descending and symmetrical triangles in OHLC price data
+ * @param {Array<Object>} candles - The array of candle objects
+ * @param {Object} options - Configuration options
+ * @returns {Object} - The result of the detection
+ */
+function detectTriangle(candles, options = {}) {
+    console.log('\n===== TRIANGLE DETECTION STARTED =====');
+
+    const {
+        minRequiredCandles = 30,
+        windowSize = null,
+        minTouches = 2,
+        findAll = false
+    } = options;
+
+    // 1. Check if we have enough data
+    if (!candles || candles.length < minRequiredCandles) {
+        console.log('❌ FAILED: Not enough data');
+        return { success: false, pattern: "Triangle", reason: "Not enough data" };
+    }
+    console.log(`Dataset size: ${candles.length} candles`);
+
+    // 2. Find pivots and candidate ranges
+    const { peaks, troughs } = findPivots(candles, windowSize, minTouches, options);
+    if (peaks.length < minTouches || troughs.length < minTouches) {
+        console.log('❌ FAILED: Not enough peaks or troughs found');
+        return { success: false, pattern: "Triangle", reason: "Not enough peaks or troughs found" };
+    }
+    const candidates = generateCandidateRanges(peaks, troughs, minTouches);
+    console.log(`Generated ${candidates.length} candidate pivot ranges to test`);
+
+    // 3. Validate each candidate
+    const validPatterns = [];
+    for (const candidate of candidates) {
+        const patternData = validateTriangle(candidate, candles, options);
+        if (patternData) {
+            validPatterns.push({
+                patternData,
+                startIndex: candidate.startIndex,
+                endIndex: candidate.endIndex,
+                confidence: patternData.confidence
+            });
+        }
+    }
+
+    if (validPatterns.length === 0) {
+        console.log('\nNo valid triangle found.');
+        return { success: false, pattern: "Triangle", reason: "No valid pattern found" };
+    }
+
+    // 4. Rank by confidence and drop overlapping ranges
+    const selected = selectNonOverlappingPatterns(validPatterns);
+    console.log(`\n✅ Found ${selected.length} non-overlapping triangles out of ${validPatterns.length} valid candidates.`);
+
+    const result = { success: true, pattern: "Triangle", patternData: selected[0].patternData };
+    if (findAll) {
+        result.occurrences = selected.map(c => c.patternData);
+    }
+    return result;
+}
+
+/**
+ * Builds the chart lines (both trendlines and target) for a detected triangle
+ * @param {Object} patternData - Pattern data returned by the detector
+ * @returns {Array} - Array of pattern line objects
+ */
+function buildPatternLines(patternData) {
+    const { keyPoints, upperTrendline, lowerTrendline, priceTarget, necklineLevel } = patternData;
+    const endPoint = keyPoints.breakoutPoint || keyPoints.endPoint;
+
+    const lines = [
+        { type: "upperTrendline", points: [upperTrendline.start, upperTrendline.end], color: "#0000ff", style: "solid" },
+        { type: "lowerTrendline", points: [lowerTrendline.start, lowerTrendline.end], color: "#0000ff", style: "solid" }
+    ];
+
+    if (priceTarget !== null && necklineLevel !== null) {
+        lines.push({ type: "targetLine", points: [{ date: endPoint.date, price: necklineLevel }, { date: getNextDay(endPoint.date), price: priceTarget }], color: "#800080", style: "dotted" });
+    }
+
+    return lines;
+}
+
+/**
+ * Builds the breakout trigger of a triangle: the trendline in its expected direction,
+ * or the one nearest to price for a symmetrical triangle
+ * @param {Object} patternData - Pattern data returned by the detector
+ * @param {Array} candles - OHLC price data the pattern was detected in
+ * @returns {Object} - Breakout trigger
+ */
+function buildBreakoutTrigger(patternData, candles) {
+    const { keyPoints, upperTrendline, lowerTrendline } = patternData;
+    return buildTrendlineTrigger(upperTrendline, lowerTrendline, keyPoints.breakoutPoint, patternData.direction, candles);
+}
+
+registerDetector({
+    id: 'triangle',
+    name: 'Triangle',
+    defaultOptions: {
+        minRequiredCandles: 30,
+        minTouches: 2,
+        flatTolerance: 0.03,
+        minConvergence: 0.3,
+        maxViolationRatio: 0.1,
+        findAll: true,
+        ...SWING_DEFAULT_OPTIONS
+    },
+    detect: detectTriangle,
+    buildPatternLines,
+    buildBreakoutTrigger
+});
+
+module.exports = {
+    detectTriangle,
+    buildPatternLines,
+    buildBreakoutTrigger,
+    // Export helper functions for testing
+    classifyTriangle,
+    validateTriangle
+};
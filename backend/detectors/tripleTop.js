@@ -0,0 +1,86 @@
+/**
+ * Triple Top Pattern Detection Module
+ *
+ * This module provides functionality to detect triple top patterns in financial market data.
+ * The Triple Top is a bearish reversal pattern that forms after an extended upward trend
+ * and signals a medium/long-term trend reversal when price breaks below the neckline.
+ *
+ * @module detectors/tripleTop
+ * @author KW Technical Team
+ */
+
+const { SWING_DEFAULT_OPTIONS } = require('../utils/patternUtils.js');
+const { detectTriplePattern, buildTopBottomLines, buildTopBottomTrigger } = require('../utils/topBottomUtils.js');
+const { registerDetector } = require('./registry.js');
+
+// Three tops with the lower of the two troughs between them as the neckline
+const TRIPLE_TOP = {
+    name: "Triple Top",
+    side: "top",
+    pointNames: ["firstTop", "secondTop", "thirdTop"],
+    counterNames: ["firstTrough", "secondTrough"],
+    necklineFrom: "firstTrough",
+    idealDuration: 60
+};
+
+/**
+ * Detects the Triple Top pattern in a given set of OHLC candles
+ * @param {Array<Object>} candles - The array of candle objects
+ * @param {Object} options - Configuration options
+ * @returns {Object} - The result of the detection
+ */
+function detectTripleTop(candles, options = {}) {
+    const {
+        minRequiredCandles = 50,
+        minPeakSpacing = 2,
+        topPriceTolerance = 0.08
+    } = options;
+
+    return detectTriplePattern(candles, TRIPLE_TOP, {
+        ...options,
+        minRequiredCandles,
+        minSpacing: minPeakSpacing,
+        similarityTolerance: topPriceTolerance
+    });
+}
+
+/**
+ * Builds the chart lines (neckline, outline, target) for a detected Triple Top
+ * @param {Object} patternData - Pattern data returned by the detector
+ * @returns {Array} - Array of pattern line objects
+ */
+function buildPatternLines(patternData) {
+    return buildTopBottomLines(patternData, TRIPLE_TOP);
+}
+
+/**
+ * Builds the breakout trigger of a Triple Top: a close below the neckline, invalidated above the highest top
+ * @param {Object} patternData - Pattern data returned by the detector
+ * @returns {Object} - Breakout trigger
+ */
+function buildBreakoutTrigger(patternData) {
+    return buildTopBottomTrigger(patternData, TRIPLE_TOP);
+}
+
+registerDetector({
+    id: 'triple-top',
+    name: 'Triple Top',
+    defaultOptions: {
+        minRequiredCandles: 50,
+        minPeakSpacing: 2,
+        topPriceTolerance: 0.08,
+        requireBreakout: true,
+        findAll: true,
+        ...SWING_DEFAULT_OPTIONS
+    },
+    detect: detectTripleTop,
+    buildPatternLines,
+    buildBreakoutTrigger
+});
+
+module.exports = {
+    detectTripleTop,
+    buildPatternLines,
+    buildBreakoutTrigger,
+    TRIPLE_TOP
+};
@@ -0,0 +1,273 @@
+/**
+ * Wedge Pattern Detection Module
+ *
+ * This module provides functionality to detect rising and falling wedges in financial market data.
+ * A wedge forms when price moves between two converging trendlines that slope in the same direction:
+ * - Rising wedge (both lines rising, support steeper than resistance) - bearish reversal
+ * - Falling wedge (both lines falling, resistance steeper than support) - bullish reversal
+ *
+ * @module detectors/wedge
+ * @author KW Technical Team
+ */
+
+const { getNextDay, selectNonOverlappingPatterns, getDateAtIndex, SWING_DEFAULT_OPTIONS } = require('../utils/patternUtils.js');
+const {
+    findPivots,
+    generateCandidateRanges,
+    fitTrendlines,
+    checkConvergence,
+    calculateViolationRatio,
+    detectTrendlineBreakout,
+    describeTrendline,
+    scoreTrendlineFit,
+    averageClose,
+    buildTrendlineTrigger
+} = require('../utils/trendlineUtils.js');
+const { scoreConfidence, scoreDepth, scoreDuration, scorePriorTrend, scoreBreakout } = require('../utils/confidenceUtils.js');
+const { registerDetector } = require('./registry.js');
+
+/**
+ * Classifies a pair of converging trendlines as a rising or falling wedge
+ * @param {Object} upper - Upper trendline
+ * @param {Object} lower - Lower trendline
+ * @param {number} length - Pattern length in candles
+ * @param {number} avgPrice - Average price over the pattern
+ * @param {number} flatTolerance - Minimum relative move across the pattern for a line to count as sloped
+ * @returns {string|null} - "rising", "falling" or null if not a wedge
+ */
+function classifyWedge(upper, lower, length, avgPrice, flatTolerance = 0.03) {
+    const upperMove = (upper.slope * length) / avgPrice;
+    const lowerMove = (lower.slope * length) / avgPrice;
+
+    if (upperMove > flatTolerance && lowerMove > flatTolerance) return "rising";
+    if (upperMove < -flatTolerance && lowerMove < -flatTolerance) return "falling";
+
+    // A flat or opposite-sloped line makes this a triangle rather than a wedge
+    return null;
+}
+
+/**
+ * Calculates the wedge price target.
+ * A breakout in the expected direction targets the start of the wedge; otherwise
+ * the widest height of the wedge is projected from the breakout level.
+ * @param {Object} upper - Upper trendline
+ * @param {Object} lower - Lower trendline
+ * @param {number} startIndex - First candle index of the pattern
+ * @param {string} wedgeType - "rising" or "falling"
+ * @param {string} direction - Breakout direction ("bullish" or "bearish")
+ * @param {number} breakoutLevel - Trendline value at the breakout
+ * @param {number} patternHeight - Height of the wedge at its widest point
+ * @returns {number} - The price target
+ */
+function calculatePriceTarget(upper, lower, startIndex, wedgeType, direction, breakoutLevel, patternHeight) {
+    if (wedgeType === "rising" && direction === "bearish") {
+        return Math.min(lower.getValue(startIndex), breakoutLevel - patternHeight / 2);
+    }
+    if (wedgeType === "falling" && direction === "bullish") {
+        return Math.max(upper.getValue(startIndex), breakoutLevel + patternHeight / 2);
+    }
+    return direction === "bullish" ? breakoutLevel + patternHeight : breakoutLevel - patternHeight;
+}
+
+/**
+ * Validates a candidate pivot range and builds the wedge pattern data
+ * @param {Object} candidate - Candidate with peaks, troughs, startIndex and endIndex
+ * @param {Array} candles - Array of OHLC price data
+ * @param {Object} options - Configuration options
+ * @returns {Object|null} - Pattern data if valid, null otherwise
+ */
+function validateWedge(candidate, candles, options = {}) {
+    const {
+        flatTolerance = 0.03,
+        minConvergence = 0.3,
+        maxViolationRatio = 0.1
+    } = options;
+    const { peaks, troughs, startIndex, endIndex } = candidate;
+
+    // 1. Fit trendlines through peaks and troughs
+    const { upper, lower } = fitTrendlines(peaks, troughs);
+
+    // 2. Check the convergence ratio and locate the apex
+    const convergence = checkConvergence(upper, lower, startIndex, endIndex, minConvergence);
+    if (!convergence.isValid) {
+        return null;
+    }
+
+    // 3. Both lines must slope the same way
+    const avgPrice = averageClose(candles, startIndex, endIndex);
+    const wedgeType = classifyWedge(upper, lower, endIndex - startIndex, avgPrice, flatTolerance);
+    if (!wedgeType) {
+        return null;
+    }
+
+    // 4. Price must respect the trendlines inside the pattern
+    const violationRatio = calculateViolationRatio(candles, upper, lower, startIndex, endIndex);
+    if (violationRatio > maxViolationRatio) {
+        return null;
+    }
+
+    // 5. Breakout and target
+    const breakoutPoint = detectTrendlineBreakout(candles, upper, lower, endIndex, convergence.apexIndex);
+    const patternHeight = convergence.startWidth;
+    const direction = breakoutPoint ? breakoutPoint.direction : (wedgeType === "rising" ? "bearish" : "bullish");
+    const necklineLevel = breakoutPoint
+        ? breakoutPoint.trendlineValue
+        : (direction === "bullish" ? upper.getValue(endIndex) : lower.getValue(endIndex));
+    const priceTarget = calculatePriceTarget(upper, lower, startIndex, wedgeType, direction, necklineLevel, patternHeight);
+
+    // 6. Confidence factors: trendline fit and touches, height, length, the trend the wedge reverses
+    //    and the breakout, which counts half when it goes against the wedge bias
+    const expectedDirection = wedgeType === "rising" ? "bearish" : "bullish";
+    const breakoutScore = scoreBreakout(candles, breakoutPoint ? breakoutPoint.index : null, necklineLevel, direction);
+    const { confidence, confidenceFactors } = scoreConfidence({
+        fit: scoreTrendlineFit(upper, lower, peaks.length + troughs.length, patternHeight, violationRatio),
+        depth: scoreDepth(candles, startIndex, endIndex, patternHeight),
+        duration: scoreDuration(startIndex, endIndex),
+        priorTrend: scorePriorTrend(candles, startIndex, expectedDirection === "bearish" ? "bullish" : "bearish"),
+        breakout: direction === expectedDirection ? breakoutScore : breakoutScore / 2
+    });
+
+    const endDate = breakoutPoint ? breakoutPoint.date : candles[endIndex].date;
+    const lineEndIndex = breakoutPoint ? breakoutPoint.index : endIndex;
+
+    return {
+        type: wedgeType === "rising" ? "Rising Wedge" : "Falling Wedge",
+        wedgeType,
+        direction,
+        confidence,
+        confidenceFactors,
+        keyPoints: {
+            startPoint: { date: candles[startIndex].date, price: candles[startIndex].close, volume: candles[startIndex].volume },
+            endPoint: { date: candles[endIndex].date, price: candles[endIndex].close, volume: candles[endIndex].volume },
+            apex: { date: getDateAtIndex(candles, convergence.apexIndex), price: parseFloat(convergence.apexPrice.toFixed(2)) },
+            breakoutPoint
+        },
+        touches: {
+            upper: peaks.map(p => ({ date: p.date, price: p.high })),
+            lower: troughs.map(t => ({ date: t.date, price: t.low }))
+        },
+        upperTrendline: describeTrendline(upper, candles, startIndex, lineEndIndex),
+        lowerTrendline: describeTrendline(lower, candles, startIndex, lineEndIndex),
+        necklineLevel: parseFloat(necklineLevel.toFixed(2)),
+        priceTarget: parseFloat(priceTarget.toFixed(2)),
+        patternHeight: parseFloat(patternHeight.toFixed(2)),
+        convergence: parseFloat(convergence.convergence.toFixed(2)),
+        timespan: Math.round((new Date(endDate) - new Date(candles[startIndex].date)) / (1000 * 60 * 60 * 24))
+    };
+}
+
+/**
+ * Detects rising and falling wedges in OHLC price data
+ * @param {Array<Object>} candles - The array of candle objects
+ * @param {Object} options - Configuration options
+ * @returns {Object} - The result of the detection
+ */
+function detectWedge(candles, options = {}) {
+    console.log('\n===== WEDGE DETECTION STARTED =====');
+
+    const {
+        minRequiredCandles = 30,
+        windowSize = null,
+        minTouches = 3,
+        findAll = false
+    } = options;
+
+    // 1. Check if we have enough data
+    if (!candles || candles.length < minRequiredCandles) {
+        console.log('❌ FAILED: Not enough data');
+        return { success: false, pattern: "Wedge", reason: "Not enough data" };
+    }
+    console.log(`Dataset size: ${candles.length} candles`);
+
+    // 2. Find pivots and candidate ranges with enough touches on each line
+    const { peaks, troughs } = findPivots(candles, windowSize, minTouches, options);
+    if (peaks.length < minTouches || troughs.length < minTouches) {
+        console.log('❌ FAILED: Not enough peaks or troughs found');
+        return { success: false, pattern: "Wedge", reason: "Not enough peaks or troughs found" };
+    }
+    const candidates = generateCandidateRanges(peaks, troughs, minTouches);
+    console.log(`Generated ${candidates.length} candidate pivot ranges to test`);
+
+    // 3. Validate each candidate
+    const validPatterns = [];
+    for (const candidate of candidates) {
+        const patternData = validateWedge(candidate, candles, options);
+        if (patternData) {
+            validPatterns.push({
+                patternData,
+                startIndex: candidate.startIndex,
+                endIndex: candidate.endIndex,
+                confidence: patternData.confidence
+            });
+        }
+    }
+
+    if (validPatterns.length === 0) {
+        console.log('\nNo valid wedge found.');
+        return { success: false, pattern: "Wedge", reason: "No valid pattern found" };
+    }
+
+    // 4. Rank by confidence and drop overlapping ranges
+    const selected = selectNonOverlappingPatterns(validPatterns);
+    console.log(`\n✅ Found ${selected.length} non-overlapping wedges out of ${validPatterns.length} valid candidates.`);
+
+    const result = { success: true, pattern: "Wedge", patternData: selected[0].patternData };
+    if (findAll) {
+        result.occurrences = selected.map(c => c.patternData);
+    }
+    return result;
+}
+
+/**
+ * Builds the chart lines (both trendlines and target) for a detected wedge
+ * @param {Object} patternData - Pattern data returned by the detector
+ * @returns {Array} - Array of pattern line objects
+ */
+function buildPatternLines(patternData) {
+    const { keyPoints, upperTrendline, lowerTrendline, priceTarget, necklineLevel } = patternData;
+    const endPoint = keyPoints.breakoutPoint || keyPoints.endPoint;
+
+    return [
+        { type: "upperTrendline", points: [upperTrendline.start, upperTrendline.end], color: "#0000ff", style: "solid" },
+        { type: "lowerTrendline", points: [lowerTrendline.start, lowerTrendline.end], color: "#0000ff", style: "solid" },
+        { type: "targetLine", points: [{ date: endPoint.date, price: necklineLevel }, { date: getNextDay(endPoint.date), price: priceTarget }], color: "#800080", style: "dotted" }
+    ];
+}
+
+/**
+ * Builds the breakout trigger of a wedge: the trendline in its expected direction
+ * @param {Object} patternData - Pattern data returned by the detector
+ * @param {Array} candles - OHLC price data the pattern was detected in
+ * @returns {Object} - Breakout trigger
+ */
+function buildBreakoutTrigger(patternData, candles) {
+    const { keyPoints, upperTrendline, lowerTrendline } = patternData;
+    return buildTrendlineTrigger(upperTrendline, lowerTrendline, keyPoints.breakoutPoint, patternData.direction, candles);
+}
+
+registerDetector({
+    id: 'wedge',
+    name: 'Wedge',
+    defaultOptions: {
+        minRequiredCandles: 30,
+        minTouches: 3,
+        flatTolerance: 0.03,
+        minConvergence: 0.3,
+        maxViolationRatio: 0.1,
+        findAll: true,
+        ...SWING_DEFAULT_OPTIONS
+    },
+    detect: detectWedge,
+    buildPatternLines,
+    buildBreakoutTrigger
+});
+
+module.exports = {
+    detectWedge,
+    buildPatternLines,
+    buildBreakoutTrigger,
+    // Export helper functions for testing
+    classifyWedge,
+    calculatePriceTarget,
+    validateWedge
+};
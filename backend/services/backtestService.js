@@ -0,0 +1,267 @@
+/**
+ * Walk-forward backtesting of the pattern detectors.
+ * A ticker's history is replayed bar by bar and every detector only sees the candles up
+ * to the current bar, so a signal is recorded on the bar its breakout became known and
+ * entered at that bar's close. Outcomes are then measured on the candles that follow.
+ */
+
+const { getHistoricalData } = require('./dataService.js');
+const { getOccurrences, runDetector } = require('../detectors/index.js');
+
+/**
+ * Default backtest settings
+ * - lookback: Number of candles each detector run sees, ending at the current bar
+ * - warmup: Number of candles before the first bar that is evaluated
+ * - horizon: Number of bars after the entry the target has to be reached in
+ * - holdingBars: Number of bars after the entry the return is measured at
+ * - maxSignalAge: Breakouts first detected more than this many bars after they happened are skipped
+ */
+const BACKTEST_DEFAULTS = {
+    lookback: 250,
+    warmup: 60,
+    horizon: 60,
+    holdingBars: 20,
+    maxSignalAge: 5
+};
+
+/**
+ * Limits of a single backtest request, which runs every detector on every bar
+ * - maxTickers: Number of tickers per request
+ * - maxDays: Calendar days between fromDate and toDate (about five years of daily candles)
+ */
+const BACKTEST_LIMITS = {
+    maxTickers: 5,
+    maxDays: 1830
+};
+
+/**
+ * Merges backtest settings with the defaults; every setting is a positive whole number of bars
+ * @param {Object} settings - Raw settings
+ * @returns {Object} - Resolved settings
+ */
+function resolveBacktestSettings(settings = {}) {
+    const resolved = { ...BACKTEST_DEFAULTS };
+    for (const key of Object.keys(BACKTEST_DEFAULTS)) {
+        if (settings[key] === undefined || settings[key] === '') continue;
+        const value = Number(settings[key]);
+        if (!Number.isInteger(value) || value < 1) {
+            throw new Error(`Invalid value for setting ${key}: ${settings[key]}`);
+        }
+        resolved[key] = value;
+    }
+    return resolved;
+}
+
+/**
+ * Runs a function with console.log silenced; the detectors log every step, which is noise when
+ * they run once per bar
+ * @param {Function} fn - Function to run
+ * @returns {*} - The function's return value
+ */
+function runSilently(fn) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+        return fn();
+    } finally {
+        console.log = log;
+    }
+}
+
+/**
+ * Waits for the event loop to handle pending I/O, so a long backtest does not block other requests
+ * @returns {Promise<void>}
+ */
+function yieldToEventLoop() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+/**
+ * Rounds a value to two decimals, keeping null
+ * @param {number|null} value - Value to round
+ * @returns {number|null} - The rounded value
+ */
+function round(value) {
+    return value === null ? null : parseFloat(value.toFixed(2));
+}
+
+/**
+ * Measures what happened after a signal: whether the target was reached within the horizon and how long
+ * it took, the largest move against the position before that, and the return after a fixed number of bars
+ * @param {Array<Object>} candles - The full array of candle objects
+ * @param {number} entryIndex - Index of the signal bar, entered at its close
+ * @param {string} direction - Trade direction, "bullish" or "bearish"
+ * @param {number|null} priceTarget - The pattern's price target
+ * @param {Object} settings - Backtest settings with `horizon` and `holdingBars`
+ * @returns {Object} - Outcome with targetHit, timeToTarget (bars), maxAdverseExcursion and returnAfterBars (%), and resolved
+ */
+function measureOutcome(candles, entryIndex, direction, priceTarget, settings) {
+    const { horizon, holdingBars } = settings;
+    const entry = candles[entryIndex].close;
+    const sign = direction === 'bullish' ? 1 : -1;
+    const hasTarget = priceTarget !== null && priceTarget !== undefined;
+
+    let timeToTarget = hasTarget && sign * (entry - priceTarget) >= 0 ? 0 : null;
+    let maxAdverse = 0;
+    const lastIndex = Math.min(candles.length - 1, entryIndex + horizon);
+    for (let i = entryIndex + 1; i <= lastIndex && timeToTarget === null; i++) {
+        const candle = candles[i];
+        const adverse = sign > 0 ? entry - candle.low : candle.high - entry;
+        maxAdverse = Math.max(maxAdverse, adverse);
+        if (hasTarget && (sign > 0 ? candle.high >= priceTarget : candle.low <= priceTarget)) {
+            timeToTarget = i - entryIndex;
+        }
+    }
+
+    const exitIndex = entryIndex + holdingBars;
+    const returnAfterBars = exitIndex < candles.length
+        ? sign * (candles[exitIndex].close - entry) / entry * 100
+        : null;
+
+    return {
+        targetHit: timeToTarget !== null,
+        timeToTarget,
+        maxAdverseExcursion: round(maxAdverse / entry * 100),
+        returnAfterBars: round(returnAfterBars),
+        // A miss only counts once the whole horizon has been seen
+        resolved: timeToTarget !== null || entryIndex + horizon < candles.length
+    };
+}
+
+/**
+ * Replays the candles bar by bar, running every detector on the candles available at each bar,
+ * and records a signal for every breakout the first time it is detected.
+ * Detector logging is silenced and the event loop is yielded to after every bar.
+ * @param {Array<Object>} candles - The array of candle objects
+ * @param {Array<{detector: Object, options: Object}>} runs - Detector definitions with their resolved options
+ * @param {Object} settings - Resolved backtest settings
+ * @returns {Promise<Array<Object>>} - Signals with their pattern, dates, entry, target and outcome
+ */
+async function walkForward(candles, runs, settings) {
+    const { lookback, warmup, maxSignalAge } = settings;
+    const indexByDate = new Map(candles.map((c, i) => [c.date, i]));
+    const seen = new Set();
+    const signals = [];
+
+    for (let t = Math.max(warmup, 1); t < candles.length; t++) {
+        const visible = candles.slice(Math.max(0, t + 1 - lookback), t + 1);
+
+        runs.forEach(({ detector, options }) => {
+            const result = runSilently(() => runDetector(detector, visible, { ...options, forming: false }));
+            getOccurrences(result).forEach(patternData => {
+                if (!patternData.breakoutDate) return;
+
+                const key = `${detector.id}:${patternData.breakoutDate}`;
+                const breakoutIndex = indexByDate.get(patternData.breakoutDate);
+                if (breakoutIndex === undefined || seen.has(key) || t - breakoutIndex > maxSignalAge) return;
+                seen.add(key);
+
+                const trigger = detector.buildBreakoutTrigger(patternData, visible);
+                const direction = trigger && trigger.direction ? trigger.direction : patternData.direction;
+                if (direction !== 'bullish' && direction !== 'bearish') return;
+
+                signals.push({
+                    patternType: detector.id,
+                    pattern: detector.name,
+                    type: patternData.type || detector.name,
+                    direction,
+                    breakoutDate: patternData.breakoutDate,
+                    signalDate: candles[t].date,
+                    entryPrice: round(candles[t].close),
+                    priceTarget: patternData.priceTarget !== undefined ? round(patternData.priceTarget) : null,
+                    confidence: patternData.confidence,
+                    ...measureOutcome(candles, t, direction, patternData.priceTarget, settings)
+                });
+            });
+        });
+        await yieldToEventLoop();
+    }
+
+    return signals;
+}
+
+/**
+ * Averages a list of numbers
+ * @param {Array<number>} values - Values to average
+ * @returns {number|null} - The average, null for an empty list
+ */
+function average(values) {
+    return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+}
+
+/**
+ * Summarizes a set of signals. The hit rate only counts signals whose horizon has fully played out.
+ * @param {Array<Object>} signals - Signals returned by walkForward
+ * @returns {Object} - Signal counts, target hit rate, average time to target, max adverse excursion and return
+ */
+function summarizeSignals(signals) {
+    const resolved = signals.filter(s => s.resolved);
+    const hits = resolved.filter(s => s.targetHit);
+    const returns = signals.map(s => s.returnAfterBars).filter(r => r !== null);
+
+    return {
+        signals: signals.length,
+        resolved: resolved.length,
+        targetsHit: hits.length,
+        hitRate: resolved.length > 0 ? round(hits.length / resolved.length) : null,
+        averageTimeToTarget: round(average(hits.map(s => s.timeToTarget))),
+        averageMaxAdverseExcursion: round(average(signals.map(s => s.maxAdverseExcursion))),
+        averageReturn: round(average(returns)),
+        winRate: returns.length > 0 ? round(returns.filter(r => r > 0).length / returns.length) : null
+    };
+}
+
+/**
+ * Groups signals by a key and summarizes each group
+ * @param {Array<Object>} signals - Signals to group
+ * @param {string} key - Signal property to group by
+ * @returns {Array<Object>} - One summary per group, tagged with the key value
+ */
+function summarizeBy(signals, key) {
+    const groups = new Map();
+    signals.forEach(signal => {
+        if (!groups.has(signal[key])) groups.set(signal[key], []);
+        groups.get(signal[key]).push(signal);
+    });
+    return Array.from(groups, ([value, group]) => ({ [key]: value, ...summarizeSignals(group) }));
+}
+
+/**
+ * Backtests detectors over the history of one or more tickers
+ * @param {Object} request - Backtest request
+ * @param {Array<string>} request.tickers - Ticker symbols
+ * @param {string} request.fromDate - Start date in YYYY-MM-DD format
+ * @param {string} request.toDate - End date in YYYY-MM-DD format
+ * @param {Array<{detector: Object, options: Object}>} request.runs - Detector definitions with their resolved options
+ * @param {Object} request.settings - Resolved backtest settings
+ * @returns {Promise<Object>} - The signals and their summary overall, per pattern and per ticker
+ */
+async function runBacktest({ tickers, fromDate, toDate, runs, settings }) {
+    const signals = [];
+    for (const ticker of tickers) {
+        const candles = await getHistoricalData(ticker, fromDate, toDate);
+        console.log(`Backtesting ${runs.length} detectors on ${candles.length} ${ticker} candles`);
+        (await walkForward(candles, runs, settings)).forEach(signal => signals.push({ ticker, ...signal }));
+    }
+    console.log(`✅ Backtest recorded ${signals.length} signals`);
+
+    return {
+        settings,
+        signals,
+        summary: {
+            overall: summarizeSignals(signals),
+            byPattern: summarizeBy(signals, 'patternType'),
+            byTicker: summarizeBy(signals, 'ticker')
+        }
+    };
+}
+
+module.exports = {
+    runBacktest,
+    resolveBacktestSettings,
+    walkForward,
+    measureOutcome,
+    summarizeSignals,
+    BACKTEST_DEFAULTS,
+    BACKTEST_LIMITS
+};
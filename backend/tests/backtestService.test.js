@@ -0,0 +1,122 @@
+const { expect } = require('chai');
+const { measureOutcome, walkForward, summarizeSignals, resolveBacktestSettings } = require('../services/backtestService.js');
+const { makeCandles } = require('./fixtures.js');
+
+/**
+ * Builds a detector that reports a bullish breakout once `confirmBars` closes in a row are above a level.
+ * It only looks at the candles it is given, like every real detector.
+ * @param {number} level - Breakout level
+ * @param {number} confirmBars - Closes above the level needed to report the breakout
+ * @param {Function} dateOf - Maps the breakout candle to the reported breakout date
+ * @returns {Object} - Detector definition
+ */
+function breakoutDetector(level, confirmBars = 1, dateOf = candle => candle.date) {
+    return {
+        id: 'test-breakout',
+        name: 'Test Breakout',
+        detect: candles => {
+            for (let i = 0; i + confirmBars <= candles.length; i++) {
+                if (candles.slice(i, i + confirmBars).every(c => c.close > level)) {
+                    return {
+                        success: true,
+                        pattern: 'Test Breakout',
+                        patternData: { direction: 'bullish', breakoutDate: dateOf(candles[i]), priceTarget: 120, confidence: 0.8, keyPoints: {} }
+                    };
+                }
+            }
+            return { success: false, pattern: 'Test Breakout' };
+        },
+        buildPatternLines: () => [],
+        buildBreakoutTrigger: () => null,
+        detectFailure: () => null
+    };
+}
+
+describe('backtestService', () => {
+    describe('measureOutcome', () => {
+        const candles = makeCandles([100, 98, 99, 103, 106, 107]);
+
+        it('reports the bar the target was hit at and the adverse excursion before it', () => {
+            const outcome = measureOutcome(candles, 0, 'bullish', 106.5, { horizon: 60, holdingBars: 3 });
+            expect(outcome.targetHit).to.equal(true);
+            expect(outcome.timeToTarget).to.equal(4);
+            expect(outcome.maxAdverseExcursion).to.equal(3);
+            expect(outcome.returnAfterBars).to.equal(3);
+            expect(outcome.resolved).to.equal(true);
+        });
+
+        it('leaves a miss unresolved while the horizon runs past the data', () => {
+            const outcome = measureOutcome(candles, 0, 'bullish', 200, { horizon: 60, holdingBars: 3 });
+            expect(outcome.targetHit).to.equal(false);
+            expect(outcome.timeToTarget).to.equal(null);
+            expect(outcome.resolved).to.equal(false);
+        });
+
+        it('resolves a miss once the whole horizon has been seen', () => {
+            const outcome = measureOutcome(candles, 0, 'bullish', 200, { horizon: 3, holdingBars: 3 });
+            expect(outcome.resolved).to.equal(true);
+        });
+
+        it('returns no returnAfterBars when the holding period runs past the data', () => {
+            const outcome = measureOutcome(candles, 0, 'bullish', 106.5, { horizon: 60, holdingBars: 20 });
+            expect(outcome.returnAfterBars).to.equal(null);
+        });
+
+        it('measures bearish signals against the short side', () => {
+            const outcome = measureOutcome(makeCandles([100, 102, 97, 94]), 0, 'bearish', 94.5, { horizon: 60, holdingBars: 2 });
+            expect(outcome.timeToTarget).to.equal(3);
+            expect(outcome.maxAdverseExcursion).to.equal(3);
+            expect(outcome.returnAfterBars).to.equal(3);
+        });
+    });
+
+    describe('walkForward', () => {
+        const closes = [100, 101, 100, 102, 101, 111, 112, 113, 114, 115, 116, 117];
+        const candles = makeCandles(closes);
+        const settings = resolveBacktestSettings({ warmup: 1, horizon: 5, holdingBars: 2 });
+
+        it('records the signal on the breakout bar and enters at its close', async () => {
+            const signals = await walkForward(candles, [{ detector: breakoutDetector(110), options: {} }], settings);
+            expect(signals).to.have.length(1);
+            expect(signals[0].breakoutDate).to.equal(candles[5].date);
+            expect(signals[0].signalDate).to.equal(candles[5].date);
+            expect(signals[0].entryPrice).to.equal(111);
+        });
+
+        it('never records a signal before the bar its breakout became known', async () => {
+            const signals = await walkForward(candles, [{ detector: breakoutDetector(110, 3), options: {} }], settings);
+            expect(signals).to.have.length(1);
+            expect(signals[0].breakoutDate).to.equal(candles[5].date);
+            expect(signals[0].signalDate).to.equal(candles[7].date);
+            expect(signals[0].entryPrice).to.equal(candles[7].close);
+        });
+
+        it('skips breakouts first detected more than maxSignalAge bars later', async () => {
+            const late = resolveBacktestSettings({ warmup: 1, maxSignalAge: 1 });
+            const signals = await walkForward(candles, [{ detector: breakoutDetector(110, 3), options: {} }], late);
+            expect(signals).to.have.length(0);
+        });
+
+        it('skips breakouts dated off the candles', async () => {
+            const detector = breakoutDetector(110, 1, () => '1999-12-31');
+            const signals = await walkForward(candles, [{ detector, options: {} }], settings);
+            expect(signals).to.have.length(0);
+        });
+    });
+
+    describe('summarizeSignals', () => {
+        it('computes the hit rate over resolved signals only', () => {
+            const summary = summarizeSignals([
+                { resolved: true, targetHit: true, timeToTarget: 4, maxAdverseExcursion: 2, returnAfterBars: 5 },
+                { resolved: true, targetHit: false, timeToTarget: null, maxAdverseExcursion: 4, returnAfterBars: -1 },
+                { resolved: false, targetHit: false, timeToTarget: null, maxAdverseExcursion: 0, returnAfterBars: null }
+            ]);
+            expect(summary.signals).to.equal(3);
+            expect(summary.resolved).to.equal(2);
+            expect(summary.hitRate).to.equal(0.5);
+            expect(summary.averageTimeToTarget).to.equal(4);
+            expect(summary.averageReturn).to.equal(2);
+            expect(summary.winRate).to.equal(0.5);
+        });
+    });
+});
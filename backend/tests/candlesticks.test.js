@@ -0,0 +1,77 @@
+const { expect } = require('chai');
+const { detectCandlestickPatterns, isDoji, checkEngulfing, getPriorTrend } = require('../detectors/candlesticks.js');
+const { makeCandles, quietly } = require('./fixtures.js');
+
+describe('candlesticks', () => {
+    // A selloff to a hammer (6), a bullish engulfing candle (8), a rally of long candles each opening inside
+    // the previous body, a doji at the top (12) and an evening star (13 to 15)
+    const session = [
+        [111, 111.5, 109.5, 110], [110, 110.5, 108, 108.5], [108.5, 109, 106, 106.5], [107, 107.5, 104, 104.5], [104, 105, 102, 102.5], [103, 103.5, 100.5, 101],
+        [100, 100.8, 96, 100.6],
+        [100.5, 100.9, 99.8, 100.1], [99.9, 102, 99.7, 101.8],
+        [101.5, 104.2, 101.3, 104], [103.6, 106.2, 103.4, 106], [105.6, 108.2, 105.4, 108],
+        [108.2, 109.5, 107, 108.3],
+        [108, 111.2, 107.8, 111], [111.6, 112.5, 111.2, 111.8], [111.5, 111.7, 107.5, 108]
+    ];
+    const mirror = rows => rows.map(([open, high, low, close]) => [200 - open, 200 - low, 200 - high, 200 - close]);
+    const signalsIn = rows => quietly(() => detectCandlestickPatterns(makeCandles(rows))).signals;
+
+    it('finds a doji when the body is at most a tenth of the range', () => {
+        expect(isDoji({ open: 100, high: 102, low: 98, close: 100.25 })).to.equal(true);
+        expect(isDoji({ open: 100, high: 102, low: 98, close: 100.5 })).to.equal(false);
+        expect(isDoji({ open: 100, high: 100, low: 100, close: 100 })).to.equal(false);
+    });
+
+    it('reads the trend from the five closes before the candle', () => {
+        const candles = makeCandles(session);
+        expect([5, 6, 12, 13].map(i => getPriorTrend(candles, i))).to.deep.equal([null, 'down', 'up', 'up']);
+    });
+
+    it('finds engulfing candles whose body covers the previous opposite body', () => {
+        const previous = { open: 101, high: 101.5, low: 99.5, close: 100 };
+        expect(checkEngulfing(previous, { open: 99.8, high: 102.5, low: 99.5, close: 102 })).to.equal('bullish');
+        expect(checkEngulfing(previous, { open: 100.2, high: 102.5, low: 99.5, close: 102 })).to.equal(null);
+        expect(checkEngulfing({ open: 100, high: 101.5, low: 99.5, close: 101 }, { open: 101.2, high: 101.5, low: 98.5, close: 99 })).to.equal('bearish');
+    });
+
+    it('finds each signal of the session on the candle that completes it', () => {
+        const candles = makeCandles(session);
+        expect(signalsIn(session)).to.deep.equal([
+            [2, 'Three Black Crows', 'bearish', 3, 106.5],
+            [3, 'Three Black Crows', 'bearish', 3, 104.5],
+            [6, 'Hammer', 'bullish', 1, 100.6],
+            [8, 'Bullish Engulfing', 'bullish', 2, 101.8],
+            [10, 'Three White Soldiers', 'bullish', 3, 106],
+            [11, 'Three White Soldiers', 'bullish', 3, 108],
+            [12, 'Doji', 'neutral', 1, 108.3],
+            [15, 'Evening Star', 'bearish', 3, 108]
+        ].map(([index, pattern, bias, length, price]) => ({ date: candles[index].date, index, pattern, bias, candles: length, price })));
+    });
+
+    it('finds the opposite signals in the mirrored session', () => {
+        expect(signalsIn(mirror(session)).map(s => [s.index, s.pattern])).to.deep.equal([
+            [2, 'Three White Soldiers'],
+            [3, 'Three White Soldiers'],
+            [6, 'Shooting Star'],
+            [8, 'Bearish Engulfing'],
+            [10, 'Three Black Crows'],
+            [11, 'Three Black Crows'],
+            [12, 'Doji'],
+            [15, 'Morning Star']
+        ]);
+    });
+
+    it('calls a hammer shape after a rise a hanging man', () => {
+        // The mirrored selloff is a rise; the hammer replaces the shooting star
+        const rise = mirror(session.slice(0, 6));
+        expect(signalsIn([...rise, [100.2, 101, 96.5, 100.8]]).filter(s => s.index === 6).map(s => s.pattern)).to.deep.equal(['Hanging Man']);
+    });
+
+    it('needs a prior trend for single-candle reversals', () => {
+        expect(signalsIn(session.slice(6, 7))).to.deep.equal([]);
+    });
+
+    it('reports empty data as not enough data', () => {
+        expect(quietly(() => detectCandlestickPatterns([]))).to.include({ success: false, reason: 'Not enough data' });
+    });
+});
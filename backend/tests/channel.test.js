@@ -0,0 +1,36 @@
+const { expect } = require('chai');
+const { detectChannel, classifyChannel, findTouches } = require('../detectors/channel.js');
+const { makeCandles, interpolate, quietly } = require('./fixtures.js');
+
+describe('channel', () => {
+    it('classifies the channel from the move of its midline', () => {
+        expect(classifyChannel({ slope: 0.1 }, 50, 100)).to.equal('up');
+        expect(classifyChannel({ slope: -0.1 }, 50, 100)).to.equal('down');
+        expect(classifyChannel({ slope: 0.05 }, 50, 100)).to.equal('sideways');
+    });
+
+    it('counts pivots within a share of the width from a bound as touches', () => {
+        const bound = value => ({ getValue: () => value });
+        const candidate = { peaks: [{ index: 0, high: 110 }, { index: 1, high: 108 }], troughs: [{ index: 2, low: 91 }, { index: 3, low: 94 }] };
+        const touches = findTouches(candidate, bound(110), bound(90), 20);
+        expect(touches.upper.map(p => p.high)).to.deep.equal([110, 108]);
+        expect(touches.lower.map(t => t.low)).to.deep.equal([91]);
+    });
+
+    it('detects a rising channel and targets its width below the lower bound it breaks', () => {
+        // Peaks and troughs both rise by five every twenty candles, then price falls out of the channel
+        const candles = makeCandles(interpolate([[0, 90], [10, 100], [20, 110], [30, 100], [40, 115], [50, 105], [60, 120], [70, 110], [80, 125], [90, 100]]));
+        const { patternData } = quietly(() => detectChannel(candles));
+        expect(patternData).to.include({ type: 'Ascending Channel', direction: 'bearish', channelWidth: 15.21, necklineLevel: 111.67, priceTarget: 96.46 });
+        expect(patternData.touches.upper.map(t => t.price)).to.deep.equal([111, 116, 121]);
+        expect(patternData.touches.lower.map(t => t.price)).to.deep.equal([99, 104, 109]);
+        expect(patternData.upperBound.slope).to.equal(patternData.lowerBound.slope);
+        expect(patternData.keyPoints.breakoutPoint).to.include({ date: candles[86].date, direction: 'bearish' });
+    });
+
+    it('rejects converging trendlines', () => {
+        // Flat peaks over rising troughs: an ascending triangle
+        const candles = makeCandles(interpolate([[0, 80], [10, 90], [20, 110], [30, 95], [40, 110], [50, 100], [60, 110], [70, 105], [80, 125]]));
+        expect(quietly(() => detectChannel(candles))).to.deep.equal({ success: false, pattern: 'Channel', reason: 'No valid pattern found' });
+    });
+});
@@ -0,0 +1,85 @@
+const { expect } = require('chai');
+const { scoreConfidence, addConfidenceFactors, scoreSimilarity, scoreDepth, scoreDuration, scorePriorTrend, scoreBreakout } = require('../utils/confidenceUtils.js');
+const { listDetectors, getDetector, resolveOptions, runDetector, getOccurrences } = require('../detectors/index.js');
+const { makeCandles, quietly } = require('./fixtures.js');
+
+describe('confidence scoring', () => {
+    // A rising line with two-point candles: an ATR of 2
+    const trend = makeCandles(Array.from({ length: 40 }, (_, i) => 100 + i));
+
+    describe('scoreConfidence', () => {
+        it('weights the factors and rescales the weights of the ones that apply', () => {
+            const { confidence, confidenceFactors } = scoreConfidence({ symmetry: 1, depth: 0.4, volume: null, priorTrend: undefined });
+            expect(confidence).to.equal(0.8);
+            expect(confidenceFactors).to.deep.equal([
+                { factor: 'symmetry', name: 'Symmetry', score: 1, weight: 0.67, contribution: 0.667 },
+                { factor: 'depth', name: 'Depth', score: 0.4, weight: 0.33, contribution: 0.133 }
+            ]);
+        });
+
+        it('clamps scores outside 0 to 1', () => {
+            const { confidence, confidenceFactors } = scoreConfidence({ fit: 1.7, breakout: -0.5 });
+            expect(confidenceFactors.map(f => f.score)).to.deep.equal([1, 0]);
+            expect(confidence).to.equal(0.67);
+        });
+
+        it('has no confidence without factors and rejects unknown ones', () => {
+            expect(scoreConfidence({ volume: null })).to.deep.equal({ confidence: 0, confidenceFactors: [] });
+            expect(() => scoreConfidence({ luck: 1 })).to.throw('Unknown confidence factor: luck');
+        });
+
+        it('replaces existing factors when adding new scores', () => {
+            const { confidenceFactors } = scoreConfidence({ symmetry: 0.5, volume: 0.2 });
+            expect(addConfidenceFactors(confidenceFactors, { volume: 1 }).confidence).to.equal(0.7);
+        });
+    });
+
+    describe('factor scores', () => {
+        it('scores similarity from 1 for identical prices to 0 at the tolerance', () => {
+            expect([0, 0.015, 0.03, 0.06].map(d => scoreSimilarity(d, 0.03))).to.deep.equal([1, 0.5, 0, 0]);
+            expect(scoreSimilarity(0, 0)).to.equal(0);
+        });
+
+        it('scores depth from one to five ATRs', () => {
+            expect([1, 6, 10, 20].map(height => scoreDepth(trend, 0, 39, height))).to.deep.equal([0, 0.5, 1, 1]);
+            expect(scoreDepth(makeCandles(Array(5).fill([100, 100, 100, 100])), 0, 4, 10)).to.equal(null);
+        });
+
+        it('scores duration up to the ideal length', () => {
+            expect([scoreDuration(0, 20), scoreDuration(0, 80), scoreDuration(10, 10)]).to.deep.equal([0.5, 1, 0]);
+        });
+
+        it('scores the prior trend from 0 against to 1 with the expected direction', () => {
+            expect(scorePriorTrend(trend, 30, 'bullish')).to.equal(1);
+            expect(scorePriorTrend(trend, 30, 'bearish')).to.equal(0);
+            expect(scorePriorTrend(trend, 3, 'bullish')).to.be.closeTo(0.75, 1e-9);
+            expect(scorePriorTrend(trend, 1, 'bullish')).to.equal(null);
+        });
+
+        it('scores the breakout close from 0.5 at the level to 1 one ATR beyond it', () => {
+            expect([137, 138, 139, 141].map(level => scoreBreakout(trend, 39, level, 'bullish'))).to.deep.equal([1, 0.75, 0.5, 0]);
+            expect(scoreBreakout(trend, null, 130, 'bullish')).to.equal(0);
+        });
+    });
+
+    it('keeps every detector confidence and factor between 0 and 1', () => {
+        // Two overlaid waves on a slow rise, with shifted closes and varying volume
+        const candles = makeCandles(Array.from({ length: 300 }, (_, i) => {
+            const price = 100 + 15 * Math.sin(i / 9) + 8 * Math.sin(i / 3.7) + i / 10;
+            return [price, price + 1.5, price - 1.5, price + Math.sin(i), 1000 + 500 * Math.cos(i / 5)];
+        }));
+        const occurrences = listDetectors().flatMap(({ id }) => {
+            const detector = getDetector(id);
+            return getOccurrences(quietly(() => runDetector(detector, candles, resolveOptions(detector, {}))));
+        });
+
+        expect(occurrences.length).to.be.above(10);
+        for (const { confidence, confidenceFactors } of occurrences) {
+            expect(confidence).to.be.within(0, 1);
+            for (const { score, weight, contribution } of confidenceFactors) {
+                expect([score, weight, contribution].every(value => value >= 0 && value <= 1)).to.equal(true);
+            }
+            expect(confidenceFactors.reduce((sum, f) => sum + f.weight, 0)).to.be.closeTo(1, 0.03);
+        }
+    });
+});
@@ -0,0 +1,29 @@
+const { expect } = require('chai');
+const { detectCupAndHandle } = require('../detectors/cupAndHandle.js');
+const { makeCandles, interpolate, quietly } = require('./fixtures.js');
+
+describe('cup and handle', () => {
+    // A rise to 100, a 40-candle cup down to 75 and back, a handle down to 94 and a breakout to 108.
+    // The shape maps the distance from the middle of the cup (0 to 1) to the height above its bottom (0 to 1).
+    const cupAndHandle = shape => makeCandles([
+        ...interpolate([[0, 80], [10, 100]]).slice(0, -1),
+        ...Array.from({ length: 41 }, (_, i) => 75 + 25 * shape(Math.abs(i - 20) / 20)),
+        ...interpolate([[0, 100], [5, 94], [10, 106], [15, 108]]).slice(1)
+    ]);
+
+    it('detects a rounded cup with a shallow handle and targets the cup depth above the rim', () => {
+        const candles = cupAndHandle(distance => distance ** 2);
+        const { patternData } = quietly(() => detectCupAndHandle(candles));
+        expect(patternData).to.include({ type: 'Cup and Handle', direction: 'bullish', rimLevel: 101, cupDepth: 27, handleDepth: 8, roundness: 1, priceTarget: 128 });
+        expect(patternData.keyPoints.leftRim.date).to.equal(candles[10].date);
+        expect(patternData.keyPoints.cupBottom).to.include({ date: candles[30].date, price: 74 });
+        expect(patternData.keyPoints.rightRim.date).to.equal(candles[50].date);
+        expect(patternData.keyPoints.handleLow).to.include({ date: candles[55].date, price: 93 });
+        expect(patternData.keyPoints.breakoutPoint).to.include({ date: candles[58].date, price: 101.2 });
+    });
+
+    it('rejects a V-shaped cup that spends too little time near its bottom', () => {
+        const candles = cupAndHandle(distance => distance);
+        expect(quietly(() => detectCupAndHandle(candles))).to.deep.equal({ success: false, pattern: 'Cup and Handle', reason: 'No valid pattern found' });
+    });
+});
@@ -0,0 +1,114 @@
+const { expect } = require('chai');
+const { detectDivergences, pairSwings, classifyDivergence, findSwingDivergences } = require('../detectors/divergences.js');
+const { makeCandles, quietly } = require('./fixtures.js');
+
+describe('divergences', () => {
+    const pair = (index, price, value) => ({ price: { index, date: `d${index}`, high: price, low: price }, oscillator: { index, date: `d${index}`, value } });
+    const rsi = { name: 'RSI' };
+
+    describe('classifyDivergence', () => {
+        it('compares price and oscillator peaks', () => {
+            expect(classifyDivergence(pair(0, 100, 70), pair(10, 105, 60), 'peak')).to.deep.equal({ type: 'regular', bias: 'bearish' });
+            expect(classifyDivergence(pair(0, 105, 60), pair(10, 100, 70), 'peak')).to.deep.equal({ type: 'hidden', bias: 'bearish' });
+            expect(classifyDivergence(pair(0, 100, 60), pair(10, 105, 70), 'peak')).to.equal(null);
+        });
+
+        it('compares price and oscillator troughs', () => {
+            expect(classifyDivergence(pair(0, 100, 30), pair(10, 95, 40), 'trough')).to.deep.equal({ type: 'regular', bias: 'bullish' });
+            expect(classifyDivergence(pair(0, 95, 40), pair(10, 100, 30), 'trough')).to.deep.equal({ type: 'hidden', bias: 'bullish' });
+            expect(classifyDivergence(pair(0, 100, 30), pair(10, 100, 40), 'trough')).to.equal(null);
+        });
+    });
+
+    describe('pairSwings', () => {
+        it('pairs each price swing with the nearest oscillator swing within the tolerance', () => {
+            const pairs = pairSwings([{ index: 10 }, { index: 30 }], [{ index: 8 }, { index: 11 }, { index: 40 }], 3);
+            expect(pairs).to.deep.equal([{ price: { index: 10 }, oscillator: { index: 11 } }]);
+        });
+    });
+
+    describe('findSwingDivergences', () => {
+        it('scores the oscillator change against its range', () => {
+            const [divergence] = findSwingDivergences([pair(0, 100, 70), pair(10, 105, 60)], 'peak', rsi, { oscillatorRange: 40 });
+            expect(divergence).to.deep.include({
+                label: 'Regular Bearish',
+                oscillator: 'RSI',
+                swing: 'peak',
+                start: { date: 'd0', price: 100, oscillatorDate: 'd0', value: 70 },
+                end: { date: 'd10', price: 105, oscillatorDate: 'd10', value: 60 },
+                strength: 0.25
+            });
+        });
+
+        it('skips weak, distant and out-of-order oscillator swings', () => {
+            expect(findSwingDivergences([pair(0, 100, 70), pair(10, 105, 69)], 'peak', rsi, { oscillatorRange: 40 })).to.deep.equal([]);
+            expect(findSwingDivergences([pair(0, 100, 70), pair(61, 105, 60)], 'peak', rsi, { oscillatorRange: 40 })).to.deep.equal([]);
+            const shared = { ...pair(10, 105, 60), oscillator: pair(0, 100, 70).oscillator };
+            expect(findSwingDivergences([pair(0, 100, 70), shared], 'peak', rsi, { oscillatorRange: 40 })).to.deep.equal([]);
+        });
+    });
+
+    describe('detectDivergences', () => {
+        // A daily trend built from close-to-close moves: a rise to 116, a slow pullback to 112, a rise to 124,
+        // a sharp three-day pullback that holds above 112 and a rise to 128 (down days have longer wicks)
+        const moves = [...Array(16).fill(1), ...Array(8).fill(-0.5), ...Array(10).fill(1.2), -4, -4, -3, ...Array(10).fill(1.5)];
+        const rows = moves.reduce((acc, move) => {
+            const open = acc[acc.length - 1][3];
+            const close = parseFloat((open + move).toFixed(2));
+            const wick = move < 0 ? 0.5 : 0.25;
+            return [...acc, [open, Math.max(open, close) + wick, Math.min(open, close) - wick, close]];
+        }, [[100, 100.25, 99.75, 100]]);
+        const candles = makeCandles(rows);
+        const labelled = divergences => divergences.map(d => [d.label, d.start.date, d.start.price, d.start.value, d.end.date, d.end.price, d.end.value, d.strength]);
+
+        it('finds a hidden bullish RSI divergence between a slow and a sharp pullback', () => {
+            const { divergences, oscillator } = quietly(() => detectDivergences(candles, { windowSize: 3 }));
+            expect(divergences).to.deep.equal([{
+                type: 'hidden',
+                bias: 'bullish',
+                label: 'Hidden Bullish',
+                oscillator: 'RSI',
+                swing: 'trough',
+                start: { date: candles[24].date, price: 111.5, oscillatorDate: candles[24].date, value: 71.2 },
+                end: { date: candles[37].date, price: 112.5, oscillatorDate: candles[37].date, value: 46.8 },
+                strength: 0.46
+            }]);
+            expect(oscillator).to.include({ type: 'rsi', name: 'RSI' });
+            expect(oscillator.series).to.have.length(candles.length - 14);
+        });
+
+        it('pairs price peaks with RSI peaks a candle earlier for a regular bearish divergence', () => {
+            const { divergences } = quietly(() => detectDivergences(candles, { windowSize: 2 }));
+            expect(divergences[0]).to.deep.include({
+                label: 'Regular Bearish',
+                start: { date: candles[17].date, price: 116.5, oscillatorDate: candles[16].date, value: 100 },
+                end: { date: candles[35].date, price: 124.5, oscillatorDate: candles[34].date, value: 89.32 },
+                strength: 0.2
+            });
+            expect(divergences.map(d => d.label)).to.deep.equal(['Regular Bearish', 'Hidden Bullish']);
+        });
+
+        it('finds the same pivots on the stochastic with its own values', () => {
+            const { divergences } = quietly(() => detectDivergences(candles, { oscillator: 'stochastic', windowSize: 3 }));
+            expect(labelled(divergences)).to.deep.equal([['Hidden Bullish', candles[24].date, 111.5, 33.33, candles[37].date, 112.5, 11.54, 0.25]]);
+        });
+
+        it('finds the mirrored hidden bearish divergence', () => {
+            const mirrored = makeCandles(rows.map(([open, high, low, close]) => [200 - open, 200 - low, 200 - high, 200 - close]));
+            const { divergences } = quietly(() => detectDivergences(mirrored, { windowSize: 3 }));
+            expect(labelled(divergences)).to.deep.equal([['Hidden Bearish', candles[24].date, 88.5, 28.8, candles[37].date, 87.5, 53.2, 0.46]]);
+        });
+
+        it('drops divergences weaker than the minimum strength', () => {
+            expect(quietly(() => detectDivergences(candles, { windowSize: 3, minStrength: 0.5 })).divergences).to.deep.equal([]);
+        });
+
+        it('rejects an unknown oscillator', () => {
+            expect(() => quietly(() => detectDivergences(candles, { oscillator: 'cci' }))).to.throw('Unknown oscillator: cci');
+        });
+
+        it('needs at least thirty candles', () => {
+            expect(quietly(() => detectDivergences(candles.slice(0, 29)))).to.deep.equal({ success: false, reason: 'Not enough data', oscillator: null, divergences: [] });
+        });
+    });
+});
@@ -0,0 +1,66 @@
+const { expect } = require('chai');
+const { findPatternFailure, buildFailureLines, buildFailureMarkers } = require('../utils/failureUtils.js');
+const { detectFailure } = require('../detectors/doubleTop.js');
+const { makeCandles } = require('./fixtures.js');
+
+describe('failureUtils', () => {
+    // A double top breaking down on bar 2, then closing back above its 110 second peak on bar 5
+    const candles = makeCandles([112, 105, 98, 103, 108, 111, 113]);
+    const failure = { breakoutDate: candles[2].date, direction: 'bearish', failureLevel: 110, patternHeight: 10 };
+
+    describe('findPatternFailure', () => {
+        it('reports the first close back beyond the failure level as an opposite signal', () => {
+            expect(findPatternFailure(candles, failure)).to.deep.equal({
+                bias: 'bullish',
+                breakoutDate: candles[2].date,
+                date: candles[5].date,
+                price: 111,
+                failureLevel: 110,
+                priceTarget: 120,
+                stopLoss: 97,
+                barsAfterBreakout: 3
+            });
+        });
+
+        it('mirrors a failed bullish pattern into a bearish signal', () => {
+            const mirrored = makeCandles([88, 95, 102, 97, 92, 89, 87]);
+            const signal = findPatternFailure(mirrored, { ...failure, breakoutDate: mirrored[2].date, direction: 'bullish', failureLevel: 90 });
+            expect(signal).to.include({ bias: 'bearish', date: mirrored[5].date, priceTarget: 80, stopLoss: 103 });
+        });
+
+        it('ignores failures more than maxBars after the breakout', () => {
+            expect(findPatternFailure(candles, failure, 2)).to.equal(null);
+        });
+
+        it('needs a breakout on the candles and a pattern height', () => {
+            expect(findPatternFailure(candles, { ...failure, breakoutDate: null })).to.equal(null);
+            expect(findPatternFailure(candles, { ...failure, breakoutDate: '1999-12-31' })).to.equal(null);
+            expect(findPatternFailure(candles, { ...failure, patternHeight: 0 })).to.equal(null);
+        });
+
+        it('backs the double top failure at its second peak', () => {
+            const patternData = { breakoutDate: candles[2].date, patternHeight: 10, keyPoints: { secondPeak: { price: 110 } } };
+            expect(detectFailure(patternData, candles)).to.deep.equal(findPatternFailure(candles, failure));
+        });
+    });
+
+    describe('buildFailureLines and buildFailureMarkers', () => {
+        const patternData = { failedPattern: { pattern: 'Failed Double Top', ...findPatternFailure(candles, failure) } };
+
+        it('draws the failure level and its target', () => {
+            const [level, target] = buildFailureLines(patternData);
+            expect(level.points.map(p => p.price)).to.deep.equal([110, 110]);
+            expect(target.points[1].price).to.equal(120);
+        });
+
+        it('marks the failure candle with an arrow in the direction of its bias', () => {
+            expect(buildFailureMarkers(patternData)).to.have.length(1);
+            expect(buildFailureMarkers(patternData)[0]).to.include({ date: candles[5].date, label: 'Failed Double Top', shape: 'arrowUp' });
+        });
+
+        it('draws nothing for a pattern that held', () => {
+            expect(buildFailureLines({})).to.deep.equal([]);
+            expect(buildFailureMarkers({})).to.deep.equal([]);
+        });
+    });
+});
@@ -0,0 +1,59 @@
+/**
+ * Hand-built candle fixtures shared by the unit tests
+ */
+
+/**
+ * Builds daily candles from a list of rows
+ * @param {Array<number|Array<number>>} rows - A close (open equal to the close, high and low one point
+ *   away) or an [open, high, low, close] or [open, high, low, close, volume] row per candle
+ * @param {string} startDate - Date of the first candle in YYYY-MM-DD format
+ * @returns {Array<Object>} - Candles with consecutive calendar dates
+ */
+function makeCandles(rows, startDate = '2024-01-01') {
+    const date = new Date(`${startDate}T00:00:00Z`);
+    return rows.map(row => {
+        const [open, high, low, close, volume = 1000] = Array.isArray(row) ? row : [row, row + 1, row - 1, row];
+        const candle = { date: date.toISOString().split('T')[0], open, high, low, close, volume };
+        date.setUTCDate(date.getUTCDate() + 1);
+        return candle;
+    });
+}
+
+/**
+ * Builds closes along straight lines between waypoints
+ * @param {Array<Array<number>>} waypoints - [index, price] pairs in index order
+ * @returns {Array<number>} - One close per index from the first to the last waypoint
+ */
+function interpolate(waypoints) {
+    const closes = [];
+    for (let w = 1; w < waypoints.length; w++) {
+        const [fromIndex, fromPrice] = waypoints[w - 1];
+        const [toIndex, toPrice] = waypoints[w];
+        for (let i = fromIndex; i < toIndex; i++) {
+            closes.push(fromPrice + (toPrice - fromPrice) * (i - fromIndex) / (toIndex - fromIndex));
+        }
+    }
+    closes.push(waypoints[waypoints.length - 1][1]);
+    return closes;
+}
+
+/**
+ * Runs a function with console.log silenced
+ * @param {Function} fn - Function to run
+ * @returns {*} - The function's return value
+ */
+function quietly(fn) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+        return fn();
+    } finally {
+        console.log = log;
+    }
+}
+
+module.exports = {
+    makeCandles,
+    interpolate,
+    quietly
+};
@@ -0,0 +1,39 @@
+const { expect } = require('chai');
+const { detectFlag, classifyConsolidation } = require('../detectors/flag.js');
+const { makeCandles, interpolate, quietly } = require('./fixtures.js');
+
+describe('flag', () => {
+    // A flat base, a six-candle pole from 98 to 128, a ten-candle drift down to the pullback low, then a rally to 138
+    const bullFlag = pullbackLow => interpolate([[0, 100], [25, 100], [30, 98], [36, 128], [46, pullbackLow], [50, 138], [55, 138]]);
+    const line = (slope, valueAtZero) => ({ slope, getValue: index => valueAtZero + slope * index });
+    const pole = { direction: 'bullish', height: 30 };
+
+    it('calls a parallel consolidation drifting against the pole a flag and a converging one a pennant', () => {
+        expect(classifyConsolidation(line(-0.5, 130), line(-0.5, 125), 0, 10, pole)).to.equal('flag');
+        expect(classifyConsolidation(line(-0.3, 130), line(0.2, 120), 0, 10, pole)).to.equal('pennant');
+        // Drifting with the pole by more than a tenth of its height
+        expect(classifyConsolidation(line(0.5, 130), line(0.5, 125), 0, 10, pole)).to.equal(null);
+    });
+
+    it('detects a bull flag and measures the pole from the breakout', () => {
+        const candles = makeCandles(bullFlag(123));
+        const { patternData } = quietly(() => detectFlag(candles));
+        expect(patternData).to.include({ type: 'Bull Flag', direction: 'bullish', necklineLevel: 123.5, priceTarget: 158.75, retracement: 0.22 });
+        expect(patternData.pole).to.deep.equal({ height: 32, candles: 6, atrMultiple: 12.14 });
+        expect(patternData.keyPoints.poleStart).to.include({ date: candles[30].date, price: 97 });
+        expect(patternData.keyPoints.poleEnd).to.include({ date: candles[36].date, price: 129 });
+        expect(patternData.keyPoints.breakoutPoint).to.include({ date: candles[47].date, price: 126.75, direction: 'bullish' });
+    });
+
+    it('detects the mirrored bear flag', () => {
+        const candles = makeCandles(bullFlag(123).map(close => 200 - close));
+        const { patternData } = quietly(() => detectFlag(candles));
+        expect(patternData).to.include({ type: 'Bear Flag', direction: 'bearish', necklineLevel: 76.5, priceTarget: 41.25 });
+        expect(patternData.keyPoints.breakoutPoint.date).to.equal(candles[47].date);
+    });
+
+    it('rejects a consolidation that gives back more than half of the pole', () => {
+        const candles = makeCandles(bullFlag(110));
+        expect(quietly(() => detectFlag(candles))).to.deep.equal({ success: false, pattern: 'Flag', reason: 'No valid pattern found' });
+    });
+});
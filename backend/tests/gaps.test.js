@@ -0,0 +1,116 @@
+const { expect } = require('chai');
+const { analyzeGaps, buildGapZones, findGaps, classifyGap } = require('../detectors/gaps.js');
+const { makeCandles, quietly } = require('./fixtures.js');
+
+describe('gaps', () => {
+    // A session-by-session rally: a quiet range between 99 and 101.5, a gap out of it on triple volume (15),
+    // a gap in the trend (20), a last gap up (24) to a two-day island left by a gap down (26) and a decline
+    // that fills the trend gap
+    const candles = makeCandles([
+        ...Array.from({ length: 15 }, (_, i) => [100, 101.5, 99, i % 2 ? 100.5 : 100]),
+        [103, 104, 102.5, 103.5, 3000],
+        [103.5, 105, 103, 104.5], [104.5, 106, 104, 105.5], [105.5, 107, 105, 106.5], [106.5, 108, 106, 107.5],
+        [110, 111, 109.5, 110.5],
+        [110.5, 112, 110, 111.5], [111.5, 113, 111, 112.5], [112.5, 113.5, 112, 113],
+        [115.5, 117, 115, 116], [116, 117.5, 115.5, 116.5],
+        [112.5, 113, 110.5, 111], [111, 111.5, 109, 109.5], [109.5, 110, 108, 108.5]
+    ]);
+
+    describe('findGaps', () => {
+        it('finds ranges left untraded between consecutive candles', () => {
+            expect(findGaps(candles).map(g => [g.index, g.direction, g.top, g.bottom])).to.deep.equal([
+                [15, 'up', 102.5, 101.5],
+                [20, 'up', 109.5, 108],
+                [24, 'up', 115, 113.5],
+                [26, 'down', 115.5, 113]
+            ]);
+        });
+
+        it('ignores gaps smaller than the minimum size', () => {
+            expect(findGaps(candles, 0.015).map(g => g.index)).to.deep.equal([26]);
+        });
+    });
+
+    describe('classifyGap', () => {
+        const gap = { direction: 'up', top: 102, bottom: 101, filled: false, candlesToFill: null };
+        const range = { trendChange: 0, rangeHigh: 101, rangeLow: 99, rangeWidth: 0.02, volumeRatio: 2 };
+
+        it('calls a gap out of a tight range on heavy volume a breakaway gap', () => {
+            expect(classifyGap(gap, range)).to.equal('breakaway');
+            expect(classifyGap(gap, { ...range, volumeRatio: 1 })).to.equal('common');
+            expect(classifyGap(gap, { ...range, rangeWidth: 0.2 })).to.equal('common');
+        });
+
+        it('calls a gap with the trend a runaway gap unless it is filled quickly', () => {
+            const trend = { ...range, trendChange: 0.09, rangeWidth: 0.2 };
+            expect(classifyGap(gap, trend)).to.equal('runaway');
+            expect(classifyGap({ ...gap, filled: true, candlesToFill: 5 }, trend)).to.equal('exhaustion');
+            expect(classifyGap({ ...gap, filled: true, candlesToFill: 6 }, trend)).to.equal('runaway');
+            expect(classifyGap({ ...gap, direction: 'down' }, trend)).to.equal('common');
+        });
+    });
+
+    describe('analyzeGaps', () => {
+        const { gaps, islands } = quietly(() => analyzeGaps(candles));
+
+        it('classifies each gap of the rally from its context and fill', () => {
+            expect(gaps.map(g => [g.date, g.type, g.size, g.volumeRatio])).to.deep.equal([
+                [candles[15].date, 'breakaway', 1, 3],
+                [candles[20].date, 'runaway', 1.4, 0.91],
+                [candles[24].date, 'exhaustion', 1.33, 0.91],
+                [candles[26].date, 'common', 2.15, 0.91]
+            ]);
+        });
+
+        it('dates the candle that first trades back through each gap', () => {
+            expect(gaps.map(g => [g.filled, g.fillDate, g.candlesToFill])).to.deep.equal([
+                [false, null, null],
+                [true, candles[28].date, 8],
+                [true, candles[26].date, 2],
+                [false, null, null]
+            ]);
+        });
+
+        it('reports the candles between the last gap up and the gap down as an island top', () => {
+            expect(islands).to.deep.equal([{
+                type: 'Island Top',
+                bias: 'bearish',
+                startDate: candles[24].date,
+                endDate: candles[25].date,
+                startIndex: 24,
+                endIndex: 25,
+                high: 117.5,
+                low: 115,
+                entryGapDate: candles[24].date,
+                exitGapDate: candles[26].date
+            }]);
+        });
+
+        it('finds the mirrored island bottom', () => {
+            const mirrored = makeCandles(candles.map(({ open, high, low, close }) => [200 - open, 200 - low, 200 - high, 200 - close]));
+            const { islands: bottoms } = quietly(() => analyzeGaps(mirrored));
+            expect(bottoms.map(i => [i.type, i.bias, i.startIndex, i.endIndex, i.low, i.high])).to.deep.equal([['Island Bottom', 'bullish', 24, 25, 82.5, 85]]);
+        });
+
+        it('does not report an island the exit gap leaves too far behind', () => {
+            expect(quietly(() => analyzeGaps(candles, { maxIslandLength: 1 })).islands).to.deep.equal([]);
+        });
+
+        it('needs at least two candles', () => {
+            expect(quietly(() => analyzeGaps(candles.slice(0, 1)))).to.deep.equal({ success: false, reason: 'Not enough data', gaps: [], islands: [] });
+        });
+    });
+
+    describe('buildGapZones', () => {
+        it('shades each gap from the candle before it until it is filled or the data ends, and each island', () => {
+            const zones = buildGapZones(quietly(() => analyzeGaps(candles)), candles);
+            expect(zones.map(z => [z.type, z.startDate, z.endDate])).to.deep.equal([
+                ['breakawayGap', candles[14].date, candles[28].date],
+                ['runawayGap', candles[19].date, candles[28].date],
+                ['exhaustionGap', candles[23].date, candles[26].date],
+                ['commonGap', candles[25].date, candles[28].date],
+                ['island', candles[24].date, candles[25].date]
+            ]);
+        });
+    });
+});
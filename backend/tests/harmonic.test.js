@@ -0,0 +1,42 @@
+const { expect } = require('chai');
+const { detectHarmonic, buildBreakoutTrigger, matchHarmonicPattern, calculateLegRatios } = require('../detectors/harmonic.js');
+const { makeCandles, interpolate, quietly } = require('./fixtures.js');
+
+describe('harmonic', () => {
+    // X at 100, A at 150, B a 61.8% retracement of XA, C a 61.8% retracement of AB and D at the given low,
+    // each ten candles apart (closes sit one point inside the swing highs and lows)
+    const xabcd = dLow => interpolate([[0, 130], [10, 101], [20, 149], [30, 120.1], [40, 137.2], [50, dLow + 1], [60, 140]]);
+
+    it('measures each leg against the one before it and AD against XA', () => {
+        const ratios = calculateLegRatios([100, 150, 119.1, 138.2, 110.7].map(price => ({ price })));
+        expect(Object.values(ratios).map(r => parseFloat(r.toFixed(3)))).to.deep.equal([0.618, 0.618, 1.44, 0.786]);
+    });
+
+    it('matches ratios within the tolerance of each pattern range', () => {
+        expect(matchHarmonicPattern({ ab: 0.618, bc: 0.618, cd: 1.44, ad: 0.786 })).to.deep.equal({ harmonicType: 'Gartley', score: 1 });
+        expect(matchHarmonicPattern({ ab: 0.45, bc: 0.5, cd: 2, ad: 0.886 })).to.deep.equal({ harmonicType: 'Bat', score: 1 });
+        expect(matchHarmonicPattern({ ab: 0.618, bc: 0.618, cd: 1.44, ad: 0.9 })).to.equal(null);
+    });
+
+    it('detects a bullish Gartley that reverses from D and targets 61.8% of AD', () => {
+        const candles = makeCandles(xabcd(110.7));
+        const { patternData } = quietly(() => detectHarmonic(candles));
+        expect(patternData).to.include({ type: 'Bullish Gartley', direction: 'bullish', reactionConfirmed: true, priceTarget: 134.99 });
+        expect(Object.values(patternData.keyPoints).map(p => p.date)).to.deep.equal([10, 20, 30, 40, 50].map(i => candles[i].date));
+        expect(patternData.prz).to.deep.equal({ low: 110.7, high: 110.7 });
+        // The reaction of 38.2% of CD is reached four candles after D
+        expect(buildBreakoutTrigger(patternData, candles)).to.include({ breakoutDate: candles[54].date, invalidationLevel: 110.7 });
+    });
+
+    it('detects the mirrored bearish Gartley', () => {
+        const candles = makeCandles(xabcd(110.7).map(close => 250 - close));
+        const { patternData } = quietly(() => detectHarmonic(candles));
+        expect(patternData).to.include({ type: 'Bearish Gartley', direction: 'bearish', priceTarget: 115.01 });
+        expect(buildBreakoutTrigger(patternData, candles).breakoutDate).to.equal(candles[54].date);
+    });
+
+    it('rejects a D that retraces too much of XA for any pattern', () => {
+        const candles = makeCandles(xabcd(100.7));
+        expect(quietly(() => detectHarmonic(candles))).to.deep.equal({ success: false, pattern: 'Harmonic', reason: 'No valid pattern found' });
+    });
+});
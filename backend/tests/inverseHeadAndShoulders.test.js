@@ -0,0 +1,41 @@
+const { expect } = require('chai');
+const { detectInverseHeadAndShoulders } = require('../detectors/inverseHeadAndShoulders.js');
+const { getDetector, resolveOptions } = require('../detectors/index.js');
+const { makeCandles, interpolate, quietly } = require('./fixtures.js');
+
+// Shoulders at 80 and 81 around a head at 70, below a 110 neckline broken on the way to 120
+const evenShoulders = interpolate([[0, 100], [5, 120], [15, 80], [25, 110], [35, 70], [45, 110], [55, 81], [65, 120], [70, 115]]);
+// The same pattern with its right shoulder at 103, 29% above the left one
+const unevenShoulders = interpolate([[0, 100], [5, 120], [15, 80], [25, 110], [35, 70], [45, 110], [55, 103], [65, 120], [70, 115]]);
+// The thresholds /api/analyze passed before the detector registry, now sent by the form's "Relaxed scan"
+const relaxedQuery = { minConfidence: '0.5', shoulderDepthTolerance: '0.35', windowSize: '2' };
+
+describe('inverse head and shoulders', () => {
+    const detector = getDetector('inverse-head-and-shoulders');
+    const detect = (closes, query = {}) => quietly(() => detector.detect(makeCandles(closes), resolveOptions(detector, query)));
+
+    it('reports empty data as not enough data instead of throwing', () => {
+        expect(quietly(() => detectInverseHeadAndShoulders([]))).to.deep.equal({ success: false, reason: 'Not enough data' });
+    });
+
+    it('registers the detector\'s own thresholds as defaults', () => {
+        expect(detector.defaultOptions).to.include({ shoulderDepthTolerance: 0.25, minConfidence: 0.6, windowSize: null });
+        expect(resolveOptions(detector, relaxedQuery)).to.include({ shoulderDepthTolerance: 0.35, minConfidence: 0.5, windowSize: 2 });
+    });
+
+    it('detects balanced shoulders with the defaults, with the neckline break and its target', () => {
+        const candles = makeCandles(evenShoulders);
+        const { patternData } = detect(evenShoulders);
+        expect(['leftShoulder', 'head', 'rightShoulder'].map(name => patternData.keyPoints[name].date))
+            .to.deep.equal([candles[15].date, candles[35].date, candles[55].date]);
+        expect(patternData.keyPoints.necklineBreak.index).to.equal(63);
+        expect(patternData).to.include({ necklineLevel: 111, priceTarget: 153, symmetryRatio: 0.99 });
+    });
+
+    it('rejects shoulders 29% apart with the defaults and finds them with the relaxed thresholds', () => {
+        expect(detect(unevenShoulders)).to.include({ success: false, reason: 'No pattern confirmed' });
+        const { patternData } = detect(unevenShoulders, relaxedQuery);
+        expect(patternData).to.include({ symmetryRatio: 0.71, priceTarget: 153 });
+        expect(patternData.keyPoints.necklineBreak.index).to.equal(60);
+    });
+});
@@ -0,0 +1,85 @@
+const { expect } = require('chai');
+const { findSupportResistanceLevels, getWindowSizes, clusterPivots, describeZone, rankZones } = require('../detectors/levels.js');
+const { makeCandles, interpolate, quietly } = require('./fixtures.js');
+
+describe('levels', () => {
+    // A range between 90 and 101 that breaks out to 110, pulls back twice to the old resistance at 101 and
+    // fails twice more at 110. Every swing trades two and a half times the usual volume.
+    const swings = [[0, 92], [8, 100], [16, 91], [24, 100], [32, 91], [40, 109], [48, 102], [56, 110], [64, 102], [72, 110], [80, 104]];
+    const heavy = new Set(swings.slice(1, -1).map(([index]) => index));
+    const candles = makeCandles(interpolate(swings).map((close, i) => [close, close + 1, close - 1, close, heavy.has(i) ? 2500 : 1000]));
+
+    it('scans with half, one and two times the optimal window', () => {
+        expect(getWindowSizes(100)).to.deep.equal([2, 4, 8]);
+    });
+
+    it('clusters pivots within the tolerance of the cluster average', () => {
+        const pivots = [100, 101, 99.5, 102, 110, 110.5].map(price => ({ price }));
+        expect(clusterPivots(pivots, 1.5).map(cluster => cluster.map(p => p.price))).to.deep.equal([[99.5, 100, 101], [102], [110, 110.5]]);
+    });
+
+    it('weights the zone level by the windows that found each pivot and counts touches once per candle', () => {
+        const cluster = [
+            { index: 40, date: candles[40].date, price: 109, kind: 'peak', volume: 2000, windows: 1 },
+            { index: 60, date: candles[60].date, price: 111, kind: 'peak', volume: 2000, windows: 3 },
+            { index: 60, date: candles[60].date, price: 111, kind: 'trough', volume: 2000, windows: 1 }
+        ];
+        expect(describeZone(cluster, candles, 1000)).to.deep.equal({
+            level: 110.6,
+            low: 109,
+            high: 111,
+            type: 'resistance',
+            touches: 2,
+            peakTouches: 2,
+            troughTouches: 1,
+            firstTouchDate: candles[40].date,
+            lastTouchDate: candles[60].date,
+            recency: 0.75,
+            volumeRatio: 2
+        });
+    });
+
+    it('ranks zones by touches, then recency, then volume', () => {
+        const zones = [
+            { level: 90, touches: 2, recency: 1, volumeRatio: 1 },
+            { level: 110, touches: 4, recency: 0.5, volumeRatio: 2 }
+        ];
+        expect(rankZones(zones).map(z => [z.level, z.strength])).to.deep.equal([[110, 0.85], [90, 0.65]]);
+    });
+
+    it('turns the broken resistance into the strongest support, touched from both sides', () => {
+        const { levels } = quietly(() => findSupportResistanceLevels(candles));
+        expect(levels[0]).to.deep.equal({
+            level: 101,
+            low: 101,
+            high: 101,
+            type: 'support',
+            touches: 4,
+            peakTouches: 2,
+            troughTouches: 2,
+            firstTouchDate: candles[8].date,
+            lastTouchDate: candles[64].date,
+            recency: 0.8,
+            volumeRatio: 2.14,
+            strength: 0.94
+        });
+    });
+
+    it('ranks the retested highs and the old range floor after it', () => {
+        const { levels } = quietly(() => findSupportResistanceLevels(candles));
+        expect(levels.slice(1).map(z => [z.type, z.level, z.touches, z.lastTouchDate, z.strength])).to.deep.equal([
+            // The breakout high at 110 is found by fewer windows than the two failures at 111
+            ['resistance', 110.67, 3, candles[72].date, 0.84],
+            ['support', 90, 2, candles[32].date, 0.57]
+        ]);
+    });
+
+    it('drops zones touched fewer than the minimum number of times', () => {
+        expect(quietly(() => findSupportResistanceLevels(candles, { minTouches: 4 })).levels.map(z => z.level)).to.deep.equal([101]);
+        expect(quietly(() => findSupportResistanceLevels(candles, { minTouches: 5 }))).to.deep.equal({ success: true, levels: [] });
+    });
+
+    it('needs at least ten candles', () => {
+        expect(quietly(() => findSupportResistanceLevels(candles.slice(0, 9)))).to.deep.equal({ success: false, reason: 'Not enough data', levels: [] });
+    });
+});
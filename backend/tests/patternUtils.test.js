@@ -0,0 +1,128 @@
+const { expect } = require('chai');
+const { findZigZagSwings, findSwings, getScaleLadder, findScaleSpacePivots, findBreakoutRetest } = require('../utils/patternUtils.js');
+const { makeCandles } = require('./fixtures.js');
+
+describe('patternUtils', () => {
+    describe('findZigZagSwings', () => {
+        // Highs and lows sit one point above and below each close
+        const candles = makeCandles([100, 105, 110, 104, 107, 103, 96, 101, 108, 112, 106, 100]);
+        const indexes = pivots => pivots.map(p => p.index);
+
+        it('marks a pivot once price reverses from it by the threshold', () => {
+            const { peaks, troughs } = findZigZagSwings(candles, { zigzagPercent: 0.05 });
+            expect(indexes(peaks)).to.deep.equal([2, 9]);
+            expect(indexes(troughs)).to.deep.equal([0, 6]);
+        });
+
+        it('keeps the smaller swings with a lower threshold', () => {
+            const { peaks, troughs } = findZigZagSwings(candles, { zigzagPercent: 0.02 });
+            expect(indexes(peaks)).to.deep.equal([2, 4, 9]);
+            expect(indexes(troughs)).to.deep.equal([0, 3, 6]);
+        });
+
+        it('alternates peaks and troughs and leaves out the last unconfirmed extreme', () => {
+            const { peaks, troughs } = findZigZagSwings(candles, { zigzagPercent: 0.02 });
+            const sequence = [...peaks.map(p => ({ ...p, type: 'peak' })), ...troughs.map(t => ({ ...t, type: 'trough' }))]
+                .sort((a, b) => a.index - b.index);
+            sequence.slice(1).forEach((pivot, i) => expect(pivot.type).to.not.equal(sequence[i].type));
+            expect(sequence[sequence.length - 1].index).to.equal(9);
+        });
+
+        it('applies the larger of the percentage and ATR thresholds', () => {
+            // Twice the average true range is about 12.5 points, more than the 12-point rise off the first low
+            const { peaks, troughs } = findZigZagSwings(candles, { zigzagPercent: 0.02, zigzagAtrMultiple: 2 });
+            expect(indexes(peaks)).to.deep.equal([2, 9]);
+            expect(indexes(troughs)).to.deep.equal([6]);
+        });
+
+        it('returns no swings for fewer than two candles', () => {
+            expect(findZigZagSwings(candles.slice(0, 1))).to.deep.equal({ peaks: [], troughs: [] });
+        });
+    });
+
+    describe('findSwings', () => {
+        const candles = makeCandles([100, 105, 110, 104, 107, 103, 96, 101, 108, 112, 106, 100]);
+
+        it('uses the ZigZag filter when selected', () => {
+            const options = { swingMethod: 'zigzag', zigzagPercent: 0.05 };
+            expect(findSwings(candles, 2, options)).to.deep.equal(findZigZagSwings(candles, options));
+        });
+
+        it('rejects an unknown swing method', () => {
+            expect(() => findSwings(candles, 2, { swingMethod: 'fractal' })).to.throw('Unknown swing method: fractal');
+        });
+    });
+
+    describe('getScaleLadder', () => {
+        it('grows window sizes geometrically up to a tenth of the data length', () => {
+            expect(getScaleLadder(100)).to.deep.equal([3, 5, 8]);
+            expect(getScaleLadder(300)).to.deep.equal([3, 5, 8, 12, 18, 27]);
+        });
+
+        it('always keeps the smallest scale', () => {
+            expect(getScaleLadder(20)).to.deep.equal([3]);
+        });
+
+        it('honours the smallest scale and the growth factor', () => {
+            expect(getScaleLadder(100, 2, 2)).to.deep.equal([2, 4, 8]);
+        });
+    });
+
+    describe('findScaleSpacePivots', () => {
+        // A peak at 5, a shallow low at 10 that only small windows see, and a deeper low at 17
+        const candles = makeCandles([100, 102, 104, 106, 108, 110, 108, 106, 104, 102, 100, 103, 101, 104, 102, 99, 97, 95, 97, 99, 101, 103, 105, 107, 109]);
+        const tags = pivots => pivots.map(p => [p.index, p.scale]);
+
+        it('tags each pivot with the largest window it is still a pivot at', () => {
+            const { peaks, troughs } = findScaleSpacePivots(candles, [2, 3, 5]);
+            expect(tags(peaks)).to.deep.equal([[5, 5], [13, 5]]);
+            expect(tags(troughs)).to.deep.equal([[10, 3], [17, 5]]);
+        });
+
+        it('finds the same pivots as the smallest window', () => {
+            const { troughs } = findScaleSpacePivots(candles, [2, 3, 5]);
+            const { troughs: smallest } = findScaleSpacePivots(candles, [2]);
+            expect(troughs.map(t => t.index)).to.deep.equal(smallest.map(t => t.index));
+        });
+    });
+
+    describe('findBreakoutRetest', () => {
+        // A bullish breakout of 100 on bar 1, a pullback to 100.5 on bar 3 and closes above 100 afterwards
+        const rows = [98, [101, 105, 100, 104], [104, 106, 103, 105], [105, 105, 100.5, 101], [101, 103, 100.5, 102], [102, 104, 101, 103], [103, 105, 102, 104]];
+        const level = () => 100;
+
+        it('finds the first pullback within the tolerance of the level and reports its depth', () => {
+            const retest = findBreakoutRetest(makeCandles(rows), 1, level, 'bullish');
+            expect(retest).to.include({ occurred: true, index: 3, price: 100.5, level: 100, depthPercent: -0.5 });
+        });
+
+        it('holds once the confirmation closes stay beyond the level', () => {
+            const retest = findBreakoutRetest(makeCandles(rows), 1, level, 'bullish');
+            expect(retest.held).to.equal(true);
+            expect(retest.entryAvailable).to.equal(false);
+        });
+
+        it('offers the entry while the confirmation closes are still to come', () => {
+            const retest = findBreakoutRetest(makeCandles(rows.slice(0, 5)), 1, level, 'bullish');
+            expect(retest.held).to.equal(true);
+            expect(retest.entryAvailable).to.equal(true);
+        });
+
+        it('fails when a close falls back through the level, with a positive depth when the pullback pierced it', () => {
+            const failed = [...rows.slice(0, 3), [105, 105, 99, 101], [101, 102, 98, 99], ...rows.slice(5)];
+            const retest = findBreakoutRetest(makeCandles(failed), 1, level, 'bullish');
+            expect(retest).to.include({ occurred: true, depthPercent: 1, held: false, entryAvailable: false });
+        });
+
+        it('reports no retest after maxBars', () => {
+            const retest = findBreakoutRetest(makeCandles(rows), 1, level, 'bullish', { maxBars: 1 });
+            expect(retest).to.deep.equal({ occurred: false, direction: 'bullish', date: null, depthPercent: null, held: null, entryAvailable: false });
+        });
+
+        it('finds the throwback of a bearish breakout on the highs', () => {
+            const mirrored = rows.map(row => Array.isArray(row) ? [200 - row[0], 200 - row[2], 200 - row[1], 200 - row[3]] : 200 - row);
+            const retest = findBreakoutRetest(makeCandles(mirrored), 1, level, 'bearish');
+            expect(retest).to.include({ occurred: true, direction: 'bearish', index: 3, price: 99.5, depthPercent: -0.5, held: true });
+        });
+    });
+});
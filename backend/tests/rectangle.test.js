@@ -0,0 +1,34 @@
+const { expect } = require('chai');
+const { detectRectangle, clusterBand } = require('../detectors/rectangle.js');
+const { makeCandles, interpolate, quietly } = require('./fixtures.js');
+
+describe('rectangle', () => {
+    // Swings between 95 and 110 every ten candles from index 20 to 70, then a move to the exit price
+    const tradingRange = (middlePeak, exit) => makeCandles(interpolate([[0, 80], [10, 90], [20, 110], [30, 95], [40, middlePeak], [50, 95], [60, 110], [70, 95], [80, exit]]));
+
+    it('clusters prices into a flat band around their average', () => {
+        expect(clusterBand([99, 101, 100])).to.include({ slope: 0, intercept: 100, spread: 0.02 });
+        expect(clusterBand([100, 104])).to.equal(null);
+    });
+
+    it('detects a range breaking out upwards and targets the range height above resistance', () => {
+        const candles = tradingRange(110, 125);
+        const { patternData } = quietly(() => detectRectangle(candles));
+        expect(patternData).to.include({ type: 'Rectangle', direction: 'bullish', resistanceLevel: 111, supportLevel: 94, necklineLevel: 111, priceTarget: 128 });
+        expect(patternData.touches.resistance.map(t => t.date)).to.deep.equal([candles[20].date, candles[40].date, candles[60].date]);
+        expect(patternData.touches.support.map(t => t.date)).to.deep.equal([candles[30].date, candles[50].date, candles[70].date]);
+        expect(patternData.keyPoints.breakoutPoint).to.include({ date: candles[76].date, direction: 'bullish' });
+    });
+
+    it('detects a range breaking down and targets the range height below support', () => {
+        const candles = tradingRange(110, 75);
+        const { patternData } = quietly(() => detectRectangle(candles));
+        expect(patternData).to.include({ direction: 'bearish', necklineLevel: 94, priceTarget: 77 });
+        expect(patternData.keyPoints.breakoutPoint.date).to.equal(candles[71].date);
+    });
+
+    it('rejects a range whose peaks do not line up', () => {
+        const candles = tradingRange(116, 125);
+        expect(quietly(() => detectRectangle(candles))).to.deep.equal({ success: false, pattern: 'Rectangle', reason: 'No valid pattern found' });
+    });
+});
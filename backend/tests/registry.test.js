@@ -0,0 +1,286 @@
+const { expect } = require('chai');
+const { getDetector, resolveOptions, trackLifecycle, describeFormation, applyLifecycle, describeRetest, buildRetestMarkers, detectAcrossScales, offsetIndices, runDetector, buildLifecycleZones } = require('../detectors/index.js');
+const { makeCandles, interpolate, quietly } = require('./fixtures.js');
+
+describe('registry', () => {
+    describe('resolveOptions', () => {
+        const detector = getDetector('double-top');
+        // Its window size defaults to null, derived from the data length
+        const windowed = getDetector('inverse-head-and-shoulders');
+
+        it('starts from the defaults and coerces query strings to their types', () => {
+            const options = resolveOptions(detector, { findAll: 'false', peakSimilarityTolerance: '0.05', swingMethod: 'zigzag', unknown: 'x' });
+            expect(options).to.include({ findAll: false, peakSimilarityTolerance: 0.05, swingMethod: 'zigzag', stopMethod: 'structure' });
+            expect(options).to.not.have.property('unknown');
+        });
+
+        it('keeps the default for empty values', () => {
+            expect(resolveOptions(detector, { accountSize: '' }).accountSize).to.equal(10000);
+        });
+
+        it('rejects values outside the choices of an option', () => {
+            expect(() => resolveOptions(detector, { swingMethod: 'fractal' })).to.throw('Invalid value for option swingMethod: fractal');
+            expect(() => resolveOptions(detector, { stopMethod: 'trailing' })).to.throw('Invalid value for option stopMethod: trailing');
+        });
+
+        it('rejects numbers outside the bounds of an option', () => {
+            ['0', '-5000', 'abc'].forEach(value => {
+                expect(() => resolveOptions(detector, { accountSize: value })).to.throw(`Invalid value for option accountSize: ${value}`);
+            });
+            ['0', '101'].forEach(value => {
+                expect(() => resolveOptions(detector, { riskPercent: value })).to.throw(`Invalid value for option riskPercent: ${value}`);
+            });
+            expect(() => resolveOptions(windowed, { windowSize: '2.5' })).to.throw('Invalid value for option windowSize: 2.5');
+            expect(() => resolveOptions(detector, { zigzagPercent: '0' })).to.throw('Invalid value for option zigzagPercent: 0');
+        });
+
+        it('accepts the edges of the bounds and numbers for options without a default', () => {
+            expect(resolveOptions(detector, { riskPercent: '100', accountSize: '0.01' })).to.include({ riskPercent: 100, accountSize: 0.01 });
+            expect(resolveOptions(windowed, { windowSize: '4' }).windowSize).to.equal(4);
+            expect(resolveOptions(windowed, {}).windowSize).to.equal(null);
+        });
+    });
+
+    describe('trackLifecycle', () => {
+        // A bearish pattern from bar 1 to bar 5, so it expires 4 bars after its last key point or its breakout
+        const base = [95, 105, 98, 104, 99, 105];
+        const track = (after, breakoutBar = null) => {
+            const candles = makeCandles([...base, ...after]);
+            const trigger = {
+                direction: 'bearish',
+                breakoutDate: breakoutBar === null ? null : candles[breakoutBar].date,
+                invalidationLevel: 110
+            };
+            const patternData = { priceTarget: 85, keyPoints: { firstPeak: { date: candles[1].date }, secondPeak: { date: candles[5].date } } };
+            return { candles, lifecycle: trackLifecycle(trigger, patternData, candles) };
+        };
+
+        it('is forming until the breakout', () => {
+            expect(track([100, 101]).lifecycle).to.deep.equal({ status: 'forming', statusDate: null, breakoutDate: null });
+        });
+
+        it('expires when it lasts its own length again without breaking out', () => {
+            const { candles, lifecycle } = track([100, 101, 100, 101, 100]);
+            expect(lifecycle).to.deep.equal({ status: 'expired', statusDate: candles[9].date, breakoutDate: null });
+        });
+
+        it('is invalidated when price trades beyond the invalidation level', () => {
+            const { candles, lifecycle } = track([100, 109.5]);
+            expect(lifecycle).to.include({ status: 'invalidated', statusDate: candles[7].date });
+        });
+
+        it('is confirmed after the breakout until it resolves', () => {
+            const { candles, lifecycle } = track([94, 92, 91], 6);
+            expect(lifecycle).to.deep.equal({ status: 'confirmed', statusDate: null, breakoutDate: candles[6].date });
+        });
+
+        it('reaches its target after the breakout', () => {
+            const { candles, lifecycle } = track([94, 92, 86], 6);
+            expect(lifecycle).to.deep.equal({ status: 'target-reached', statusDate: candles[8].date, breakoutDate: candles[6].date });
+        });
+
+        it('expires when the target is not reached within its own length after the breakout', () => {
+            const { candles, lifecycle } = track([94, 92, 91, 92, 93, 92], 6);
+            expect(lifecycle).to.include({ status: 'expired', statusDate: candles[10].date });
+        });
+
+        it('counts a candle through both the invalidation level and the target as invalidated', () => {
+            const { lifecycle } = track([94, [92, 111, 84, 90]], 6);
+            expect(lifecycle.status).to.equal('invalidated');
+        });
+
+        it('needs key points on the candles', () => {
+            const candles = makeCandles(base);
+            expect(trackLifecycle({ direction: 'bearish' }, { keyPoints: { firstPeak: { date: '1999-12-31' } } }, candles)).to.equal(null);
+        });
+    });
+
+    describe('lifecycle of a detected double top', () => {
+        // Bars stepping from one close to the next, each opening at the previous close; the bar ending a leg
+        // has the longest wicks so the swings fall on a single bar
+        const legs = (from, ...steps) => steps.reduce(({ rows, close }, [bars, to]) => {
+            for (let i = 1; i <= bars; i++) {
+                const open = close;
+                close = parseFloat((open + (to - open) / (bars - i + 1)).toFixed(2));
+                const wick = i === bars ? 1 : 0.4;
+                rows.push([open, parseFloat((Math.max(open, close) + wick).toFixed(2)), parseFloat((Math.min(open, close) - wick).toFixed(2)), close]);
+            }
+            return { rows, close };
+        }, { rows: [], close: from }).rows;
+        // A dip to 80 (3), closes of 100 (15) and 99.5 (31) around a valley at 90 (23), then a drop to 92 (35);
+        // the wicks put the peaks at 101 and 100.5 and the valley low at 89
+        const top = legs(84, [4, 80], [12, 100], [8, 90], [8, 99.5], [4, 92]);
+        const doubleTop = getDetector('double-top');
+        const run = (...after) => {
+            const candles = makeCandles([...top, ...legs(92, ...after)]);
+            const { patternData } = quietly(() => runDetector(doubleTop, candles, resolveOptions(doubleTop, {})));
+            return { candles, patternData };
+        };
+
+        it('finds the peaks around the valley and targets their average height below it', () => {
+            const { candles, patternData } = run([1, 93.5]);
+            expect(Object.values(patternData.keyPoints).filter(Boolean).map(p => p.date)).to.deep.equal([3, 15, 23, 31].map(i => candles[i].date));
+            expect(patternData.keyPoints.valley.price).to.equal(89);
+            expect(patternData.priceTarget).to.be.closeTo(77.25, 1e-9);
+        });
+
+        it('is forming above the neckline, with the distance to the trigger', () => {
+            const { patternData } = run([1, 93.5]);
+            expect(patternData).to.include({ status: 'forming', statusDate: null, breakoutDate: null, triggerPrice: 89, distanceToTrigger: 4.81 });
+        });
+
+        it('is confirmed after the break and offers the entry on a retest of the neckline that holds', () => {
+            const { candles, patternData } = run([4, 86], [3, 88.5]);
+            expect(patternData).to.include({ status: 'confirmed', statusDate: null, breakoutDate: candles[39].date });
+            expect(patternData.retest).to.deep.equal({
+                occurred: true,
+                direction: 'bearish',
+                date: candles[42].date,
+                price: 89.5,
+                level: 89,
+                depthPercent: 0.56,
+                held: true,
+                entryAvailable: true
+            });
+            expect(buildLifecycleZones(patternData, candles).map(z => [z.startDate, z.endDate, z.bottom, z.top])).to.deep.equal([[candles[39].date, candles[42].date, 85, 89.5]]);
+        });
+
+        it('reaches its target three candles after the break and shades the move until then', () => {
+            const { candles, patternData } = run([6, 78], [3, 82]);
+            expect(patternData).to.include({ status: 'target-reached', statusDate: candles[41].date, breakoutDate: candles[38].date });
+            expect(patternData.retest).to.include({ occurred: false, entryAvailable: false });
+            expect(buildLifecycleZones(patternData, candles).map(z => [z.startDate, z.endDate, z.bottom, z.top])).to.deep.equal([[candles[38].date, candles[41].date, 77, 87.74]]);
+        });
+
+        it('is invalidated by a rally above the second peak before the break', () => {
+            const { candles, patternData } = run([6, 103]);
+            expect(patternData).to.include({ status: 'invalidated', statusDate: candles[40].date, breakoutDate: null });
+            expect(patternData.retest).to.equal(null);
+            expect(buildLifecycleZones(patternData, candles)).to.deep.equal([]);
+        });
+    });
+
+    describe('forming mode', () => {
+        // Ends at 101 after peaks at 105 and 104; the trigger line climbs half a point per candle from 98 on candle 2
+        const candles = makeCandles([95, 105, 98, 104, 99, 100, 100.5, 101]);
+        const line = [{ date: candles[2].date, price: 98 }, { date: candles[4].date, price: 99 }];
+        // Reports every occurrence as a bearish pattern, broken out on the candle it names
+        const detector = {
+            name: 'Test Pattern',
+            buildBreakoutTrigger: patternData => ({ direction: 'bearish', breakoutDate: patternData.breakoutDate, invalidationLevel: 110, line })
+        };
+        const detected = occurrences => ({ success: true, patternData: occurrences[0], occurrences });
+        const occurrence = breakoutDate => ({
+            priceTarget: 90,
+            breakoutDate,
+            // Lasting four candles, it has not expired yet on the last one
+            keyPoints: { startPoint: { date: candles[0].date }, endPoint: { date: candles[4].date } }
+        });
+
+        it('projects the trigger line to the last candle and beyond', () => {
+            expect(describeFormation({ direction: 'bearish', line }, candles)).to.deep.equal({
+                status: 'forming',
+                breakoutDirection: 'bearish',
+                triggerPrice: 100.5,
+                distanceToTrigger: 0.5,
+                projectedNeckline: [
+                    { date: candles[2].date, price: 98 },
+                    { date: candles[7].date, price: 100.5 },
+                    { date: '2024-02-05', price: 110.5 }
+                ]
+            });
+        });
+
+        it('measures the distance to a bullish trigger above the close', () => {
+            expect(describeFormation({ direction: 'bullish', line }, candles).distanceToTrigger).to.equal(-0.5);
+        });
+
+        it('keeps only the occurrences still waiting for their breakout, with their trigger', () => {
+            const result = detected([occurrence(candles[6].date), occurrence(null)]);
+            const { occurrences } = applyLifecycle(detector, result, candles, true);
+            expect(occurrences).to.have.length(1);
+            expect(occurrences[0]).to.include({ status: 'forming', statusDate: null, breakoutDate: null, triggerPrice: 100.5 });
+        });
+
+        it('reports no pattern when every occurrence has broken out', () => {
+            const result = detected([occurrence(candles[6].date)]);
+            expect(applyLifecycle(detector, result, candles, false).occurrences[0]).to.include({ status: 'confirmed', breakoutDate: candles[6].date });
+            expect(applyLifecycle(detector, result, candles, true)).to.deep.equal({ success: false, pattern: 'Test Pattern', reason: 'No forming pattern found' });
+        });
+    });
+
+    describe('detectAcrossScales', () => {
+        // Rising swings for 300 bars, then the double top of the top and bottom tests, breaking down 76 bars later
+        const lead = interpolate([[0, 60], [40, 54], [80, 62], [120, 56], [160, 66], [200, 60], [240, 72], [280, 66], [300, 85]]);
+        const doubleTop = interpolate([[0, 85], [5, 80], [30, 100], [45, 88], [60, 99], [80, 80]]);
+        const candles = makeCandles([...lead, ...doubleTop.slice(1)]);
+        const detector = getDetector('double-top');
+
+        // Every dated point nested in the pattern data that carries a candle index
+        const indexedPoints = (value, points = []) => {
+            if (value && typeof value === 'object') {
+                if (typeof value.index === 'number' && value.date) points.push(value);
+                Object.values(value).forEach(item => indexedPoints(item, points));
+            }
+            return points;
+        };
+
+        it('reports indices in the full series for patterns found in a later slice', () => {
+            const { occurrences } = quietly(() => detectAcrossScales(detector, candles, resolveOptions(detector, {})));
+            const brokenOut = occurrences.filter(o => o.keyPoints.breakoutPoint);
+            expect(brokenOut.map(o => o.scale)).to.deep.equal([18, 8]);
+            expect(brokenOut.map(o => o.keyPoints.breakoutPoint.index)).to.deep.equal([376, 376]);
+
+            const points = indexedPoints(occurrences);
+            expect(points).to.not.be.empty;
+            points.forEach(point => expect(candles[point.index].date).to.equal(point.date));
+        });
+
+        it('moves index fields and line intercepts by the slice start', () => {
+            const patternData = { keyPoints: { breakoutPoint: { index: 4, retest: { index: 6 } } }, endIndex: 9, neckline: { slope: 0.5, intercept: 100 } };
+            expect(offsetIndices(patternData, 10)).to.deep.equal({
+                keyPoints: { breakoutPoint: { index: 14, retest: { index: 16 } } },
+                endIndex: 19,
+                neckline: { slope: 0.5, intercept: 95 }
+            });
+        });
+    });
+
+    describe('describeRetest', () => {
+        const retest = { occurred: true, direction: 'bullish', date: '2024-01-04', index: 3, price: 100.5, level: 100, depthPercent: -0.5, held: true, entryAvailable: true };
+        const withRetest = status => ({ status, keyPoints: { breakoutPoint: { date: '2024-01-02', isConfirmed: true, retest } } });
+
+        it('drops the candle index from the breakout retest', () => {
+            expect(describeRetest(withRetest('confirmed'))).to.not.have.property('index');
+        });
+
+        it('only offers the retest entry while the pattern is confirmed', () => {
+            expect(describeRetest(withRetest('confirmed')).entryAvailable).to.equal(true);
+            expect(describeRetest(withRetest('target-reached')).entryAvailable).to.equal(false);
+        });
+
+        it('returns null without a breakout', () => {
+            expect(describeRetest({ status: 'forming', keyPoints: {} })).to.equal(null);
+        });
+    });
+
+    describe('buildRetestMarkers', () => {
+        const marker = retest => buildRetestMarkers({ retest })[0];
+
+        it('labels held, failed and available retests', () => {
+            expect(marker({ occurred: true, direction: 'bullish', date: '2024-01-04', held: true, entryAvailable: false }).label).to.equal('Retest held');
+            expect(marker({ occurred: true, direction: 'bullish', date: '2024-01-04', held: false, entryAvailable: false }).label).to.equal('Retest failed');
+            expect(marker({ occurred: true, direction: 'bullish', date: '2024-01-04', held: true, entryAvailable: true }).label).to.equal('Retest entry');
+        });
+
+        it('places the marker on the side of the pullback', () => {
+            expect(marker({ occurred: true, direction: 'bullish', date: '2024-01-04', held: true }).position).to.equal('belowBar');
+            expect(marker({ occurred: true, direction: 'bearish', date: '2024-01-04', held: true }).position).to.equal('aboveBar');
+        });
+
+        it('draws nothing without a retest', () => {
+            expect(buildRetestMarkers({ retest: { occurred: false } })).to.deep.equal([]);
+            expect(buildRetestMarkers({})).to.deep.equal([]);
+        });
+    });
+});
@@ -0,0 +1,109 @@
+const { expect } = require('chai');
+const { detectDoubleTop } = require('../detectors/doubleTop.js');
+const { detectDoubleBottom } = require('../detectors/doubleBottom.js');
+const { detectTripleTop } = require('../detectors/tripleTop.js');
+const { detectTripleBottom, buildBreakoutTrigger } = require('../detectors/tripleBottom.js');
+const { measureSimilarity, generatePivotCombinations, getMaxPivots } = require('../utils/topBottomUtils.js');
+const { makeCandles, interpolate, quietly } = require('./fixtures.js');
+
+// Tops are mirrored around 100 to build the matching bottoms
+const mirror = closes => closes.map(c => 200 - c);
+const doubleTopCloses = interpolate([[0, 85], [5, 80], [30, 100], [45, 88], [60, 99], [80, 80]]);
+const tripleBottomCloses = interpolate([[0, 115], [5, 120], [20, 100], [30, 110], [40, 100], [50, 110], [60, 101], [75, 120]]);
+
+describe('double and triple tops and bottoms', () => {
+    it('reports empty data as not enough data instead of throwing', () => {
+        [detectDoubleTop, detectDoubleBottom, detectTripleTop, detectTripleBottom].forEach(detect => {
+            const result = quietly(() => detect([]));
+            expect(result.detected).to.equal(false);
+            expect(result.reason).to.equal('Not enough data');
+        });
+    });
+
+    it('detects a double top with the valley as neckline and a breakdown below it', () => {
+        const candles = makeCandles(doubleTopCloses);
+        const { patternData } = quietly(() => detectDoubleTop(candles));
+        expect(patternData.keyPoints.firstPeak.date).to.equal(candles[30].date);
+        expect(patternData.keyPoints.valley.date).to.equal(candles[45].date);
+        expect(patternData.keyPoints.secondPeak.date).to.equal(candles[60].date);
+        expect(patternData.necklineLevel).to.equal(87);
+        expect(patternData.priceTarget).to.equal(73.5);
+        // The breakout needs a close 3% below the neckline
+        expect(patternData.keyPoints.breakoutPoint.index).to.equal(76);
+    });
+
+    it('detects the mirrored double bottom with the peak as neckline', () => {
+        const candles = makeCandles(mirror(doubleTopCloses));
+        const { patternData } = quietly(() => detectDoubleBottom(candles));
+        expect(patternData.keyPoints.firstBottom.date).to.equal(candles[30].date);
+        expect(patternData.keyPoints.peak.date).to.equal(candles[45].date);
+        expect(patternData.keyPoints.secondBottom.date).to.equal(candles[60].date);
+        expect(patternData.necklineLevel).to.equal(113);
+        expect(patternData.priceTarget).to.equal(126.5);
+        // 3% above 113 takes one bar longer to reach than 3% below 87
+        expect(patternData.keyPoints.breakoutPoint.index).to.equal(77);
+    });
+
+    it('detects a triple bottom with the higher peak as neckline and its invalidation below the lowest bottom', () => {
+        const candles = makeCandles(tripleBottomCloses);
+        const { patternData } = quietly(() => detectTripleBottom(candles));
+        expect(['firstBottom', 'secondBottom', 'thirdBottom'].map(name => patternData.keyPoints[name].date))
+            .to.deep.equal([candles[20].date, candles[40].date, candles[60].date]);
+        expect(patternData.necklineLevel).to.equal(111);
+        expect(patternData.priceTarget).to.be.closeTo(111 + (111 - 298 / 3), 1e-9);
+        expect(patternData.keyPoints.breakoutPoint.index).to.equal(68);
+        expect(buildBreakoutTrigger(patternData).invalidationLevel).to.equal(99);
+    });
+
+    it('detects the mirrored triple top with a breakdown below the lower trough', () => {
+        const candles = makeCandles(mirror(tripleBottomCloses));
+        const { patternData } = quietly(() => detectTripleTop(candles));
+        expect(['firstTop', 'secondTop', 'thirdTop'].map(name => patternData.keyPoints[name].date))
+            .to.deep.equal([candles[20].date, candles[40].date, candles[60].date]);
+        expect(patternData.necklineLevel).to.equal(89);
+        expect(patternData.priceTarget).to.be.closeTo(89 - (302 / 3 - 89), 1e-9);
+        expect(patternData.keyPoints.breakoutPoint.index).to.equal(68);
+    });
+
+    it('requires the triple breakout unless the pattern is still forming', () => {
+        const candles = makeCandles(tripleBottomCloses.slice(0, 66));
+        expect(quietly(() => detectTripleBottom(candles)).detected).to.equal(false);
+        const { patternData } = quietly(() => detectTripleBottom(candles, { forming: true }));
+        expect(patternData.keyPoints.breakoutPoint).to.equal(null);
+    });
+
+    it('measures pivot differences against the most extreme pivot of each side', () => {
+        const pivots = [{ high: 100, low: 90 }, { high: 95, low: 99 }];
+        expect(measureSimilarity(pivots, 'top').differences).to.deep.equal([0, 0.05]);
+        expect(measureSimilarity(pivots, 'bottom').differences).to.deep.equal([0, 0.1]);
+    });
+
+    it('only combines pivots that have an opposite pivot before them', () => {
+        const peaks = [{ index: 2 }, { index: 6 }, { index: 9 }, { index: 12 }];
+        const troughs = [{ index: 4 }];
+        const combinations = generatePivotCombinations(peaks, troughs, 2);
+        expect(combinations.map(c => c.pivots.map(p => p.index))).to.deep.equal([[6, 9], [6, 12], [9, 12]]);
+        expect(combinations.every(c => c.startPivot === troughs[0])).to.equal(true);
+    });
+
+    it('only extends combinations by pivots spaced and priced like the validators require', () => {
+        const troughs = [{ index: 0 }];
+        const peaks = [{ index: 2, high: 100 }, { index: 4, high: 99 }, { index: 9, high: 100.5 }, { index: 12, high: 90 }];
+        const combinations = generatePivotCombinations(peaks, troughs, 2, { side: 'top', similarityTolerance: 0.02, minSpacing: 5 });
+        expect(combinations.map(c => c.pivots.map(p => p.index))).to.deep.equal([[2, 9], [4, 9]]);
+    });
+
+    it('stops generating combinations past the budget', () => {
+        const peaks = Array.from({ length: 20 }, (_, i) => ({ index: i + 1, high: 100 }));
+        expect(generatePivotCombinations(peaks, [{ index: 0 }], 3, { side: 'top', maxCombinations: 100 })).to.have.length(101);
+        expect(getMaxPivots(3, 100)).to.equal(9);
+        expect(getMaxPivots(2, 100)).to.equal(14);
+    });
+
+    it('bounds the search on a flat series where every candle is a pivot', function () {
+        this.timeout(3000);
+        const candles = makeCandles(Array(250).fill(100));
+        const { occurrences } = quietly(() => detectTripleBottom(candles, { forming: true, findAll: true }));
+        expect(occurrences.every(o => o.keyPoints.breakoutPoint === null)).to.equal(true);
+    });
+});
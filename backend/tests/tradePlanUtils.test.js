@@ -0,0 +1,88 @@
+const { expect } = require('chai');
+const { buildTradePlan } = require('../utils/tradePlanUtils.js');
+const { makeCandles } = require('./fixtures.js');
+
+/**
+ * Builds a double-top-like setup: peaks on bars 1 and 3, the valley on bar 2 and the breakout on bar 5.
+ * Bullish setups mirror the closes around 100.
+ * @param {string} direction - "bullish" or "bearish"
+ * @param {Object} overrides - Pattern data fields to override
+ * @returns {{candles: Array, trigger: Object, patternData: Object}} - The setup
+ */
+function setup(direction, overrides = {}) {
+    const bearishCloses = [90, 100, 95, 99, 93, 92];
+    const closes = direction === 'bearish' ? bearishCloses : bearishCloses.map(c => 200 - c);
+    const candles = makeCandles(closes);
+    const neckline = closes[2];
+    const point = i => ({ date: candles[i].date, price: closes[i] });
+    return {
+        candles,
+        trigger: { direction, line: [{ date: candles[1].date, price: neckline }, { date: candles[3].date, price: neckline }] },
+        patternData: {
+            status: 'confirmed',
+            breakoutDate: candles[5].date,
+            priceTarget: direction === 'bearish' ? 85 : 115,
+            keyPoints: { firstPeak: point(1), valley: point(2), secondPeak: point(3), breakoutPoint: point(5) },
+            ...overrides
+        }
+    };
+}
+
+describe('buildTradePlan', () => {
+    it('enters a bearish pattern on the neckline with the stop above its last leg', () => {
+        const { candles, trigger, patternData } = setup('bearish');
+        const plan = buildTradePlan(trigger, patternData, candles);
+        expect(plan).to.include({ direction: 'bearish', startDate: candles[5].date, entry: 95, stopLoss: 100, riskPerShare: 5, rewardRisk: 2 });
+        expect(plan.targets).to.deep.equal([
+            { label: 'T1', price: 90, rewardRisk: 1 },
+            { label: 'T2', price: 85, rewardRisk: 2 }
+        ]);
+    });
+
+    it('enters a bullish pattern with the stop below its last leg', () => {
+        const { candles, trigger, patternData } = setup('bullish');
+        const plan = buildTradePlan(trigger, patternData, candles);
+        expect(plan).to.include({ direction: 'bullish', entry: 105, stopLoss: 100, riskPerShare: 5 });
+        expect(plan.targets.map(t => t.price)).to.deep.equal([110, 115]);
+    });
+
+    it('places an ATR stop two average true ranges from the entry', () => {
+        // True ranges of bars 1 to 5 are 11, 6, 5, 7 and 2, averaging 6.2
+        const bearish = setup('bearish');
+        expect(buildTradePlan(bearish.trigger, bearish.patternData, bearish.candles, { stopMethod: 'atr' }))
+            .to.include({ stopMethod: 'atr', stopLoss: 107.4, riskPerShare: 12.4 });
+        const bullish = setup('bullish');
+        expect(buildTradePlan(bullish.trigger, bullish.patternData, bullish.candles, { stopMethod: 'atr' }))
+            .to.include({ stopMethod: 'atr', stopLoss: 92.6, riskPerShare: 12.4 });
+    });
+
+    it('sizes the position for the amount risked', () => {
+        const { candles, trigger, patternData } = setup('bearish');
+        expect(buildTradePlan(trigger, patternData, candles)).to.include({ riskAmount: 100, positionSize: 20, positionValue: 1900 });
+        expect(buildTradePlan(trigger, patternData, candles, { accountSize: 50000, riskPercent: 2 }))
+            .to.include({ riskAmount: 1000, positionSize: 200 });
+        expect(buildTradePlan(trigger, patternData, candles, { stopMethod: 'atr' })).to.include({ positionSize: 8 });
+    });
+
+    it('targets multiples of the risk without a usable price target', () => {
+        const { candles, trigger, patternData } = setup('bearish', { priceTarget: null });
+        const plan = buildTradePlan(trigger, patternData, candles);
+        expect(plan.targets).to.deep.equal([
+            { label: 'T1', price: 85, rewardRisk: 2 },
+            { label: 'T2', price: 80, rewardRisk: 3 }
+        ]);
+    });
+
+    it('plans a forming pattern from its last key point at the last candle', () => {
+        const { candles, trigger, patternData } = setup('bearish', { status: 'forming', breakoutDate: null });
+        const plan = buildTradePlan(trigger, patternData, candles);
+        expect(plan).to.include({ startDate: candles[3].date, entry: 95 });
+    });
+
+    it('plans nothing once the pattern is resolved or the stop is not beyond the entry', () => {
+        const { candles, trigger, patternData } = setup('bearish');
+        expect(buildTradePlan(trigger, { ...patternData, status: 'target-reached' }, candles)).to.equal(null);
+        const necklineAboveStop = { ...trigger, line: trigger.line.map(p => ({ ...p, price: 120 })) };
+        expect(buildTradePlan(necklineAboveStop, patternData, candles)).to.equal(null);
+    });
+});
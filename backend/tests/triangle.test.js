@@ -0,0 +1,45 @@
+const { expect } = require('chai');
+const { detectTriangle, classifyTriangle } = require('../detectors/triangle.js');
+const { makeCandles, interpolate, quietly } = require('./fixtures.js');
+
+describe('triangle', () => {
+    const detect = waypoints => {
+        const candles = makeCandles(interpolate(waypoints));
+        return { candles, result: quietly(() => detectTriangle(candles)) };
+    };
+
+    it('classifies trendlines by how far they move across the pattern', () => {
+        const flat = { slope: 0 };
+        expect(classifyTriangle(flat, { slope: 0.1 }, 50, 100)).to.equal('ascending');
+        expect(classifyTriangle({ slope: -0.1 }, flat, 50, 100)).to.equal('descending');
+        expect(classifyTriangle({ slope: -0.1 }, { slope: 0.1 }, 50, 100)).to.equal('symmetrical');
+        expect(classifyTriangle({ slope: 0.1 }, { slope: 0.2 }, 50, 100)).to.equal(null);
+    });
+
+    it('detects an ascending triangle breaking out above its flat resistance', () => {
+        // Three peaks at 110 and troughs rising from 95 to 105, then a rally to 125
+        const { candles, result } = detect([[0, 80], [10, 90], [20, 110], [30, 95], [40, 110], [50, 100], [60, 110], [70, 105], [80, 125]]);
+        const { patternData } = result;
+        expect(patternData).to.include({ type: 'Ascending Triangle', direction: 'bullish', necklineLevel: 111, patternHeight: 19.5, priceTarget: 130.5 });
+        expect(patternData.touches.upper.map(t => t.date)).to.deep.equal([candles[20].date, candles[40].date, candles[60].date]);
+        expect(patternData.touches.lower.map(t => t.price)).to.deep.equal([94, 99, 104]);
+        expect(patternData.keyPoints.breakoutPoint).to.include({ date: candles[74].date, direction: 'bullish', trendlineValue: 111 });
+    });
+
+    it('detects a descending triangle breaking down below its flat support', () => {
+        const { candles, result } = detect([[0, 120], [10, 110], [20, 90], [30, 105], [40, 90], [50, 100], [60, 90], [70, 95], [80, 75]]);
+        expect(result.patternData).to.include({ type: 'Descending Triangle', direction: 'bearish', necklineLevel: 89, priceTarget: 69.5 });
+        expect(result.patternData.keyPoints.breakoutPoint.date).to.equal(candles[74].date);
+    });
+
+    it('takes the direction of a symmetrical triangle from its breakout', () => {
+        const { candles, result } = detect([[0, 80], [10, 90], [20, 115], [30, 90], [40, 111], [50, 95], [60, 107], [70, 100], [80, 125]]);
+        expect(result.patternData).to.include({ type: 'Symmetrical Triangle', direction: 'bullish', necklineLevel: 105.4, priceTarget: 134.9 });
+        expect(result.patternData.keyPoints.breakoutPoint.date).to.equal(candles[73].date);
+    });
+
+    it('rejects a range whose troughs do not rise', () => {
+        const { result } = detect([[0, 80], [10, 90], [20, 110], [30, 95], [40, 110], [50, 95], [60, 110], [70, 95], [80, 125]]);
+        expect(result).to.deep.equal({ success: false, pattern: 'Triangle', reason: 'No valid pattern found' });
+    });
+});
@@ -0,0 +1,91 @@
+/**
+ * Validation script for Double Bottom pattern detection
+ * Tests the algorithm against known historical patterns
+ */
+
+const { detectDoubleBottom } = require('../detectors/doubleBottom');
+const { getHistoricalData } = require('../services/dataService');
+const { findPeaksAndTroughs } = require('../utils/patternUtils');
+
+/**
+ * Validates Double Bottom detection on specific historical datasets
+ * @param {string} ticker - Stock ticker symbol
+ * @param {string} startDate - Start date in YYYY-MM-DD format
+ * @param {string} endDate - End date in YYYY-MM-DD format
+ * @param {string} description - Description of the test case
+ */
+async function validateDoubleBottom(ticker, startDate, endDate, description) {
+    console.log(`\n=== Testing Double Bottom Detection: ${description} ===`);
+    console.log(`Ticker: ${ticker}, Period: ${startDate} to ${endDate}`);
+
+    try {
+        // Fetch historical data
+        const candles = await getHistoricalData(ticker, startDate, endDate);
+
+        if (!candles || candles.length === 0) {
+            console.error(`No data found for ${ticker} in the specified period`);
+            return;
+        }
+
+        console.log(`Retrieved ${candles.length} candles for analysis`);
+
+        // Find peaks and troughs for analysis
+        const { peaks, troughs } = findPeaksAndTroughs(candles);
+        console.log(`Found ${peaks.length} peaks and ${troughs.length} troughs`);
+
+        // Print the 5 lowest troughs
+        if (troughs.length > 0) {
+            console.log('\nTop 5 Lowest Troughs:');
+            const sortedTroughs = [...troughs].sort((a, b) => a.low - b.low).slice(0, 5);
+            sortedTroughs.forEach((trough, i) => {
+                console.log(`${i+1}. Date: ${trough.date}, Low: ${trough.low.toFixed(2)}, Index: ${trough.index}`);
+            });
+        }
+
+        // Detect every Double Bottom occurrence in the period
+        const result = detectDoubleBottom(candles, { findAll: true });
+
+        // Display results
+        if (result.detected && result.patternData) {
+            console.log(`\n✅ DOUBLE BOTTOM PATTERN DETECTED (${result.occurrences.length} occurrence(s))`);
+            result.occurrences.forEach((pd, i) => {
+                console.log(`\nOccurrence #${i + 1}:`);
+                console.log(`- First Bottom: ${pd.keyPoints.firstBottom.date} (${pd.keyPoints.firstBottom.price.toFixed(2)})`);
+                console.log(`- Intermediate Peak: ${pd.keyPoints.peak.date} (${pd.keyPoints.peak.price.toFixed(2)})`);
+                console.log(`- Second Bottom: ${pd.keyPoints.secondBottom.date} (${pd.keyPoints.secondBottom.price.toFixed(2)})`);
+                console.log(`- Breakout Confirmed: ${Boolean(pd.keyPoints.breakoutPoint)}`);
+                console.log(`- Confidence Score: ${pd.confidence.toFixed(2)}`);
+                console.log(`- Price Target: ${pd.priceTarget.toFixed(2)}`);
+            });
+        } else {
+            console.log('\n❌ NO DOUBLE BOTTOM PATTERN DETECTED');
+            console.log(`Reason: ${result.reason || 'Unknown'}`);
+        }
+    } catch (error) {
+        console.error(`Error validating Double Bottom for ${ticker}:`, error);
+    }
+}
+
+/**
+ * Run validation tests on known Double Bottom patterns
+ */
+async function runValidationTests() {
+    // Test Case 1: S&P 500 Double Bottom (Jun-Oct 2022)
+    await validateDoubleBottom(
+        '^GSPC',
+        '2022-04-01',
+        '2023-02-28',
+        'S&P 500 Double Bottom (Jun-Oct 2022)'
+    );
+
+    // Test Case 2: Bitcoin Double Bottom (Jun-Nov 2022)
+    await validateDoubleBottom(
+        'BTC-USD',
+        '2022-05-01',
+        '2023-03-31',
+        'Bitcoin Double Bottom (Jun-Nov 2022)'
+    );
+}
+
+// Run the validation tests
+runValidationTests().catch(console.error);
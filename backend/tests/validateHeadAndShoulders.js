@@ -200,6 +200,8 @@ async function validateHeadAndShoulders() {
             console.log(`- Neckline Slope: ${m > 0 ? 'Upward' : 'Downward'} (${(m * 100).toFixed(4)}%)`);
             console.log(`- Pattern Height: ${patternHeight.toFixed(2)}`);
             console.log(`- Price Target: ${priceTarget.toFixed(2)}`);
+        }
+    } catch (error) {
         console.error('Error validating Head and Shoulders pattern:', error);
     }
 }
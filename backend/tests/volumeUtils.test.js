@@ -0,0 +1,62 @@
+const { expect } = require('chai');
+const { analyzePatternVolume, calculateVolumeTrend } = require('../utils/volumeUtils.js');
+const { applyVolumeConfirmation } = require('../detectors/registry.js');
+const { makeCandles } = require('./fixtures.js');
+
+describe('volume confirmation', () => {
+    // Fifty unchanged prices; only the volume varies
+    const withVolume = volume => makeCandles(Array.from({ length: 50 }, (_, i) => [100, 101, 99, 100, volume(i)]));
+    // Volume falls from 2000 to 1000 through the pattern and triples on the breakout
+    const contracting = withVolume(i => i <= 40 ? 2000 - 25 * i : i === 45 ? 3000 : 1000);
+    const doubleTop = (candles, breakoutIndex = 45) => ({
+        keyPoints: {
+            firstTop: { date: candles[0].date },
+            valley: { date: candles[20].date },
+            secondTop: { date: candles[40].date },
+            breakoutPoint: breakoutIndex === null ? null : { date: candles[breakoutIndex].date }
+        }
+    });
+
+    it('reads the volume trend from the regression slope against the average volume', () => {
+        expect(calculateVolumeTrend(contracting, 0, 40)).to.equal('falling');
+        expect(calculateVolumeTrend(contracting, 41, 44)).to.equal('flat');
+        expect(calculateVolumeTrend(withVolume(i => 1000 + 25 * i), 0, 40)).to.equal('rising');
+    });
+
+    it('confirms a pattern whose volume contracts and surges on the breakout', () => {
+        expect(analyzePatternVolume(contracting, doubleTop(contracting))).to.deep.equal({
+            legs: [
+                { from: 'firstTop', to: 'valley', averageVolume: 1750, trend: 'falling' },
+                { from: 'valley', to: 'secondTop', averageVolume: 1250, trend: 'falling' }
+            ],
+            contraction: 0.71,
+            breakoutVolumeRatio: 2.61,
+            score: 0.99,
+            verdict: 'confirmed',
+            summary: 'Volume contracted 29% through the pattern; breakout volume was 2.6x its 20-day average'
+        });
+    });
+
+    it('scores the contraction alone before the breakout', () => {
+        expect(analyzePatternVolume(contracting, doubleTop(contracting, null))).to.include({ breakoutVolumeRatio: null, score: 0.99 });
+        expect(analyzePatternVolume(withVolume(() => 1000), doubleTop(contracting, null))).to.include({ contraction: 1, score: 0.5, verdict: 'neutral' });
+    });
+
+    it('does not confirm a pattern whose volume expands without a breakout surge', () => {
+        const expanding = withVolume(i => 1000 + 25 * i);
+        expect(analyzePatternVolume(expanding, doubleTop(expanding))).to.include({ contraction: 1.41, breakoutVolumeRatio: 1.14, score: 0.24, verdict: 'unconfirmed' });
+    });
+
+    it('skips candles without volume', () => {
+        const noVolume = withVolume(() => 0);
+        expect(analyzePatternVolume(noVolume, doubleTop(noVolume))).to.equal(null);
+    });
+
+    it('adds the volume score to the confidence of every occurrence', () => {
+        const patternData = { ...doubleTop(contracting), confidence: 0.5, confidenceFactors: [{ factor: 'symmetry', score: 0.5 }] };
+        const { patternData: confirmed } = applyVolumeConfirmation({ success: true, patternData }, contracting);
+        expect(confirmed.confidence).to.equal(0.7);
+        expect(confirmed.confidenceFactors.map(f => [f.factor, f.score, f.weight])).to.deep.equal([['symmetry', 0.5, 0.6], ['volume', 0.99, 0.4]]);
+        expect(confirmed.volume.verdict).to.equal('confirmed');
+    });
+});
@@ -0,0 +1,43 @@
+const { expect } = require('chai');
+const { detectWedge, classifyWedge, calculatePriceTarget } = require('../detectors/wedge.js');
+const { makeCandles, interpolate, quietly } = require('./fixtures.js');
+
+describe('wedge', () => {
+    // Peaks at 100, 106, 110 and 112 over troughs rising faster from 90 to 103, then a fall to 85
+    const risingWedge = interpolate([[0, 80], [10, 90], [20, 100], [30, 90], [40, 106], [50, 97], [60, 110], [70, 103], [76, 112], [90, 85]]);
+
+    it('needs both trendlines sloping the same way', () => {
+        expect(classifyWedge({ slope: 0.1 }, { slope: 0.2 }, 50, 100)).to.equal('rising');
+        expect(classifyWedge({ slope: -0.2 }, { slope: -0.1 }, 50, 100)).to.equal('falling');
+        expect(classifyWedge({ slope: 0 }, { slope: 0.2 }, 50, 100)).to.equal(null);
+    });
+
+    it('targets the start of the wedge on a breakout in the expected direction and the full height otherwise', () => {
+        const upper = { getValue: () => 110 };
+        const lower = { getValue: () => 90 };
+        expect(calculatePriceTarget(upper, lower, 0, 'rising', 'bearish', 105, 20)).to.equal(90);
+        expect(calculatePriceTarget(upper, lower, 0, 'rising', 'bearish', 95, 20)).to.equal(85);
+        expect(calculatePriceTarget(upper, lower, 0, 'rising', 'bullish', 115, 20)).to.equal(135);
+    });
+
+    it('detects a rising wedge breaking down towards its start', () => {
+        const candles = makeCandles(risingWedge);
+        const { patternData } = quietly(() => detectWedge(candles));
+        expect(patternData).to.include({ type: 'Rising Wedge', direction: 'bearish', necklineLevel: 105.42, priceTarget: 85.92 });
+        expect(patternData.touches.upper.map(t => t.price)).to.deep.equal([101, 107, 111, 113]);
+        expect(patternData.touches.lower.map(t => t.date)).to.deep.equal([candles[30].date, candles[50].date, candles[70].date]);
+        expect(patternData.keyPoints.breakoutPoint).to.include({ date: candles[80].date, direction: 'bearish' });
+    });
+
+    it('detects the mirrored falling wedge breaking out upwards', () => {
+        const candles = makeCandles(risingWedge.map(close => 200 - close));
+        const { patternData } = quietly(() => detectWedge(candles));
+        expect(patternData).to.include({ type: 'Falling Wedge', direction: 'bullish', necklineLevel: 94.58, priceTarget: 114.08 });
+        expect(patternData.keyPoints.breakoutPoint.date).to.equal(candles[80].date);
+    });
+
+    it('rejects a rising channel whose trendlines do not converge', () => {
+        const candles = makeCandles(interpolate([[0, 80], [10, 90], [20, 100], [30, 90], [40, 106], [50, 96], [60, 112], [70, 102], [80, 118], [90, 95]]));
+        expect(quietly(() => detectWedge(candles))).to.deep.equal({ success: false, pattern: 'Wedge', reason: 'No valid pattern found' });
+    });
+});
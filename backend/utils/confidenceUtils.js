@@ -0,0 +1,166 @@
+/**
+ * Unified confidence scoring shared by every pattern detector.
+ * Detectors score named factors between 0 and 1 and combine them with the weights below,
+ * so a confidence means the same thing for every pattern and comes with its breakdown.
+ */
+
+const { calculateAverageTrueRange } = require('./patternUtils.js');
+
+/**
+ * Confidence factors with their weights. A detector scores its shape with either
+ * `symmetry` (swing patterns) or `fit` (trendline-bounded patterns), never both.
+ */
+const CONFIDENCE_FACTORS = {
+    symmetry: { name: "Symmetry", weight: 0.3 },
+    fit: { name: "Trendline Fit", weight: 0.3 },
+    depth: { name: "Depth", weight: 0.15 },
+    duration: { name: "Duration", weight: 0.1 },
+    volume: { name: "Volume", weight: 0.2 },
+    breakout: { name: "Breakout Strength", weight: 0.15 },
+    priorTrend: { name: "Prior Trend", weight: 0.1 }
+};
+
+/**
+ * Clamps a score to the range 0 to 1
+ * @param {number} score - Raw score
+ * @returns {number} - The clamped score
+ */
+function clampScore(score) {
+    return Math.min(1, Math.max(0, score));
+}
+
+/**
+ * Combines factor scores into a confidence using the factor weights.
+ * Factors left null are not applicable and are left out, the remaining weights are rescaled.
+ * @param {Object} factors - Factor scores keyed by factor id
+ * @returns {{confidence: number, confidenceFactors: Array}} - The confidence and its per-factor breakdown
+ */
+function scoreConfidence(factors) {
+    const scored = Object.entries(factors)
+        .filter(([, score]) => score !== null && score !== undefined && !Number.isNaN(score))
+        .map(([factor, score]) => {
+            if (!CONFIDENCE_FACTORS[factor]) {
+                throw new Error(`Unknown confidence factor: ${factor}`);
+            }
+            return { factor, score: clampScore(score), weight: CONFIDENCE_FACTORS[factor].weight };
+        });
+
+    const totalWeight = scored.reduce((sum, f) => sum + f.weight, 0);
+    if (totalWeight === 0) {
+        return { confidence: 0, confidenceFactors: [] };
+    }
+
+    const confidenceFactors = scored.map(f => ({
+        factor: f.factor,
+        name: CONFIDENCE_FACTORS[f.factor].name,
+        score: parseFloat(f.score.toFixed(2)),
+        weight: parseFloat((f.weight / totalWeight).toFixed(2)),
+        contribution: parseFloat(((f.score * f.weight) / totalWeight).toFixed(3))
+    }));
+    const confidence = scored.reduce((sum, f) => sum + f.score * f.weight, 0) / totalWeight;
+
+    return { confidence: parseFloat(confidence.toFixed(2)), confidenceFactors };
+}
+
+/**
+ * Rescores a confidence breakdown with additional factors, such as volume scored after detection
+ * @param {Array} confidenceFactors - Breakdown returned by scoreConfidence
+ * @param {Object} factors - Additional factor scores keyed by factor id
+ * @returns {{confidence: number, confidenceFactors: Array}} - The combined confidence and breakdown
+ */
+function addConfidenceFactors(confidenceFactors, factors) {
+    const existing = Object.fromEntries(confidenceFactors.map(f => [f.factor, f.score]));
+    return scoreConfidence({ ...existing, ...factors });
+}
+
+/**
+ * Scores how similar two or more prices are, relative to the largest difference a detector accepts
+ * @param {number} difference - Difference between the prices as a ratio
+ * @param {number} tolerance - Largest accepted difference as a ratio
+ * @returns {number} - 1 for identical prices, 0 at the tolerance
+ */
+function scoreSimilarity(difference, tolerance) {
+    return tolerance > 0 ? clampScore(1 - difference / tolerance) : 0;
+}
+
+/**
+ * Scores the pattern height in multiples of the average true range over the pattern
+ * @param {Array} candles - Array of OHLC price data
+ * @param {number} startIndex - First candle of the pattern
+ * @param {number} endIndex - Last candle of the pattern
+ * @param {number} patternHeight - Height of the pattern in price
+ * @returns {number|null} - 0 at one ATR or less, 1 at five ATRs or more, null without a range
+ */
+function scoreDepth(candles, startIndex, endIndex, patternHeight) {
+    const atr = calculateAverageTrueRange(candles, startIndex, endIndex);
+    if (atr === 0) {
+        return null;
+    }
+    return clampScore((patternHeight / atr - 1) / 4);
+}
+
+/**
+ * Scores the pattern duration; patterns shorter than the ideal length are more likely noise
+ * @param {number} startIndex - First candle of the pattern
+ * @param {number} endIndex - Last candle of the pattern
+ * @param {number} idealBars - Number of candles at which the duration scores 1
+ * @returns {number} - The duration score
+ */
+function scoreDuration(startIndex, endIndex, idealBars = 40) {
+    return clampScore((endIndex - startIndex) / idealBars);
+}
+
+/**
+ * Scores the trend leading into the pattern against the trend it needs:
+ * reversal patterns reverse a prior trend, continuation patterns continue it
+ * @param {Array} candles - Array of OHLC price data
+ * @param {number} startIndex - First candle of the pattern
+ * @param {string} expected - Expected prior trend, "bullish" or "bearish"
+ * @param {number} lookback - Number of candles before the pattern to measure
+ * @returns {number|null} - 0.5 for a flat prior trend, 1 for a move of three ATRs in the expected direction, null without history
+ */
+function scorePriorTrend(candles, startIndex, expected, lookback = 20) {
+    const fromIndex = Math.max(0, startIndex - lookback);
+    if (startIndex - fromIndex < 2) {
+        return null;
+    }
+
+    const atr = calculateAverageTrueRange(candles, fromIndex, startIndex);
+    if (atr === 0) {
+        return null;
+    }
+    const move = (candles[startIndex].close - candles[fromIndex].close) * (expected === "bullish" ? 1 : -1);
+    return clampScore(0.5 + 0.5 * move / (3 * atr));
+}
+
+/**
+ * Scores how decisively the breakout candle closed beyond the breakout level
+ * @param {Array} candles - Array of OHLC price data
+ * @param {number|null} breakoutIndex - Index of the confirmed breakout candle, null without a breakout
+ * @param {number|null} level - Price level that was broken
+ * @param {string} direction - Breakout direction, "bullish" or "bearish"
+ * @returns {number} - 0 without a breakout, 0.5 for a close at the level, 1 for a close one ATR beyond it
+ */
+function scoreBreakout(candles, breakoutIndex, level, direction) {
+    if (breakoutIndex === null || breakoutIndex === undefined || breakoutIndex < 0) {
+        return 0;
+    }
+    const atr = calculateAverageTrueRange(candles, Math.max(0, breakoutIndex - 14), breakoutIndex);
+    if (level === null || level === undefined || atr === 0) {
+        return 0.75;
+    }
+    const distance = (candles[breakoutIndex].close - level) * (direction === "bullish" ? 1 : -1);
+    return clampScore(0.5 + 0.5 * distance / atr);
+}
+
+module.exports = {
+    CONFIDENCE_FACTORS,
+    scoreConfidence,
+    addConfidenceFactors,
+    scoreSimilarity,
+    scoreDepth,
+    scoreDuration,
+    scorePriorTrend,
+    scoreBreakout,
+    clampScore
+};
@@ -0,0 +1,104 @@
+/**
+ * Failed-pattern signals shared by the reversal detectors.
+ * A pattern that breaks out and then closes back beyond its last swing (the right shoulder of a
+ * head and shoulders, the second top of a double top) has trapped the breakout traders, which is
+ * itself a signal in the opposite direction. The failure level becomes the new breakout level and
+ * the pattern height is projected from it.
+ */
+
+const { getNextDay } = require('./patternUtils.js');
+
+/**
+ * Number of candles after the breakout a close back beyond the failure level counts as a failure
+ */
+const FAILURE_MAX_BARS = 20;
+
+/**
+ * Color of failed-pattern lines and markers, distinct from the pattern's own geometry
+ */
+const FAILURE_COLOR = "#e91e63";
+
+/**
+ * Finds the first close back beyond a pattern's failure level after its breakout
+ * @param {Array} candles - Array of OHLC price data
+ * @param {Object} failure - Failure parameters of the pattern
+ * @param {string|null} failure.breakoutDate - Date of the pattern's breakout, null before the breakout
+ * @param {string} failure.direction - Direction of the pattern, "bullish" or "bearish"
+ * @param {number} failure.failureLevel - Price a close has to move back through for the pattern to fail
+ * @param {number} failure.patternHeight - Height of the pattern, projected from the failure level
+ * @param {number} maxBars - Number of candles after the breakout to look for the failure
+ * @returns {Object|null} - Failed-pattern signal with its own bias, target and stop, or null if the pattern held
+ */
+function findPatternFailure(candles, failure, maxBars = FAILURE_MAX_BARS) {
+    const { breakoutDate, direction, failureLevel, patternHeight } = failure;
+    const breakoutIndex = breakoutDate ? candles.findIndex(c => c.date === breakoutDate) : -1;
+    if (breakoutIndex === -1 || !patternHeight) {
+        return null;
+    }
+
+    // The failed pattern signals the opposite of the pattern
+    const bias = direction === 'bullish' ? 'bearish' : 'bullish';
+    const sign = bias === 'bullish' ? 1 : -1;
+    const lastIndex = Math.min(candles.length - 1, breakoutIndex + maxBars);
+    for (let i = breakoutIndex + 1; i <= lastIndex; i++) {
+        if (sign * (candles[i].close - failureLevel) <= 0) continue;
+
+        const path = candles.slice(breakoutIndex, i + 1);
+        const stopLoss = bias === 'bullish' ? Math.min(...path.map(c => c.low)) : Math.max(...path.map(c => c.high));
+        return {
+            bias,
+            breakoutDate,
+            date: candles[i].date,
+            price: parseFloat(candles[i].close.toFixed(2)),
+            failureLevel: parseFloat(failureLevel.toFixed(2)),
+            priceTarget: parseFloat((failureLevel + sign * patternHeight).toFixed(2)),
+            stopLoss: parseFloat(stopLoss.toFixed(2)),
+            barsAfterBreakout: i - breakoutIndex
+        };
+    }
+    return null;
+}
+
+/**
+ * Builds the chart lines of a failed pattern: the failure level from the breakout to the failure,
+ * and its target, both in the failure color so they stand apart from the pattern
+ * @param {Object} patternData - Pattern data with its failed-pattern signal
+ * @returns {Array} - Array of pattern line objects (empty unless the pattern failed)
+ */
+function buildFailureLines(patternData) {
+    const failed = patternData.failedPattern;
+    if (!failed) {
+        return [];
+    }
+    return [
+        { type: "failureLevel", points: [{ date: failed.breakoutDate, price: failed.failureLevel }, { date: failed.date, price: failed.failureLevel }], color: FAILURE_COLOR, style: "dashed" },
+        { type: "failureTarget", points: [{ date: failed.date, price: failed.failureLevel }, { date: getNextDay(failed.date), price: failed.priceTarget }], color: FAILURE_COLOR, style: "dotted" }
+    ];
+}
+
+/**
+ * Builds the marker of a failed pattern: an arrow in the direction of its bias on the failure candle
+ * @param {Object} patternData - Pattern data with its failed-pattern signal
+ * @returns {Array} - Array of marker objects (empty unless the pattern failed)
+ */
+function buildFailureMarkers(patternData) {
+    const failed = patternData.failedPattern;
+    if (!failed) {
+        return [];
+    }
+    const bullish = failed.bias === 'bullish';
+    return [{
+        date: failed.date,
+        label: failed.pattern,
+        position: bullish ? 'belowBar' : 'aboveBar',
+        shape: bullish ? 'arrowUp' : 'arrowDown',
+        color: FAILURE_COLOR
+    }];
+}
+
+module.exports = {
+    findPatternFailure,
+    buildFailureLines,
+    buildFailureMarkers,
+    FAILURE_MAX_BARS
+};
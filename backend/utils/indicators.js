@@ -0,0 +1,121 @@
+/**
+ * Momentum oscillators computed from OHLC candles (RSI, MACD, stochastic).
+ * Every series is aligned with the candles: entry i belongs to candle i, and
+ * entries before the indicator has enough history are null.
+ */
+
+/**
+ * Calculates a simple moving average
+ * @param {Array<number|null>} values - Input series (nulls are leading warm-up values)
+ * @param {number} period - Number of values to average
+ * @returns {Array<number|null>} - Moving average aligned with the input
+ */
+function calculateSMA(values, period) {
+    return values.map((_, i) => {
+        if (i < period - 1) return null;
+        const window = values.slice(i - period + 1, i + 1);
+        if (window.some(v => v === null)) return null;
+        return window.reduce((sum, v) => sum + v, 0) / period;
+    });
+}
+
+/**
+ * Calculates an exponential moving average, seeded with the simple average of the first full period
+ * @param {Array<number|null>} values - Input series (nulls are leading warm-up values)
+ * @param {number} period - Smoothing period
+ * @returns {Array<number|null>} - Moving average aligned with the input
+ */
+function calculateEMA(values, period) {
+    const result = new Array(values.length).fill(null);
+    const first = values.findIndex(v => v !== null);
+    if (first === -1 || first + period > values.length) {
+        return result;
+    }
+
+    const k = 2 / (period + 1);
+    let ema = values.slice(first, first + period).reduce((sum, v) => sum + v, 0) / period;
+    result[first + period - 1] = ema;
+    for (let i = first + period; i < values.length; i++) {
+        ema = values[i] * k + ema * (1 - k);
+        result[i] = ema;
+    }
+    return result;
+}
+
+/**
+ * Calculates the Relative Strength Index with Wilder's smoothing
+ * @param {Array<Object>} candles - The array of candle objects
+ * @param {number} period - RSI period
+ * @returns {Array<number|null>} - RSI values between 0 and 100
+ */
+function calculateRSI(candles, period = 14) {
+    const result = new Array(candles.length).fill(null);
+    if (candles.length <= period) {
+        return result;
+    }
+
+    let avgGain = 0;
+    let avgLoss = 0;
+    for (let i = 1; i <= period; i++) {
+        const change = candles[i].close - candles[i - 1].close;
+        avgGain += Math.max(change, 0) / period;
+        avgLoss += Math.max(-change, 0) / period;
+    }
+
+    const toRSI = () => (avgLoss === 0 ? 100 : 100 - 100 / (1 + avgGain / avgLoss));
+    result[period] = toRSI();
+    for (let i = period + 1; i < candles.length; i++) {
+        const change = candles[i].close - candles[i - 1].close;
+        avgGain = (avgGain * (period - 1) + Math.max(change, 0)) / period;
+        avgLoss = (avgLoss * (period - 1) + Math.max(-change, 0)) / period;
+        result[i] = toRSI();
+    }
+    return result;
+}
+
+/**
+ * Calculates the Moving Average Convergence Divergence
+ * @param {Array<Object>} candles - The array of candle objects
+ * @param {number} fastPeriod - Fast EMA period
+ * @param {number} slowPeriod - Slow EMA period
+ * @param {number} signalPeriod - Signal line EMA period
+ * @returns {{macd: Array, signal: Array, histogram: Array}} - MACD line, signal line and histogram
+ */
+function calculateMACD(candles, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+    const closes = candles.map(c => c.close);
+    const fast = calculateEMA(closes, fastPeriod);
+    const slow = calculateEMA(closes, slowPeriod);
+
+    const macd = closes.map((_, i) => (fast[i] !== null && slow[i] !== null ? fast[i] - slow[i] : null));
+    const signal = calculateEMA(macd, signalPeriod);
+    const histogram = macd.map((v, i) => (v !== null && signal[i] !== null ? v - signal[i] : null));
+
+    return { macd, signal, histogram };
+}
+
+/**
+ * Calculates the stochastic oscillator
+ * @param {Array<Object>} candles - The array of candle objects
+ * @param {number} kPeriod - Lookback for the highest high and lowest low
+ * @param {number} dPeriod - Smoothing period of the %D line
+ * @returns {{k: Array, d: Array}} - %K and %D values between 0 and 100
+ */
+function calculateStochastic(candles, kPeriod = 14, dPeriod = 3) {
+    const k = candles.map((candle, i) => {
+        if (i < kPeriod - 1) return null;
+        const window = candles.slice(i - kPeriod + 1, i + 1);
+        const highest = Math.max(...window.map(c => c.high));
+        const lowest = Math.min(...window.map(c => c.low));
+        return highest === lowest ? 50 : ((candle.close - lowest) / (highest - lowest)) * 100;
+    });
+
+    return { k, d: calculateSMA(k, dPeriod) };
+}
+
+module.exports = {
+    calculateSMA,
+    calculateEMA,
+    calculateRSI,
+    calculateMACD,
+    calculateStochastic
+};
@@ -56,4 +56,475 @@ function findPeaksAndTroughs(candles, window = null) {
     return { peaks, troughs };
 }
 
-module.exports = { findPeaksAndTroughs, calculateOptimalWindowSize };
+/**
+ * Finds swing highs and lows with a ZigZag filter.
+ * A pivot is only marked once price has reversed from it by the reversal threshold, so
+ * peaks and troughs strictly alternate. The last, still unconfirmed extreme is not returned.
+ * @param {Array<Object>} candles - The array of candle objects.
+ * @param {Object} options - Configuration options.
+ * @param {number} options.zigzagPercent - Minimum reversal as a ratio of the pivot price (e.g. 0.05 = 5%).
+ * @param {number} options.zigzagAtrMultiple - Minimum reversal as a multiple of the average true range (0 disables it).
+ * @returns {{peaks: Array<Object>, troughs: Array<Object>}} - The identified peaks and troughs.
+ */
+function findZigZagSwings(candles, options = {}) {
+    const { zigzagPercent = 0.05, zigzagAtrMultiple = 0 } = options;
+    const peaks = [];
+    const troughs = [];
+    if (candles.length < 2) {
+        return { peaks, troughs };
+    }
+
+    // The larger of the two thresholds applies
+    const atr = zigzagAtrMultiple > 0 ? calculateAverageTrueRange(candles) : 0;
+    const threshold = (price) => Math.max(price * zigzagPercent, atr * zigzagAtrMultiple);
+
+    // direction: 1 while rising towards a peak, -1 while falling towards a trough, 0 until the first reversal
+    let direction = 0;
+    let highIndex = 0;
+    let lowIndex = 0;
+
+    for (let i = 1; i < candles.length; i++) {
+        const current = candles[i];
+
+        if (direction >= 0 && current.high >= candles[highIndex].high) {
+            highIndex = i;
+        }
+        if (direction <= 0 && current.low <= candles[lowIndex].low) {
+            lowIndex = i;
+        }
+
+        const dropFromHigh = candles[highIndex].high - current.low;
+        const riseFromLow = current.high - candles[lowIndex].low;
+
+        if (direction >= 0 && highIndex < i && dropFromHigh >= threshold(candles[highIndex].high)) {
+            peaks.push({ index: highIndex, ...candles[highIndex] });
+            direction = -1;
+            lowIndex = i;
+        } else if (direction <= 0 && lowIndex < i && riseFromLow >= threshold(candles[lowIndex].low)) {
+            troughs.push({ index: lowIndex, ...candles[lowIndex] });
+            direction = 1;
+            highIndex = i;
+        }
+    }
+
+    return { peaks, troughs };
+}
+
+/**
+ * Finds peaks and troughs with the swing method selected in the detector options.
+ * - "window": a candle is a pivot if it is the extreme of the surrounding window (findPeaksAndTroughs)
+ * - "zigzag": a pivot is marked once price reverses by a percentage or ATR multiple (findZigZagSwings)
+ * @param {Array<Object>} candles - The array of candle objects.
+ * @param {number} window - Window size used by the "window" method (ignored by "zigzag").
+ * @param {Object} options - Detector options holding `swingMethod` and the ZigZag thresholds.
+ * @returns {{peaks: Array<Object>, troughs: Array<Object>}} - The identified peaks and troughs.
+ */
+function findSwings(candles, window = null, options = {}) {
+    const { swingMethod = 'window' } = options;
+
+    if (swingMethod === 'zigzag') {
+        return findZigZagSwings(candles, options);
+    }
+    if (swingMethod !== 'window') {
+        throw new Error(`Unknown swing method: ${swingMethod}`);
+    }
+    return findPeaksAndTroughs(candles, window);
+}
+
+/**
+ * Checks whether a detector may retry pivot detection with smaller windows when too few pivots are found.
+ * ZigZag swings have no window, and scale-space runs must stay at the scale they were asked for.
+ * @param {Object} options - Detector options.
+ * @returns {boolean} - True if the window-size fallback applies.
+ */
+function usesWindowFallback(options = {}) {
+    return options.swingMethod !== 'zigzag' && !options.multiScale;
+}
+
+/**
+ * Builds the ladder of window sizes used for scale-space detection.
+ * Sizes grow geometrically from `minScale` up to a tenth of the data length.
+ * @param {number} dataLength - The length of the dataset.
+ * @param {number} minScale - Smallest window size.
+ * @param {number} scaleFactor - Ratio between consecutive window sizes.
+ * @returns {Array<number>} - Window sizes in ascending order.
+ */
+function getScaleLadder(dataLength, minScale = 3, scaleFactor = 1.5) {
+    const maxScale = Math.max(minScale, Math.floor(dataLength / 10));
+    const scales = [];
+    for (let scale = minScale; scale <= maxScale; scale = Math.max(scale + 1, Math.round(scale * scaleFactor))) {
+        scales.push(scale);
+    }
+    return scales;
+}
+
+/**
+ * Runs window-based swing finding at every scale of a ladder and tags each pivot with the
+ * largest window size at which it is still a peak or trough. A pivot found with a window is
+ * also found with every smaller one, so the tag alone tells at which scales the pivot exists.
+ * @param {Array<Object>} candles - The array of candle objects.
+ * @param {Array<number>} scales - Window sizes in ascending order.
+ * @returns {{peaks: Array<Object>, troughs: Array<Object>}} - Pivots in date order, each with a `scale`.
+ */
+function findScaleSpacePivots(candles, scales) {
+    const peaks = new Map();
+    const troughs = new Map();
+
+    for (const scale of scales) {
+        const pivots = findPeaksAndTroughs(candles, scale);
+        pivots.peaks.forEach(p => peaks.set(p.index, { ...p, scale }));
+        pivots.troughs.forEach(t => troughs.set(t.index, { ...t, scale }));
+    }
+
+    const byIndex = (a, b) => a.index - b.index;
+    return { peaks: [...peaks.values()].sort(byIndex), troughs: [...troughs.values()].sort(byIndex) };
+}
+
+/**
+ * Merges peaks and troughs into a strictly alternating swing sequence.
+ * When two pivots of the same kind follow each other, only the more extreme one is kept.
+ * A candle whose high is a peak and whose low is a trough only keeps the pivot that continues the sequence,
+ * so no two swings share a candle.
+ * @param {Array<Object>} peaks - Peaks returned by findPeaksAndTroughs.
+ * @param {Array<Object>} troughs - Troughs returned by findPeaksAndTroughs.
+ * @returns {Array<{index: number, date: string, price: number, type: string, volume: number}>} - Alternating swings in date order.
+ */
+function buildAlternatingSwings(peaks, troughs) {
+    const pivots = [
+        ...peaks.map(p => ({ index: p.index, date: p.date, price: p.high, type: 'peak', volume: p.volume })),
+        ...troughs.map(t => ({ index: t.index, date: t.date, price: t.low, type: 'trough', volume: t.volume }))
+    ].sort((a, b) => a.index - b.index);
+
+    const swings = [];
+    for (const pivot of pivots) {
+        const last = swings[swings.length - 1];
+        if (last && last.index === pivot.index) {
+            continue;
+        }
+        if (!last || last.type !== pivot.type) {
+            swings.push(pivot);
+        } else if (pivot.type === 'peak' ? pivot.price > last.price : pivot.price < last.price) {
+            swings[swings.length - 1] = pivot;
+        }
+    }
+
+    return swings;
+}
+
+/**
+ * Returns the calendar day following the given date.
+ * Used to give projected target lines a visible length on the chart.
+ * @param {string} dateString - Date in YYYY-MM-DD format.
+ * @returns {string} - The next day in YYYY-MM-DD format.
+ */
+function getNextDay(dateString) {
+    const date = new Date(dateString);
+    date.setDate(date.getDate() + 1);
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * Returns the date a number of trading days (weekdays) after the given date.
+ * Used to project lines past the last candle.
+ * @param {string} dateString - Date in YYYY-MM-DD format.
+ * @param {number} count - Number of trading days to add.
+ * @returns {string} - The projected date in YYYY-MM-DD format.
+ */
+function addTradingDays(dateString, count) {
+    const date = new Date(dateString);
+    let added = 0;
+    while (added < count) {
+        date.setUTCDate(date.getUTCDate() + 1);
+        const day = date.getUTCDay();
+        if (day !== 0 && day !== 6) {
+            added++;
+        }
+    }
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * Ranks pattern candidates by confidence and drops those overlapping a better one.
+ * @param {Array<Object>} candidates - Candidates with `startIndex`, `endIndex` and `confidence`.
+ * @param {number} maxOverlap - Maximum allowed overlap as a ratio of the shorter candidate span.
+ * @returns {Array<Object>} - The non-overlapping candidates, highest confidence first.
+ */
+function selectNonOverlappingPatterns(candidates, maxOverlap = 0) {
+    const ranked = [...candidates].sort((a, b) => b.confidence - a.confidence);
+    const selected = [];
+
+    for (const candidate of ranked) {
+        const overlapsSelected = selected.some(s => {
+            const overlap = Math.min(s.endIndex, candidate.endIndex) - Math.max(s.startIndex, candidate.startIndex);
+            if (overlap < 0) {
+                return false;
+            }
+            const shorterSpan = Math.max(1, Math.min(s.endIndex - s.startIndex, candidate.endIndex - candidate.startIndex));
+            return maxOverlap === 0 || overlap / shorterSpan > maxOverlap;
+        });
+
+        if (!overlapsSelected) {
+            selected.push(candidate);
+        }
+    }
+
+    return selected;
+}
+
+/**
+ * Fits a least-squares straight line through a set of points.
+ * @param {Array<{x: number, y: number}>} points - The points to fit (x is usually a candle index).
+ * @returns {{slope: number, intercept: number, getValue: Function, meanResidual: number}} - The fitted line.
+ */
+function fitLine(points) {
+    const n = points.length;
+    const meanX = points.reduce((sum, p) => sum + p.x, 0) / n;
+    const meanY = points.reduce((sum, p) => sum + p.y, 0) / n;
+
+    let covariance = 0;
+    let varianceX = 0;
+    for (const p of points) {
+        covariance += (p.x - meanX) * (p.y - meanY);
+        varianceX += (p.x - meanX) * (p.x - meanX);
+    }
+
+    const slope = varianceX === 0 ? 0 : covariance / varianceX;
+    const intercept = meanY - slope * meanX;
+    const getValue = (x) => slope * x + intercept;
+    const meanResidual = points.reduce((sum, p) => sum + Math.abs(p.y - getValue(p.x)), 0) / n;
+
+    return { slope, intercept, getValue, meanResidual };
+}
+
+/**
+ * Fits a least-squares parabola (y = a*x^2 + b*x + c) through a set of points.
+ * @param {Array<{x: number, y: number}>} points - The points to fit (x is usually a candle index).
+ * @returns {{a: number, b: number, c: number, getValue: Function, rSquared: number}} - The fitted curve.
+ */
+function fitQuadratic(points) {
+    const n = points.length;
+
+    // Centre x to keep the normal equations well conditioned
+    const offset = points.reduce((sum, p) => sum + p.x, 0) / n;
+    let s1 = 0, s2 = 0, s3 = 0, s4 = 0, t0 = 0, t1 = 0, t2 = 0;
+    for (const p of points) {
+        const x = p.x - offset;
+        s1 += x;
+        s2 += x * x;
+        s3 += x * x * x;
+        s4 += x * x * x * x;
+        t0 += p.y;
+        t1 += x * p.y;
+        t2 += x * x * p.y;
+    }
+
+    // Solve the 3x3 normal equations with Cramer's rule
+    const det3 = (m) =>
+        m[0][0] * (m[1][1] * m[2][2] - m[1][2] * m[2][1]) -
+        m[0][1] * (m[1][0] * m[2][2] - m[1][2] * m[2][0]) +
+        m[0][2] * (m[1][0] * m[2][1] - m[1][1] * m[2][0]);
+    const matrix = [[s4, s3, s2], [s3, s2, s1], [s2, s1, n]];
+    const rhs = [t2, t1, t0];
+    const det = det3(matrix);
+    const solve = (column) => det3(matrix.map((row, i) => row.map((v, j) => (j === column ? rhs[i] : v)))) / det;
+
+    const a = det === 0 ? 0 : solve(0);
+    const b = det === 0 ? 0 : solve(1);
+    const c = det === 0 ? t0 / n : solve(2);
+    const getValue = (x) => a * (x - offset) * (x - offset) + b * (x - offset) + c;
+
+    const meanY = t0 / n;
+    const totalSquares = points.reduce((sum, p) => sum + (p.y - meanY) * (p.y - meanY), 0);
+    const residualSquares = points.reduce((sum, p) => sum + (p.y - getValue(p.x)) * (p.y - getValue(p.x)), 0);
+    const rSquared = totalSquares === 0 ? 0 : 1 - residualSquares / totalSquares;
+
+    return { a, b: b - 2 * a * offset, c: a * offset * offset - b * offset + c, getValue, rSquared };
+}
+
+/**
+ * Returns the date at a (possibly fractional or future) candle index.
+ * Indices past the last candle are extrapolated using the average calendar days per candle.
+ * @param {Array<Object>} candles - The array of candle objects.
+ * @param {number} index - The candle index.
+ * @returns {string} - The date in YYYY-MM-DD format.
+ */
+function getDateAtIndex(candles, index) {
+    const rounded = Math.max(0, Math.round(index));
+    if (rounded < candles.length) {
+        return candles[rounded].date;
+    }
+
+    const lastIndex = candles.length - 1;
+    const first = new Date(candles[0].date);
+    const last = new Date(candles[lastIndex].date);
+    const daysPerCandle = lastIndex > 0 ? (last - first) / (1000 * 60 * 60 * 24) / lastIndex : 1;
+
+    const date = new Date(last);
+    date.setDate(date.getDate() + Math.max(1, Math.round((rounded - lastIndex) * daysPerCandle)));
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * Calculates the average true range (ATR) over a range of candles.
+ * @param {Array<Object>} candles - The array of candle objects.
+ * @param {number} startIndex - First candle index (defaults to the start of the data).
+ * @param {number} endIndex - Last candle index (defaults to the end of the data).
+ * @returns {number} - The average true range in price units.
+ */
+function calculateAverageTrueRange(candles, startIndex = 0, endIndex = candles.length - 1) {
+    let trSum = 0;
+    let count = 0;
+    for (let i = Math.max(1, startIndex); i <= endIndex; i++) {
+        const current = candles[i];
+        const previous = candles[i - 1];
+
+        // True Range: the largest of the candle range and the gaps from the previous close
+        const tr = Math.max(
+            current.high - current.low,
+            Math.abs(current.high - previous.close),
+            Math.abs(current.low - previous.close)
+        );
+
+        trSum += tr;
+        count++;
+    }
+
+    return count > 0 ? trSum / count : 0;
+}
+
+/**
+ * Key points that mark the breakout rather than a swing of the pattern.
+ */
+const BREAKOUT_KEYS = ['breakoutPoint', 'necklineBreak'];
+
+/**
+ * Key points projected from trendlines rather than traded.
+ */
+const PROJECTED_KEYS = ['apex'];
+
+/**
+ * Returns the dated key points that shape a pattern, leaving out its breakout and projected points.
+ * @param {Array<Object>} candles - The array of candle objects.
+ * @param {Object} patternData - Pattern data returned by a detector.
+ * @returns {Array<{name: string, index: number}>} - The key points as candle indices, in date order.
+ */
+function getStructuralKeyPoints(candles, patternData) {
+    const indexByDate = new Map(candles.map((c, i) => [c.date, i]));
+    return Object.entries(patternData.keyPoints || {})
+        .filter(([key]) => !BREAKOUT_KEYS.includes(key) && !PROJECTED_KEYS.includes(key))
+        .filter(([, point]) => point && indexByDate.has(point.date))
+        .map(([name, point]) => ({ name, index: indexByDate.get(point.date) }))
+        .sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Returns the breakout key point of a pattern, whichever key the detector stores it under.
+ * @param {Object} patternData - Pattern data returned by a detector.
+ * @returns {Object|null} - The breakout point, or null before the breakout.
+ */
+function getBreakoutPoint(patternData) {
+    const keyPoints = patternData.keyPoints || {};
+    return BREAKOUT_KEYS.map(key => keyPoints[key]).find(point => point) || null;
+}
+
+/**
+ * Default retest settings:
+ * - maxBars: Number of candles after the breakout a pullback to the broken level counts as a retest
+ * - tolerance: How close to the broken level, as a ratio of it, a pullback has to come
+ * - confirmBars: Number of closes from the retest on that must stay beyond the level for the retest to hold
+ */
+const RETEST_DEFAULTS = {
+    maxBars: 15,
+    tolerance: 0.01,
+    confirmBars: 3
+};
+
+/**
+ * Looks for a pullback (after a bullish breakout) or throwback (after a bearish one) to the broken level.
+ * The retest is the first candle after the breakout whose low (bullish) or high (bearish) comes within
+ * the tolerance of the level. It holds when its close and the next confirmBars closes stay beyond the level;
+ * while those closes are still to come and none has failed, the retest is an entry available now.
+ * @param {Array<Object>} candles - The array of candle objects.
+ * @param {number} breakoutIndex - Index of the breakout candle.
+ * @param {Function} getLevel - Function returning the broken level (neckline or trendline) at a candle index.
+ * @param {string} direction - Breakout direction, "bullish" or "bearish".
+ * @param {Object} options - Retest settings overriding RETEST_DEFAULTS.
+ * @returns {Object} - Whether a retest occurred, the breakout direction, its date, price, level and depth in % of the level
+ *   (negative when it stopped short of the level, positive when it pierced back through), whether it held,
+ *   and whether the retest entry is available now.
+ */
+function findBreakoutRetest(candles, breakoutIndex, getLevel, direction, options = {}) {
+    const { maxBars, tolerance, confirmBars } = { ...RETEST_DEFAULTS, ...options };
+    const sign = direction === 'bullish' ? 1 : -1;
+    const lastIndex = Math.min(candles.length - 1, breakoutIndex + maxBars);
+
+    for (let i = breakoutIndex + 1; i <= lastIndex; i++) {
+        const level = getLevel(i);
+        const extreme = sign > 0 ? candles[i].low : candles[i].high;
+        const depth = sign * (level - extreme) / level;
+        if (depth < -tolerance) continue;
+
+        // The retest holds while closes stay on the breakout side of the level
+        const confirmEnd = Math.min(candles.length - 1, i + confirmBars);
+        let failed = false;
+        for (let k = i; k <= confirmEnd && !failed; k++) {
+            failed = sign * (candles[k].close - getLevel(k)) < 0;
+        }
+        const settled = failed || i + confirmBars <= candles.length - 1;
+
+        return {
+            occurred: true,
+            direction,
+            date: candles[i].date,
+            index: i,
+            price: parseFloat(extreme.toFixed(2)),
+            level: parseFloat(level.toFixed(2)),
+            depthPercent: parseFloat((depth * 100).toFixed(2)),
+            held: !failed,
+            entryAvailable: !settled
+        };
+    }
+
+    return { occurred: false, direction, date: null, depthPercent: null, held: null, entryAvailable: false };
+}
+
+/**
+ * Swing methods accepted by findSwings.
+ */
+const SWING_METHODS = ['window', 'zigzag'];
+
+/**
+ * Default swing options shared by every detector built on peaks and troughs.
+ */
+const SWING_DEFAULT_OPTIONS = {
+    swingMethod: 'window',
+    zigzagPercent: 0.05,
+    zigzagAtrMultiple: 0,
+    multiScale: false
+};
+
+module.exports = {
+    findPeaksAndTroughs,
+    findZigZagSwings,
+    findSwings,
+    usesWindowFallback,
+    getScaleLadder,
+    findScaleSpacePivots,
+    SWING_METHODS,
+    SWING_DEFAULT_OPTIONS,
+    buildAlternatingSwings,
+    calculateOptimalWindowSize,
+    getNextDay,
+    addTradingDays,
+    selectNonOverlappingPatterns,
+    fitLine,
+    fitQuadratic,
+    getDateAtIndex,
+    calculateAverageTrueRange,
+    BREAKOUT_KEYS,
+    PROJECTED_KEYS,
+    getStructuralKeyPoints,
+    getBreakoutPoint,
+    RETEST_DEFAULTS,
+    findBreakoutRetest
+};
@@ -0,0 +1,623 @@
+/**
+ * Shared helpers for double and triple tops and bottoms.
+ * A top is built from peaks (highs) separated by troughs and breaks down through its neckline;
+ * a bottom mirrors it with troughs (lows) separated by peaks and breaks up through the neckline.
+ * Detectors describe their pattern with a definition:
+ * { name, side: 'top' | 'bottom', pointNames, counterNames, necklineFrom, idealDuration }
+ * where `pointNames` name the equal extremes, `counterNames` the swings between them, and
+ * `necklineFrom` the key point the neckline is drawn from.
+ */
+
+const { findPeaksAndTroughs, findSwings, usesWindowFallback, calculateOptimalWindowSize, getNextDay, selectNonOverlappingPatterns, findBreakoutRetest } = require('./patternUtils.js');
+const { scoreConfidence, scoreSimilarity, scoreDepth, scoreDuration, scorePriorTrend, scoreBreakout } = require('./confidenceUtils.js');
+
+// Price fields, pivot lists and breakout direction of each side; `sign` is the direction of the neckline break
+const SIDES = {
+    top: {
+        extreme: 'high', counterExtreme: 'low',
+        pivots: 'peaks', counterPivots: 'troughs',
+        extremeOf: Math.max, counterExtremeOf: Math.min,
+        sign: -1, direction: 'bearish', priorTrend: 'bullish'
+    },
+    bottom: {
+        extreme: 'low', counterExtreme: 'high',
+        pivots: 'troughs', counterPivots: 'peaks',
+        extremeOf: Math.min, counterExtremeOf: Math.max,
+        sign: 1, direction: 'bullish', priorTrend: 'bearish'
+    }
+};
+
+/**
+ * Identifies significant peaks or troughs, retrying with smaller windows when too few are found
+ * @param {Array} candles - Array of OHLC price data
+ * @param {number} initialWindow - Initial window size for pivot detection
+ * @param {string} kind - 'peaks' or 'troughs'
+ * @param {number} minCount - Number of pivots the pattern needs
+ * @param {Object} options - Detector options selecting the swing method
+ * @returns {Array} - Array of pivot objects with date, price, and index
+ */
+function findSignificantPivots(candles, initialWindow, kind, minCount, options = {}) {
+    const windowSize = initialWindow || calculateOptimalWindowSize(candles.length);
+    console.log(`Using adaptive window size: ${windowSize}`);
+
+    let pivots = findSwings(candles, windowSize, options)[kind];
+    console.log(`Initial detection found ${pivots.length} ${kind}`);
+
+    if (pivots.length >= minCount || !usesWindowFallback(options)) {
+        return pivots;
+    }
+
+    // Not enough pivots: try a smaller window, then the minimum one
+    for (const fallbackWindow of [Math.max(3, Math.floor(candles.length * 0.02)), 2]) {
+        console.log(`Trying window size: ${fallbackWindow}`);
+        pivots = findPeaksAndTroughs(candles, fallbackWindow)[kind];
+        console.log(`Window ${fallbackWindow} found ${pivots.length} ${kind}`);
+        if (pivots.length >= minCount) {
+            return pivots;
+        }
+    }
+
+    console.log(`❌ FAILED: Not enough ${kind} found with any window size`);
+    return [];
+}
+
+/**
+ * Finds the opposite pivot that starts the move into a pattern
+ * @param {Object} pivot - First pivot of the pattern
+ * @param {Array} counterPivots - Pivots of the opposite kind
+ * @returns {Object|null} - The last opposite pivot before `pivot`, or null if none
+ */
+function findStartPivot(pivot, counterPivots) {
+    const preceding = counterPivots.filter(p => p.index < pivot.index);
+    return preceding.length > 0 ? preceding[preceding.length - 1] : null;
+}
+
+/**
+ * Generates every ordered combination of `size` pivots that has a starting pivot before it.
+ * With a side, a combination is only extended by pivots at least `minSpacing` candles after the previous one
+ * and within `similarityTolerance` of the combination, the checks the validators would fail it on anyway.
+ * Generation stops once there are more than `maxCombinations`.
+ * @param {Array} pivots - Pivots forming the equal extremes
+ * @param {Array} counterPivots - Pivots of the opposite kind
+ * @param {number} size - Number of pivots per combination
+ * @param {Object} options - side ('top' or 'bottom'), similarityTolerance, minSpacing and maxCombinations
+ * @returns {Array} - Array of { startPivot, pivots, index } combinations
+ */
+function generatePivotCombinations(pivots, counterPivots, size, options = {}) {
+    const { side = null, similarityTolerance = Infinity, minSpacing = 0, maxCombinations = Infinity } = options;
+    const combinations = [];
+
+    const fits = (chosen, pivot) => {
+        if (!side) return true;
+        if (pivot.index < chosen[chosen.length - 1].index + minSpacing) return false;
+        return measureSimilarity([...chosen, pivot], side).maxDifference <= similarityTolerance;
+    };
+
+    const extend = (startPivot, chosen, from) => {
+        if (chosen.length === size) {
+            combinations.push({ startPivot, pivots: chosen, index: combinations.length });
+            return;
+        }
+        for (let i = from; i < pivots.length && combinations.length <= maxCombinations; i++) {
+            if (fits(chosen, pivots[i])) {
+                extend(startPivot, [...chosen, pivots[i]], i + 1);
+            }
+        }
+    };
+
+    pivots.forEach((pivot, i) => {
+        const startPivot = findStartPivot(pivot, counterPivots);
+        if (startPivot && combinations.length <= maxCombinations) {
+            extend(startPivot, [pivot], i + 1);
+        }
+    });
+
+    return combinations;
+}
+
+/**
+ * Finds the largest number of pivots whose combinations of a size stay within a budget
+ * @param {number} size - Number of pivots per combination
+ * @param {number} maxCombinations - Largest number of combinations
+ * @returns {number} - The number of pivots
+ */
+function getMaxPivots(size, maxCombinations) {
+    const countCombinations = (n) => {
+        let count = 1;
+        for (let k = 0; k < size; k++) {
+            count = count * (n - k) / (k + 1);
+        }
+        return count;
+    };
+
+    let pivotCount = size;
+    while (countCombinations(pivotCount + 1) <= maxCombinations) {
+        pivotCount++;
+    }
+    return pivotCount;
+}
+
+/**
+ * Keeps the most prominent pivots. A pivot's prominence is the smaller of the moves
+ * away from it towards the previous and the next pivot.
+ * @param {Array} pivots - Pivots in date order
+ * @param {Array} candles - Array of all candles
+ * @param {string} side - 'top' or 'bottom'
+ * @param {number} maxPivots - Largest number of pivots to keep
+ * @returns {Array} - The most prominent pivots, still in date order
+ */
+function selectProminentPivots(pivots, candles, side, maxPivots) {
+    if (pivots.length <= maxPivots) {
+        return pivots;
+    }
+    const { extreme, counterExtreme, sign } = SIDES[side];
+    const moveTo = (pivot, counter) => counter ? sign * (counter[counterExtreme] - pivot[extreme]) : 0;
+
+    const prominence = new Map(pivots.map((pivot, i) => {
+        const previousIndex = i > 0 ? pivots[i - 1].index : -1;
+        const nextIndex = i < pivots.length - 1 ? pivots[i + 1].index : candles.length;
+        const left = moveTo(pivot, findCounterExtreme(candles, previousIndex, pivot.index, side));
+        const right = moveTo(pivot, findCounterExtreme(candles, pivot.index, nextIndex, side));
+        return [pivot, Math.min(left, right)];
+    }));
+
+    const kept = new Set([...pivots]
+        .sort((a, b) => prominence.get(b) - prominence.get(a) || a.index - b.index)
+        .slice(0, maxPivots));
+    return pivots.filter(p => kept.has(p));
+}
+
+/**
+ * Measures how far each pivot sits from the most extreme one
+ * @param {Array} pivots - Pivots forming the equal extremes
+ * @param {string} side - 'top' or 'bottom'
+ * @returns {Object} - Differences as ratios of the most extreme price, their maximum and the average price
+ */
+function measureSimilarity(pivots, side) {
+    const { extreme, extremeOf } = SIDES[side];
+    const prices = pivots.map(p => p[extreme]);
+    const reference = extremeOf(...prices);
+    const differences = prices.map(p => Math.abs(p - reference) / reference);
+
+    return {
+        differences,
+        maxDifference: Math.max(...differences),
+        averagePrice: prices.reduce((sum, p) => sum + p, 0) / prices.length
+    };
+}
+
+/**
+ * Finds the candle furthest in the breakout direction strictly between two pivots:
+ * the lowest low between two peaks, or the highest high between two troughs
+ * @param {Array} candles - Array of all candles
+ * @param {number} fromIndex - Index of the earlier pivot
+ * @param {number} toIndex - Index of the later pivot
+ * @param {string} side - 'top' or 'bottom'
+ * @returns {Object|null} - The candle, or null if the pivots are adjacent
+ */
+function findCounterExtreme(candles, fromIndex, toIndex, side) {
+    const { counterExtreme, sign } = SIDES[side];
+    const candlesBetween = candles.slice(fromIndex + 1, toIndex);
+
+    if (candlesBetween.length === 0) {
+        return null;
+    }
+
+    return candlesBetween.reduce(
+        (best, candle) => sign * (candle[counterExtreme] - best[counterExtreme]) > 0 ? candle : best,
+        candlesBetween[0]
+    );
+}
+
+/**
+ * Detects the first close through the breakout level after the last pivot
+ * @param {Array} candles - Array of all candles
+ * @param {number} afterIndex - Index of the last pivot
+ * @param {number} breakoutLevel - Price level a close must cross
+ * @param {string} side - 'top' or 'bottom'
+ * @param {number} necklineLevel - Neckline a retest pulls back to
+ * @returns {Object|null} - Breakout information with its retest, or null if no breakout
+ */
+function detectNecklineBreak(candles, afterIndex, breakoutLevel, side, necklineLevel = breakoutLevel) {
+    const { sign, direction } = SIDES[side];
+
+    for (let k = afterIndex + 1; k < candles.length; k++) {
+        if (sign * (candles[k].close - breakoutLevel) > 0) {
+            return {
+                date: candles[k].date,
+                price: candles[k].close,
+                volume: candles[k].volume,
+                index: k,
+                isConfirmed: true,
+                retest: findBreakoutRetest(candles, k, () => necklineLevel, direction)
+            };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Calculates pattern metrics including confidence, price target and key points
+ * @param {Object} pattern - Pattern definition
+ * @param {Object} startPivot - Opposite pivot that starts the move into the pattern
+ * @param {Array} pivots - Pivots forming the equal extremes
+ * @param {Array} counters - Candles between the pivots
+ * @param {Object|null} breakoutPoint - Breakout confirmation point, null if no breakout yet
+ * @param {number} necklineLevel - The neckline level
+ * @param {Object} similarity - Result of `measureSimilarity`
+ * @param {number} similarityTolerance - Largest accepted difference between the pivots
+ * @param {Array} candles - Array of all candles
+ * @returns {Object} - Pattern metrics
+ */
+function calculatePatternMetrics(pattern, startPivot, pivots, counters, breakoutPoint, necklineLevel, similarity, similarityTolerance, candles) {
+    const { extreme, counterExtreme, sign, direction, priorTrend } = SIDES[pattern.side];
+    const first = pivots[0];
+    const last = pivots[pivots.length - 1];
+    const patternHeight = sign * (necklineLevel - similarity.averagePrice);
+    const priceTarget = necklineLevel + sign * patternHeight;
+    const endDate = breakoutPoint ? breakoutPoint.date : last.date;
+    const timespan = (new Date(endDate) - new Date(first.date)) / (1000 * 60 * 60 * 24);
+
+    // Confidence factors: equal extremes, height, spacing, the trend into the first pivot and the neckline break
+    const { confidence, confidenceFactors } = scoreConfidence({
+        symmetry: scoreSimilarity(similarity.maxDifference, similarityTolerance),
+        depth: scoreDepth(candles, startPivot.index, last.index, patternHeight),
+        duration: scoreDuration(first.index, last.index, pattern.idealDuration),
+        priorTrend: scorePriorTrend(candles, first.index, priorTrend),
+        breakout: scoreBreakout(candles, breakoutPoint ? breakoutPoint.index : null, necklineLevel, direction)
+    });
+
+    // Key points alternate between the pivots and the swings between them
+    const keyPoints = { startPoint: { date: startPivot.date, price: startPivot[counterExtreme], volume: startPivot.volume } };
+    pivots.forEach((pivot, i) => {
+        keyPoints[pattern.pointNames[i]] = { date: pivot.date, price: pivot[extreme], volume: pivot.volume };
+        if (i < counters.length) {
+            keyPoints[pattern.counterNames[i]] = { date: counters[i].date, price: counters[i][counterExtreme], volume: counters[i].volume };
+        }
+    });
+    keyPoints.breakoutPoint = breakoutPoint;
+
+    return {
+        confidence,
+        confidenceFactors,
+        keyPoints,
+        necklineLevel,
+        priceTarget,
+        patternHeight,
+        timespan: Math.round(timespan),
+        type: pattern.name
+    };
+}
+
+/**
+ * Logs the pivots of a candidate pattern
+ * @param {Object} pattern - Pattern definition
+ * @param {Array} pivots - Pivots forming the equal extremes
+ */
+function logCandidate(pattern, pivots) {
+    const { extreme } = SIDES[pattern.side];
+    console.log(`\n===== VALIDATING POTENTIAL ${pattern.name.toUpperCase()} =====`);
+    pivots.forEach((pivot, i) => {
+        console.log(`${pattern.pointNames[i]}: ${pivot.date}, ${extreme}: ${pivot[extreme].toFixed(2)}`);
+    });
+}
+
+/**
+ * Validates a double top or bottom: two similar pivots, a deep enough swing between them, and the
+ * neckline at that swing. The breakout is optional, a pattern without one is still forming.
+ * @param {Object} pattern - Pattern definition
+ * @param {Object} startPivot - Opposite pivot before the first pivot
+ * @param {Array} pivots - The two pivots
+ * @param {Array} candles - The array of candle objects
+ * @param {Object} options - minSpacing, similarityTolerance, minCounterMove and breakoutPercentage
+ * @returns {Object|null} - The detected pattern data or null if not valid
+ */
+function validateDoublePattern(pattern, startPivot, pivots, candles, options = {}) {
+    const { extreme, counterExtreme, sign } = SIDES[pattern.side];
+    const [first, second] = pivots;
+    logCandidate(pattern, pivots);
+
+    const {
+        minSpacing = 5,
+        similarityTolerance = 0.10,
+        minCounterMove = 0.05,
+        breakoutPercentage = 0.03
+    } = options;
+
+    // 1. Check minimum distance between the pivots
+    if (second.index < first.index + minSpacing) {
+        console.log('❌ FAILED: Pivots too close together');
+        return null;
+    }
+
+    // 2. Check the pivots are at a similar price
+    const similarity = measureSimilarity(pivots, pattern.side);
+    console.log(`Pivot difference: ${(similarity.maxDifference * 100).toFixed(2)}% (max allowed: ${(similarityTolerance * 100)}%)`);
+    if (similarity.maxDifference > similarityTolerance) {
+        console.log('❌ FAILED: Pivot difference too large');
+        return null;
+    }
+
+    // 3. Find the swing between the pivots
+    const counter = findCounterExtreme(candles, first.index, second.index, pattern.side);
+    if (!counter) {
+        console.log('❌ FAILED: No swing found between pivots');
+        return null;
+    }
+
+    // 4. Check the swing moved far enough away from the first pivot
+    const counterMove = sign * (counter[counterExtreme] - first[extreme]) / first[extreme];
+    console.log(`Swing between pivots: ${(counterMove * 100).toFixed(2)}% (min required: ${(minCounterMove * 100)}%)`);
+    if (counterMove < minCounterMove) {
+        console.log('❌ FAILED: Swing between pivots too small');
+        return null;
+    }
+
+    // 5. The neckline must lie beyond both pivots in the breakout direction
+    const necklineLevel = counter[counterExtreme];
+    console.log(`Neckline Level: ${necklineLevel.toFixed(2)}`);
+    if (pivots.some(p => sign * (necklineLevel - p[extreme]) <= 0)) {
+        console.log('❌ FAILED: Neckline not beyond the pivots');
+        return null;
+    }
+
+    // 6. Breakout confirmation a percentage beyond the neckline
+    const breakoutLevel = necklineLevel * (1 + sign * breakoutPercentage);
+    console.log(`Breakout Confirmation Level: ${breakoutLevel.toFixed(2)} (${breakoutPercentage * 100}% beyond neckline)`);
+    const breakoutPoint = detectNecklineBreak(candles, second.index, breakoutLevel, pattern.side, necklineLevel);
+
+    if (breakoutPoint) {
+        console.log(`✅ Breakout found at: ${breakoutPoint.date}, Price: ${breakoutPoint.price.toFixed(2)}`);
+    } else {
+        console.log('⚠ WARNING: No breakout confirmation found, pattern still forming');
+    }
+
+    return {
+        detected: true,
+        success: true,
+        pattern: pattern.name,
+        patternData: calculatePatternMetrics(pattern, startPivot, pivots, [counter], breakoutPoint, necklineLevel, similarity, similarityTolerance, candles)
+    };
+}
+
+/**
+ * Validates a triple top or bottom: three similar pivots, the neckline at the furthest swing between
+ * them, and a close through the neckline unless the breakout is not required
+ * @param {Object} pattern - Pattern definition
+ * @param {Object} startPivot - Opposite pivot before the first pivot
+ * @param {Array} pivots - The three pivots
+ * @param {Array} candles - The array of candle objects
+ * @param {Object} options - minSpacing, similarityTolerance and requireBreakout
+ * @returns {Object|null} - The detected pattern data or null if not valid
+ */
+function validateTriplePattern(pattern, startPivot, pivots, candles, options = {}) {
+    const { counterExtreme, counterExtremeOf, sign } = SIDES[pattern.side];
+    logCandidate(pattern, pivots);
+
+    const {
+        minSpacing = 2,
+        similarityTolerance = 0.08,
+        requireBreakout = true
+    } = options;
+
+    // 1. Check minimum spacing between the pivots
+    if (pivots.some((p, i) => i > 0 && p.index < pivots[i - 1].index + minSpacing)) {
+        console.log('❌ FAILED: Pivots too close together');
+        return null;
+    }
+
+    // 2. Check the pivots are at a similar price
+    const similarity = measureSimilarity(pivots, pattern.side);
+    console.log(`Pivot differences: ${similarity.differences.map(d => (d * 100).toFixed(2) + '%').join(', ')}`);
+    if (similarity.maxDifference > similarityTolerance) {
+        console.log('❌ FAILED: Pivot prices not similar enough');
+        return null;
+    }
+
+    // 3. Find the swings between the pivots
+    const counters = pivots.slice(1).map((p, i) => findCounterExtreme(candles, pivots[i].index, p.index, pattern.side));
+    if (counters.some(c => !c)) {
+        console.log('❌ FAILED: Could not identify the swings between pivots');
+        return null;
+    }
+
+    // 4. The neckline is the furthest swing and must lie beyond the average pivot price
+    const necklineLevel = counterExtremeOf(...counters.map(c => c[counterExtreme]));
+    console.log(`Neckline Level: ${necklineLevel.toFixed(2)}`);
+    if (sign * (necklineLevel - similarity.averagePrice) <= 0) {
+        console.log('❌ FAILED: Neckline not beyond the average pivot price');
+        return null;
+    }
+
+    // 5. Check for breakout confirmation
+    const breakoutPoint = detectNecklineBreak(candles, pivots[2].index, necklineLevel, pattern.side);
+    if (!breakoutPoint && requireBreakout) {
+        console.log('❌ FAILED: No breakout confirmation found');
+        return null;
+    } else if (breakoutPoint) {
+        console.log(`✅ Breakout found at: ${breakoutPoint.date}, Price: ${breakoutPoint.price.toFixed(2)}`);
+    } else {
+        console.log('⚠ WARNING: No breakout confirmation found, but not required');
+    }
+
+    return {
+        detected: true,
+        success: true,
+        pattern: pattern.name,
+        patternData: calculatePatternMetrics(pattern, startPivot, pivots, counters, breakoutPoint, necklineLevel, similarity, similarityTolerance, candles)
+    };
+}
+
+/**
+ * Runs the detection loop shared by the double and triple patterns
+ * @param {Array<Object>} candles - The array of candle objects
+ * @param {Object} pattern - Pattern definition
+ * @param {Object} options - Detector options plus the generic validation options
+ * @param {Function} validate - validateDoublePattern or validateTriplePattern
+ * @returns {Object} - The result of the detection
+ */
+function detectPattern(candles, pattern, options, validate) {
+    const { pivots: pivotKind, counterPivots: counterKind, extreme } = SIDES[pattern.side];
+    const count = pattern.pointNames.length;
+    const { minRequiredCandles, findAll = false, maxCombinations = 10000 } = options;
+
+    console.log(`\n===== ${pattern.name.toUpperCase()} DETECTION STARTED =====`);
+
+    // 1. Check if we have enough data
+    if (!candles || candles.length < minRequiredCandles) {
+        console.log('❌ FAILED: Not enough data');
+        return { detected: false, success: false, reason: "Not enough data" };
+    }
+
+    console.log(`Dataset size: ${candles.length} candles`);
+    console.log(`Date range: ${candles[0].date} to ${candles[candles.length-1].date}`);
+
+    // 2. Find the pivots forming the pattern and the swings between them
+    const pivots = findSignificantPivots(candles, options.windowSize, pivotKind, count, options);
+    const counterPivots = findSignificantPivots(candles, options.windowSize, counterKind, count - 1, options);
+
+    if (pivots.length < count || counterPivots.length < count - 1) {
+        const reason = pivots.length < count ? `Not enough ${pivotKind} found` : `Not enough ${counterKind} found`;
+        console.log(`❌ FAILED: ${reason}`);
+        return { detected: false, success: false, reason };
+    }
+
+    console.log(`\nTop 5 ${pivotKind} found:`);
+    pivots.slice(0, 5).forEach((pivot, i) => {
+        console.log(`${i+1}. Date: ${pivot.date}, ${extreme}: ${pivot[extreme].toFixed(2)}, Index: ${pivot.index}`);
+    });
+
+    // 3. Validate every combination of pivots. Range-bound or flat data can turn almost every candle
+    // into a pivot: past maxCombinations, only the most prominent pivots are combined
+    const combinationOptions = {
+        side: pattern.side,
+        similarityTolerance: options.similarityTolerance,
+        minSpacing: options.minSpacing,
+        maxCombinations
+    };
+    let combinations = generatePivotCombinations(pivots, counterPivots, count, combinationOptions);
+    if (combinations.length > maxCombinations) {
+        const prominentPivots = selectProminentPivots(pivots, candles, pattern.side, getMaxPivots(count, maxCombinations));
+        console.log(`Too many combinations: keeping the ${prominentPivots.length} most prominent of ${pivots.length} ${pivotKind}`);
+        combinations = generatePivotCombinations(prominentPivots, counterPivots, count, combinationOptions);
+    }
+    console.log(`Generated ${combinations.length} potential combinations to test`);
+
+    const candidates = [];
+    for (const combination of combinations) {
+        console.log(`\nValidation attempt #${combination.index + 1}: Checking ${pivotKind} at ${combination.pivots.map(p => p.date).join(', ')}`);
+
+        const result = validate(pattern, combination.startPivot, combination.pivots, candles, options);
+
+        if (result) {
+            console.log(`\n✅ VALID ${pattern.name.toUpperCase()} PATTERN FOUND!`);
+            if (!findAll) {
+                return result;
+            }
+            candidates.push({
+                result,
+                startIndex: combination.startPivot.index,
+                endIndex: combination.pivots[count - 1].index,
+                confidence: result.patternData.confidence
+            });
+        }
+    }
+
+    // 4. In findAll mode, return every non-overlapping occurrence ranked by confidence
+    if (candidates.length > 0) {
+        const occurrences = selectNonOverlappingPatterns(candidates).map(c => c.result.patternData);
+        console.log(`\nFound ${occurrences.length} non-overlapping ${pattern.name} patterns out of ${candidates.length} valid candidates.`);
+        return { detected: true, success: true, pattern: pattern.name, patternData: occurrences[0], occurrences };
+    }
+
+    console.log(`\nNo valid ${pattern.name} pattern found after ${combinations.length} validation attempts.`);
+    return { detected: false, success: false, reason: "No valid pattern found" };
+}
+
+/**
+ * Detects a double top or bottom
+ * @param {Array<Object>} candles - The array of candle objects
+ * @param {Object} pattern - Pattern definition with two point names
+ * @param {Object} options - minRequiredCandles, windowSize, findAll, swing options and the options of `validateDoublePattern`
+ * @returns {Object} - The result of the detection
+ */
+function detectDoublePattern(candles, pattern, options = {}) {
+    return detectPattern(candles, pattern, options, validateDoublePattern);
+}
+
+/**
+ * Detects a triple top or bottom; forming patterns are still waiting for their breakout
+ * @param {Array<Object>} candles - The array of candle objects
+ * @param {Object} pattern - Pattern definition with three point names
+ * @param {Object} options - minRequiredCandles, windowSize, findAll, forming, swing options and the options of `validateTriplePattern`
+ * @returns {Object} - The result of the detection
+ */
+function detectTriplePattern(candles, pattern, options = {}) {
+    const { requireBreakout = true, forming = false } = options;
+    return detectPattern(candles, pattern, { ...options, requireBreakout: requireBreakout && !forming }, validateTriplePattern);
+}
+
+/**
+ * Builds the chart lines (neckline, outline, target) for a detected top or bottom
+ * @param {Object} patternData - Pattern data returned by the detector
+ * @param {Object} pattern - Pattern definition
+ * @returns {Array} - Array of pattern line objects
+ */
+function buildTopBottomLines(patternData, pattern) {
+    const { keyPoints, necklineLevel, priceTarget } = patternData;
+    const { pointNames, counterNames } = pattern;
+    // Without a confirmed breakout the lines end at the last pivot
+    const breakoutDate = (keyPoints.breakoutPoint || keyPoints[pointNames[pointNames.length - 1]]).date;
+
+    const outlineNames = pointNames.flatMap((name, i) => i < counterNames.length ? [name, counterNames[i]] : [name]);
+    const outlinePoints = ['startPoint', ...outlineNames].map(name => ({ date: keyPoints[name].date, price: keyPoints[name].price }));
+    if (keyPoints.breakoutPoint) {
+        outlinePoints.push({ date: keyPoints.breakoutPoint.date, price: keyPoints.breakoutPoint.price });
+    }
+
+    return [
+        { type: "neckline", points: [{ date: keyPoints[pattern.necklineFrom].date, price: necklineLevel }, { date: breakoutDate, price: necklineLevel }], color: "#0000ff", style: "dashed" },
+        { type: "patternOutline", points: outlinePoints, color: "#800080", style: "solid" },
+        { type: "targetLine", points: [{ date: breakoutDate, price: necklineLevel }, { date: getNextDay(breakoutDate), price: priceTarget }], color: "#800080", style: "dotted" }
+    ];
+}
+
+/**
+ * Builds the breakout trigger of a top or bottom: a close through the neckline,
+ * invalidated beyond the most extreme pivot
+ * @param {Object} patternData - Pattern data returned by the detector
+ * @param {Object} pattern - Pattern definition
+ * @returns {Object} - Breakout trigger
+ */
+function buildTopBottomTrigger(patternData, pattern) {
+    const { keyPoints, necklineLevel } = patternData;
+    const { direction, extremeOf } = SIDES[pattern.side];
+    const points = pattern.pointNames.map(name => keyPoints[name]);
+    return {
+        breakoutDate: keyPoints.breakoutPoint ? keyPoints.breakoutPoint.date : null,
+        direction,
+        line: [{ date: points[0].date, price: necklineLevel }, { date: points[points.length - 1].date, price: necklineLevel }],
+        invalidationLevel: extremeOf(...points.map(p => p.price))
+    };
+}
+
+module.exports = {
+    SIDES,
+    detectDoublePattern,
+    detectTriplePattern,
+    buildTopBottomLines,
+    buildTopBottomTrigger,
+    // Export helper functions for testing
+    findSignificantPivots,
+    findStartPivot,
+    generatePivotCombinations,
+    getMaxPivots,
+    selectProminentPivots,
+    measureSimilarity,
+    findCounterExtreme,
+    detectNecklineBreak,
+    calculatePatternMetrics,
+    validateDoublePattern,
+    validateTriplePattern
+};
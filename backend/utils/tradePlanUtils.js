@@ -0,0 +1,160 @@
+/**
+ * Trade plans shared by every pattern detector.
+ * A forming or confirmed pattern is turned into an entry on its breakout trigger, a stop-loss
+ * beyond the pattern's last swing (or a multiple of the average true range), targets from the
+ * measured move, the reward/risk ratio and a position size for the risk taken per trade.
+ */
+
+const { calculateAverageTrueRange, getStructuralKeyPoints } = require('./patternUtils.js');
+
+/**
+ * Stop-loss placements: beyond the pattern's last swing, or a multiple of the average true range from the entry
+ */
+const STOP_METHODS = ['structure', 'atr'];
+
+/**
+ * Average true ranges between the entry and an ATR-based stop
+ */
+const ATR_STOP_MULTIPLE = 2;
+
+/**
+ * Targets in multiples of the risk when the pattern has no usable price target
+ */
+const RISK_MULTIPLE_TARGETS = [2, 3];
+
+/**
+ * Rounds a price or ratio to two decimals
+ * @param {number} value - Value to round
+ * @returns {number} - The rounded value
+ */
+function round(value) {
+    return parseFloat(value.toFixed(2));
+}
+
+/**
+ * Calculates the value of a two-point trigger line at a candle index
+ * @param {Array} line - Two dated points of the line
+ * @param {number} index - Candle index
+ * @param {Array} candles - Array of OHLC price data
+ * @returns {number} - Price of the line at the index
+ */
+function getLineValueAt(line, index, candles) {
+    const [from, to] = line;
+    const fromIndex = candles.findIndex(c => c.date === from.date);
+    const toIndex = candles.findIndex(c => c.date === to.date);
+    const slope = toIndex > fromIndex ? (to.price - from.price) / (toIndex - fromIndex) : 0;
+    return from.price + slope * (index - fromIndex);
+}
+
+/**
+ * Builds the trade plan of a forming or confirmed pattern.
+ * The entry is the trigger line at the breakout candle, or at the last candle while the pattern is forming.
+ * The structural stop sits beyond the most extreme price of the pattern's last leg (the right shoulder,
+ * the second peak); the ATR stop sits ATR_STOP_MULTIPLE average true ranges from the entry.
+ * Targets are half and all of the measured move, or RISK_MULTIPLE_TARGETS without a price target.
+ * @param {Object} trigger - Breakout trigger returned by the detector's buildBreakoutTrigger
+ * @param {Object} patternData - Pattern data with its lifecycle state
+ * @param {Array} candles - Array of OHLC price data
+ * @param {Object} options - Configuration options
+ * @returns {Object|null} - Trade plan, or null when the pattern is resolved or the stop is not beyond the entry
+ */
+function buildTradePlan(trigger, patternData, candles, options = {}) {
+    const { stopMethod = 'structure', accountSize = 10000, riskPercent = 1 } = options;
+    const { status, breakoutDate, priceTarget } = patternData;
+    if (status !== 'forming' && status !== 'confirmed') {
+        return null;
+    }
+
+    const keyPoints = getStructuralKeyPoints(candles, patternData);
+    const entryIndex = status === 'confirmed' ? candles.findIndex(c => c.date === breakoutDate) : candles.length - 1;
+    if (keyPoints.length === 0 || entryIndex === -1) {
+        return null;
+    }
+
+    const bullish = trigger.direction === 'bullish';
+    const sign = bullish ? 1 : -1;
+    const entry = getLineValueAt(trigger.line, entryIndex, candles);
+
+    // 1. Stop-loss
+    let stopLoss;
+    if (stopMethod === 'atr') {
+        const atr = calculateAverageTrueRange(candles, Math.max(0, entryIndex - 14), entryIndex);
+        stopLoss = entry - sign * ATR_STOP_MULTIPLE * atr;
+    } else {
+        const legStart = keyPoints[Math.max(0, keyPoints.length - 2)].index;
+        const leg = candles.slice(legStart, entryIndex + 1);
+        stopLoss = bullish ? Math.min(...leg.map(c => c.low)) : Math.max(...leg.map(c => c.high));
+    }
+    const risk = sign * (entry - stopLoss);
+    if (!(risk > 0)) {
+        return null;
+    }
+
+    // 2. Targets
+    const hasTarget = priceTarget !== null && priceTarget !== undefined && sign * (priceTarget - entry) > 0;
+    const targetPrices = hasTarget
+        ? [entry + (priceTarget - entry) / 2, priceTarget]
+        : RISK_MULTIPLE_TARGETS.map(multiple => entry + sign * multiple * risk);
+    const targets = targetPrices.map((price, i) => ({
+        label: `T${i + 1}`,
+        price: round(price),
+        rewardRisk: round(sign * (price - entry) / risk)
+    }));
+
+    // 3. Position size for the amount risked per trade
+    const riskAmount = accountSize * riskPercent / 100;
+    const positionSize = Math.floor(riskAmount / risk);
+
+    return {
+        direction: trigger.direction,
+        startDate: status === 'confirmed' ? breakoutDate : candles[keyPoints[keyPoints.length - 1].index].date,
+        entry: round(entry),
+        stopLoss: round(stopLoss),
+        stopMethod,
+        targets,
+        riskPerShare: round(risk),
+        rewardRisk: targets[targets.length - 1].rewardRisk,
+        riskAmount: round(riskAmount),
+        positionSize,
+        positionValue: round(positionSize * entry)
+    };
+}
+
+/**
+ * Builds the shaded entry, stop and target zones of a trade plan, from the plan start to the last candle
+ * @param {Object} patternData - Pattern data with its trade plan
+ * @param {Array} candles - Array of OHLC price data
+ * @returns {Array} - Array of zone objects (empty without a trade plan)
+ */
+function buildTradePlanZones(patternData, candles) {
+    const plan = patternData.tradePlan;
+    if (!plan || candles.length === 0) {
+        return [];
+    }
+
+    const startDate = plan.startDate;
+    const endDate = candles[candles.length - 1].date;
+    const entryBand = plan.riskPerShare * 0.1;
+    const zones = [
+        { type: "tradeStop", startDate, endDate, top: Math.max(plan.entry, plan.stopLoss), bottom: Math.min(plan.entry, plan.stopLoss), color: "rgba(239, 83, 80, 0.12)" },
+        { type: "tradeEntry", startDate, endDate, top: plan.entry + entryBand, bottom: plan.entry - entryBand, color: "rgba(33, 150, 243, 0.3)" }
+    ];
+
+    let from = plan.entry;
+    plan.targets.forEach((target, i) => {
+        zones.push({
+            type: "tradeTarget", startDate, endDate,
+            top: Math.max(from, target.price), bottom: Math.min(from, target.price),
+            color: i === 0 ? "rgba(38, 166, 154, 0.1)" : "rgba(38, 166, 154, 0.18)"
+        });
+        from = target.price;
+    });
+    return zones;
+}
+
+module.exports = {
+    buildTradePlan,
+    buildTradePlanZones,
+    STOP_METHODS,
+    ATR_STOP_MULTIPLE
+};
@@ -0,0 +1,248 @@
+/**
+ * Shared helpers for patterns bounded by two trendlines (triangles, wedges, flags, channels).
+ * Trendlines are least-squares fits through the peaks and troughs found by `findSwings`.
+ */
+
+const { findSwings, usesWindowFallback, calculateOptimalWindowSize, fitLine, findBreakoutRetest } = require('./patternUtils.js');
+
+/**
+ * Finds the peaks and troughs used as trendline touch points
+ * @param {Array} candles - Array of OHLC price data
+ * @param {number} initialWindow - Initial window size for pivot detection
+ * @param {number} minTouches - Minimum number of pivots required on each trendline
+ * @param {Object} options - Detector options selecting the swing method
+ * @returns {{peaks: Array, troughs: Array}} - The identified pivots
+ */
+function findPivots(candles, initialWindow, minTouches = 2, options = {}) {
+    let windowSize = initialWindow || calculateOptimalWindowSize(candles.length);
+    console.log(`Using window size: ${windowSize} for pivot detection`);
+
+    let pivots = findSwings(candles, windowSize, options);
+
+    // Converging patterns need several touches, so fall back to smaller windows if needed
+    while ((pivots.peaks.length < minTouches || pivots.troughs.length < minTouches) && windowSize > 2 && usesWindowFallback(options)) {
+        windowSize = Math.max(2, Math.floor(windowSize * 0.7));
+        console.log(`Trying smaller window size: ${windowSize}`);
+        pivots = findSwings(candles, windowSize, options);
+    }
+
+    console.log(`Found ${pivots.peaks.length} peaks and ${pivots.troughs.length} troughs`);
+    return pivots;
+}
+
+/**
+ * Generates candidate pivot ranges that may contain a trendline pattern
+ * @param {Array} peaks - Array of peak objects
+ * @param {Array} troughs - Array of trough objects
+ * @param {number} minTouches - Minimum number of pivots required on each trendline
+ * @returns {Array} - Array of { peaks, troughs, startIndex, endIndex } candidates
+ */
+function generateCandidateRanges(peaks, troughs, minTouches = 2) {
+    const pivots = [...peaks, ...troughs].sort((a, b) => a.index - b.index);
+    const candidates = [];
+
+    for (let i = 0; i < pivots.length; i++) {
+        for (let j = i + 1; j < pivots.length; j++) {
+            const startIndex = pivots[i].index;
+            const endIndex = pivots[j].index;
+            const rangePeaks = peaks.filter(p => p.index >= startIndex && p.index <= endIndex);
+            const rangeTroughs = troughs.filter(t => t.index >= startIndex && t.index <= endIndex);
+
+            if (rangePeaks.length >= minTouches && rangeTroughs.length >= minTouches) {
+                candidates.push({ peaks: rangePeaks, troughs: rangeTroughs, startIndex, endIndex });
+            }
+        }
+    }
+
+    return candidates;
+}
+
+/**
+ * Fits the upper (resistance) and lower (support) trendlines
+ * @param {Array} peaks - Peaks touching the upper line
+ * @param {Array} troughs - Troughs touching the lower line
+ * @returns {{upper: Object, lower: Object}} - The fitted trendlines
+ */
+function fitTrendlines(peaks, troughs) {
+    return {
+        upper: fitLine(peaks.map(p => ({ x: p.index, y: p.high }))),
+        lower: fitLine(troughs.map(t => ({ x: t.index, y: t.low })))
+    };
+}
+
+/**
+ * Checks that the trendlines converge and locates the apex
+ * @param {Object} upper - Upper trendline
+ * @param {Object} lower - Lower trendline
+ * @param {number} startIndex - First candle index of the pattern
+ * @param {number} endIndex - Last pivot index of the pattern
+ * @param {number} minConvergence - Minimum narrowing of the pattern as a ratio of its starting width
+ * @returns {Object} - Result with isValid flag, start/end widths and apex index/price
+ */
+function checkConvergence(upper, lower, startIndex, endIndex, minConvergence = 0.3) {
+    const startWidth = upper.getValue(startIndex) - lower.getValue(startIndex);
+    const endWidth = upper.getValue(endIndex) - lower.getValue(endIndex);
+
+    if (startWidth <= 0 || endWidth <= 0 || upper.slope >= lower.slope) {
+        return { isValid: false, startWidth, endWidth };
+    }
+
+    const apexIndex = (lower.intercept - upper.intercept) / (upper.slope - lower.slope);
+    const convergence = 1 - endWidth / startWidth;
+
+    return {
+        isValid: convergence >= minConvergence && apexIndex > endIndex,
+        startWidth,
+        endWidth,
+        convergence,
+        apexIndex,
+        apexPrice: upper.getValue(apexIndex)
+    };
+}
+
+/**
+ * Measures how many closes inside the pattern fall outside the trendlines
+ * @param {Array} candles - Array of OHLC price data
+ * @param {Object} upper - Upper trendline
+ * @param {Object} lower - Lower trendline
+ * @param {number} startIndex - First candle index of the pattern
+ * @param {number} endIndex - Last candle index of the pattern
+ * @param {number} tolerance - Relative tolerance around the lines
+ * @returns {number} - Ratio of candles closing outside the lines
+ */
+function calculateViolationRatio(candles, upper, lower, startIndex, endIndex, tolerance = 0.01) {
+    let violations = 0;
+    for (let i = startIndex; i <= endIndex; i++) {
+        const close = candles[i].close;
+        if (close > upper.getValue(i) * (1 + tolerance) || close < lower.getValue(i) * (1 - tolerance)) {
+            violations++;
+        }
+    }
+    return violations / (endIndex - startIndex + 1);
+}
+
+/**
+ * Detects a breakout through either trendline after the last pivot
+ * @param {Array} candles - Array of OHLC price data
+ * @param {Object} upper - Upper trendline
+ * @param {Object} lower - Lower trendline
+ * @param {number} endIndex - Last pivot index of the pattern
+ * @param {number} maxIndex - Last candle index to search (e.g. the apex of converging lines)
+ * @returns {Object|null} - Breakout information with its retest of the broken trendline, or null if no breakout
+ */
+function detectTrendlineBreakout(candles, upper, lower, endIndex, maxIndex = Infinity) {
+    const lastIndex = Math.min(candles.length - 1, Math.floor(maxIndex));
+
+    for (let i = endIndex + 1; i <= lastIndex; i++) {
+        const upperValue = upper.getValue(i);
+        const lowerValue = lower.getValue(i);
+
+        if (candles[i].close > upperValue || candles[i].close < lowerValue) {
+            const direction = candles[i].close > upperValue ? "bullish" : "bearish";
+            return {
+                date: candles[i].date,
+                price: candles[i].close,
+                volume: candles[i].volume,
+                index: i,
+                direction,
+                trendlineValue: direction === "bullish" ? upperValue : lowerValue,
+                retest: findBreakoutRetest(candles, i, index => (direction === "bullish" ? upper : lower).getValue(index), direction)
+            };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Describes a fitted trendline with its slope and the chart points at both ends
+ * @param {Object} line - Fitted trendline
+ * @param {Array} candles - Array of OHLC price data
+ * @param {number} startIndex - Candle index where the line starts
+ * @param {number} endIndex - Candle index where the line ends
+ * @returns {Object} - Trendline slope, intercept, start and end points
+ */
+function describeTrendline(line, candles, startIndex, endIndex) {
+    return {
+        slope: parseFloat(line.slope.toFixed(4)),
+        intercept: parseFloat(line.intercept.toFixed(2)),
+        start: { date: candles[startIndex].date, price: parseFloat(line.getValue(startIndex).toFixed(2)) },
+        end: { date: candles[endIndex].date, price: parseFloat(line.getValue(endIndex).toFixed(2)) }
+    };
+}
+
+/**
+ * Scores how well price respects a pair of trendlines, used as the `fit` confidence factor
+ * @param {Object} upper - Upper trendline
+ * @param {Object} lower - Lower trendline
+ * @param {number} touchCount - Total number of pivots touching both lines
+ * @param {number} patternHeight - Height of the pattern at its widest point
+ * @param {number} violationRatio - Ratio of candles closing outside the lines
+ * @returns {number} - Fit score between 0 and 1
+ */
+function scoreTrendlineFit(upper, lower, touchCount, patternHeight, violationRatio) {
+    const fitScore = 1 - Math.min(1, (upper.meanResidual + lower.meanResidual) / patternHeight);
+    const touchScore = Math.min(1, touchCount / 6);
+    return (0.6 * fitScore + 0.4 * touchScore) * (1 - violationRatio);
+}
+
+/**
+ * Builds the breakout trigger of a pattern bounded by two described trendlines.
+ * Without an expected direction the trigger is the trendline nearest to the last close.
+ * Once the breakout happened, or when it is expected in one direction, price reclaiming
+ * the far trendline invalidates the pattern.
+ * @param {Object} upper - Described upper trendline
+ * @param {Object} lower - Described lower trendline
+ * @param {Object|null} breakoutPoint - Confirmed breakout, null while price is inside the lines
+ * @param {string|null} direction - Expected breakout direction, null if it can break either way
+ * @param {Array} candles - Array of OHLC price data
+ * @returns {Object} - Breakout trigger
+ */
+function buildTrendlineTrigger(upper, lower, breakoutPoint, direction, candles) {
+    let triggerDirection = breakoutPoint ? breakoutPoint.direction : direction;
+    if (!triggerDirection) {
+        const indexOf = (date) => candles.findIndex(c => c.date === date);
+        const lastIndex = candles.length - 1;
+        const valueAtLast = (line) => {
+            const startIndex = indexOf(line.start.date);
+            const endIndex = indexOf(line.end.date);
+            const slope = endIndex > startIndex ? (line.end.price - line.start.price) / (endIndex - startIndex) : 0;
+            return line.start.price + slope * (lastIndex - startIndex);
+        };
+        const close = candles[lastIndex].close;
+        triggerDirection = valueAtLast(upper) - close <= close - valueAtLast(lower) ? "bullish" : "bearish";
+    }
+
+    const [line, farLine] = triggerDirection === "bullish" ? [upper, lower] : [lower, upper];
+    return {
+        breakoutDate: breakoutPoint ? breakoutPoint.date : null,
+        direction: triggerDirection,
+        line: [line.start, line.end],
+        invalidationLevel: breakoutPoint || direction ? farLine.end.price : null
+    };
+}
+
+/**
+ * Calculates the average close of the candles in a range
+ * @param {Array} candles - Array of OHLC price data
+ * @param {number} startIndex - First candle index
+ * @param {number} endIndex - Last candle index
+ * @returns {number} - The average close
+ */
+function averageClose(candles, startIndex, endIndex) {
+    const rangeCandles = candles.slice(startIndex, endIndex + 1);
+    return rangeCandles.reduce((sum, c) => sum + c.close, 0) / rangeCandles.length;
+}
+
+module.exports = {
+    findPivots,
+    generateCandidateRanges,
+    fitTrendlines,
+    checkConvergence,
+    calculateViolationRatio,
+    detectTrendlineBreakout,
+    describeTrendline,
+    scoreTrendlineFit,
+    buildTrendlineTrigger,
+    averageClose
+};
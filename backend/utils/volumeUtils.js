@@ -0,0 +1,148 @@
+/**
+ * Volume confirmation shared by every pattern detector.
+ * A pattern's legs run between its dated key points. Textbook patterns see volume
+ * contract through the pattern and surge on the breakout, so both are measured and
+ * combined into a volume score between 0 and 1. The score is the `volume` confidence factor.
+ */
+
+const { fitLine, BREAKOUT_KEYS, getStructuralKeyPoints } = require('./patternUtils.js');
+
+/**
+ * Calculates the average volume over a range of candles
+ * @param {Array} candles - Array of OHLC price data
+ * @param {number} startIndex - First candle index
+ * @param {number} endIndex - Last candle index (inclusive)
+ * @returns {number} - Average volume
+ */
+function averageVolume(candles, startIndex, endIndex) {
+    let sum = 0;
+    for (let i = startIndex; i <= endIndex; i++) {
+        sum += candles[i].volume;
+    }
+    return sum / (endIndex - startIndex + 1);
+}
+
+/**
+ * Describes the volume trend over a range of candles from the slope of a regression line
+ * @param {Array} candles - Array of OHLC price data
+ * @param {number} startIndex - First candle index
+ * @param {number} endIndex - Last candle index (inclusive)
+ * @param {number} flatTolerance - Maximum change across the range, relative to its average volume, to count as flat
+ * @returns {string} - "rising", "falling" or "flat"
+ */
+function calculateVolumeTrend(candles, startIndex, endIndex, flatTolerance = 0.2) {
+    const points = [];
+    for (let i = startIndex; i <= endIndex; i++) {
+        points.push({ x: i, y: candles[i].volume });
+    }
+    const average = averageVolume(candles, startIndex, endIndex);
+    if (points.length < 2 || average === 0) {
+        return "flat";
+    }
+
+    const change = (fitLine(points).slope * (endIndex - startIndex)) / average;
+    if (change > flatTolerance) return "rising";
+    if (change < -flatTolerance) return "falling";
+    return "flat";
+}
+
+/**
+ * Finds the pattern's structural key points and its confirmed breakout, as candle indices
+ * @param {Array} candles - Array of OHLC price data
+ * @param {Object} patternData - Pattern data returned by a detector
+ * @returns {{points: Array, breakoutIndex: number|null}} - Key points in date order and the breakout index
+ */
+function getVolumeKeyPoints(candles, patternData) {
+    const indexByDate = new Map(candles.map((c, i) => [c.date, i]));
+    const keyPoints = patternData.keyPoints || {};
+
+    const breakout = BREAKOUT_KEYS.map(key => keyPoints[key]).find(point => point && point.isConfirmed !== false);
+    const breakoutIndex = breakout && indexByDate.has(breakout.date) ? indexByDate.get(breakout.date) : null;
+
+    const points = getStructuralKeyPoints(candles, patternData)
+        .filter(point => breakoutIndex === null || point.index < breakoutIndex);
+
+    return { points, breakoutIndex };
+}
+
+/**
+ * Measures volume across each leg of a pattern and on its breakout
+ * @param {Array} candles - Array of OHLC price data
+ * @param {Object} patternData - Pattern data returned by a detector
+ * @param {Object} options - Configuration options
+ * @returns {Object|null} - Volume analysis with legs, contraction, breakout ratio, score and verdict, or null without volume data
+ */
+function analyzePatternVolume(candles, patternData, options = {}) {
+    const { movingAveragePeriod = 20, surgeRatio = 1.5 } = options;
+    const { points, breakoutIndex } = getVolumeKeyPoints(candles, patternData);
+    if (points.length < 2 || averageVolume(candles, 0, candles.length - 1) === 0) {
+        return null;
+    }
+
+    // 1. Volume trend across each leg
+    const legs = [];
+    for (let i = 1; i < points.length; i++) {
+        const from = points[i - 1];
+        const to = points[i];
+        if (to.index === from.index) continue;
+        legs.push({
+            from: from.name,
+            to: to.name,
+            averageVolume: Math.round(averageVolume(candles, from.index, to.index)),
+            trend: calculateVolumeTrend(candles, from.index, to.index)
+        });
+    }
+    if (legs.length === 0) {
+        return null;
+    }
+
+    // 2. Contraction: average volume of the later half of the pattern against the earlier half
+    const startIndex = points[0].index;
+    const endIndex = points[points.length - 1].index;
+    const middleIndex = Math.floor((startIndex + endIndex) / 2);
+    const earlyVolume = averageVolume(candles, startIndex, middleIndex);
+    const lateVolume = averageVolume(candles, middleIndex + 1, Math.max(middleIndex + 1, endIndex));
+    const contraction = earlyVolume > 0 ? lateVolume / earlyVolume : 1;
+
+    // 3. Breakout volume against its moving average
+    let breakoutVolumeRatio = null;
+    if (breakoutIndex !== null && breakoutIndex > 0) {
+        const maStart = Math.max(0, breakoutIndex - movingAveragePeriod);
+        const movingAverage = averageVolume(candles, maStart, breakoutIndex - 1);
+        breakoutVolumeRatio = movingAverage > 0 ? candles[breakoutIndex].volume / movingAverage : null;
+    }
+
+    // 4. Score: full marks for a 30% contraction and a surge on the breakout
+    const contractionScore = Math.min(1, Math.max(0, (1.3 - contraction) / 0.6));
+    const breakoutScore = breakoutVolumeRatio !== null
+        ? Math.min(1, Math.max(0, (breakoutVolumeRatio - 0.8) / (surgeRatio - 0.8)))
+        : null;
+    const score = breakoutScore !== null ? (contractionScore + breakoutScore) / 2 : contractionScore;
+
+    let verdict = "unconfirmed";
+    if (score >= 0.67) verdict = "confirmed";
+    else if (score >= 0.4) verdict = "neutral";
+
+    const contractionText = contraction <= 1
+        ? `Volume contracted ${Math.round((1 - contraction) * 100)}% through the pattern`
+        : `Volume expanded ${Math.round((contraction - 1) * 100)}% through the pattern`;
+    const breakoutText = breakoutVolumeRatio !== null
+        ? `breakout volume was ${breakoutVolumeRatio.toFixed(1)}x its ${movingAveragePeriod}-day average`
+        : "no breakout yet";
+
+    return {
+        legs,
+        contraction: parseFloat(contraction.toFixed(2)),
+        breakoutVolumeRatio: breakoutVolumeRatio !== null ? parseFloat(breakoutVolumeRatio.toFixed(2)) : null,
+        score: parseFloat(score.toFixed(2)),
+        verdict,
+        summary: `${contractionText}; ${breakoutText}`
+    };
+}
+
+module.exports = {
+    analyzePatternVolume,
+    calculateVolumeTrend,
+    getVolumeKeyPoints,
+    averageVolume
+};
@@ -1,22 +1,56 @@
 import React, { useRef, useEffect } from 'react';
-import { createChart, IChartApi, LineStyle, ColorType, CandlestickData, LineData, CandlestickSeries, LineSeries } from 'lightweight-charts';
-import { StockData, PatternLine, PatternLinePoint } from '../types/types';
+import { createChart, createSeriesMarkers, IChartApi, LineStyle, ColorType, CandlestickData, LineData, CandlestickSeries, LineSeries, SeriesMarker, Time } from 'lightweight-charts';
+import { StockData, PatternLine, PatternLinePoint, CandlestickSignal, PatternZone, PriceLevel, PatternMarker, Oscillator, Divergence } from '../types/types';
 import { CHART_CONFIG } from '../config/config';
+import { ZonePrimitive } from './ZonePrimitive';
 
 interface ChartProps {
   chartData: StockData[];
   patternLines: PatternLine[];
+  candlestickSignals?: CandlestickSignal[];
+  zones?: PatternZone[];
+  levels?: PriceLevel[];
+  patternMarkers?: PatternMarker[];
+  oscillator?: Oscillator | null;
+  divergences?: Divergence[];
 }
 
-const Chart: React.FC<ChartProps> = ({ chartData, patternLines }) => {
+const NO_SIGNALS: CandlestickSignal[] = [];
+const NO_ZONES: PatternZone[] = [];
+const NO_LEVELS: PriceLevel[] = [];
+const NO_MARKERS: PatternMarker[] = [];
+const NO_DIVERGENCES: Divergence[] = [];
+const PRICE_PANE_HEIGHT = 500;
+const OSCILLATOR_PANE = 1;
+
+const toSignalMarker = (signal: CandlestickSignal): SeriesMarker<Time> => {
+  if (signal.bias === 'bullish') {
+    return { time: signal.date, position: 'belowBar', shape: 'arrowUp', color: CHART_CONFIG.COLORS.SIGNAL.BULLISH, text: signal.pattern };
+  }
+  if (signal.bias === 'bearish') {
+    return { time: signal.date, position: 'aboveBar', shape: 'arrowDown', color: CHART_CONFIG.COLORS.SIGNAL.BEARISH, text: signal.pattern };
+  }
+  return { time: signal.date, position: 'aboveBar', shape: 'circle', color: CHART_CONFIG.COLORS.SIGNAL.NEUTRAL, text: signal.pattern };
+};
+
+const toPatternMarker = (marker: PatternMarker): SeriesMarker<Time> => ({
+  time: marker.date,
+  position: marker.position,
+  shape: marker.shape ?? 'circle',
+  color: marker.color,
+  text: marker.label,
+});
+
+const Chart: React.FC<ChartProps> = ({ chartData, patternLines, candlestickSignals = NO_SIGNALS, zones = NO_ZONES, levels = NO_LEVELS, patternMarkers = NO_MARKERS, oscillator = null, divergences = NO_DIVERGENCES }) => {
   const chartContainerRef = useRef<HTMLDivElement | null>(null);
+  const height = oscillator ? PRICE_PANE_HEIGHT + CHART_CONFIG.OSCILLATOR_PANE_HEIGHT : PRICE_PANE_HEIGHT;
 
   useEffect(() => {
     if (!chartContainerRef.current) return;
 
     const chart: IChartApi = createChart(chartContainerRef.current, {
         width: chartContainerRef.current.clientWidth,
-        height: 500,
+        height,
         layout: {
             background: { type: ColorType.Solid, color: CHART_CONFIG.COLORS.BACKGROUND },
             textColor: CHART_CONFIG.COLORS.TEXT,
@@ -46,6 +80,21 @@ const Chart: React.FC<ChartProps> = ({ chartData, patternLines }) => {
         close: item.close,
     }));
     candlestickSeries.setData(formattedCandleData);
+    const markers = [...candlestickSignals.map(toSignalMarker), ...patternMarkers.map(toPatternMarker)]
+      .sort((a, b) => String(a.time).localeCompare(String(b.time)));
+    createSeriesMarkers(candlestickSeries, markers);
+    candlestickSeries.attachPrimitive(new ZonePrimitive(zones));
+
+    levels.forEach(level => {
+      candlestickSeries.createPriceLine({
+        price: level.level,
+        color: level.type === 'support' ? CHART_CONFIG.COLORS.LEVEL.SUPPORT : CHART_CONFIG.COLORS.LEVEL.RESISTANCE,
+        lineWidth: 1,
+        lineStyle: LineStyle.Dashed,
+        axisLabelVisible: true,
+        title: `${level.type === 'support' ? 'S' : 'R'} ×${level.touches}`,
+      });
+    });
 
     patternLines.forEach(line => {
       const lineSeries = chart.addSeries(LineSeries, {
@@ -59,6 +108,46 @@ const Chart: React.FC<ChartProps> = ({ chartData, patternLines }) => {
       lineSeries.setData(lineData);
     });
 
+    // Second pane with the oscillator, its reference levels and the divergence lines on both panes
+    if (oscillator) {
+      const oscillatorSeries = chart.addSeries(LineSeries, {
+        color: CHART_CONFIG.COLORS.OSCILLATOR,
+        lineWidth: 1,
+        title: oscillator.name,
+        priceLineVisible: false,
+      }, OSCILLATOR_PANE);
+      oscillatorSeries.setData(oscillator.series.map(p => ({ time: p.date, value: p.value })));
+      oscillator.levels.forEach(level => {
+        oscillatorSeries.createPriceLine({
+          price: level,
+          color: CHART_CONFIG.COLORS.OSCILLATOR_LEVEL,
+          lineWidth: 1,
+          lineStyle: LineStyle.Dotted,
+          axisLabelVisible: false,
+          title: '',
+        });
+      });
+      chart.panes()[OSCILLATOR_PANE].setHeight(CHART_CONFIG.OSCILLATOR_PANE_HEIGHT);
+
+      divergences.forEach(divergence => {
+        const options = {
+          color: divergence.bias === 'bullish' ? CHART_CONFIG.COLORS.DIVERGENCE.BULLISH : CHART_CONFIG.COLORS.DIVERGENCE.BEARISH,
+          lineWidth: 2 as const,
+          lineStyle: divergence.type === 'hidden' ? LineStyle.Dashed : LineStyle.Solid,
+          lastValueVisible: false,
+          priceLineVisible: false,
+        };
+        chart.addSeries(LineSeries, options).setData([
+          { time: divergence.start.date, value: divergence.start.price },
+          { time: divergence.end.date, value: divergence.end.price },
+        ]);
+        chart.addSeries(LineSeries, options, OSCILLATOR_PANE).setData([
+          { time: divergence.start.oscillatorDate, value: divergence.start.value },
+          { time: divergence.end.oscillatorDate, value: divergence.end.value },
+        ]);
+      });
+    }
+
     if (chartData.length > 0) {
         chart.timeScale().fitContent();
     }
@@ -66,9 +155,9 @@ const Chart: React.FC<ChartProps> = ({ chartData, patternLines }) => {
     return () => {
       chart.remove();
     };
-  }, [chartData, patternLines]);
+  }, [chartData, patternLines, candlestickSignals, zones, levels, patternMarkers, oscillator, divergences, height]);
 
-  return <div ref={chartContainerRef} style={{ position: 'relative', width: '100%', height: '500px' }} />;
+  return <div ref={chartContainerRef} style={{ position: 'relative', width: '100%', height: `${height}px` }} />;
 };
 
 export default Chart;
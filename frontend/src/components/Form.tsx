@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
-import { FormData } from '../types/types';
-import { DEFAULT_FORM_VALUES } from '../config/config';
+import { FormData, PatternDescriptor } from '../types/types';
+import { DEFAULT_FORM_VALUES, OSCILLATOR_OPTIONS, RELAXED_SCAN_OPTIONS, STOP_METHOD_OPTIONS } from '../config/config';
+import { apiService } from '../services/apiService';
 
 interface FormProps {
   onAnalyze: (formData: FormData) => void;
@@ -12,8 +13,16 @@ const Form: React.FC<FormProps> = ({ onAnalyze, loading }) => {
     ticker: DEFAULT_FORM_VALUES.TICKER,
     fromDate: '',
     toDate: '',
-    patternType: DEFAULT_FORM_VALUES.PATTERN_TYPE
+    patternType: DEFAULT_FORM_VALUES.PATTERN_TYPE,
+    multiScale: false,
+    forming: false,
+    relaxed: false,
+    oscillator: DEFAULT_FORM_VALUES.OSCILLATOR,
+    stopMethod: DEFAULT_FORM_VALUES.STOP_METHOD,
+    accountSize: DEFAULT_FORM_VALUES.ACCOUNT_SIZE,
+    riskPercent: DEFAULT_FORM_VALUES.RISK_PERCENT
   });
+  const [patterns, setPatterns] = useState<PatternDescriptor[]>([]);
 
   useEffect(() => {
     // Set default dates (6 months ago to today)
@@ -28,6 +37,13 @@ const Form: React.FC<FormProps> = ({ onAnalyze, loading }) => {
     }));
   }, []);
 
+  useEffect(() => {
+    // Load the available detectors from the backend registry
+    apiService.getPatterns()
+      .then(setPatterns)
+      .catch((err) => console.error(err.message));
+  }, []);
+
   const handleInputChange = (field: keyof FormData, value: string) => {
     setFormData(prev => ({
       ...prev,
@@ -35,11 +51,21 @@ const Form: React.FC<FormProps> = ({ onAnalyze, loading }) => {
     }));
   };
 
+  // Only detectors built on peaks and troughs can search every swing scale
+  const selectedPattern = patterns.find(pattern => pattern.id === formData.patternType);
+  const supportsMultiScale = selectedPattern !== undefined && 'multiScale' in selectedPattern.options;
+  const supportsRelaxed = selectedPattern !== undefined &&
+    Object.keys(RELAXED_SCAN_OPTIONS).some(option => option in selectedPattern.options);
+
   const handleSubmit = () => {
     if (!formData.ticker || !formData.fromDate || !formData.toDate) {
       return;
     }
-    onAnalyze(formData);
+    onAnalyze({
+      ...formData,
+      multiScale: supportsMultiScale && formData.multiScale,
+      relaxed: supportsRelaxed && formData.relaxed
+    });
   };
 
   return (
@@ -83,13 +109,103 @@ const Form: React.FC<FormProps> = ({ onAnalyze, loading }) => {
           value={formData.patternType}
           onChange={(e) => handleInputChange('patternType', e.target.value)}
         >
-          <option value="head-and-shoulders">Head and Shoulders</option>
-          <option value="inverse-head-and-shoulders">Inverse Head and Shoulders</option>
-          <option value="double-top">Double Top</option>
-          <option value="triple-bottom">Triple Bottom</option>
+          {patterns.map(pattern => (
+            <option key={pattern.id} value={pattern.id}>{pattern.name}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="oscillator">Divergence Oscillator</label>
+        <select
+          id="oscillator"
+          value={formData.oscillator}
+          onChange={(e) => handleInputChange('oscillator', e.target.value)}
+        >
+          {OSCILLATOR_OPTIONS.map(oscillator => (
+            <option key={oscillator.id} value={oscillator.id}>{oscillator.name}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="form-row">
+        <div className="form-group">
+          <label htmlFor="accountSize">Account Size ($)</label>
+          <input
+            type="number"
+            id="accountSize"
+            min="0"
+            value={formData.accountSize}
+            onChange={(e) => handleInputChange('accountSize', e.target.value)}
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="riskPercent">Risk per Trade (%)</label>
+          <input
+            type="number"
+            id="riskPercent"
+            min="0"
+            max="100"
+            step="0.1"
+            value={formData.riskPercent}
+            onChange={(e) => handleInputChange('riskPercent', e.target.value)}
+          />
+        </div>
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="stopMethod">Stop-Loss</label>
+        <select
+          id="stopMethod"
+          value={formData.stopMethod}
+          onChange={(e) => handleInputChange('stopMethod', e.target.value)}
+        >
+          {STOP_METHOD_OPTIONS.map(method => (
+            <option key={method.id} value={method.id}>{method.name}</option>
+          ))}
         </select>
       </div>
 
+      {supportsMultiScale && (
+        <div className="form-group">
+          <label className="checkbox-label" htmlFor="multiScale">
+            <input
+              type="checkbox"
+              id="multiScale"
+              checked={formData.multiScale}
+              onChange={(e) => setFormData(prev => ({ ...prev, multiScale: e.target.checked }))}
+            />
+            Search every swing scale
+          </label>
+        </div>
+      )}
+
+      {supportsRelaxed && (
+        <div className="form-group">
+          <label className="checkbox-label" htmlFor="relaxed">
+            <input
+              type="checkbox"
+              id="relaxed"
+              checked={formData.relaxed}
+              onChange={(e) => setFormData(prev => ({ ...prev, relaxed: e.target.checked }))}
+            />
+            Relaxed scan (lower confidence, looser shoulders, smaller swings)
+          </label>
+        </div>
+      )}
+
+      <div className="form-group">
+        <label className="checkbox-label" htmlFor="forming">
+          <input
+            type="checkbox"
+            id="forming"
+            checked={formData.forming}
+            onChange={(e) => setFormData(prev => ({ ...prev, forming: e.target.checked }))}
+          />
+          Forming patterns only
+        </label>
+      </div>
+
       <div className="button-group">
         <button
           className="analyze-btn"
@@ -1,5 +1,13 @@
 import React from 'react';
-import { AnalysisResult } from '../types/types';
+import { AnalysisResult, PatternStatus } from '../types/types';
+
+const STATUS_LABELS: Record<PatternStatus, string> = {
+  'forming': 'Forming',
+  'confirmed': 'Confirmed',
+  'target-reached': 'Target Reached',
+  'invalidated': 'Invalidated',
+  'expired': 'Expired'
+};
 
 interface ResultsDisplayProps {
   analysisResult: AnalysisResult;
@@ -18,6 +26,7 @@ const ResultsDisplay: React.FC<ResultsDisplayProps> = ({ analysisResult }) => {
   }
 
   const { ticker, dateRange, pattern, patternData } = analysisResult;
+  const occurrences = analysisResult.occurrences?.map(o => o.patternData) ?? [patternData];
 
   const getConfidenceClass = (confidence: number) => {
     if (confidence >= 0.9) return 'confidence-high';
@@ -46,36 +55,135 @@ const ResultsDisplay: React.FC<ResultsDisplayProps> = ({ analysisResult }) => {
       </div>
 
       <div className="patterns-info">
-        <div className="pattern-card">
-          <div className="pattern-header">
-            <div className="pattern-type">
-              {pattern.replace(/-/g, ' ')}
+        {occurrences.map((occurrence, index) => (
+          <div className="pattern-card" key={index}>
+            <div className="pattern-header">
+              <div className="pattern-type">
+                {(occurrence.type ?? pattern).replace(/-/g, ' ')}{occurrences.length > 1 && ` #${index + 1}`}
+                {occurrence.status && (
+                  <span className={`status-badge status-${occurrence.status}`}>
+                    {STATUS_LABELS[occurrence.status]}{occurrence.statusDate && ` · ${occurrence.statusDate}`}
+                  </span>
+                )}
+                {occurrence.failedPattern && <span className="status-badge status-failed">Failed</span>}
+                {occurrence.retest?.entryAvailable && <span className="status-badge status-retest-entry">Retest entry available</span>}
+              </div>
+              {occurrence.confidence && (
+                  <div className={`confidence-badge ${getConfidenceClass(occurrence.confidence)}`}>
+                      {getConfidenceText(occurrence.confidence)} ({(occurrence.confidence * 100).toFixed(0)}%)
+                  </div>
+              )}
             </div>
-            {patternData.confidence && (
-                <div className={`confidence-badge ${getConfidenceClass(patternData.confidence)}`}>
-                    {getConfidenceText(patternData.confidence)} ({(patternData.confidence * 100).toFixed(0)}%)
+            <div className="pattern-details">
+              <div className="detail-item">
+                <div className="detail-label">Neckline</div>
+                <div className="detail-value">${occurrence.necklineLevel?.toFixed(2) ?? 'N/A'}</div>
+              </div>
+              <div className="detail-item">
+                <div className="detail-label">Price Target</div>
+                <div className="detail-value">${occurrence.priceTarget?.toFixed(2) ?? 'N/A'}</div>
+              </div>
+              <div className="detail-item">
+                <div className="detail-label">Pattern Height</div>
+                <div className="detail-value">${occurrence.patternHeight?.toFixed(2) ?? 'N/A'}</div>
+              </div>
+               <div className="detail-item">
+                <div className="detail-label">Timespan</div>
+                <div className="detail-value">{occurrence.timespan ?? 'N/A'} days</div>
+              </div>
+              {occurrence.breakoutDate && (
+                <div className="detail-item">
+                  <div className="detail-label">Breakout</div>
+                  <div className="detail-value">{occurrence.breakoutDate}</div>
                 </div>
-            )}
-          </div>
-          <div className="pattern-details">
-            <div className="detail-item">
-              <div className="detail-label">Neckline</div>
-              <div className="detail-value">${patternData.necklineLevel?.toFixed(2) ?? 'N/A'}</div>
-            </div>
-            <div className="detail-item">
-              <div className="detail-label">Price Target</div>
-              <div className="detail-value">${patternData.priceTarget?.toFixed(2) ?? 'N/A'}</div>
-            </div>
-            <div className="detail-item">
-              <div className="detail-label">Pattern Height</div>
-              <div className="detail-value">${patternData.patternHeight?.toFixed(2) ?? 'N/A'}</div>
-            </div>
-             <div className="detail-item">
-              <div className="detail-label">Timespan</div>
-              <div className="detail-value">{patternData.timespan ?? 'N/A'} days</div>
+              )}
+              {occurrence.status === 'forming' && (
+                <>
+                  <div className="detail-item">
+                    <div className="detail-label">Breakout Trigger</div>
+                    <div className="detail-value">${occurrence.triggerPrice?.toFixed(2) ?? 'N/A'}</div>
+                  </div>
+                  <div className="detail-item">
+                    <div className="detail-label">Distance to Trigger</div>
+                    <div className="detail-value">
+                      {occurrence.distanceToTrigger !== undefined ? `${occurrence.distanceToTrigger.toFixed(2)}%` : 'N/A'}
+                      {occurrence.breakoutDirection && ` (${occurrence.breakoutDirection})`}
+                    </div>
+                  </div>
+                </>
+              )}
+              {occurrence.retest && (
+                <div className="detail-item">
+                  <div className="detail-label">Retest</div>
+                  <div className="detail-value">
+                    {occurrence.retest.occurred && occurrence.retest.depthPercent !== null
+                      ? `${occurrence.retest.date} (${occurrence.retest.depthPercent.toFixed(2)}%), ${occurrence.retest.held ? 'held' : 'failed'}`
+                      : 'None yet'}
+                  </div>
+                </div>
+              )}
+              {occurrence.scale !== undefined && (
+                <div className="detail-item">
+                  <div className="detail-label">Swing Scale</div>
+                  <div className="detail-value">{occurrence.scale}-bar window</div>
+                </div>
+              )}
+              {occurrence.failedPattern && (
+                <div className="detail-item detail-item-wide failed-pattern">
+                  <div className="detail-label">{occurrence.failedPattern.pattern} ({occurrence.failedPattern.bias} signal)</div>
+                  <div className="detail-value trade-plan">
+                    <span>Failed {occurrence.failedPattern.date}, {occurrence.failedPattern.barsAfterBreakout} bars after the breakout</span>
+                    <span>Close ${occurrence.failedPattern.price.toFixed(2)} through ${occurrence.failedPattern.failureLevel.toFixed(2)}</span>
+                    <span>Target ${occurrence.failedPattern.priceTarget.toFixed(2)}</span>
+                    <span>Stop ${occurrence.failedPattern.stopLoss.toFixed(2)}</span>
+                  </div>
+                </div>
+              )}
+              {occurrence.tradePlan && (
+                <div className="detail-item detail-item-wide">
+                  <div className="detail-label">Trade Plan ({occurrence.tradePlan.direction})</div>
+                  <div className="detail-value trade-plan">
+                    <span>Entry ${occurrence.tradePlan.entry.toFixed(2)}</span>
+                    <span>Stop ${occurrence.tradePlan.stopLoss.toFixed(2)}</span>
+                    {occurrence.tradePlan.targets.map(target => (
+                      <span key={target.label}>{target.label} ${target.price.toFixed(2)} ({target.rewardRisk.toFixed(1)}R)</span>
+                    ))}
+                    <span>R/R {occurrence.tradePlan.rewardRisk.toFixed(2)}</span>
+                    <span>
+                      Size {occurrence.tradePlan.positionSize} shares (${occurrence.tradePlan.positionValue.toFixed(0)},
+                      risking ${occurrence.tradePlan.riskAmount.toFixed(0)})
+                    </span>
+                  </div>
+                </div>
+              )}
+              {occurrence.volume && (
+                <div className="detail-item detail-item-wide">
+                  <div className="detail-label">Volume</div>
+                  <div className="detail-value">
+                    <span className={`volume-verdict volume-${occurrence.volume.verdict}`}>{occurrence.volume.verdict}</span>
+                    {' '}{occurrence.volume.summary}
+                  </div>
+                </div>
+              )}
+              {occurrence.confidenceFactors && occurrence.confidenceFactors.length > 0 && (
+                <div className="detail-item detail-item-wide">
+                  <div className="detail-label">Confidence Breakdown</div>
+                  {occurrence.confidenceFactors.map(factor => (
+                    <div className="confidence-factor" key={factor.factor}>
+                      <span className="confidence-factor-name">{factor.name}</span>
+                      <span className="confidence-factor-bar">
+                        <span className="confidence-factor-fill" style={{ width: `${factor.score * 100}%` }} />
+                      </span>
+                      <span className="confidence-factor-value">
+                        {(factor.score * 100).toFixed(0)}% × {(factor.weight * 100).toFixed(0)}%
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              )}
             </div>
           </div>
-        </div>
+        ))}
       </div>
     </div>
   );
@@ -0,0 +1,96 @@
+import {
+  IChartApi,
+  ISeriesApi,
+  ISeriesPrimitive,
+  IPrimitivePaneRenderer,
+  IPrimitivePaneView,
+  SeriesAttachedParameter,
+  SeriesType,
+  Time,
+} from 'lightweight-charts';
+import { PatternZone } from '../types/types';
+
+type RenderTarget = Parameters<IPrimitivePaneRenderer['draw']>[0];
+
+interface ZoneRect {
+  x1: number;
+  x2: number;
+  y1: number;
+  y2: number;
+  color: string;
+}
+
+class ZoneRenderer implements IPrimitivePaneRenderer {
+  constructor(private readonly rects: ZoneRect[]) {}
+
+  draw() {}
+
+  drawBackground(target: RenderTarget) {
+    target.useMediaCoordinateSpace(({ context }) => {
+      this.rects.forEach(rect => {
+        context.fillStyle = rect.color;
+        context.fillRect(
+          Math.min(rect.x1, rect.x2),
+          Math.min(rect.y1, rect.y2),
+          Math.abs(rect.x2 - rect.x1),
+          Math.abs(rect.y2 - rect.y1)
+        );
+      });
+    });
+  }
+}
+
+class ZonePaneView implements IPrimitivePaneView {
+  constructor(private readonly source: ZonePrimitive) {}
+
+  zOrder() {
+    return 'bottom' as const;
+  }
+
+  renderer() {
+    return new ZoneRenderer(this.source.getRects());
+  }
+}
+
+/**
+ * Draws shaded price/time rectangles (gap zones, islands, targets) behind the candles.
+ * lightweight-charts has no rectangle series, so this is implemented as a series primitive.
+ */
+export class ZonePrimitive implements ISeriesPrimitive<Time> {
+  private chart: IChartApi | null = null;
+  private series: ISeriesApi<SeriesType> | null = null;
+  private readonly views: ZonePaneView[];
+
+  constructor(private readonly zones: PatternZone[]) {
+    this.views = [new ZonePaneView(this)];
+  }
+
+  attached({ chart, series }: SeriesAttachedParameter<Time>) {
+    this.chart = chart;
+    this.series = series;
+  }
+
+  detached() {
+    this.chart = null;
+    this.series = null;
+  }
+
+  paneViews() {
+    return this.views;
+  }
+
+  getRects(): ZoneRect[] {
+    const { chart, series } = this;
+    if (!chart || !series) return [];
+
+    const timeScale = chart.timeScale();
+    return this.zones.flatMap(zone => {
+      const x1 = timeScale.timeToCoordinate(zone.startDate);
+      const x2 = timeScale.timeToCoordinate(zone.endDate);
+      const y1 = series.priceToCoordinate(zone.top);
+      const y2 = series.priceToCoordinate(zone.bottom);
+      if (x1 === null || x2 === null || y1 === null || y2 === null) return [];
+      return [{ x1, x2, y1, y2, color: zone.color }];
+    });
+  }
+}
@@ -1,7 +1,12 @@
 export const API_CONFIG = {
   BASE_URL: 'http://localhost:3001/api',
   ENDPOINTS: {
-    ANALYZE: '/analyze'
+    ANALYZE: '/analyze',
+    PATTERNS: '/patterns',
+    CANDLESTICKS: '/candlesticks',
+    GAPS: '/gaps',
+    LEVELS: '/levels',
+    DIVERGENCES: '/divergences'
   }
 };
 
@@ -17,11 +22,49 @@ export const CHART_CONFIG = {
       UP: '#26a69a',
       DOWN: '#ef5350'
     },
-    PATTERN: '#ff6b6b'
-  }
+    PATTERN: '#ff6b6b',
+    LEVEL: {
+      SUPPORT: '#26a69a',
+      RESISTANCE: '#ef5350'
+    },
+    SIGNAL: {
+      BULLISH: '#26a69a',
+      BEARISH: '#ef5350',
+      NEUTRAL: '#9e9e9e'
+    },
+    OSCILLATOR: '#2962ff',
+    OSCILLATOR_LEVEL: '#9e9e9e',
+    DIVERGENCE: {
+      BULLISH: '#26a69a',
+      BEARISH: '#ef5350'
+    }
+  },
+  OSCILLATOR_PANE_HEIGHT: 150
 };
 
 export const DEFAULT_FORM_VALUES = {
   TICKER: 'AAPL',
-  PATTERN_TYPE: 'head-and-shoulders'
+  PATTERN_TYPE: 'head-and-shoulders',
+  OSCILLATOR: 'rsi',
+  STOP_METHOD: 'structure',
+  ACCOUNT_SIZE: '10000',
+  RISK_PERCENT: '1'
 };
+
+export const OSCILLATOR_OPTIONS = [
+  { id: 'rsi', name: 'RSI (14)' },
+  { id: 'macd', name: 'MACD (12, 26, 9)' },
+  { id: 'stochastic', name: 'Stochastic (14, 3)' }
+];
+
+// Looser thresholds sent with "Relaxed scan", only for detectors that accept them
+export const RELAXED_SCAN_OPTIONS: Record<string, number> = {
+  minConfidence: 0.5,
+  shoulderDepthTolerance: 0.35,
+  windowSize: 2
+};
+
+export const STOP_METHOD_OPTIONS = [
+  { id: 'structure', name: 'Beyond the last swing' },
+  { id: 'atr', name: '2 × ATR' }
+];
@@ -1,14 +1,34 @@
-import React, { useState } from 'react';
+import React, { useMemo, useState } from 'react';
 import Form from '../components/Form';
 import Chart from '../components/Chart';
 import ResultsDisplay from '../components/ResultsDisplay';
-import { AnalysisResult, FormData } from '../types/types';
+import { AnalysisResult, CandlestickSignal, DivergenceAnalysis, FormData, GapAnalysis, PriceLevel } from '../types/types';
 import { apiService } from '../services/apiService';
 
+const EMPTY_GAP_ANALYSIS: GapAnalysis = { gaps: [], islands: [], zones: [] };
+const EMPTY_DIVERGENCE_ANALYSIS: DivergenceAnalysis = { oscillator: null, divergences: [] };
+
+// Overlays are optional, so a failure loading one must not hide the analysis
+const withFallback = <T,>(promise: Promise<T>, fallback: T): Promise<T> =>
+  promise.catch((err) => {
+    console.error(err.message);
+    return fallback;
+  });
+
 const Home: React.FC = () => {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [analysisResult, setAnalysisResult] = useState<AnalysisResult | null>(null);
+  const [candlestickSignals, setCandlestickSignals] = useState<CandlestickSignal[]>([]);
+  const [gapAnalysis, setGapAnalysis] = useState<GapAnalysis>(EMPTY_GAP_ANALYSIS);
+  const [levels, setLevels] = useState<PriceLevel[]>([]);
+  const [divergenceAnalysis, setDivergenceAnalysis] = useState<DivergenceAnalysis>(EMPTY_DIVERGENCE_ANALYSIS);
+
+  // Memoised so the chart is only rebuilt when the underlying results change
+  const zones = useMemo(
+    () => [...gapAnalysis.zones, ...(analysisResult?.patternZones ?? [])],
+    [gapAnalysis, analysisResult]
+  );
 
   const handleAnalyze = async (formData: FormData) => {
     if (!formData.ticker || !formData.fromDate || !formData.toDate) {
@@ -19,10 +39,24 @@ const Home: React.FC = () => {
     setLoading(true);
     setError('');
     setAnalysisResult(null);
+    setCandlestickSignals([]);
+    setGapAnalysis(EMPTY_GAP_ANALYSIS);
+    setLevels([]);
+    setDivergenceAnalysis(EMPTY_DIVERGENCE_ANALYSIS);
 
     try {
-      const result = await apiService.analyzePattern(formData);
+      const [result, signals, gaps, priceLevels, divergences] = await Promise.all([
+        apiService.analyzePattern(formData),
+        withFallback(apiService.getCandlestickSignals(formData), []),
+        withFallback(apiService.getGapAnalysis(formData), EMPTY_GAP_ANALYSIS),
+        withFallback(apiService.getLevels(formData), []),
+        withFallback(apiService.getDivergences(formData), EMPTY_DIVERGENCE_ANALYSIS)
+      ]);
       setAnalysisResult(result);
+      setCandlestickSignals(signals);
+      setGapAnalysis(gaps);
+      setLevels(priceLevels);
+      setDivergenceAnalysis(divergences);
     } catch (err: any) {
       setError(err.message);
     } finally {
@@ -54,7 +88,16 @@ const Home: React.FC = () => {
         {analysisResult && (
           <>
             <ResultsDisplay analysisResult={analysisResult} />
-            <Chart chartData={analysisResult.chartData} patternLines={analysisResult.patternLines || []} />
+            <Chart
+              chartData={analysisResult.chartData}
+              patternLines={analysisResult.patternLines || []}
+              candlestickSignals={candlestickSignals}
+              zones={zones}
+              patternMarkers={analysisResult.patternMarkers}
+              levels={levels}
+              oscillator={divergenceAnalysis.oscillator}
+              divergences={divergenceAnalysis.divergences}
+            />
           </>
         )}
       </div>
@@ -1,6 +1,6 @@
 import axios from 'axios';
-import { API_CONFIG } from '../config/config';
-import { AnalysisResult, FormData } from '../types/types';
+import { API_CONFIG, RELAXED_SCAN_OPTIONS } from '../config/config';
+import { AnalysisResult, CandlestickSignal, DivergenceAnalysis, FormData, GapAnalysis, PatternDescriptor, PriceLevel } from '../types/types';
 
 class ApiService {
   private baseURL: string;
@@ -16,7 +16,13 @@ class ApiService {
           ticker: formData.ticker,
           fromDate: formData.fromDate,
           toDate: formData.toDate,
-          patternType: formData.patternType
+          patternType: formData.patternType,
+          multiScale: formData.multiScale || undefined,
+          forming: formData.forming || undefined,
+          stopMethod: formData.stopMethod,
+          accountSize: formData.accountSize || undefined,
+          riskPercent: formData.riskPercent || undefined,
+          ...(formData.relaxed ? RELAXED_SCAN_OPTIONS : {})
         }
       });
 
@@ -25,6 +31,82 @@ class ApiService {
       throw new Error(error.response?.data?.error || 'Analysis failed: Internal server error');
     }
   }
+
+  async getPatterns(): Promise<PatternDescriptor[]> {
+    try {
+      const response = await axios.get(`${this.baseURL}${API_CONFIG.ENDPOINTS.PATTERNS}`);
+      return response.data.patterns;
+    } catch (error: any) {
+      throw new Error(error.response?.data?.error || 'Failed to load available patterns');
+    }
+  }
+
+  async getCandlestickSignals(formData: FormData): Promise<CandlestickSignal[]> {
+    try {
+      const response = await axios.get(`${this.baseURL}${API_CONFIG.ENDPOINTS.CANDLESTICKS}`, {
+        params: {
+          ticker: formData.ticker,
+          fromDate: formData.fromDate,
+          toDate: formData.toDate
+        }
+      });
+
+      return response.data.signals;
+    } catch (error: any) {
+      throw new Error(error.response?.data?.error || 'Failed to load candlestick signals');
+    }
+  }
+
+  async getGapAnalysis(formData: FormData): Promise<GapAnalysis> {
+    try {
+      const response = await axios.get(`${this.baseURL}${API_CONFIG.ENDPOINTS.GAPS}`, {
+        params: {
+          ticker: formData.ticker,
+          fromDate: formData.fromDate,
+          toDate: formData.toDate
+        }
+      });
+
+      const { gaps, islands, zones } = response.data;
+      return { gaps, islands, zones };
+    } catch (error: any) {
+      throw new Error(error.response?.data?.error || 'Failed to load gap analysis');
+    }
+  }
+
+  async getLevels(formData: FormData): Promise<PriceLevel[]> {
+    try {
+      const response = await axios.get(`${this.baseURL}${API_CONFIG.ENDPOINTS.LEVELS}`, {
+        params: {
+          ticker: formData.ticker,
+          fromDate: formData.fromDate,
+          toDate: formData.toDate
+        }
+      });
+
+      return response.data.levels;
+    } catch (error: any) {
+      throw new Error(error.response?.data?.error || 'Failed to load support and resistance levels');
+    }
+  }
+
+  async getDivergences(formData: FormData): Promise<DivergenceAnalysis> {
+    try {
+      const response = await axios.get(`${this.baseURL}${API_CONFIG.ENDPOINTS.DIVERGENCES}`, {
+        params: {
+          ticker: formData.ticker,
+          fromDate: formData.fromDate,
+          toDate: formData.toDate,
+          oscillator: formData.oscillator
+        }
+      });
+
+      const { oscillator, divergences } = response.data;
+      return { oscillator, divergences };
+    } catch (error: any) {
+      throw new Error(error.response?.data?.error || 'Failed to load divergences');
+    }
+  }
 }
 
 export const apiService = new ApiService();
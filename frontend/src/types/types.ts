@@ -29,19 +29,118 @@ export interface PatternLinePoint {
 }
 
 export interface PatternLine {
-    name: string;
+    type: string;
     points: PatternLinePoint[];
     color: string;
     style: 'solid' | 'dashed' | 'dotted';
 }
 
 export interface PatternData {
+  type?: string;
+  direction?: 'bullish' | 'bearish' | null;
   confidence?: number;
   keyPoints?: any; // Can be more specific later
   necklineLevel?: number;
   priceTarget?: number;
   patternHeight?: number;
   timespan?: number;
+  scale?: number; // Window size the pattern was found at in multi-scale mode
+  volume?: VolumeAnalysis | null; // Null when the data has no volume
+  confidenceFactors?: ConfidenceFactor[];
+  status?: PatternStatus; // Absent for detectors without a breakout trigger
+  statusDate?: string | null; // Date the status was reached, null while forming or confirmed
+  breakoutDate?: string | null; // Null before the breakout
+  breakoutDirection?: 'bullish' | 'bearish'; // Forming patterns only
+  triggerPrice?: number; // Price that triggers the breakout on the latest candle
+  distanceToTrigger?: number; // % price still has to move to reach the trigger
+  projectedNeckline?: PatternLinePoint[]; // Neckline projected past the latest candle
+  tradePlan?: TradePlan; // Forming and confirmed patterns only
+  failedPattern?: FailedPattern; // Set when price closed back beyond the failure level after the breakout
+  retest?: Retest | null; // Null for patterns without retest detection
+}
+
+export interface Retest {
+  occurred: boolean;
+  direction: 'bullish' | 'bearish'; // Direction of the breakout being retested
+  date: string | null; // Candle that pulled back to the broken level
+  price?: number; // Low (bullish) or high (bearish) of the retest candle
+  level?: number; // Broken neckline or trendline at the retest
+  depthPercent: number | null; // Negative when the pullback stopped short of the level, positive when it pierced it
+  held: boolean | null; // Closes stayed beyond the level after the retest
+  entryAvailable: boolean; // Retest is on the latest candles and still holding
+}
+
+export interface FailedPattern {
+  pattern: string; // e.g. "Failed Head and Shoulders"
+  bias: 'bullish' | 'bearish'; // Opposite of the pattern
+  breakoutDate: string;
+  date: string; // Close that failed the pattern
+  price: number;
+  failureLevel: number;
+  priceTarget: number;
+  stopLoss: number;
+  barsAfterBreakout: number;
+}
+
+export interface TradeTarget {
+  label: string;
+  price: number;
+  rewardRisk: number;
+}
+
+export interface TradePlan {
+  direction: 'bullish' | 'bearish';
+  startDate: string; // Breakout date, or the last key point while forming
+  entry: number;
+  stopLoss: number;
+  stopMethod: 'structure' | 'atr';
+  targets: TradeTarget[];
+  riskPerShare: number;
+  rewardRisk: number; // Of the final target
+  riskAmount: number;
+  positionSize: number; // Shares
+  positionValue: number;
+}
+
+export type PatternStatus = 'forming' | 'confirmed' | 'target-reached' | 'invalidated' | 'expired';
+
+export interface ConfidenceFactor {
+  factor: 'symmetry' | 'fit' | 'depth' | 'duration' | 'volume' | 'breakout' | 'priorTrend';
+  name: string;
+  score: number;
+  weight: number; // Share of the confidence, among the factors that apply to the pattern
+  contribution: number; // score × weight
+}
+
+export interface VolumeLeg {
+  from: string;
+  to: string;
+  averageVolume: number;
+  trend: 'rising' | 'falling' | 'flat';
+}
+
+export interface VolumeAnalysis {
+  legs: VolumeLeg[];
+  contraction: number; // Later-half volume relative to the earlier half of the pattern
+  breakoutVolumeRatio: number | null; // Breakout volume relative to its 20-day average
+  score: number;
+  verdict: 'confirmed' | 'neutral' | 'unconfirmed';
+  summary: string;
+}
+
+export interface PatternMarker {
+    date: string;
+    label: string;
+    position: 'aboveBar' | 'belowBar';
+    shape?: 'circle' | 'arrowUp' | 'arrowDown'; // Circle unless given
+    color: string;
+}
+
+export interface PatternOccurrence {
+    patternData: PatternData;
+    patternLines: PatternLine[];
+    patternZones?: PatternZone[];
+    patternMarkers?: PatternMarker[];
 }
 
 export interface AnalysisResult {
@@ -52,12 +151,126 @@ export interface AnalysisResult {
     patternData?: PatternData;
     chartData: StockData[];
     patternLines?: PatternLine[];
+    patternZones?: PatternZone[];
+    patternMarkers?: PatternMarker[];
+    failedPatterns?: FailedPattern[];
+    occurrences?: PatternOccurrence[];
     message?: string;
 }
 
+export interface PatternDescriptor {
+  id: string;
+  name: string;
+  options: Record<string, number | boolean | string | null>;
+}
+
+export interface CandlestickSignal {
+  date: string;
+  index: number;
+  pattern: string;
+  bias: 'bullish' | 'bearish' | 'neutral';
+  candles: number;
+  price: number;
+}
+
+export interface PatternZone {
+  type: string;
+  startDate: string;
+  endDate: string;
+  top: number;
+  bottom: number;
+  color: string;
+}
+
+export interface PriceGap {
+  date: string;
+  index: number;
+  direction: 'up' | 'down';
+  type: 'common' | 'breakaway' | 'runaway' | 'exhaustion';
+  top: number;
+  bottom: number;
+  size: number;
+  volumeRatio: number;
+  filled: boolean;
+  fillDate: string | null;
+  candlesToFill: number | null;
+}
+
+export interface IslandReversal {
+  type: string;
+  bias: 'bullish' | 'bearish';
+  startDate: string;
+  endDate: string;
+  high: number;
+  low: number;
+}
+
+export interface GapAnalysis {
+  gaps: PriceGap[];
+  islands: IslandReversal[];
+  zones: PatternZone[];
+}
+
+export interface PriceLevel {
+  level: number;
+  low: number;
+  high: number;
+  type: 'support' | 'resistance';
+  touches: number;
+  peakTouches: number;
+  troughTouches: number;
+  firstTouchDate: string;
+  lastTouchDate: string;
+  recency: number;
+  volumeRatio: number;
+  strength: number;
+}
+
+export interface OscillatorPoint {
+  date: string;
+  value: number;
+}
+
+export interface Oscillator {
+  type: 'rsi' | 'macd' | 'stochastic';
+  name: string;
+  levels: number[];
+  series: OscillatorPoint[];
+}
+
+export interface DivergencePoint {
+  date: string;
+  price: number;
+  oscillatorDate: string;
+  value: number;
+}
+
+export interface Divergence {
+  type: 'regular' | 'hidden';
+  bias: 'bullish' | 'bearish';
+  label: string;
+  oscillator: string;
+  swing: 'peak' | 'trough';
+  start: DivergencePoint;
+  end: DivergencePoint;
+  strength: number;
+}
+
+export interface DivergenceAnalysis {
+  oscillator: Oscillator | null;
+  divergences: Divergence[];
+}
+
 export interface FormData {
   ticker: string;
   fromDate: string;
   toDate: string;
   patternType: string;
+  multiScale: boolean;
+  forming: boolean;
+  relaxed: boolean;
+  oscillator: string;
+  stopMethod: string;
+  accountSize: string;
+  riskPercent: string;
 }